@@ -5,12 +5,13 @@ const state = {
   queuePoll: null,
   matchPoll: null,
   currentProblem: null,
-  lastRunTimeMs: null
+  tagNames: {}
 };
 
 const authSection = document.getElementById("auth");
 const lobbySection = document.getElementById("lobby");
 const matchSection = document.getElementById("match");
+const matchDetailSection = document.getElementById("matchDetail");
 const session = document.getElementById("session");
 
 const registerForm = document.getElementById("registerForm");
@@ -40,11 +41,17 @@ let codeEditor = null; // set after CodeMirror init
 const languageSelect = document.getElementById("languageSelect");
 const runCodeBtn = document.getElementById("runCode");
 const testResultEl = document.getElementById("testResult");
+const customInputEl = document.getElementById("customInput");
 const resultModal = document.getElementById("resultModal");
 const resultModalTitle = document.getElementById("resultModalTitle");
 const resultModalElo = document.getElementById("resultModalElo");
+const resultModalRuntime = document.getElementById("resultModalRuntime");
 const resultModalLobbyBtn = document.getElementById("resultModalLobby");
 const resultModalQueueBtn = document.getElementById("resultModalQueue");
+const resultModalDetailBtn = document.getElementById("resultModalDetail");
+const matchDetailTitle = document.getElementById("matchDetailTitle");
+const matchDetailMeta = document.getElementById("matchDetailMeta");
+const matchDetailPlayers = document.getElementById("matchDetailPlayers");
 
 function setToken(token) {
   state.token = token;
@@ -56,7 +63,16 @@ function setToken(token) {
 }
 
 function getCodeEditorMode(lang) {
-  const modes = { javascript: "javascript", python: "python", java: "text/x-java", cpp: "text/x-c++src", c: "text/x-csrc" };
+  const modes = {
+    javascript: "javascript",
+    typescript: "text/typescript",
+    python: "python",
+    java: "text/x-java",
+    cpp: "text/x-c++src",
+    c: "text/x-csrc",
+    rust: "rust",
+    go: "text/x-go"
+  };
   return modes[lang] || "javascript";
 }
 
@@ -91,7 +107,7 @@ function initCodeEditor() {
 
 function show(section) {
   document.getElementById("appLoading")?.classList.add("hidden");
-  [authSection, lobbySection, matchSection].forEach((el) => el.classList.add("hidden"));
+  [authSection, lobbySection, matchSection, matchDetailSection].forEach((el) => el.classList.add("hidden"));
   if (section === matchSection) {
     const main = document.querySelector("main");
     if (main && matchSection && matchSection.parentNode === main) main.insertBefore(matchSection, main.firstChild);
@@ -127,7 +143,14 @@ function initLobbyNav() {
   });
 }
 
-function showResultModal({ isWinner, eloDelta, ranked }) {
+/** "3.94 ms (1.12× python baseline)"; the ratio is what Elo compares across languages. */
+function formatRuntime(r) {
+  if (!r || r.runtimeMs == null) return "—";
+  const normalized = r.normalizedRuntime != null ? ` (${r.normalizedRuntime}× ${r.language || ""} baseline)` : "";
+  return `${r.runtimeMs} ms${normalized}`;
+}
+
+function showResultModal({ isWinner, eloDelta, ranked, runtimes, underReview }) {
   if (resultModalTitle) {
     if (isWinner === true) resultModalTitle.textContent = "You won!";
     else if (isWinner === false) resultModalTitle.textContent = "You lost";
@@ -135,9 +158,13 @@ function showResultModal({ isWinner, eloDelta, ranked }) {
   }
   if (resultModalElo) {
     if (ranked === false || ranked === 0) resultModalElo.textContent = "Unranked — no Elo change.";
+    else if (underReview) resultModalElo.textContent = "Elo change on hold while the match is reviewed.";
     else if (eloDelta != null && eloDelta !== 0) resultModalElo.textContent = (eloDelta > 0 ? "+" : "") + eloDelta + " Elo";
     else resultModalElo.textContent = "No Elo change.";
   }
+  if (resultModalRuntime) {
+    resultModalRuntime.textContent = runtimes ? `Your runtime: ${formatRuntime(runtimes.you)} · Opponent: ${formatRuntime(runtimes.opponent)}` : "";
+  }
   if (resultModal) resultModal.classList.remove("hidden");
 }
 function hideResultModal() {
@@ -188,6 +215,7 @@ async function bootstrap() {
       show(lobbySection);
       updateSession();
       await loadLeaderboard();
+      await loadTags();
       await loadStats();
       await loadRecentMatches();
       await loadMyMatches();
@@ -216,6 +244,7 @@ registerForm.addEventListener("submit", async (event) => {
     show(lobbySection);
     updateSession();
     await loadLeaderboard();
+    await loadTags();
     await loadStats();
     await loadRecentMatches();
     await loadMyMatches();
@@ -241,6 +270,7 @@ loginForm.addEventListener("submit", async (event) => {
     show(lobbySection);
     updateSession();
     await loadLeaderboard();
+    await loadTags();
     await loadStats();
     await loadRecentMatches();
     await loadMyMatches();
@@ -253,9 +283,10 @@ loginForm.addEventListener("submit", async (event) => {
 joinQueueBtn.addEventListener("click", async () => {
   try {
     const difficulty = document.getElementById("queueDifficulty").value;
+    const tag = document.getElementById("queueTag").value;
     const payload = await api("/api/queue/join", {
       method: "POST",
-      body: JSON.stringify({ difficulty: difficulty || null })
+      body: JSON.stringify({ difficulty: difficulty || null, tag: tag || null })
     });
     if (payload.status === "matched") {
       stopQueuePoll();
@@ -263,7 +294,7 @@ joinQueueBtn.addEventListener("click", async () => {
       await openMatch(payload.match.id);
       return;
     }
-    queueStatus.textContent = `Searching for ${payload.difficulty || "Any"} opponents...`;
+    queueStatus.textContent = searchingText(payload.difficulty, payload.tag);
     setQueueControls(true);
     startQueuePoll();
   } catch (error) {
@@ -285,9 +316,10 @@ leaveQueueBtn.addEventListener("click", async () => {
 createMatchBtn.addEventListener("click", async () => {
   try {
     const difficulty = document.getElementById("difficulty").value;
+    const tag = document.getElementById("matchTag").value;
     const payload = await api("/api/matches", {
       method: "POST",
-      body: JSON.stringify({ difficulty: difficulty || null })
+      body: JSON.stringify({ difficulty: difficulty || null, tag: tag || null })
     });
     state.currentMatchId = payload.match.id;
     await openMatch(state.currentMatchId);
@@ -311,9 +343,10 @@ joinMatchBtn.addEventListener("click", async () => {
 document.getElementById("startPractice")?.addEventListener("click", async () => {
   try {
     const difficulty = document.getElementById("practiceDifficulty")?.value || "";
+    const tag = document.getElementById("practiceTag")?.value || "";
     const payload = await api("/api/matches", {
       method: "POST",
-      body: JSON.stringify({ difficulty: difficulty || null })
+      body: JSON.stringify({ difficulty: difficulty || null, tag: tag || null })
     });
     state.currentMatchId = payload.match.id;
     await openMatch(payload.match.id);
@@ -330,18 +363,25 @@ function runPayload(lang, code, stdin) {
   return payload;
 }
 
+/** Switch the panel under the editor between the custom testcase box and the results. */
+function showResultTab(name) {
+  document.querySelectorAll(".test-tab[data-result-tab]").forEach((tab) => tab.classList.toggle("active", tab.dataset.resultTab === name));
+  document.querySelectorAll("[data-result-pane]").forEach((pane) => { pane.hidden = pane.dataset.resultPane !== name; });
+}
+
+document.querySelectorAll(".test-tab[data-result-tab]").forEach((tab) => {
+  tab.addEventListener("click", () => showResultTab(tab.dataset.resultTab));
+});
+
 runCodeBtn?.addEventListener("click", async () => {
   const code = codeEditor?.getValue?.()?.trim() ?? codeEditorTextarea?.value?.trim();
+  showResultTab("result");
   if (!code) { if (testResultEl) testResultEl.textContent = "No code to run."; testResultEl?.classList.remove("empty"); return; }
   const lang = languageSelect?.value || "javascript";
   if (testResultEl) { testResultEl.textContent = "Running..."; testResultEl.classList.remove("empty"); testResultEl.scrollTop = 0; }
   try {
-    const result = await api("/api/run", { method: "POST", body: JSON.stringify(runPayload(lang, code, "")) });
-    let text = result.stdout || ""; if (result.stderr) text += (text ? "\n" : "") + "stderr:\n" + result.stderr;
-    if (!text) text = result.output || "(no output)";
-    if (result.runTimeMs != null) text += `\n\n--- Run time: ${result.runTimeMs} ms ---`;
-    if (testResultEl) { testResultEl.textContent = text || "(no output)"; testResultEl.scrollTop = 0; }
-    if (result.runTimeMs != null) { state.lastRunTimeMs = result.runTimeMs; if (runtimeDisplay) runtimeDisplay.textContent = `Last run: ${result.runTimeMs} ms`; }
+    const result = await api("/api/run", { method: "POST", body: JSON.stringify(runPayload(lang, code, customInputEl?.value ?? "")) });
+    renderRunResults(result);
   } catch (err) {
     if (testResultEl) { testResultEl.textContent = "Error: " + (err.message || "Run failed"); testResultEl.scrollTop = 0; }
   }
@@ -361,11 +401,18 @@ function renderTestResults(payload) {
     testResultEl.scrollTop = 0;
     return;
   }
+  if (payload.verdict === "Compile Error") {
+    testResultEl.innerHTML = '<div class="test-summary test-summary--fail"><span class="test-summary-verdict">Compile Error</span></div>'
+      + `<pre class="test-compile-output">${escapeHtml(payload.compileOutput || "(no compiler output)")}</pre>`;
+    testResultEl.scrollTop = 0;
+    return;
+  }
   const { results = [], summary = {} } = payload;
   const { total, passed, failed } = summary;
   const allPassed = total > 0 && failed === 0;
   const summaryClass = allPassed ? "test-summary--pass" : "test-summary--fail";
   let html = `<div class="test-summary ${summaryClass}">`;
+  if (payload.verdict) html += `<span class="test-summary-verdict">${escapeHtml(payload.verdict)}</span> · `;
   html += `<span class="test-summary-count">${passed} / ${total}</span> test cases passed`;
   if (total > 0 && results.some((r) => r.runTimeMs != null)) {
     const maxMs = Math.max(...results.map((r) => r.runTimeMs ?? 0));
@@ -376,8 +423,7 @@ function renderTestResults(payload) {
   results.forEach((r) => {
     const isRunOnly = r.noExpected === true;
     const statusClass = r.passed ? "test-case--pass" : isRunOnly ? "test-case--runonly" : "test-case--fail";
-    const hasErrorNoOutput = !r.passed && !(r.actual && r.actual !== "(no output)") && (r.stderr || r.error);
-    const statusLabel = r.passed ? "Passed" : isRunOnly ? "Run only" : hasErrorNoOutput ? "Error" : "Wrong Answer";
+    const statusLabel = r.passed ? "Accepted" : isRunOnly ? (r.verdict || "Run only") : (r.verdict || "Wrong Answer");
     const icon = r.passed ? "✓" : isRunOnly ? "○" : "✗";
     const outputDisplay = (r.actual && r.actual !== "(no output)") ? r.actual : (r.stderr || r.error || "(no output)");
     html += `<div class="test-case ${statusClass}" data-test-index="${r.index}">`;
@@ -391,6 +437,7 @@ function renderTestResults(payload) {
     html += `<div class="test-case-row"><span class="test-case-key">Input:</span><pre class="test-case-value">${escapeHtml(r.stdin || "(none)")}</pre></div>`;
     html += `<div class="test-case-row"><span class="test-case-key">Expected:</span><pre class="test-case-value">${escapeHtml(r.expected || "(none)")}</pre></div>`;
     html += `<div class="test-case-row"><span class="test-case-key">Output:</span><pre class="test-case-value">${escapeHtml(outputDisplay)}</pre></div>`;
+    if (r.stdout) html += `<div class="test-case-row"><span class="test-case-key">Your stdout:</span><pre class="test-case-value test-case-value--stdout">${escapeHtml(r.stdout)}</pre></div>`;
     if (r.stderr && outputDisplay !== r.stderr) html += `<div class="test-case-row"><span class="test-case-key">stderr:</span><pre class="test-case-value test-case-value--stderr">${escapeHtml(r.stderr)}</pre></div>`;
     if (r.error && !r.actual) html += `<div class="test-case-row"><span class="test-case-key">Error:</span><pre class="test-case-value test-case-value--error">${escapeHtml(r.error)}</pre></div>`;
     html += "</div></div>";
@@ -408,14 +455,42 @@ function renderTestResults(payload) {
     });
   });
   const lastRunMs = results.length && results.some((r) => r.runTimeMs != null) ? Math.max(...results.map((r) => r.runTimeMs ?? 0)) : null;
-  if (lastRunMs != null) {
-    state.lastRunTimeMs = lastRunMs;
-    if (runtimeDisplay) runtimeDisplay.textContent = `Last run: ${lastRunMs} ms`;
-  }
+  if (lastRunMs != null && runtimeDisplay) runtimeDisplay.textContent = `Last run: ${lastRunMs} ms`;
+}
+
+/** Run output per custom case, with the reference solution's expected output next to the player's. */
+function renderRunResults(payload) {
+  if (!testResultEl) return;
+  if (payload.verdict === "Compile Error") return renderTestResults(payload);
+  const cases = payload.cases || [];
+  let html = '<div class="test-cases">';
+  cases.forEach((c, i) => {
+    const label = c.verdict || (c.matches === true ? "Matches expected" : c.matches === false ? "Differs from expected" : "Finished");
+    const statusClass = c.verdict || c.matches === false ? "test-case--fail" : c.matches ? "test-case--pass" : "test-case--runonly";
+    html += `<div class="test-case ${statusClass}">`;
+    html += '<div class="test-case-header">';
+    html += `<span class="test-case-label">Case ${i + 1}</span>`;
+    html += `<span class="test-case-status">${escapeHtml(label)}</span>`;
+    if (c.runTimeMs != null) html += `<span class="test-case-ms">${c.runTimeMs} ms</span>`;
+    html += "</div>";
+    html += '<div class="test-case-details">';
+    html += `<div class="test-case-row"><span class="test-case-key">Input:</span><pre class="test-case-value">${escapeHtml(c.stdin || "(none)")}</pre></div>`;
+    html += `<div class="test-case-row"><span class="test-case-key">Output:</span><pre class="test-case-value">${escapeHtml(c.result ?? "(no output)")}</pre></div>`;
+    if (c.expected != null) html += `<div class="test-case-row"><span class="test-case-key">Expected:</span><pre class="test-case-value">${escapeHtml(c.expected)}</pre></div>`;
+    if (c.stdout) html += `<div class="test-case-row"><span class="test-case-key">Your stdout:</span><pre class="test-case-value test-case-value--stdout">${escapeHtml(c.stdout)}</pre></div>`;
+    if (c.stderr) html += `<div class="test-case-row"><span class="test-case-key">stderr:</span><pre class="test-case-value test-case-value--stderr">${escapeHtml(c.stderr)}</pre></div>`;
+    html += "</div></div>";
+  });
+  html += "</div>";
+  testResultEl.innerHTML = cases.length ? html : "(no output)";
+  testResultEl.scrollTop = 0;
+  const times = cases.map((c) => c.runTimeMs).filter((ms) => ms != null);
+  if (times.length && runtimeDisplay) runtimeDisplay.textContent = `Last run: ${Math.max(...times)} ms`;
 }
 
 testCodeBtn?.addEventListener("click", async () => {
   const code = codeEditor?.getValue?.()?.trim() ?? codeEditorTextarea?.value?.trim();
+  showResultTab("result");
   if (!code) { if (testResultEl) testResultEl.textContent = "No code to test."; testResultEl?.classList.remove("empty"); return; }
   const lang = languageSelect?.value || "javascript";
   const problem = state.currentProblem;
@@ -444,32 +519,63 @@ languageSelect?.addEventListener("change", () => {
   if (snippet?.code && codeEditor) codeEditor.setValue(normalizeEditorCode(snippet.code));
 });
 
+async function finishMatch(matchId, result) {
+  stopMatchPoll();
+  state.currentMatchId = null;
+  state.lastMatchId = matchId;
+  await refreshMe();
+  await loadLeaderboard();
+  await loadStats();
+  await loadRecentMatches();
+  await loadMyMatches();
+  showResultModal({ isWinner: result.isWinner, eloDelta: result.eloDelta, ranked: result.ranked, runtimes: result.runtimes, underReview: result.underReview });
+}
+
+/** Poll a queued submission until the judge finishes it; resolves with { submission, match }. */
+async function waitForSubmission(submissionId) {
+  for (;;) {
+    const payload = await api(`/api/submissions/${submissionId}`);
+    const sub = payload.submission;
+    if (sub.status === "done") return payload;
+    if (matchStatus) {
+      matchStatus.textContent = sub.status === "running"
+        ? "Judging..."
+        : `In judge queue${sub.queuePosition ? ` (position ${sub.queuePosition})` : ""}...`;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+}
+
 submitSolutionBtn?.addEventListener("click", async () => {
   const code = codeEditor?.getValue?.()?.trim() ?? codeEditorTextarea?.value?.trim();
   if (!code) { alert("Write your solution first."); return; }
   const lang = languageSelect?.value || "javascript";
-  if (matchStatus) matchStatus.textContent = "Validating solution...";
+  const matchId = state.currentMatchId;
+  if (matchStatus) matchStatus.textContent = "Submitting...";
+  submitSolutionBtn.disabled = true;
   try {
-    const payload = await api(`/api/matches/${state.currentMatchId}/submit`, {
+    const queued = await api(`/api/matches/${matchId}/submit`, {
       method: "POST",
-      body: JSON.stringify({ code, language: lang, runtimeMs: state.lastRunTimeMs || undefined })
+      body: JSON.stringify({ code, language: lang })
     });
-    if (matchStatus) {
-      if (payload.status === "waiting") matchStatus.textContent = "Waiting for opponent to submit.";
-      else {
-        stopMatchPoll();
-        state.currentMatchId = null;
-        await refreshMe();
-        await loadLeaderboard();
-        await loadStats();
-        await loadRecentMatches();
-        await loadMyMatches();
-        showResultModal({ isWinner: payload.isWinner, eloDelta: payload.eloDelta, ranked: payload.ranked });
-      }
+    const { submission, match } = await waitForSubmission(queued.submissionId);
+    if (submission.verdict !== "Accepted") {
+      if (matchStatus) matchStatus.textContent = "";
+      const detail = submission.error
+        || (submission.verdict === "Compile Error"
+          ? "Compile Error. Fix your code before submitting."
+          : `${submission.verdict}: ${submission.passed}/${submission.total} test cases passed. Pass all tests before submitting.`);
+      alert(detail);
+      return;
     }
+    if (state.currentMatchId !== matchId) return;
+    if (match?.status === "complete") await finishMatch(matchId, match);
+    else if (matchStatus) matchStatus.textContent = "Accepted. Waiting for opponent to submit.";
   } catch (error) {
     if (matchStatus) matchStatus.textContent = "";
     alert(error.message || "Submit failed.");
+  } finally {
+    submitSolutionBtn.disabled = false;
   }
 });
 
@@ -478,19 +584,25 @@ resultModalLobbyBtn?.addEventListener("click", () => {
   show(lobbySection);
 });
 
+resultModalDetailBtn?.addEventListener("click", () => {
+  hideResultModal();
+  if (state.lastMatchId) openMatchDetail(state.lastMatchId);
+});
+
 resultModalQueueBtn?.addEventListener("click", async () => {
   hideResultModal();
   show(lobbySection);
   const difficulty = document.getElementById("queueDifficulty")?.value || "";
+  const tag = document.getElementById("queueTag")?.value || "";
   try {
-    const payload = await api("/api/queue/join", { method: "POST", body: JSON.stringify({ difficulty: difficulty || null }) });
+    const payload = await api("/api/queue/join", { method: "POST", body: JSON.stringify({ difficulty: difficulty || null, tag: tag || null }) });
     if (payload.status === "matched") {
       stopQueuePoll();
       state.currentMatchId = payload.match.id;
       await openMatch(payload.match.id);
       return;
     }
-    queueStatus.textContent = `Searching for ${payload.difficulty || "Any"} opponents...`;
+    queueStatus.textContent = searchingText(payload.difficulty, payload.tag);
     setQueueControls(true);
     startQueuePoll();
   } catch (error) {
@@ -544,7 +656,7 @@ function startQueuePoll() {
         setQueueControls(false);
         return;
       }
-      queueStatus.textContent = `Searching for ${queue.desired_difficulty || "Any"} opponents...`;
+      queueStatus.textContent = searchingText(queue.desired_difficulty, queue.desired_tag);
       setQueueControls(true);
     } catch (error) {
       stopQueuePoll();
@@ -567,6 +679,26 @@ async function loadLeaderboard() {
     .join("");
 }
 
+/** Fill the topic filters (queue, create match, practice), keeping what is selected. */
+async function loadTags() {
+  const { tags } = await api("/api/tags");
+  state.tagNames = Object.fromEntries(tags.map((t) => [t.tag, t.name]));
+  const options = tags
+    .filter((t) => t.problems > 0)
+    .map((t) => `<option value="${t.tag}">${t.name} (${t.problems})</option>`)
+    .join("");
+  document.querySelectorAll("[data-tag-select]").forEach((select) => {
+    const selected = select.value;
+    select.innerHTML = `<option value="">Any</option>${options}`;
+    select.value = selected;
+  });
+}
+
+function searchingText(difficulty, tag) {
+  const topic = tag ? ` ${state.tagNames[tag] || tag}` : "";
+  return `Searching for ${difficulty || "Any"}${topic} opponents...`;
+}
+
 async function loadStats() {
   const payload = await api("/api/me/stats");
   const stats = payload.stats || {};
@@ -578,6 +710,12 @@ async function loadStats() {
     <div><strong>${winRate}%</strong> win rate</div>
     <div><strong>${avgRuntime}</strong> avg runtime</div>
   `;
+  if (stats.tags?.length) {
+    const rows = stats.tags
+      .map((t) => `<li>${t.name} · ${t.wins}/${t.played} · <strong>${Math.round(t.winRate * 100)}%</strong></li>`)
+      .join("");
+    statsSummary.innerHTML += `<div class="stats-tags"><span class="muted">Win rate by topic</span><ul>${rows}</ul></div>`;
+  }
 }
 
 async function loadRecentMatches() {
@@ -597,11 +735,18 @@ async function loadMyMatches() {
       const delta = m.elo_after != null ? m.elo_after - m.elo_before : 0;
       const deltaLabel = m.elo_after != null ? `${delta >= 0 ? "+" : ""}${delta}` : "—";
       const result = m.is_winner == null ? "pending" : m.is_winner ? "win" : "loss";
-      return `<li>${result} · ${m.problem_title} · ${m.difficulty} · Δ${deltaLabel}</li>`;
+      const runtime = m.normalized_runtime != null ? ` · ${m.normalized_runtime}× baseline` : "";
+      const detail = m.status === "complete" ? ` <button type="button" class="link-btn" data-match-detail="${m.id}">Details</button>` : "";
+      return `<li>${result} · ${m.problem_title} · ${m.difficulty} · Δ${deltaLabel}${runtime}${detail}</li>`;
     })
     .join("");
 }
 
+myMatches?.addEventListener("click", (event) => {
+  const btn = event.target.closest("[data-match-detail]");
+  if (btn) openMatchDetail(btn.dataset.matchDetail);
+});
+
 async function resumeQueueState() {
   try {
     const { match } = await api("/api/me/active-match");
@@ -612,7 +757,7 @@ async function resumeQueueState() {
     }
     const { queue } = await api("/api/queue/status");
     if (queue) {
-      queueStatus.textContent = `Searching for ${queue.desired_difficulty || "Any"} opponents...`;
+      queueStatus.textContent = searchingText(queue.desired_difficulty, queue.desired_tag);
       setQueueControls(true);
       startQueuePoll();
     } else {
@@ -678,7 +823,7 @@ async function openMatch(matchId) {
     safeSetText(matchStatus, match.status === "waiting" ? "Waiting for opponent to join." : "Run or Test your code, then Submit to lock in your solution.");
     safeSetText(testResultEl, "Run your code to see output here.");
     if (testResultEl) testResultEl.classList.add("empty");
-    state.lastRunTimeMs = null;
+    showResultTab("testcase");
     safeSetText(runtimeDisplay, "");
 
     let problem = null;
@@ -689,12 +834,15 @@ async function openMatch(matchId) {
         state.currentProblem = problem;
       } catch (e) { state.currentProblem = null; }
     }
+    if (customInputEl) customInputEl.value = problem?.exampleTestcases || "";
 
     if (problem) {
       const frontendId = problem.questionFrontendId || problem.questionId || "";
       safeSetText(problemTitleEl, `${frontendId}. ${problem.title}`);
       const diff = (problem.difficulty || "").toLowerCase();
-      safeSetHtml(problemDifficultyEl, `<span class="difficulty-${diff}">${problem.difficulty || ""}</span>`);
+      const tags = (problem.tags || []).map((t) => `<span class="problem-tag">${state.tagNames[t] || t}</span>`).join("");
+      const rating = problem.rating != null ? `<span class="problem-rating">Rating ${problem.rating}</span>` : "";
+      safeSetHtml(problemDifficultyEl, `<span class="difficulty-${diff}">${problem.difficulty || ""}</span>${rating}${tags}`);
       safeSetHtml(problemContentEl, problem.content || "<p>No description available.</p>");
       const lang = languageSelect ? languageSelect.value : "javascript";
       const snippet = getSnippetForLang(problem, lang);
@@ -718,20 +866,13 @@ async function openMatch(matchId) {
         const pollPayload = await api(`/api/matches/${state.currentMatchId}`);
         const m = pollPayload?.match;
         if (!m || m.status !== "complete") return;
-        stopMatchPoll();
-        state.currentMatchId = null;
         const players = pollPayload.players || [];
         const myPlayer = players.find((p) => p.user_id === state.user?.id);
         const hasWinner = players.some((p) => p.is_winner === 1);
         const isWinner = hasWinner ? (myPlayer?.is_winner === 1) : null;
         const eloDelta = myPlayer && myPlayer.elo_after != null && myPlayer.elo_before != null ? myPlayer.elo_after - myPlayer.elo_before : 0;
         const ranked = m.ranked !== 0 && m.ranked != null;
-        await refreshMe();
-        await loadLeaderboard();
-        await loadStats();
-        await loadRecentMatches();
-        await loadMyMatches();
-        showResultModal({ isWinner, eloDelta, ranked });
+        await finishMatch(m.id, { isWinner, eloDelta, ranked, underReview: m.review_status === "pending" });
       } catch (_) {}
     }, 3000);
   } catch (err) {
@@ -740,6 +881,64 @@ async function openMatch(matchId) {
   }
 }
 
+/** "+2:05": time from the start of the match to a submission. */
+function formatElapsed(from, to) {
+  const seconds = Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000));
+  return `+${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function renderDetailPlayer(match, player) {
+  const you = player.user_id === state.user?.id;
+  const outcome = player.is_winner === 1 ? "Winner" : player.is_winner === 0 ? "Lost" : "Draw";
+  const accepted = player.accepted;
+  const card = document.createElement("div");
+  card.className = "card match-detail-player";
+  let html = `<h3>${escapeHtml(player.email)}${you ? " (you)" : ""} <span class="match-detail-outcome match-detail-outcome--${outcome.toLowerCase()}">${outcome}</span></h3>`;
+  html += accepted
+    ? `<p class="muted">${escapeHtml(accepted.language)} · ${formatRuntime({ runtimeMs: player.runtime_ms, normalizedRuntime: player.normalized_runtime, language: player.language })} · submitted ${formatElapsed(match.created_at, accepted.createdAt)}</p>`
+    : '<p class="muted">No accepted submission.</p>';
+  html += '<div class="match-detail-code"></div>';
+  html += "<h4>Attempts</h4>";
+  const attempts = player.attempts || [];
+  html += attempts.length
+    ? `<ol class="match-detail-attempts">${attempts.map((a) => {
+      const failed = a.verdict !== "Accepted";
+      const label = a.verdict || a.error || a.status;
+      const counts = a.total != null && failed ? ` · ${a.passed}/${a.total}` : "";
+      return `<li class="${failed ? "attempt--fail" : "attempt--pass"}">${formatElapsed(match.created_at, a.createdAt)} · ${escapeHtml(label)}${counts} · ${escapeHtml(a.language)}</li>`;
+    }).join("")}</ol>`
+    : '<p class="muted">No submissions.</p>';
+  card.innerHTML = html;
+  const codeEl = card.querySelector(".match-detail-code");
+  if (!accepted) codeEl.remove();
+  else if (typeof CodeMirror !== "undefined") {
+    CodeMirror(codeEl, { value: accepted.code, mode: getCodeEditorMode(accepted.language), theme: "dracula", lineNumbers: true, readOnly: true });
+  } else codeEl.innerHTML = `<pre>${escapeHtml(accepted.code)}</pre>`;
+  return card;
+}
+
+/** Post-match page: both players' accepted code side by side, with their runtimes and attempt timelines. */
+async function openMatchDetail(matchId) {
+  try {
+    const { match, players = [] } = await api(`/api/matches/${matchId}`);
+    if (match.status !== "complete") { alert("The match is still in progress."); return; }
+    show(matchDetailSection);
+    safeSetText(matchDetailTitle, match.problem_title);
+    safeSetText(matchDetailMeta, `${match.difficulty} · ${match.ranked === 0 ? "Unranked" : "Ranked"} · ${new Date(match.created_at).toLocaleString()}`);
+    matchDetailPlayers.innerHTML = "";
+    // You first, then the opponent.
+    [...players].sort((a, b) => (b.user_id === state.user?.id) - (a.user_id === state.user?.id))
+      .forEach((p) => matchDetailPlayers.appendChild(renderDetailPlayer(match, p)));
+  } catch (err) {
+    alert(err?.message || "Failed to load match.");
+  }
+}
+
+document.getElementById("matchDetailBack")?.addEventListener("click", () => {
+  show(lobbySection);
+  showLobbyPage("profile");
+});
+
 initCodeEditor();
 initLobbyNav();
 bootstrap();
@@ -0,0 +1,143 @@
+/**
+ * Problem bank tools for the command line, through a running server's admin API (see Problem packages and
+ * Problem validation in the README):
+ *
+ *   npm run problems -- export <slug> <out.zip | out-dir>
+ *   npm run problems -- export --all <out-dir>
+ *   npm run problems -- import <package.zip | package-dir> [--replace]
+ *   npm run problems -- validate [slug...]      (default: every active problem; exits 1 if any failed, not for skipped languages)
+ *
+ * The server is RANKEDCODE_URL (default http://localhost:3000). Authenticate as an admin with RANKEDCODE_TOKEN, or
+ * RANKEDCODE_EMAIL and RANKEDCODE_PASSWORD.
+ */
+import fs from "fs";
+import path from "path";
+import fetch from "node-fetch";
+import { unzipFiles, zipFiles } from "../server/zip.js";
+
+const BASE_URL = (process.env.RANKEDCODE_URL || "http://localhost:3000").replace(/\/+$/, "");
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+async function token() {
+  if (process.env.RANKEDCODE_TOKEN) return process.env.RANKEDCODE_TOKEN;
+  const { RANKEDCODE_EMAIL: email, RANKEDCODE_PASSWORD: password } = process.env;
+  if (!email || !password) fail("Set RANKEDCODE_TOKEN, or RANKEDCODE_EMAIL and RANKEDCODE_PASSWORD");
+  const res = await fetch(`${BASE_URL}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email, password })
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) fail(`Login failed: ${body.error || res.status}`);
+  return body.token;
+}
+
+async function api(auth, route, options = {}) {
+  const res = await fetch(`${BASE_URL}${route}`, { ...options, headers: { ...options.headers, Authorization: `Bearer ${auth}` } });
+  if (res.headers.get("content-type")?.includes("application/zip")) return { res, zip: Buffer.from(await res.arrayBuffer()) };
+  return { res, body: await res.json().catch(() => ({})) };
+}
+
+function readDir(dir, prefix = "") {
+  const files = {};
+  for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+    const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) Object.assign(files, readDir(dir, name));
+    else files[name] = fs.readFileSync(path.join(dir, name));
+  }
+  return files;
+}
+
+function writeDir(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+}
+
+async function exportOne(auth, slug, out) {
+  const { res, zip, body } = await api(auth, `/api/admin/problems/${encodeURIComponent(slug)}/export`);
+  if (!res.ok) fail(`${slug}: ${body?.error || res.status}`);
+  if (out.endsWith(".zip")) fs.writeFileSync(out, zip);
+  else writeDir(out, unzipFiles(zip));
+  console.log(`${slug} -> ${out}`);
+}
+
+async function exportAll(auth, outDir) {
+  const { res, body } = await api(auth, "/api/admin/problems");
+  if (!res.ok) fail(body.error || res.status);
+  for (const { slug } of body.problems) {
+    await exportOne(auth, slug, path.join(outDir, slug.replace(/^builtin-/, "")));
+  }
+}
+
+async function importPackage(auth, source, replace) {
+  if (!fs.existsSync(source)) fail(`${source} does not exist`);
+  const zip = fs.statSync(source).isDirectory() ? zipFiles(readDir(source)) : fs.readFileSync(source);
+  const { res, body } = await api(auth, `/api/admin/problems/import${replace ? "?replace=true" : ""}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/zip" },
+    body: zip
+  });
+  for (const r of body.results || []) {
+    const detail = r.judgeError ? `\n      judge error: ${r.judgeError}` : r.compileOutput ? `\n${r.compileOutput}` : "";
+    console.log(`  ${r.language}: ${r.allPassed ? "passed" : `${r.verdict || "failed"} (${r.passedCount}/${r.total})`}${detail}`);
+  }
+  if (!res.ok) fail(`${source}: ${body.error || res.status}`);
+  console.log(`${source} -> ${body.problem.slug}${res.status === 201 ? " (new)" : " (replaced)"}`);
+}
+
+const indent = (text) => text.split("\n").slice(0, 20).map((line) => `      ${line}`).join("\n");
+
+function printFailure(r) {
+  if (r.compileOutput) return console.log(indent(r.compileOutput));
+  const f = r.failure;
+  if (!f) return;
+  console.log(`    case ${f.index + 1}${f.hidden ? " (hidden)" : ""}: ${f.stdin.replace(/\n/g, " | ")}`);
+  if (f.expected || f.actual) console.log(`    expected ${f.expected}, got ${f.actual || "nothing"}`);
+  if (f.stderr) console.log(indent(f.stderr));
+}
+
+async function validate(auth, slugs) {
+  if (slugs.length === 0) {
+    const { res, body } = await api(auth, "/api/admin/problems");
+    if (!res.ok) fail(body.error || res.status);
+    slugs = body.problems.filter((p) => p.active).map((p) => p.slug).sort();
+  }
+  let failed = 0;
+  for (const slug of slugs) {
+    const { res, body } = await api(auth, `/api/admin/problems/${encodeURIComponent(slug)}/validate`, { method: "POST" });
+    if (!res.ok) fail(`${slug}: ${body.error || res.status}`);
+    const { report } = body;
+    if (!report.ok) failed++;
+    const summary = report.languages.map((r) => `${r.language} ${r.status === "failed" ? r.verdict || "failed" : r.status}`).join(", ");
+    console.log(`${report.ok ? "ok  " : "FAIL"} ${slug}: ${report.error || summary}`);
+    for (const r of report.languages.filter((l) => l.status === "failed")) {
+      console.log(`  ${r.language}${r.from ? ` (${r.from} reference)` : ""}: ${r.verdict || "failed"} (${r.passedCount}/${r.total})`);
+      printFailure(r);
+    }
+    for (const r of report.languages.filter((l) => l.status === "skipped")) console.log(`  ${r.language}: skipped, ${r.reason}`);
+  }
+  console.log(`${slugs.length - failed}/${slugs.length} problems passed`);
+  if (failed > 0) process.exit(1);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const flags = new Set(args.filter((a) => a.startsWith("--")));
+const [first, second] = args.filter((a) => !a.startsWith("--"));
+
+if (command === "export" && flags.has("--all") && first) {
+  await exportAll(await token(), first);
+} else if (command === "export" && first && second) {
+  await exportOne(await token(), first, second);
+} else if (command === "import" && first) {
+  await importPackage(await token(), first, flags.has("--replace"));
+} else if (command === "validate") {
+  await validate(await token(), args.filter((a) => !a.startsWith("--")));
+} else {
+  fail("Usage: problems export <slug> <out.zip|out-dir> | export --all <out-dir> | import <package.zip|package-dir> [--replace] | validate [slug...]");
+}
@@ -0,0 +1,332 @@
+/**
+ * Stress-test generators for built-in problems, keyed by titleSlug (spec in generators.js). Sizes and value
+ * ranges are the upper end of each problem's constraints, LeetCode's where the statement here is short.
+ * Inputs that need structure (a unique answer, a permutation, a result that fits in 32 bits) are built by hand.
+ */
+
+const INT_MIN = -(2 ** 31);
+const INT_MAX = 2 ** 31 - 1;
+
+const ints = (length, min, max, extra = {}) => ({ length, min, max, ...extra });
+const int = (min, max) => ({ min, max });
+const range = (start, end) => Array.from({ length: end - start }, (_, i) => start + i);
+
+/** Case 0 random digits, case 1 a carry through trailing 9s, case 2 all 9s. */
+const plusOne = {
+  build(g, index) {
+    const digits = [g.int(1, 9), ...g.ints(99, 0, 9)];
+    return [digits.fill(9, [100, g.int(1, 99), 0][index % 3])];
+  }
+};
+
+/** Random 32-bit values, with a 9-digit palindrome for case 1. */
+const palindromeNumber = {
+  build(g, index) {
+    if (index !== 1) return [g.int(INT_MIN, INT_MAX)];
+    const half = String(g.int(10000, 99999));
+    return [Number(half + [...half.slice(0, 4)].reverse().join(""))];
+  }
+};
+
+/** Sorted distinct values rotated at a random pivot, plus a target that is present in even cases. */
+const rotated = (g, withTarget, index) => {
+  const sorted = g.distinctInts(5000, -10000, 10000).sort((a, b) => a - b);
+  const k = g.int(0, sorted.length - 1);
+  const nums = [...sorted.slice(k), ...sorted.slice(0, k)];
+  if (!withTarget) return [nums];
+  return [nums, index % 2 === 0 ? g.pick(nums) : g.int(-10000, 10000)];
+};
+
+/** Balanced bracket string of even length n. */
+function balancedBrackets(g, n) {
+  const closing = { "(": ")", "[": "]", "{": "}" };
+  const stack = [];
+  let opens = n / 2;
+  let out = "";
+  while (out.length < n) {
+    if (opens > 0 && (stack.length === 0 || g.chance(0.5))) {
+      const c = g.pick("([{");
+      stack.push(closing[c]);
+      out += c;
+      opens--;
+    } else out += stack.pop();
+  }
+  return out;
+}
+
+/** Grid paths for unique-paths, exact while it fits in a double. */
+function gridPaths(m, n) {
+  let r = 1;
+  for (let i = 1; i < Math.min(m, n); i++) r = (r * (m + n - 1 - i)) / i;
+  return Math.round(r);
+}
+
+function decodings(s) {
+  let prev = 1;
+  let cur = s[0] === "0" ? 0 : 1;
+  for (let i = 1; i < s.length; i++) {
+    const two = Number(s.slice(i - 1, i + 1));
+    const next = (s[i] !== "0" ? cur : 0) + (two >= 10 && two <= 26 ? prev : 0);
+    prev = cur;
+    cur = next;
+  }
+  return cur;
+}
+
+const climbingStairs = { params: [int(38, 45)] };
+const maxSubarray = { params: [ints(100000, -10000, 10000)] };
+const bestTime = { params: [ints(100000, 0, 10000)] };
+const removeDuplicates = { params: [ints(30000, -100, 100, { sorted: true })] };
+const removeElement = { params: [ints(100, 0, 50), int(0, 50)] };
+const sortedSearch = { params: [ints(10000, -10000, 10000, { sorted: true, distinct: true }), int(-10000, 10000)] };
+const pascalRowSum = { params: [int(20, 30)] };
+
+const generators = {
+  "builtin-two-sum": {
+    // Multiples of 4 except the answer pair (both 1 mod 4): no other pair can sum to the target (2 mod 4).
+    build(g) {
+      const nums = g.distinctInts(10000, -124999999, 124999999).map((x) => x * 4);
+      const i = g.int(0, nums.length - 1);
+      let j = g.int(0, nums.length - 2);
+      if (j >= i) j++;
+      nums[i] += 1;
+      nums[j] += 1;
+      return [nums, nums[i] + nums[j]];
+    }
+  },
+  "builtin-remove-duplicates-from-sorted-array": removeDuplicates,
+  "builtin-remove-element": removeElement,
+  "builtin-plus-one": plusOne,
+  "builtin-sqrtx": { params: [int(0, INT_MAX)] },
+  "builtin-climbing-stairs": climbingStairs,
+  "builtin-best-time-to-buy-and-sell-stock": bestTime,
+  "builtin-maximum-subarray": maxSubarray,
+  "builtin-longest-substring-without-repeating-characters": {
+    params: [{ length: 50000, alphabet: "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 !#$%&()*+,-./:;<=>?@[]^_{|}~" }]
+  },
+  "builtin-valid-parentheses": {
+    // Case 0 valid, case 1 valid with one bracket swapped, case 2 random brackets.
+    build(g, index) {
+      if (index % 3 === 2) return [g.string(10000, "()[]{}")];
+      const s = balancedBrackets(g, 10000);
+      if (index % 3 === 0) return [s];
+      const i = g.int(0, s.length - 1);
+      return [s.slice(0, i) + g.pick("()[]{}".replace(s[i], "")) + s.slice(i + 1)];
+    }
+  },
+  "builtin-single-number": {
+    build(g) {
+      const values = g.distinctInts(15000, -30000, 30000);
+      return [g.shuffle([values[0], ...values.slice(1).flatMap((x) => [x, x])])];
+    }
+  },
+  "builtin-contains-duplicate": {
+    // Distinct values; cases 1 and 2 copy one value to a random far position.
+    build(g, index) {
+      const nums = g.distinctInts(100000, -1000000000, 1000000000);
+      if (index > 0) nums[g.int(50000, nums.length - 1)] = nums[g.int(0, 49999)];
+      return [nums];
+    }
+  },
+  "builtin-missing-number": {
+    build: (g) => [g.shuffle(range(0, 10001)).slice(1)]
+  },
+  "builtin-palindrome-number": palindromeNumber,
+  "builtin-search-insert-position": sortedSearch,
+  "builtin-majority-element": {
+    build(g) {
+      const n = 50000;
+      const majority = g.int(-1000000000, 1000000000);
+      const rest = g.ints(n - (n >> 1) - 1, -1000000000, 1000000000);
+      return [g.shuffle([...Array((n >> 1) + 1).fill(majority), ...rest])];
+    }
+  },
+  "builtin-move-zeroes": {
+    build: (g) => [g.ints(10000, INT_MIN, INT_MAX).map((x) => (g.chance(0.5) ? 0 : x))]
+  },
+  "builtin-power-of-two": {
+    build(g, index) {
+      if (index % 3 === 0) return [g.int(INT_MIN, INT_MAX)];
+      const power = 2 ** g.int(0, 30);
+      return [index % 3 === 1 ? power : g.pick([-power, power + 1, power - 1])];
+    }
+  },
+  "builtin-number-of-1-bits": { params: [int(1, INT_MAX)] },
+  "builtin-fibonacci-number": { params: [int(25, 30)] },
+  "builtin-find-min-rotated": { build: (g) => rotated(g, false) },
+  "builtin-house-robber": { params: [ints(100, 0, 400)] },
+  "builtin-search-rotated": { build: (g, index) => rotated(g, true, index) },
+  "builtin-maximum-product-subarray": {
+    // Mostly ±1 with some zeros; at most 30 entries of ±2 keep every product within 32 bits.
+    build(g) {
+      const nums = g.ints(20000, -1, 1).map((x) => (x === 0 && g.chance(0.9) ? g.pick([-1, 1]) : x));
+      for (let k = 0; k < 30; k++) nums[g.int(0, nums.length - 1)] = g.pick([-2, 2]);
+      return [nums];
+    }
+  },
+  "builtin-jump-game": {
+    // Case 0 long jumps, case 1 short ones, case 2 blocked by a 0 that every earlier jump stops at or before.
+    build(g, index) {
+      if (index % 3 === 0) return [g.ints(10000, 0, 100000)];
+      if (index % 3 === 1) return [g.ints(10000, 0, 3)];
+      const nums = g.ints(10000, 0, 100000);
+      const wall = g.int(5000, nums.length - 2);
+      for (let i = 0; i <= wall; i++) nums[i] = Math.min(nums[i], wall - i);
+      return [nums];
+    }
+  },
+  "builtin-unique-paths": {
+    // The answer must fit in 32 bits, so n is capped for the drawn m.
+    build(g) {
+      const m = g.int(1, 100);
+      let maxN = 1;
+      while (maxN < 100 && gridPaths(m, maxN + 1) <= 2000000000) maxN++;
+      return [m, g.int(1, maxN)];
+    }
+  },
+  "builtin-coin-change": { params: [ints([1, 12], 1, 1000, { distinct: true }), int(5000, 10000)] },
+  "builtin-counting-bits": { params: [int(50000, 100000)] },
+  "builtin-climbing-stairs-v2": climbingStairs,
+  "builtin-best-time-stock-v2": bestTime,
+  "builtin-maximum-subarray-v2": maxSubarray,
+  "builtin-longest-increasing-subsequence": { params: [ints(2500, -10000, 10000)] },
+  "builtin-find-peak-element": {
+    // A random walk with non-zero steps, so neighbours always differ.
+    build(g) {
+      const nums = [g.int(-1000000, 1000000)];
+      while (nums.length < 1000) nums.push(nums[nums.length - 1] + g.pick([-1, 1]) * g.int(1, 1000000));
+      return [nums];
+    }
+  },
+  "builtin-product-except-self": {
+    // Mostly ±1, 25 entries of ±2 (products fit in 32 bits), and 0, 1 or 2 zeros by case.
+    build(g, index) {
+      const nums = g.ints(100000, 0, 1).map((x) => (x ? 1 : -1));
+      for (let k = 0; k < 25; k++) nums[g.int(0, nums.length - 1)] = g.pick([-2, 2]);
+      for (let k = 0; k < index % 3; k++) nums[g.int(0, nums.length - 1)] = 0;
+      return [nums];
+    }
+  },
+  "builtin-sort-colors": { params: [ints(300, 0, 2)] },
+  "builtin-longest-consecutive": {
+    // Runs of consecutive values (up to 1000 long) at random offsets, shuffled.
+    build(g) {
+      const nums = [];
+      while (nums.length < 100000) {
+        const start = g.int(-1000000000, 999999000);
+        const length = Math.min(g.int(1, 1000), 100000 - nums.length);
+        for (let i = 0; i < length; i++) nums.push(start + i);
+      }
+      return [g.shuffle(nums)];
+    }
+  },
+  "builtin-reverse-integer": { params: [int(INT_MIN, INT_MAX)] },
+  "builtin-palindrome-number-v2": palindromeNumber,
+  "builtin-powx-n": {
+    // |x^n| stays within 10^4 for case 0; case 1 is x = ±1 with a huge n, which a linear loop cannot finish.
+    build(g, index) {
+      if (index % 2 === 1) return [g.pick([-1, 1]), g.pick([INT_MAX, -INT_MAX])];
+      return [g.double(0.5, 2) * g.pick([-1, 1]), g.int(-13, 13)];
+    }
+  },
+  "builtin-remove-duplicates-v2": removeDuplicates,
+  "builtin-remove-element-v2": removeElement,
+  "builtin-binary-search": sortedSearch,
+  "builtin-min-cost-climbing-stairs": { params: [ints(1000, 0, 999)] },
+  "builtin-is-subsequence": {
+    // s is picked from t; odd cases replace one of its letters with a "z" that t never contains.
+    build(g, index) {
+      const t = g.string(10000, "abcdefghijklmnopqrstuvwxy");
+      const picks = g.distinctInts(100, 0, t.length - 1).sort((a, b) => a - b);
+      const s = picks.map((i) => t[i]);
+      if (index % 2 === 1) s[g.int(0, s.length - 1)] = "z";
+      return [s.join(""), t];
+    }
+  },
+  "builtin-climbing-stairs-v3": climbingStairs,
+  "builtin-find-pivot-index": {
+    // Even cases move values on the right of a random index until both sides sum the same.
+    build(g, index) {
+      const nums = g.ints(10000, -1000, 1000);
+      if (index % 2 === 1) return [nums];
+      const p = g.int(0, nums.length - 2);
+      let diff = nums.slice(0, p).reduce((a, b) => a + b, 0) - nums.slice(p + 1).reduce((a, b) => a + b, 0);
+      while (diff !== 0) {
+        const i = g.int(p + 1, nums.length - 1);
+        const step = Math.max(-1000 - nums[i], Math.min(1000 - nums[i], diff));
+        nums[i] += step;
+        diff -= step;
+      }
+      return [nums];
+    }
+  },
+  "builtin-plus-one-v2": plusOne,
+  "builtin-pascal-row-sum": pascalRowSum,
+  "builtin-pascal-row-sum-2": pascalRowSum,
+  "builtin-arithmetic-slices": {
+    build(g) {
+      const nums = [];
+      while (nums.length < 5000) {
+        const start = g.int(-800, 800);
+        const step = g.int(-3, 3);
+        const length = Math.min(g.int(1, 50), 5000 - nums.length);
+        for (let i = 0; i < length; i++) nums.push(start + i * step);
+      }
+      return [nums];
+    }
+  },
+  "builtin-decode-ways": {
+    // Digits with a few "10"/"20"s, redrawn until the count fits in 32 bits.
+    build(g) {
+      for (;;) {
+        const digits = [...g.string(100, "1123456789")];
+        for (let k = 0; k < 5; k++) {
+          const i = g.int(1, digits.length - 1);
+          if (digits[i - 1] === "1" || digits[i - 1] === "2") digits[i] = "0";
+        }
+        const s = digits.join("");
+        if (decodings(s) <= INT_MAX) return [s];
+      }
+    }
+  },
+  "builtin-word-break": {
+    // Case 0 is the classic "aaa...ab" against a, aa, aaa, ... (exponential without memoization); case 1 a
+    // concatenation of dictionary words; case 2 the same with its last letter changed to one no word uses.
+    build(g, index) {
+      if (index % 3 === 0) return ["a".repeat(299) + "b", range(1, 11).map((k) => "a".repeat(k)).join(",")];
+      const words = [...new Set(Array.from({ length: 200 }, () => g.string(g.int(1, 8), "ab")))];
+      let s = "";
+      while (s.length < 290) s += g.pick(words);
+      if (index % 3 === 2) s = s.slice(0, -1) + "c";
+      return [s, words.join(",")];
+    }
+  },
+  "builtin-longest-palindromic-substring": {
+    // Case 0 random, case 1 with a planted palindrome, case 2 one repeated letter.
+    build(g, index) {
+      const alphabet = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+      if (index % 3 === 2) return ["a".repeat(1000)];
+      const s = g.string(1000, alphabet);
+      if (index % 3 === 0) return [s];
+      const half = g.string(g.int(50, 150), alphabet);
+      const at = g.int(0, 1000 - 2 * half.length);
+      return [s.slice(0, at) + half + [...half].reverse().join("") + s.slice(at + 2 * half.length)];
+    }
+  },
+  "builtin-jump-game-ii": {
+    // Every jump is at least 1, so the end is always reachable.
+    build: (g, index) => [g.ints(10000, 1, index % 2 === 0 ? 1000 : 5)]
+  },
+  "builtin-unique-bst": { params: [int(10, 19)] },
+  "builtin-reverse-linked-list": { params: [ints(5000, -5000, 5000)] },
+  "builtin-merge-two-sorted-lists": {
+    params: [ints(5000, -100000, 100000, { sorted: true }), ints(5000, -100000, 100000, { sorted: true })]
+  },
+  "builtin-maximum-depth-of-binary-tree": { params: [ints(10000, -100, 100)] },
+  "builtin-invert-binary-tree": { params: [ints(5000, -100, 100)] }
+};
+
+/** Generator spec for a built-in problem, or null. Server-side only, like the hidden tests. */
+export function getBuiltinGenerator(slug) {
+  return generators[slug] || null;
+}
@@ -0,0 +1,446 @@
+/**
+ * Hidden judge suites for built-in problems, keyed by titleSlug.
+ * Never served to the client: submit runs these after the public examples so
+ * hardcoding the example outputs cannot win a match. Large inputs are built
+ * from a fixed-seed generator so expected values stay stable across restarts.
+ */
+
+function seededRandom(seed) {
+  let s = seed >>> 0;
+  return () => (s = (Math.imul(s, 1664525) + 1013904223) >>> 0);
+}
+
+function randomInts(n, min, max, seed) {
+  const next = seededRandom(seed);
+  return Array.from({ length: n }, () => min + (next() % (max - min + 1)));
+}
+
+function range(start, end, step = 1) {
+  const out = [];
+  for (let i = start; step > 0 ? i < end : i > end; i += step) out.push(i);
+  return out;
+}
+
+const json = (v) => JSON.stringify(v);
+const repeat = (s, n) => s.repeat(n);
+
+/** Levels of a complete binary tree with k levels; node i (level order) holds value(i). */
+const treeLevels = (k, value) => range(0, k).map((d) => range(2 ** d - 1, 2 ** (d + 1) - 1).map(value));
+/** Level order of a d-node path hanging to one side: [1,2,null,3,...] (left) or [1,null,2,null,3,...] (right). */
+const chainTree = (d, side) => {
+  const out = [1, ...range(2, d + 1).flatMap((v) => (side === "left" ? [v, null] : [null, v]))];
+  return side === "left" && out.length > 1 ? out.slice(0, -1) : out;
+};
+
+const bigSorted = range(-5000, 5000, 2);
+const bigRotated = [...range(2500, 5000), ...range(0, 2500)];
+const bigDistinct = randomInts(5000, 0, 1000000, 7).map((x, i) => x * 5000 + i);
+const bigZeroes = randomInts(5000, 0, 3, 41);
+const bigColors = randomInts(5000, 0, 2, 91);
+
+const hiddenTests = {
+  "builtin-two-sum": [
+    { stdin: "[0,4,3,0]\n0", expected: "[0,3]" },
+    { stdin: "[-1,-2,-3,-4,-5]\n-8", expected: "[2,4]" },
+    { stdin: "[-3,4,3,90]\n0", expected: "[0,2]" },
+    { stdin: "[1000000000,-1000000000,7]\n0", expected: "[0,1]" },
+    { stdin: `${json([...range(1, 5000), 100000])}\n${100000 + 4999}`, expected: "[4998,4999]" },
+  ],
+  "builtin-remove-duplicates-from-sorted-array": [
+    { stdin: "[1]", expected: "[1]" },
+    { stdin: "[-100,-100,-100]", expected: "[-100]" },
+    { stdin: "[-3,-1,0,0,0,2,2,100]", expected: "[-3,-1,0,2,100]" },
+    { stdin: json(range(-100, 101).flatMap((x) => [x, x, x])), expected: json(range(-100, 101)) },
+  ],
+  "builtin-remove-element": [
+    { stdin: "[]\n0", expected: "[]" },
+    { stdin: "[1]\n1", expected: "[]" },
+    { stdin: "[4,5]\n4", expected: "[5]" },
+    { stdin: "[2,2,2,2]\n3", expected: "[2,2,2,2]" },
+    { stdin: `${json(randomInts(100, 0, 50, 11))}\n7`, expected: json(randomInts(100, 0, 50, 11).filter((x) => x !== 7)) },
+  ],
+  "builtin-plus-one": [
+    { stdin: "[0]", expected: "[1]" },
+    { stdin: "[9,9,9,9]", expected: "[1,0,0,0,0]" },
+    { stdin: "[1,9,9]", expected: "[2,0,0]" },
+    { stdin: json([1, ...Array(99).fill(9)]), expected: json([2, ...Array(99).fill(0)]) },
+  ],
+  "builtin-sqrtx": [
+    { stdin: "2", expected: "1" },
+    { stdin: "15", expected: "3" },
+    { stdin: "16", expected: "4" },
+    { stdin: "2147395599", expected: "46339" },
+    { stdin: "2147483647", expected: "46340" },
+  ],
+  "builtin-climbing-stairs": [
+    { stdin: "5", expected: "8" },
+    { stdin: "10", expected: "89" },
+    { stdin: "30", expected: "1346269" },
+    { stdin: "45", expected: "1836311903" },
+  ],
+  "builtin-best-time-to-buy-and-sell-stock": [
+    { stdin: "[1]", expected: "0" },
+    { stdin: "[2,4,1]", expected: "2" },
+    { stdin: "[3,3,3,3]", expected: "0" },
+    { stdin: "[2,1,2,1,0,1,2]", expected: "2" },
+    { stdin: json(randomInts(5000, 0, 10000, 21)), expected: "9994" },
+    { stdin: json(range(5000, 0, -1)), expected: "0" },
+  ],
+  "builtin-maximum-subarray": [
+    { stdin: "[-1]", expected: "-1" },
+    { stdin: "[-2,-3,-1,-5]", expected: "-1" },
+    { stdin: "[0,0,0]", expected: "0" },
+    { stdin: "[8,-19,5,-4,20]", expected: "21" },
+    { stdin: json(randomInts(5000, -10000, 10000, 31)), expected: "261059" },
+  ],
+  "builtin-longest-substring-without-repeating-characters": [
+    { stdin: '" "', expected: "1" },
+    { stdin: '"au"', expected: "2" },
+    { stdin: '"dvdf"', expected: "3" },
+    { stdin: '"abba"', expected: "2" },
+    { stdin: '"tmmzuxt"', expected: "5" },
+    { stdin: json(repeat("abcdefghijklmnopqrstuvwxyz0123456789", 200)), expected: "36" },
+  ],
+  "builtin-valid-parentheses": [
+    { stdin: '"("', expected: "false" },
+    { stdin: '"]"', expected: "false" },
+    { stdin: '"(("', expected: "false" },
+    { stdin: '"(){}}{"', expected: "false" },
+    { stdin: json(repeat("([{", 1000) + repeat("}])", 1000)), expected: "true" },
+    { stdin: json(repeat("()", 2000) + "("), expected: "false" },
+  ],
+  "builtin-single-number": [
+    { stdin: "[1]", expected: "1" },
+    { stdin: "[-1,-1,-2]", expected: "-2" },
+    { stdin: "[0,5,5]", expected: "0" },
+    { stdin: json([...range(1, 2500), 30000, ...range(2499, 0, -1)]), expected: "30000" },
+  ],
+  "builtin-contains-duplicate": [
+    { stdin: "[1]", expected: "false" },
+    { stdin: "[1,1,1,3,3,4,3,2,4,2]", expected: "true" },
+    { stdin: "[-1,1]", expected: "false" },
+    { stdin: json(range(0, 5000)), expected: "false" },
+    { stdin: json([...range(0, 5000), 4999]), expected: "true" },
+  ],
+  "builtin-missing-number": [
+    { stdin: "[0]", expected: "1" },
+    { stdin: "[1]", expected: "0" },
+    { stdin: "[9,6,4,2,3,5,7,0,1]", expected: "8" },
+    { stdin: json(range(0, 5001).filter((x) => x !== 3777).reverse()), expected: "3777" },
+  ],
+  "builtin-palindrome-number": [
+    { stdin: "0", expected: "true" },
+    { stdin: "11", expected: "true" },
+    { stdin: "1000021", expected: "false" },
+    { stdin: "1234567899", expected: "false" },
+    { stdin: "2147447412", expected: "true" },
+  ],
+  "builtin-search-insert-position": [
+    { stdin: "[1,3,5,6]\n7", expected: "4" },
+    { stdin: "[1,3,5,6]\n0", expected: "0" },
+    { stdin: "[1]\n1", expected: "0" },
+    { stdin: `${json(bigSorted)}\n1`, expected: "2501" },
+    { stdin: `${json(bigSorted)}\n4998`, expected: "4999" },
+  ],
+  "builtin-majority-element": [
+    { stdin: "[1]", expected: "1" },
+    { stdin: "[6,5,5]", expected: "5" },
+    { stdin: "[-1,-1,2147483647]", expected: "-1" },
+    { stdin: json([...Array(2501).fill(42), ...range(0, 2499)]), expected: "42" },
+  ],
+  "builtin-move-zeroes": [
+    { stdin: "[0]", expected: "[0]" },
+    { stdin: "[1,0]", expected: "[1,0]" },
+    { stdin: "[0,0,1]", expected: "[1,0,0]" },
+    { stdin: "[4,2,4,0,0,3,0,5,1,0]", expected: "[4,2,4,3,5,1,0,0,0,0]" },
+    { stdin: json(bigZeroes), expected: json([...bigZeroes.filter((x) => x !== 0), ...bigZeroes.filter((x) => x === 0)]) },
+  ],
+  "builtin-power-of-two": [
+    { stdin: "0", expected: "false" },
+    { stdin: "-16", expected: "false" },
+    { stdin: "6", expected: "false" },
+    { stdin: "1073741824", expected: "true" },
+    { stdin: "2147483647", expected: "false" },
+  ],
+  "builtin-number-of-1-bits": [
+    { stdin: "1", expected: "1" },
+    { stdin: "255", expected: "8" },
+    { stdin: "1048576", expected: "1" },
+    { stdin: "2147483645", expected: "30" },
+  ],
+  "builtin-fibonacci-number": [
+    { stdin: "0", expected: "0" },
+    { stdin: "1", expected: "1" },
+    { stdin: "10", expected: "55" },
+    { stdin: "30", expected: "832040" },
+  ],
+  "builtin-find-min-rotated": [
+    { stdin: "[1]", expected: "1" },
+    { stdin: "[2,1]", expected: "1" },
+    { stdin: "[11,13,15,17]", expected: "11" },
+    { stdin: "[5,1,2,3,4]", expected: "1" },
+    { stdin: json(bigRotated), expected: "0" },
+  ],
+  "builtin-house-robber": [
+    { stdin: "[0]", expected: "0" },
+    { stdin: "[2,1]", expected: "2" },
+    { stdin: "[2,1,1,2]", expected: "4" },
+    { stdin: "[400,0,0,400]", expected: "800" },
+    { stdin: json(randomInts(100, 0, 400, 51)), expected: "10454" },
+  ],
+  "builtin-search-rotated": [
+    { stdin: "[1]\n0", expected: "-1" },
+    { stdin: "[1]\n1", expected: "0" },
+    { stdin: "[3,1]\n1", expected: "1" },
+    { stdin: "[5,1,3]\n5", expected: "0" },
+    { stdin: `${json(bigRotated)}\n2499`, expected: "4999" },
+    { stdin: `${json(bigRotated)}\n5000`, expected: "-1" },
+  ],
+  "builtin-maximum-product-subarray": [
+    { stdin: "[-2]", expected: "-2" },
+    { stdin: "[-2,3,-4]", expected: "24" },
+    { stdin: "[0,2]", expected: "2" },
+    { stdin: "[-1,-2,-3,0]", expected: "6" },
+    { stdin: "[2,-5,-2,-4,3]", expected: "24" },
+  ],
+  "builtin-jump-game": [
+    { stdin: "[0]", expected: "true" },
+    { stdin: "[0,1]", expected: "false" },
+    { stdin: "[2,0,0]", expected: "true" },
+    { stdin: "[1,1,0,1]", expected: "false" },
+    { stdin: json([...Array(4999).fill(1), 0]), expected: "true" },
+    { stdin: json([...Array(2500).fill(1), 0, ...Array(2500).fill(1)]), expected: "false" },
+  ],
+  "builtin-unique-paths": [
+    { stdin: "1\n1", expected: "1" },
+    { stdin: "1\n10", expected: "1" },
+    { stdin: "10\n10", expected: "48620" },
+    { stdin: "23\n12", expected: "193536720" },
+  ],
+  "builtin-coin-change": [
+    { stdin: "[1]\n0", expected: "0" },
+    { stdin: "[1]\n1", expected: "1" },
+    { stdin: "[2,5,10,1]\n27", expected: "4" },
+    { stdin: "[186,419,83,408]\n6249", expected: "20" },
+    { stdin: "[3,7]\n10000", expected: "1432" },
+  ],
+  "builtin-counting-bits": [
+    { stdin: "0", expected: "0" },
+    { stdin: "1", expected: "1" },
+    { stdin: "16", expected: "33" },
+    { stdin: "100000", expected: "815030" },
+  ],
+  "builtin-climbing-stairs-v2": [
+    { stdin: "1", expected: "1" },
+    { stdin: "7", expected: "21" },
+    { stdin: "44", expected: "1134903170" },
+  ],
+  "builtin-best-time-stock-v2": [
+    { stdin: "[1]", expected: "0" },
+    { stdin: "[2,1,4]", expected: "3" },
+    { stdin: "[3,2,6,5,0,3]", expected: "4" },
+    { stdin: json(randomInts(5000, 0, 10000, 61)), expected: "9995" },
+  ],
+  "builtin-maximum-subarray-v2": [
+    { stdin: "[-5]", expected: "-5" },
+    { stdin: "[-2,-1]", expected: "-1" },
+    { stdin: "[1,-1,1,-1,1]", expected: "1" },
+    { stdin: json(randomInts(5000, -10000, 10000, 71)), expected: "405383" },
+  ],
+  "builtin-longest-increasing-subsequence": [
+    { stdin: "[7,7,7,7,7,7,7]", expected: "1" },
+    { stdin: "[1]", expected: "1" },
+    { stdin: "[4,10,4,3,8,9]", expected: "3" },
+    { stdin: "[3,5,6,2,5,4,19,5,6,7,12]", expected: "6" },
+    { stdin: json(randomInts(2500, -10000, 10000, 81)), expected: "91" },
+  ],
+  "builtin-find-peak-element": [
+    { stdin: "[1]", expected: "0" },
+    { stdin: "[1,2]", expected: "1" },
+    { stdin: "[2,1]", expected: "0" },
+    { stdin: "[1,3,2,1]", expected: "1" },
+    { stdin: json([...range(0, 3000), ...range(2998, 0, -1)]), expected: "2999" },
+  ],
+  "builtin-product-except-self": [
+    { stdin: "[2,3]", expected: "[3,2]" },
+    { stdin: "[0,0]", expected: "[0,0]" },
+    { stdin: "[1,0,3]", expected: "[0,3,0]" },
+    { stdin: "[-1,-1,-1,-1]", expected: "[-1,-1,-1,-1]" },
+    { stdin: json([...Array(1000).fill(1), 2, -3, ...Array(1000).fill(-1)]), expected: json([...Array(1000).fill(-6), -3, 2, ...Array(1000).fill(6)]) },
+  ],
+  "builtin-sort-colors": [
+    { stdin: "[0]", expected: "[0]" },
+    { stdin: "[1]", expected: "[1]" },
+    { stdin: "[2,2,2]", expected: "[2,2,2]" },
+    { stdin: "[1,2,0,0,1,2,0]", expected: "[0,0,0,1,1,2,2]" },
+    { stdin: json(bigColors), expected: json([...bigColors].sort((a, b) => a - b)) },
+  ],
+  "builtin-longest-consecutive": [
+    { stdin: "[]", expected: "0" },
+    { stdin: "[1,2,0,1]", expected: "3" },
+    { stdin: "[9,1,-3,2,4,8,3,-1,6,-2,-4,7]", expected: "4" },
+    { stdin: json(bigDistinct), expected: "1" },
+    { stdin: json(range(5000, 0, -1)), expected: "5000" },
+  ],
+  "builtin-reverse-integer": [
+    { stdin: "0", expected: "0" },
+    { stdin: "-10", expected: "-1" },
+    { stdin: "1534236469", expected: "0" },
+    { stdin: "-2147483648", expected: "0" },
+    { stdin: "1463847412", expected: "2147483641" },
+  ],
+  "builtin-palindrome-number-v2": [
+    { stdin: "0", expected: "true" },
+    { stdin: "-1", expected: "false" },
+    { stdin: "1221", expected: "true" },
+    { stdin: "123321", expected: "true" },
+    { stdin: "1000000001", expected: "true" },
+  ],
+  "builtin-powx-n": [
+    { stdin: "1.00000\n2147483647", expected: "1" },
+    { stdin: "2.00000\n0", expected: "1" },
+    { stdin: "-2.00000\n3", expected: "-8" },
+    { stdin: "0.50000\n3", expected: "0.125" },
+    { stdin: "4.00000\n-1", expected: "0.25" },
+  ],
+  "builtin-remove-duplicates-v2": [
+    { stdin: "[1]", expected: "[1]" },
+    { stdin: "[1,2,3]", expected: "[1,2,3]" },
+    { stdin: "[0,0,0,0]", expected: "[0]" },
+    { stdin: json(range(-2500, 2500).flatMap((x) => (x % 3 === 0 ? [x, x] : [x]))), expected: json(range(-2500, 2500)) },
+  ],
+  "builtin-remove-element-v2": [
+    { stdin: "[]\n1", expected: "[]" },
+    { stdin: "[3,3]\n3", expected: "[]" },
+    { stdin: "[1,2,3]\n4", expected: "[1,2,3]" },
+    { stdin: `${json(randomInts(100, 0, 5, 101))}\n2`, expected: json(randomInts(100, 0, 5, 101).filter((x) => x !== 2)) },
+  ],
+  "builtin-binary-search": [
+    { stdin: "[5]\n5", expected: "0" },
+    { stdin: "[5]\n-5", expected: "-1" },
+    { stdin: "[2,5]\n5", expected: "1" },
+    { stdin: `${json(bigSorted)}\n-5000`, expected: "0" },
+    { stdin: `${json(bigSorted)}\n4998`, expected: "4999" },
+    { stdin: `${json(bigSorted)}\n3`, expected: "-1" },
+  ],
+  "builtin-min-cost-climbing-stairs": [
+    { stdin: "[0,0]", expected: "0" },
+    { stdin: "[1,2]", expected: "1" },
+    { stdin: "[0,1,2,2]", expected: "2" },
+    { stdin: json(randomInts(1000, 0, 999, 111)), expected: "202010" },
+  ],
+  "builtin-is-subsequence": [
+    { stdin: '"b"\n"abc"', expected: "true" },
+    { stdin: '"acb"\n"ahbgdc"', expected: "false" },
+    { stdin: '"aaaaaa"\n"bbaaaa"', expected: "false" },
+    { stdin: `${json(repeat("ab", 50))}\n${json(repeat("xaybz", 2000))}`, expected: "true" },
+  ],
+  "builtin-climbing-stairs-v3": [
+    { stdin: "1", expected: "1" },
+    { stdin: "2", expected: "2" },
+    { stdin: "20", expected: "10946" },
+    { stdin: "45", expected: "1836311903" },
+  ],
+  "builtin-find-pivot-index": [
+    { stdin: "[1,2,3]", expected: "-1" },
+    { stdin: "[0]", expected: "0" },
+    { stdin: "[-1,-1,0,1,1,0]", expected: "5" },
+    { stdin: "[1,-1,2]", expected: "2" },
+    { stdin: json([...Array(2000).fill(1), 5, ...Array(2000).fill(1)]), expected: "2000" },
+  ],
+  "builtin-plus-one-v2": [
+    { stdin: "[0]", expected: "[1]" },
+    { stdin: "[8,9,9]", expected: "[9,0,0]" },
+    { stdin: "[9]", expected: "[1,0]" },
+    { stdin: json(Array(100).fill(9)), expected: json([1, ...Array(100).fill(0)]) },
+  ],
+  "builtin-pascal-row-sum": [
+    { stdin: "1", expected: "2" },
+    { stdin: "10", expected: "1024" },
+    { stdin: "30", expected: "1073741824" },
+  ],
+  "builtin-pascal-row-sum-2": [
+    { stdin: "0", expected: "1" },
+    { stdin: "13", expected: "8192" },
+    { stdin: "29", expected: "536870912" },
+  ],
+  "builtin-arithmetic-slices": [
+    { stdin: "[1]", expected: "0" },
+    { stdin: "[1,2]", expected: "0" },
+    { stdin: "[7,7,7,7]", expected: "3" },
+    { stdin: "[1,3,5,7,9,15,20,25,28,29]", expected: "7" },
+    { stdin: json(range(0, 5000, 3)), expected: "1386945" },
+  ],
+  "builtin-decode-ways": [
+    { stdin: '"0"', expected: "0" },
+    { stdin: '"10"', expected: "1" },
+    { stdin: '"100"', expected: "0" },
+    { stdin: '"2101"', expected: "1" },
+    { stdin: '"27"', expected: "1" },
+    { stdin: '"111111111111111111111111111111111111111111111"', expected: "1836311903" },
+  ],
+  "builtin-word-break": [
+    { stdin: '"catsandog"\n"cats,dog,sand,and,cat"', expected: "false" },
+    { stdin: '"a"\n"b"', expected: "false" },
+    { stdin: '"aaaaaaa"\n"aaaa,aaa"', expected: "true" },
+    { stdin: '"cars"\n"car,ca,rs"', expected: "true" },
+    { stdin: `${json(repeat("a", 60) + "b")}\n"a,aa,aaa,aaaa,aaaaa,aaaaaa,aaaaaaa,aaaaaaaa,aaaaaaaaa,aaaaaaaaaa"`, expected: "false" },
+  ],
+  "builtin-longest-palindromic-substring": [
+    { stdin: '"a"', expected: "1" },
+    { stdin: '"ac"', expected: "1" },
+    { stdin: '"forgeeksskeegfor"', expected: "10" },
+    { stdin: '"abacdfgdcaba"', expected: "3" },
+    { stdin: json(repeat("ab", 250) + repeat("x", 500)), expected: "500" },
+  ],
+  "builtin-jump-game-ii": [
+    { stdin: "[0]", expected: "0" },
+    { stdin: "[1,2]", expected: "1" },
+    { stdin: "[1,1,1,1]", expected: "3" },
+    { stdin: "[10,9,8,7,6,5,4,3,2,1,1,0]", expected: "2" },
+    { stdin: json(Array(5000).fill(1)), expected: "4999" },
+  ],
+  "builtin-unique-bst": [
+    { stdin: "2", expected: "2" },
+    { stdin: "4", expected: "14" },
+    { stdin: "10", expected: "16796" },
+    { stdin: "19", expected: "1767263190" },
+  ],
+  "builtin-reverse-linked-list": [
+    { stdin: "[1]", expected: "[1]" },
+    { stdin: "[-5000,0,5000]", expected: "[5000,0,-5000]" },
+    { stdin: json(range(1, 5001)), expected: json(range(5000, 0, -1)) },
+    { stdin: json(randomInts(4000, -5000, 5000, 11)), expected: json(randomInts(4000, -5000, 5000, 11).reverse()) },
+  ],
+  "builtin-merge-two-sorted-lists": [
+    { stdin: "[1]\n[]", expected: "[1]" },
+    { stdin: "[5]\n[1,2,3]", expected: "[1,2,3,5]" },
+    { stdin: "[-100000,0]\n[-100000,100000]", expected: "[-100000,-100000,0,100000]" },
+    {
+      stdin: `${json(randomInts(5000, -100000, 100000, 13).sort((a, b) => a - b))}\n${json(randomInts(4000, -100000, 100000, 17).sort((a, b) => a - b))}`,
+      expected: json([...randomInts(5000, -100000, 100000, 13), ...randomInts(4000, -100000, 100000, 17)].sort((a, b) => a - b)),
+    },
+  ],
+  "builtin-maximum-depth-of-binary-tree": [
+    { stdin: "[]", expected: "0" },
+    { stdin: "[0]", expected: "1" },
+    { stdin: "[1,2,3,4,null,null,5,6]", expected: "4" },
+    { stdin: json(treeLevels(12, (i) => (i % 201) - 100).flat()), expected: "12" },
+    { stdin: json(chainTree(900, "left")), expected: "900" },
+    { stdin: json(chainTree(700, "right")), expected: "700" },
+  ],
+  "builtin-invert-binary-tree": [
+    { stdin: "[1]", expected: "[1]" },
+    { stdin: "[1,2]", expected: "[1,null,2]" },
+    { stdin: "[3,1,null,null,2]", expected: "[3,null,1,2]" },
+    {
+      stdin: json(treeLevels(11, (i) => (i % 201) - 100).flat()),
+      expected: json(treeLevels(11, (i) => (i % 201) - 100).flatMap((level) => level.reverse())),
+    },
+    { stdin: json(chainTree(500, "left")), expected: json(chainTree(500, "right")) },
+  ],
+};
+
+export function getHiddenTestCases(slug) {
+  return hiddenTests[slug] || [];
+}
@@ -2,94 +2,17 @@
  * Built-in problems with full test cases. Used when LeetCode is unavailable or for reliable run/test/submit.
  * Slug prefix "builtin-" so we can route problem fetch and use our test runner.
  * Code snippets served to the client are stub-only (no full solutions).
+ *
+ * The list below is seed data: problem-bank.js copies it into the database and loads the database's problems
+ * back with replaceProblems(), so the lookups here serve admin-authored problems too. Until then they serve
+ * the seed.
  */
 
-export const BUILTIN_PREFIX = "builtin-";
-
-/** Build stub/template code snippets from metaData (no answers). Properly indented for editor. */
-function makeStubSnippets(metaData) {
-  if (!metaData || typeof metaData !== "string") return [];
-  let o;
-  try {
-    o = JSON.parse(metaData);
-  } catch (_) {
-    return [];
-  }
-  const name = o.name || o.methodName || "fn";
-  const params = Array.isArray(o.params) ? o.params : [];
-  const returnType = (o.return && o.return.type) || "integer";
-  const paramNames = params.map((p) => p.name || "x").join(", ");
-  const paramTypes = params.map((p) => (p.type || "integer").replace("integer[]", "vector<int>&").replace("integer", "int"));
-
-  const jsParams = params.map((p) => p.name || "x").join(", ");
-  const jsReturn = returnType === "boolean" ? "boolean" : returnType === "integer[]" ? "number[]" : returnType === "string" ? "string" : "number";
-  const jsParamType = (p) => { const t = (p.type || "").toLowerCase(); if (t === "string" || t === "character") return "string"; if (t.includes("[]")) return "number[]"; return "number"; };
-  const jsComment = params.map((p) => ` * @param {${jsParamType(p)}} ${p.name}`).join("\n") + `\n * @return {${jsReturn}}`;
-
-  const pythonParams = params.map((p) => {
-    const t = (p.type || "").toLowerCase();
-    const ty = t.includes("[]") ? "list[int]" : t === "double" ? "float" : t === "string" || t === "character" ? "str" : "int";
-    return `${p.name || "x"}: ${ty}`;
-  }).join(", ");
-  const pythonReturn = returnType === "boolean" ? "bool" : returnType === "integer[]" ? "list[int]" : returnType === "double" ? "float" : returnType === "string" ? "str" : "int";
-
-  const javaParams = params.map((p, i) => { const t = (p.type || "").toLowerCase(); if (t.includes("[]")) return "int[] " + (p.name || "arr" + i); if (t === "double") return "double " + (p.name || "x"); if (t === "string" || t === "character") return "String " + (p.name || "x"); return "int " + (p.name || "x"); }).join(", ");
-  const javaReturn = returnType === "boolean" ? "boolean" : returnType === "integer[]" ? "int[]" : returnType === "double" ? "double" : returnType === "string" ? "String" : "int";
+import { getHiddenTestCases } from "./builtin-hidden-tests.js";
+import { getBuiltinTags } from "./builtin-tags.js";
+import { makeStubSnippets } from "./harness.js";
 
-  const cppParams = params.map((p, i) => {
-    const t = (p.type || "integer").toLowerCase();
-    if (t.includes("[]")) return "vector<int>& " + (p.name || "nums");
-    if (t === "double") return "double " + (p.name || "x");
-    if (t === "string" || t === "character") return "string " + (p.name || "s");
-    return "int " + (p.name || (i ? "val" : "n"));
-  }).join(", ");
-  const cppReturn = returnType === "boolean" ? "bool" : returnType === "integer[]" ? "vector<int>" : returnType === "double" ? "double" : returnType === "string" ? "string" : "int";
-
-  const cParamList = [];
-  for (const p of params) {
-    const t = (p.type || "integer").toLowerCase();
-    const n = p.name || "x";
-    if (t.includes("[]")) {
-      cParamList.push("int* " + n);
-      cParamList.push("int " + n + "Size");
-    } else if (t === "string" || t === "character") {
-      cParamList.push("char* " + n);
-    } else {
-      cParamList.push("int " + n);
-    }
-  }
-  if (returnType === "integer[]") cParamList.push("int* returnSize");
-  const cParamsStr = cParamList.join(", ");
-  const cReturn = returnType === "boolean" ? "bool" : returnType === "integer[]" ? "int*" : returnType === "double" ? "double" : returnType === "string" ? "char*" : "int";
-
-  return [
-    {
-      lang: "JavaScript",
-      langSlug: "javascript",
-      code: `/**\n * ${jsComment}\n */\nvar ${name} = function(${jsParams}) {\n  \n};`,
-    },
-    {
-      lang: "Python",
-      langSlug: "python",
-      code: `class Solution:\n    def ${name}(self, ${pythonParams}) -> ${pythonReturn}:\n        pass\n`,
-    },
-    {
-      lang: "Java",
-      langSlug: "java",
-      code: `class Solution {\n    public ${javaReturn} ${name}(${javaParams}) {\n        \n    }\n}`,
-    },
-    {
-      lang: "C++",
-      langSlug: "cpp",
-      code: `class Solution {\npublic:\n    ${cppReturn} ${name}(${cppParams}) {\n        \n    }\n};`,
-    },
-    {
-      lang: "C",
-      langSlug: "c",
-      code: `${cReturn} ${name}(${cParamsStr}) {\n    \n}`,
-    },
-  ];
-}
+export const BUILTIN_PREFIX = "builtin-";
 
 const problems = [
   {
@@ -117,7 +40,7 @@ Output: [0,1]
 <p><strong>Constraints:</strong></p>
 <ul><li>2 <= nums.length <= 10^4</li><li>-10^9 <= nums[i] <= 10^9</li><li>-10^9 <= target <= 10^9</li><li>Only one valid answer exists.</li></ul>
 `,
-    metaData: JSON.stringify({ name: "twoSum", params: [{ name: "nums", type: "integer[]" }, { name: "target", type: "integer" }], return: { type: "integer[]" } }),
+    metaData: JSON.stringify({ name: "twoSum", params: [{ name: "nums", type: "integer[]" }, { name: "target", type: "integer" }], return: { type: "integer[]" }, checker: { type: "unordered" } }),
     exampleTestcases: "[2,7,11,15]\n9\n[3,2,4]\n6\n[3,3]\n6",
     testCases: [
       { stdin: "[2,7,11,15]\n9", expected: "[0,1]" },
@@ -130,6 +53,8 @@ Output: [0,1]
       { lang: "Java", langSlug: "java", code: "class Solution {\n    public int[] twoSum(int[] nums, int target) {\n        java.util.Map<Integer, Integer> map = new java.util.HashMap<>();\n        for (int i = 0; i < nums.length; i++) {\n            int need = target - nums[i];\n            if (map.containsKey(need)) return new int[]{map.get(need), i};\n            map.put(nums[i], i);\n        }\n        return new int[0];\n    }\n}" },
       { lang: "C++", langSlug: "cpp", code: "class Solution {\npublic:\n    vector<int> twoSum(vector<int>& nums, int target) {\n        unordered_map<int,int> m;\n        for (int i = 0; i < (int)nums.size(); i++) {\n            int need = target - nums[i];\n            if (m.count(need)) return {m[need], i};\n            m[nums[i]] = i;\n        }\n        return {};\n    }\n};" },
       { lang: "C", langSlug: "c", code: "int* twoSum(int* nums, int numsSize, int target, int* returnSize) {\n    *returnSize = 2;\n    int* out = (int*)malloc(2 * sizeof(int));\n    for (int i = 0; i < numsSize; i++)\n        for (int j = i + 1; j < numsSize; j++)\n            if (nums[i] + nums[j] == target) { out[0]=i; out[1]=j; return out; }\n    return out;\n}" },
+    { lang: "Rust", langSlug: "rust", code: "use std::collections::HashMap;\n\nimpl Solution {\n    pub fn two_sum(nums: Vec<i32>, target: i32) -> Vec<i32> {\n        let mut seen = HashMap::new();\n        for (i, &n) in nums.iter().enumerate() {\n            if let Some(&j) = seen.get(&(target as i64 - n as i64)) {\n                return vec![j as i32, i as i32];\n            }\n            seen.insert(n as i64, i);\n        }\n        vec![]\n    }\n}" },
+    { lang: "Go", langSlug: "go", code: "func twoSum(nums []int, target int) []int {\n    seen := map[int]int{}\n    for i, n := range nums {\n        if j, ok := seen[target-n]; ok {\n            return []int{j, i}\n        }\n        seen[n] = i\n    }\n    return []int{}\n}" },
     ],
   },
   {
@@ -142,21 +67,22 @@ Output: [0,1]
 <p>Given an integer array <code>nums</code> sorted in <strong>non-decreasing order</strong>, remove the duplicates <strong>in-place</strong> such that each unique element appears only <strong>once</strong>. The <strong>relative order</strong> of the elements should be kept the same. Then return <em>the number of unique elements in</em> <code>nums</code>.</p>
 <p><strong>Example 1:</strong></p>
 <pre>Input: nums = [1,1,2]
-Output: 2
+Output: 2, nums = [1,2,_]
 Explanation: Your function should return k = 2, with the first two elements of nums being 1 and 2 respectively.
 </pre>
 <p><strong>Example 2:</strong></p>
 <pre>Input: nums = [0,0,1,1,1,2,2,3,3,4]
-Output: 5
+Output: 5, nums = [0,1,2,3,4,_,_,_,_,_]
 </pre>
+<p>The judge checks the first <code>k</code> elements of <code>nums</code> after your function returns.</p>
 <p><strong>Constraints:</strong></p>
 <ul><li>1 <= nums.length <= 3 * 10^4</li><li>-100 <= nums[i] <= 100</li><li>nums is sorted in non-decreasing order.</li></ul>
 `,
-    metaData: JSON.stringify({ name: "removeDuplicates", params: [{ name: "nums", type: "integer[]" }] }),
+    metaData: JSON.stringify({ name: "removeDuplicates", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" }, checker: { type: "inPlacePrefix" } }),
     exampleTestcases: "[1,1,2]\n[0,0,1,1,1,2,2,3,3,4]",
     testCases: [
-      { stdin: "[1,1,2]", expected: "2" },
-      { stdin: "[0,0,1,1,1,2,2,3,3,4]", expected: "5" },
+      { stdin: "[1,1,2]", expected: "[1,2]" },
+      { stdin: "[0,0,1,1,1,2,2,3,3,4]", expected: "[0,1,2,3,4]" },
     ],
     codeSnippets: [
       { lang: "JavaScript", langSlug: "javascript", code: "/**\n * @param {number[]} nums\n * @return {number}\n */\nvar removeDuplicates = function(nums) {\n  if (nums.length === 0) return 0;\n  let k = 1;\n  for (let i = 1; i < nums.length; i++) {\n    if (nums[i] !== nums[k-1]) nums[k++] = nums[i];\n  }\n  return k;\n};" },
@@ -164,6 +90,8 @@ Output: 5
       { lang: "Java", langSlug: "java", code: "class Solution {\n    public int removeDuplicates(int[] nums) {\n        if (nums.length == 0) return 0;\n        int k = 1;\n        for (int i = 1; i < nums.length; i++)\n            if (nums[i] != nums[k-1]) nums[k++] = nums[i];\n        return k;\n    }\n}" },
       { lang: "C++", langSlug: "cpp", code: "class Solution {\npublic:\n    int removeDuplicates(vector<int>& nums) {\n        if (nums.empty()) return 0;\n        int k = 1;\n        for (int i = 1; i < (int)nums.size(); i++)\n            if (nums[i] != nums[k-1]) nums[k++] = nums[i];\n        return k;\n    }\n};" },
       { lang: "C", langSlug: "c", code: "int removeDuplicates(int* nums, int numsSize) {\n    if (numsSize == 0) return 0;\n    int k = 1;\n    for (int i = 1; i < numsSize; i++)\n        if (nums[i] != nums[k-1]) nums[k++] = nums[i];\n    return k;\n}" },
+    { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn remove_duplicates(nums: &mut Vec<i32>) -> i32 {\n        if nums.is_empty() {\n            return 0;\n        }\n        let mut k = 1;\n        for i in 1..nums.len() {\n            if nums[i] != nums[k - 1] {\n                nums[k] = nums[i];\n                k += 1;\n            }\n        }\n        k as i32\n    }\n}" },
+    { lang: "Go", langSlug: "go", code: "func removeDuplicates(nums []int) int {\n    if len(nums) == 0 {\n        return 0\n    }\n    k := 1\n    for i := 1; i < len(nums); i++ {\n        if nums[i] != nums[k-1] {\n            nums[k] = nums[i]\n            k++\n        }\n    }\n    return k\n}" },
     ],
   },
   {
@@ -176,20 +104,21 @@ Output: 5
 <p>Given an integer array <code>nums</code> and an integer <code>val</code>, remove all occurrences of <code>val</code> in <code>nums</code> in-place. The order of the elements may be changed. Then return <em>the number of elements in</em> <code>nums</code> <em>which are not equal to</em> <code>val</code>.</p>
 <p><strong>Example 1:</strong></p>
 <pre>Input: nums = [3,2,2,3], val = 3
-Output: 2
+Output: 2, nums = [2,2,_,_]
 </pre>
 <p><strong>Example 2:</strong></p>
 <pre>Input: nums = [0,1,2,2,3,0,4,2], val = 2
-Output: 5
+Output: 5, nums = [0,1,4,0,3,_,_,_]
 </pre>
+<p>The judge checks the first <code>k</code> elements of <code>nums</code>, in any order, after your function returns.</p>
 <p><strong>Constraints:</strong></p>
 <ul><li>0 <= nums.length <= 100</li><li>0 <= nums[i] <= 50</li><li>0 <= val <= 100</li></ul>
 `,
-    metaData: JSON.stringify({ name: "removeElement", params: [{ name: "nums", type: "integer[]" }, { name: "val", type: "integer" }] }),
+    metaData: JSON.stringify({ name: "removeElement", params: [{ name: "nums", type: "integer[]" }, { name: "val", type: "integer" }], return: { type: "integer" }, checker: { type: "inPlacePrefix", unordered: true } }),
     exampleTestcases: "[3,2,2,3]\n3\n[0,1,2,2,3,0,4,2]\n2",
     testCases: [
-      { stdin: "[3,2,2,3]\n3", expected: "2" },
-      { stdin: "[0,1,2,2,3,0,4,2]\n2", expected: "5" },
+      { stdin: "[3,2,2,3]\n3", expected: "[2,2]" },
+      { stdin: "[0,1,2,2,3,0,4,2]\n2", expected: "[0,1,3,0,4]" },
     ],
     codeSnippets: [
       { lang: "JavaScript", langSlug: "javascript", code: "/**\n * @param {number[]} nums\n * @param {number} val\n * @return {number}\n */\nvar removeElement = function(nums, val) {\n  let k = 0;\n  for (let i = 0; i < nums.length; i++)\n    if (nums[i] !== val) nums[k++] = nums[i];\n  return k;\n};" },
@@ -197,6 +126,8 @@ Output: 5
       { lang: "Java", langSlug: "java", code: "class Solution {\n    public int removeElement(int[] nums, int val) {\n        int k = 0;\n        for (int i = 0; i < nums.length; i++)\n            if (nums[i] != val) nums[k++] = nums[i];\n        return k;\n    }\n}" },
       { lang: "C++", langSlug: "cpp", code: "class Solution {\npublic:\n    int removeElement(vector<int>& nums, int val) {\n        int k = 0;\n        for (int i = 0; i < (int)nums.size(); i++)\n            if (nums[i] != val) nums[k++] = nums[i];\n        return k;\n    }\n};" },
       { lang: "C", langSlug: "c", code: "int removeElement(int* nums, int numsSize, int val) {\n    int k = 0;\n    for (int i = 0; i < numsSize; i++)\n        if (nums[i] != val) nums[k++] = nums[i];\n    return k;\n}" },
+    { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn remove_element(nums: &mut Vec<i32>, val: i32) -> i32 {\n        nums.retain(|&n| n != val);\n        nums.len() as i32\n    }\n}" },
+    { lang: "Go", langSlug: "go", code: "func removeElement(nums []int, val int) int {\n    k := 0\n    for _, n := range nums {\n        if n != val {\n            nums[k] = n\n            k++\n        }\n    }\n    return k\n}" },
     ],
   },
   {
@@ -232,6 +163,8 @@ Output: [1,0]
       { lang: "Java", langSlug: "java", code: "class Solution {\n    public int[] plusOne(int[] digits) {\n        for (int i = digits.length - 1; i >= 0; i--) {\n            digits[i]++;\n            if (digits[i] <= 9) return digits;\n            digits[i] = 0;\n        }\n        int[] out = new int[digits.length + 1];\n        out[0] = 1;\n        return out;\n    }\n}" },
       { lang: "C++", langSlug: "cpp", code: "class Solution {\npublic:\n    vector<int> plusOne(vector<int>& digits) {\n        for (int i = digits.size() - 1; i >= 0; i--) {\n            digits[i]++;\n            if (digits[i] <= 9) return digits;\n            digits[i] = 0;\n        }\n        digits.insert(digits.begin(), 1);\n        return digits;\n    }\n};" },
       { lang: "C", langSlug: "c", code: "int* plusOne(int* digits, int digitsSize, int* returnSize) {\n    for (int i = digitsSize - 1; i >= 0; i--) {\n        digits[i]++;\n        if (digits[i] <= 9) { *returnSize = digitsSize; return digits; }\n        digits[i] = 0;\n    }\n    int* out = (int*)malloc((digitsSize+1)*sizeof(int));\n    out[0] = 1;\n    for (int i = 0; i < digitsSize; i++) out[i+1] = digits[i];\n    *returnSize = digitsSize + 1;\n    return out;\n}" },
+    { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn plus_one(mut digits: Vec<i32>) -> Vec<i32> {\n        for i in (0..digits.len()).rev() {\n            if digits[i] < 9 {\n                digits[i] += 1;\n                return digits;\n            }\n            digits[i] = 0;\n        }\n        digits.insert(0, 1);\n        digits\n    }\n}" },
+    { lang: "Go", langSlug: "go", code: "func plusOne(digits []int) []int {\n    for i := len(digits) - 1; i >= 0; i-- {\n        if digits[i] < 9 {\n            digits[i]++\n            return digits\n        }\n        digits[i] = 0\n    }\n    return append([]int{1}, digits...)\n}" },
     ],
   },
   {
@@ -255,7 +188,7 @@ Explanation: The square root of 8 is 2.82842..., and since we round it down to t
 <p><strong>Constraints:</strong></p>
 <ul><li>0 <= x <= 2^31 - 1</li></ul>
 `,
-    metaData: JSON.stringify({ name: "mySqrt", params: [{ name: "x", type: "integer" }] }),
+    metaData: JSON.stringify({ name: "mySqrt", params: [{ name: "x", type: "integer" }], return: { type: "integer" } }),
     exampleTestcases: "4\n8",
     testCases: [
       { stdin: "4", expected: "2" },
@@ -292,7 +225,7 @@ Explanation: There are three ways. 1 step + 1 step + 1 step, 1 step + 2 steps, 2
 <p><strong>Constraints:</strong></p>
 <ul><li>1 <= n <= 45</li></ul>
 `,
-    metaData: JSON.stringify({ name: "climbStairs", params: [{ name: "n", type: "integer" }] }),
+    metaData: JSON.stringify({ name: "climbStairs", params: [{ name: "n", type: "integer" }], return: { type: "integer" } }),
     exampleTestcases: "2\n3",
     testCases: [
       { stdin: "2", expected: "2" },
@@ -306,6 +239,8 @@ Explanation: There are three ways. 1 step + 1 step + 1 step, 1 step + 2 steps, 2
       { lang: "Java", langSlug: "java", code: "class Solution {\n    public int climbStairs(int n) {\n        if (n <= 2) return n;\n        int a = 1, b = 2;\n        for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; }\n        return b;\n    }\n}" },
       { lang: "C++", langSlug: "cpp", code: "class Solution {\npublic:\n    int climbStairs(int n) {\n        if (n <= 2) return n;\n        int a = 1, b = 2;\n        for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; }\n        return b;\n    }\n};" },
       { lang: "C", langSlug: "c", code: "int climbStairs(int n) {\n    if (n <= 2) return n;\n    int a = 1, b = 2;\n    for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; }\n    return b;\n}" },
+    { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn climb_stairs(n: i32) -> i32 {\n        let (mut a, mut b) = (1, 1);\n        for _ in 1..n {\n            let next = a + b;\n            a = b;\n            b = next;\n        }\n        b\n    }\n}" },
+    { lang: "Go", langSlug: "go", code: "func climbStairs(n int) int {\n    a, b := 1, 1\n    for i := 1; i < n; i++ {\n        a, b = b, a+b\n    }\n    return b\n}" },
     ],
   },
   {
@@ -328,7 +263,7 @@ Output: 0
 <p><strong>Constraints:</strong></p>
 <ul><li>1 <= prices.length <= 10^5</li><li>0 <= prices[i] <= 10^4</li></ul>
 `,
-    metaData: JSON.stringify({ name: "maxProfit", params: [{ name: "prices", type: "integer[]" }] }),
+    metaData: JSON.stringify({ name: "maxProfit", params: [{ name: "prices", type: "integer[]" }], return: { type: "integer" } }),
     exampleTestcases: "[7,1,5,3,6,4]\n[7,6,4,3,1]",
     testCases: [
       { stdin: "[7,1,5,3,6,4]", expected: "5" },
@@ -367,7 +302,7 @@ Output: 23
 <p><strong>Constraints:</strong></p>
 <ul><li>1 <= nums.length <= 10^5</li><li>-10^4 <= nums[i] <= 10^4</li></ul>
 `,
-    metaData: JSON.stringify({ name: "maxSubArray", params: [{ name: "nums", type: "integer[]" }] }),
+    metaData: JSON.stringify({ name: "maxSubArray", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }),
     exampleTestcases: "[-2,1,-3,4,-1,2,1,-5,4]\n[1]\n[5,4,-1,7,8]",
     testCases: [
       { stdin: "[-2,1,-3,4,-1,2,1,-5,4]", expected: "6" },
@@ -407,7 +342,7 @@ Explanation: The answer is "wke", with the length of 3.
 <p><strong>Constraints:</strong></p>
 <ul><li>0 <= s.length <= 5 * 10^4</li><li>s consists of English letters, digits, symbols and spaces.</li></ul>
 `,
-    metaData: JSON.stringify({ name: "lengthOfLongestSubstring", params: [{ name: "s", type: "string" }] }),
+    metaData: JSON.stringify({ name: "lengthOfLongestSubstring", params: [{ name: "s", type: "string" }], return: { type: "integer" } }),
     exampleTestcases: '"abcabcbb"\n"bbbbb"\n"pwwkew"',
     testCases: [
       { stdin: '"abcabcbb"', expected: "3" },
@@ -421,6 +356,8 @@ Explanation: The answer is "wke", with the length of 3.
       { lang: "Java", langSlug: "java", code: 'class Solution {\n    public int lengthOfLongestSubstring(String s) {\n        var set = new java.util.HashSet<Character>();\n        int left = 0, best = 0;\n        for (int right = 0; right < s.length(); right++) {\n            while (set.contains(s.charAt(right))) set.remove(s.charAt(left++));\n            set.add(s.charAt(right));\n            best = Math.max(best, right - left + 1);\n        }\n        return best;\n    }\n}' },
       { lang: "C++", langSlug: "cpp", code: 'class Solution {\npublic:\n    int lengthOfLongestSubstring(string s) {\n        unordered_set<char> set;\n        int left = 0, best = 0;\n        for (int right = 0; right < (int)s.size(); right++) {\n            while (set.count(s[right])) set.erase(s[left++]);\n            set.insert(s[right]);\n            best = max(best, right - left + 1);\n        }\n        return best;\n    }\n};' },
       { lang: "C", langSlug: "c", code: 'int lengthOfLongestSubstring(char* s) {\n    int seen[128];\n    memset(seen, -1, sizeof(seen));\n    int left = 0, best = 0;\n    for (int right = 0; s[right]; right++) {\n        int c = (unsigned char)s[right];\n        if (seen[c] >= left) left = seen[c] + 1;\n        seen[c] = right;\n        if (right - left + 1 > best) best = right - left + 1;\n    }\n    return best;\n}' },
+    { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn length_of_longest_substring(s: String) -> i32 {\n        let mut last = [usize::MAX; 256];\n        let (mut left, mut best) = (0, 0);\n        for (right, &b) in s.as_bytes().iter().enumerate() {\n            let seen = last[b as usize];\n            if seen != usize::MAX && seen >= left {\n                left = seen + 1;\n            }\n            last[b as usize] = right;\n            best = best.max(right - left + 1);\n        }\n        best as i32\n    }\n}" },
+    { lang: "Go", langSlug: "go", code: "func lengthOfLongestSubstring(s string) int {\n    var last [256]int\n    for i := range last {\n        last[i] = -1\n    }\n    left, best := 0, 0\n    for right := 0; right < len(s); right++ {\n        if last[s[right]] >= left {\n            left = last[s[right]] + 1\n        }\n        last[s[right]] = right\n        if right-left+1 > best {\n            best = right - left + 1\n        }\n    }\n    return best\n}" },
     ],
   },
   {
@@ -447,7 +384,7 @@ Output: false
 <p><strong>Constraints:</strong></p>
 <ul><li>1 <= s.length <= 10^4</li><li>s consists of parentheses only '()[]{}'.</li></ul>
 `,
-    metaData: JSON.stringify({ name: "isValid", params: [{ name: "s", type: "string" }] }),
+    metaData: JSON.stringify({ name: "isValid", params: [{ name: "s", type: "string" }], return: { type: "boolean" } }),
     exampleTestcases: '"()"\n"()[]{}"\n"(]"',
     testCases: [
       { stdin: '"()"', expected: "true" },
@@ -462,55 +399,236 @@ Output: false
       { lang: "Java", langSlug: "java", code: 'class Solution {\n    public boolean isValid(String s) {\n        var stack = new java.util.ArrayDeque<Character>();\n        var map = java.util.Map.of(\')\', \'(\', \']\', \'[\', \'}\', \'{\');\n        for (char c : s.toCharArray()) {\n            if (map.containsKey(c)) { if (stack.isEmpty() || stack.pop() != map.get(c)) return false; }\n            else stack.push(c);\n        }\n        return stack.isEmpty();\n    }\n}' },
       { lang: "C++", langSlug: "cpp", code: 'class Solution {\npublic:\n    bool isValid(string s) {\n        stack<char> st;\n        for (char c : s) {\n            if (c == \')\' || c == \']\' || c == \'}\') {\n                if (st.empty() || (c==\')\'&&st.top()!=\'(\') || (c==\']\'&&st.top()!=\'[\') || (c==\'}\'&&st.top()!=\'{\')) return false;\n                st.pop();\n            } else st.push(c);\n        }\n        return st.empty();\n    }\n};' },
       { lang: "C", langSlug: "c", code: 'bool isValid(char* s) {\n    char stack[10000];\n    int top = 0;\n    for (; *s; s++) {\n        if (*s == \'(\' || *s == \'[\' || *s == \'{\') stack[top++] = *s;\n        else if (top == 0) return false;\n        else if (*s == \')\' && stack[top-1] != \'(\') return false;\n        else if (*s == \']\' && stack[top-1] != \'[\') return false;\n        else if (*s == \'}\' && stack[top-1] != \'{\') return false;\n        else top--;\n    }\n    return top == 0;\n}' },
+    { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn is_valid(s: String) -> bool {\n        let mut stack = Vec::new();\n        for c in s.chars() {\n            let open = match c {\n                ')' => '(',\n                ']' => '[',\n                '}' => '{',\n                _ => {\n                    stack.push(c);\n                    continue;\n                }\n            };\n            if stack.pop() != Some(open) {\n                return false;\n            }\n        }\n        stack.is_empty()\n    }\n}" },
+    { lang: "Go", langSlug: "go", code: "func isValid(s string) bool {\n    pairs := map[rune]rune{')': '(', ']': '[', '}': '{'}\n    stack := []rune{}\n    for _, c := range s {\n        open, closing := pairs[c]\n        if !closing {\n            stack = append(stack, c)\n            continue\n        }\n        if len(stack) == 0 || stack[len(stack)-1] != open {\n            return false\n        }\n        stack = stack[:len(stack)-1]\n    }\n    return len(stack) == 0\n}" },
     ],
   },
-  { questionId: "136", questionFrontendId: "136", title: "Single Number", titleSlug: "builtin-single-number", difficulty: "Easy", content: "<p>Given a non-empty array of integers where every element appears twice except one, find that single one.</p><p><strong>Example:</strong> Input: [2,2,1] Output: 1</p>", metaData: JSON.stringify({ name: "singleNumber", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[2,2,1]\n[4,1,2,1,2]", testCases: [{ stdin: "[2,2,1]", expected: "1" }, { stdin: "[4,1,2,1,2]", expected: "4" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var singleNumber = function(nums) { let x = 0; for (const n of nums) x ^= n; return x; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def singleNumber(self, nums: list[int]) -> int:\n        return sum(set(nums))*2 - sum(nums)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int singleNumber(int[] nums) { int x = 0; for (int n : nums) x ^= n; return x; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int singleNumber(vector<int>& nums) { int x = 0; for (int n : nums) x ^= n; return x; } };" }, { lang: "C", langSlug: "c", code: "int singleNumber(int* nums, int numsSize) { int x = 0; for (int i = 0; i < numsSize; i++) x ^= nums[i]; return x; }" }] },
+  { questionId: "136", questionFrontendId: "136", title: "Single Number", titleSlug: "builtin-single-number", difficulty: "Easy", content: "<p>Given a non-empty array of integers where every element appears twice except one, find that single one.</p><p><strong>Example:</strong> Input: [2,2,1] Output: 1</p>", metaData: JSON.stringify({ name: "singleNumber", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[2,2,1]\n[4,1,2,1,2]", testCases: [{ stdin: "[2,2,1]", expected: "1" }, { stdin: "[4,1,2,1,2]", expected: "4" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var singleNumber = function(nums) { let x = 0; for (const n of nums) x ^= n; return x; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def singleNumber(self, nums: list[int]) -> int:\n        return sum(set(nums))*2 - sum(nums)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int singleNumber(int[] nums) { int x = 0; for (int n : nums) x ^= n; return x; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int singleNumber(vector<int>& nums) { int x = 0; for (int n : nums) x ^= n; return x; } };" }, { lang: "C", langSlug: "c", code: "int singleNumber(int* nums, int numsSize) { int x = 0; for (int i = 0; i < numsSize; i++) x ^= nums[i]; return x; }" }] },
   { questionId: "217", questionFrontendId: "217", title: "Contains Duplicate", titleSlug: "builtin-contains-duplicate", difficulty: "Easy", content: "<p>Given an integer array nums, return true if any value appears at least twice.</p><p><strong>Example:</strong> Input: [1,2,3,1] Output: true</p>", metaData: JSON.stringify({ name: "containsDuplicate", params: [{ name: "nums", type: "integer[]" }], return: { type: "boolean" } }), exampleTestcases: "[1,2,3,1]\n[1,2,3,4]", testCases: [{ stdin: "[1,2,3,1]", expected: "true" }, { stdin: "[1,2,3,4]", expected: "false" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var containsDuplicate = function(nums) { return new Set(nums).size !== nums.length; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def containsDuplicate(self, nums: list[int]) -> bool:\n        return len(set(nums)) != len(nums)" }, { lang: "Java", langSlug: "java", code: "class Solution { public boolean containsDuplicate(int[] nums) { return java.util.Arrays.stream(nums).distinct().count() != nums.length; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: bool containsDuplicate(vector<int>& nums) { return set<int>(nums.begin(), nums.end()).size() != nums.size(); } };" }, { lang: "C", langSlug: "c", code: "bool containsDuplicate(int* nums, int numsSize) { for (int i = 0; i < numsSize; i++) for (int j = i+1; j < numsSize; j++) if (nums[i] == nums[j]) return true; return false; }" }] },
-  { questionId: "268", questionFrontendId: "268", title: "Missing Number", titleSlug: "builtin-missing-number", difficulty: "Easy", content: "<p>Given an array nums containing n distinct numbers in the range [0, n], return the only number in the range that is missing.</p><p><strong>Example:</strong> Input: [3,0,1] Output: 2</p>", metaData: JSON.stringify({ name: "missingNumber", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[3,0,1]\n[0,1]", testCases: [{ stdin: "[3,0,1]", expected: "2" }, { stdin: "[0,1]", expected: "2" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var missingNumber = function(nums) { const n = nums.length; let sum = n*(n+1)/2; for (const x of nums) sum -= x; return sum; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def missingNumber(self, nums: list[int]) -> int:\n        n = len(nums)\n        return n*(n+1)//2 - sum(nums)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int missingNumber(int[] nums) { int n = nums.length, sum = n*(n+1)/2; for (int x : nums) sum -= x; return sum; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int missingNumber(vector<int>& nums) { int n = nums.size(), sum = n*(n+1)/2; for (int x : nums) sum -= x; return sum; } };" }, { lang: "C", langSlug: "c", code: "int missingNumber(int* nums, int numsSize) { int sum = numsSize*(numsSize+1)/2; for (int i = 0; i < numsSize; i++) sum -= nums[i]; return sum; }" }] },
+  { questionId: "268", questionFrontendId: "268", title: "Missing Number", titleSlug: "builtin-missing-number", difficulty: "Easy", content: "<p>Given an array nums containing n distinct numbers in the range [0, n], return the only number in the range that is missing.</p><p><strong>Example:</strong> Input: [3,0,1] Output: 2</p>", metaData: JSON.stringify({ name: "missingNumber", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[3,0,1]\n[0,1]", testCases: [{ stdin: "[3,0,1]", expected: "2" }, { stdin: "[0,1]", expected: "2" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var missingNumber = function(nums) { const n = nums.length; let sum = n*(n+1)/2; for (const x of nums) sum -= x; return sum; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def missingNumber(self, nums: list[int]) -> int:\n        n = len(nums)\n        return n*(n+1)//2 - sum(nums)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int missingNumber(int[] nums) { int n = nums.length, sum = n*(n+1)/2; for (int x : nums) sum -= x; return sum; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int missingNumber(vector<int>& nums) { int n = nums.size(), sum = n*(n+1)/2; for (int x : nums) sum -= x; return sum; } };" }, { lang: "C", langSlug: "c", code: "int missingNumber(int* nums, int numsSize) { int sum = numsSize*(numsSize+1)/2; for (int i = 0; i < numsSize; i++) sum -= nums[i]; return sum; }" }] },
   { questionId: "9", questionFrontendId: "9", title: "Palindrome Number", titleSlug: "builtin-palindrome-number", difficulty: "Easy", content: "<p>Given an integer x, return true if x is a palindrome.</p><p><strong>Example:</strong> Input: 121 Output: true. Input: -121 Output: false</p>", metaData: JSON.stringify({ name: "isPalindrome", params: [{ name: "x", type: "integer" }], return: { type: "boolean" } }), exampleTestcases: "121\n-121", testCases: [{ stdin: "121", expected: "true" }, { stdin: "-121", expected: "false" }, { stdin: "10", expected: "false" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var isPalindrome = function(x) { if (x < 0) return false; let t = x, r = 0; while (t) { r = r*10 + t%10; t = Math.floor(t/10); } return r === x; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def isPalindrome(self, x: int) -> bool:\n        return str(x) == str(x)[::-1]" }, { lang: "Java", langSlug: "java", code: "class Solution { public boolean isPalindrome(int x) { if (x < 0) return false; int t = x, r = 0; while (t != 0) { r = r*10 + t%10; t /= 10; } return r == x; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: bool isPalindrome(int x) { if (x < 0) return false; long r = 0; for (int t = x; t; t /= 10) r = r*10 + t%10; return r == x; } };" }, { lang: "C", langSlug: "c", code: "bool isPalindrome(int x) { if (x < 0) return false; long r = 0; for (long t = x; t; t /= 10) r = r*10 + t%10; return (int)r == x; }" }] },
-  { questionId: "35", questionFrontendId: "35", title: "Search Insert Position", titleSlug: "builtin-search-insert-position", difficulty: "Easy", content: "<p>Given a sorted array and a target value, return the index if target is found. If not, return the index where it would be inserted.</p><p><strong>Example:</strong> Input: [1,3,5,6], 5 Output: 2. Input: [1,3,5,6], 2 Output: 1</p>", metaData: JSON.stringify({ name: "searchInsert", params: [{ name: "nums", type: "integer[]" }, { name: "target", type: "integer" }] }), exampleTestcases: "[1,3,5,6]\n5\n[1,3,5,6]\n2", testCases: [{ stdin: "[1,3,5,6]\n5", expected: "2" }, { stdin: "[1,3,5,6]\n2", expected: "1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var searchInsert = function(nums, target) { let lo = 0, hi = nums.length; while (lo < hi) { const m = (lo+hi)>>>1; if (nums[m] < target) lo = m+1; else hi = m; } return lo; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def searchInsert(self, nums: list[int], target: int) -> int:\n        return __import__('bisect').bisect_left(nums, target)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int searchInsert(int[] nums, int target) { int lo = 0, hi = nums.length; while (lo < hi) { int m = (lo+hi)/2; if (nums[m] < target) lo = m+1; else hi = m; } return lo; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int searchInsert(vector<int>& nums, int target) { int lo = 0, hi = nums.size(); while (lo < hi) { int m = (lo+hi)/2; if (nums[m] < target) lo = m+1; else hi = m; } return lo; } };" }, { lang: "C", langSlug: "c", code: "int searchInsert(int* nums, int numsSize, int target) { int lo = 0, hi = numsSize; while (lo < hi) { int m = (lo+hi)/2; if (nums[m] < target) lo = m+1; else hi = m; } return lo; }" }] },
-  { questionId: "169", questionFrontendId: "169", title: "Majority Element", titleSlug: "builtin-majority-element", difficulty: "Easy", content: "<p>Given an array of size n, find the majority element (appears more than n/2 times).</p><p><strong>Example:</strong> Input: [3,2,3] Output: 3</p>", metaData: JSON.stringify({ name: "majorityElement", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[3,2,3]\n[2,2,1,1,1,2,2]", testCases: [{ stdin: "[3,2,3]", expected: "3" }, { stdin: "[2,2,1,1,1,2,2]", expected: "2" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var majorityElement = function(nums) { let c = 0, cand = null; for (const n of nums) { if (!c) cand = n; c += n === cand ? 1 : -1; } return cand; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def majorityElement(self, nums: list[int]) -> int:\n        c, cand = 0, None\n        for n in nums:\n            if not c: cand = n\n            c += 1 if n == cand else -1\n        return cand" }, { lang: "Java", langSlug: "java", code: "class Solution { public int majorityElement(int[] nums) { int c = 0, cand = 0; for (int n : nums) { if (c == 0) cand = n; c += n == cand ? 1 : -1; } return cand; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int majorityElement(vector<int>& nums) { int c = 0, cand = 0; for (int n : nums) { if (!c) cand = n; c += (n == cand) ? 1 : -1; } return cand; } };" }, { lang: "C", langSlug: "c", code: "int majorityElement(int* nums, int numsSize) { int c = 0, cand = 0; for (int i = 0; i < numsSize; i++) { if (!c) cand = nums[i]; c += (nums[i] == cand) ? 1 : -1; } return cand; }" }] },
-  { questionId: "283", questionFrontendId: "283", title: "Move Zeroes", titleSlug: "builtin-move-zeroes", difficulty: "Easy", content: "<p>Given an integer array <code>nums</code>, move all <code>0</code>'s to the end while maintaining the relative order of the non-zero elements. Modify the array in-place and return the count of non-zero elements.</p><p><strong>Example 1:</strong></p><pre>Input: nums = [0,1,0,3,12]\nOutput: 3\nExplanation: After moving zeroes to the end, the first three elements are 1, 3, 12. Return 3 (count of non-zero).</pre><p><strong>Constraints:</strong></p><ul><li>1 <= nums.length <= 10^4</li><li>-2^31 <= nums[i] <= 2^31 - 1</li></ul>", metaData: JSON.stringify({ name: "moveZeroes", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[0,1,0,3,12]", testCases: [{ stdin: "[0,1,0,3,12]", expected: "3" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var moveZeroes = function(nums) { let k = 0; for (let i = 0; i < nums.length; i++) if (nums[i] !== 0) nums[k++] = nums[i]; for (let i = k; i < nums.length; i++) nums[i] = 0; return k; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def moveZeroes(self, nums: list[int]) -> int:\n        k = 0\n        for x in nums:\n            if x != 0: nums[k] = x; k += 1\n        for i in range(k, len(nums)): nums[i] = 0\n        return k" }, { lang: "Java", langSlug: "java", code: "class Solution { public int moveZeroes(int[] nums) { int k = 0; for (int x : nums) if (x != 0) nums[k++] = x; for (int i = k; i < nums.length; i++) nums[i] = 0; return k; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int moveZeroes(vector<int>& nums) { int k = 0; for (int x : nums) if (x) nums[k++] = x; int c = k; while (k < (int)nums.size()) nums[k++] = 0; return c; } };" }, { lang: "C", langSlug: "c", code: "int moveZeroes(int* nums, int numsSize) { int k = 0; for (int i = 0; i < numsSize; i++) if (nums[i]) nums[k++] = nums[i]; return k; }" }] },
+  { questionId: "35", questionFrontendId: "35", title: "Search Insert Position", titleSlug: "builtin-search-insert-position", difficulty: "Easy", content: "<p>Given a sorted array and a target value, return the index if target is found. If not, return the index where it would be inserted.</p><p><strong>Example:</strong> Input: [1,3,5,6], 5 Output: 2. Input: [1,3,5,6], 2 Output: 1</p>", metaData: JSON.stringify({ name: "searchInsert", params: [{ name: "nums", type: "integer[]" }, { name: "target", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "[1,3,5,6]\n5\n[1,3,5,6]\n2", testCases: [{ stdin: "[1,3,5,6]\n5", expected: "2" }, { stdin: "[1,3,5,6]\n2", expected: "1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var searchInsert = function(nums, target) { let lo = 0, hi = nums.length; while (lo < hi) { const m = (lo+hi)>>>1; if (nums[m] < target) lo = m+1; else hi = m; } return lo; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def searchInsert(self, nums: list[int], target: int) -> int:\n        return __import__('bisect').bisect_left(nums, target)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int searchInsert(int[] nums, int target) { int lo = 0, hi = nums.length; while (lo < hi) { int m = (lo+hi)/2; if (nums[m] < target) lo = m+1; else hi = m; } return lo; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int searchInsert(vector<int>& nums, int target) { int lo = 0, hi = nums.size(); while (lo < hi) { int m = (lo+hi)/2; if (nums[m] < target) lo = m+1; else hi = m; } return lo; } };" }, { lang: "C", langSlug: "c", code: "int searchInsert(int* nums, int numsSize, int target) { int lo = 0, hi = numsSize; while (lo < hi) { int m = (lo+hi)/2; if (nums[m] < target) lo = m+1; else hi = m; } return lo; }" }] },
+  { questionId: "169", questionFrontendId: "169", title: "Majority Element", titleSlug: "builtin-majority-element", difficulty: "Easy", content: "<p>Given an array of size n, find the majority element (appears more than n/2 times).</p><p><strong>Example:</strong> Input: [3,2,3] Output: 3</p>", metaData: JSON.stringify({ name: "majorityElement", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[3,2,3]\n[2,2,1,1,1,2,2]", testCases: [{ stdin: "[3,2,3]", expected: "3" }, { stdin: "[2,2,1,1,1,2,2]", expected: "2" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var majorityElement = function(nums) { let c = 0, cand = null; for (const n of nums) { if (!c) cand = n; c += n === cand ? 1 : -1; } return cand; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def majorityElement(self, nums: list[int]) -> int:\n        c, cand = 0, None\n        for n in nums:\n            if not c: cand = n\n            c += 1 if n == cand else -1\n        return cand" }, { lang: "Java", langSlug: "java", code: "class Solution { public int majorityElement(int[] nums) { int c = 0, cand = 0; for (int n : nums) { if (c == 0) cand = n; c += n == cand ? 1 : -1; } return cand; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int majorityElement(vector<int>& nums) { int c = 0, cand = 0; for (int n : nums) { if (!c) cand = n; c += (n == cand) ? 1 : -1; } return cand; } };" }, { lang: "C", langSlug: "c", code: "int majorityElement(int* nums, int numsSize) { int c = 0, cand = 0; for (int i = 0; i < numsSize; i++) { if (!c) cand = nums[i]; c += (nums[i] == cand) ? 1 : -1; } return cand; }" }] },
+  { questionId: "283", questionFrontendId: "283", title: "Move Zeroes", titleSlug: "builtin-move-zeroes", difficulty: "Easy", content: "<p>Given an integer array <code>nums</code>, move all <code>0</code>'s to the end while maintaining the relative order of the non-zero elements. Modify the array in-place; do not return anything.</p><p><strong>Example 1:</strong></p><pre>Input: nums = [0,1,0,3,12]\nOutput: [1,3,12,0,0]</pre><p><strong>Constraints:</strong></p><ul><li>1 <= nums.length <= 10^4</li><li>-2^31 <= nums[i] <= 2^31 - 1</li></ul>", metaData: JSON.stringify({ name: "moveZeroes", params: [{ name: "nums", type: "integer[]" }], return: { type: "void" } }), exampleTestcases: "[0,1,0,3,12]", testCases: [{ stdin: "[0,1,0,3,12]", expected: "[1,3,12,0,0]" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var moveZeroes = function(nums) { let k = 0; for (let i = 0; i < nums.length; i++) if (nums[i] !== 0) nums[k++] = nums[i]; for (let i = k; i < nums.length; i++) nums[i] = 0; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def moveZeroes(self, nums: list[int]) -> None:\n        k = 0\n        for x in nums:\n            if x != 0: nums[k] = x; k += 1\n        for i in range(k, len(nums)): nums[i] = 0" }, { lang: "Java", langSlug: "java", code: "class Solution { public void moveZeroes(int[] nums) { int k = 0; for (int x : nums) if (x != 0) nums[k++] = x; for (int i = k; i < nums.length; i++) nums[i] = 0; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: void moveZeroes(vector<int>& nums) { int k = 0; for (int x : nums) if (x) nums[k++] = x; while (k < (int)nums.size()) nums[k++] = 0; } };" }, { lang: "C", langSlug: "c", code: "void moveZeroes(int* nums, int numsSize) { int k = 0; for (int i = 0; i < numsSize; i++) if (nums[i]) nums[k++] = nums[i]; while (k < numsSize) nums[k++] = 0; }" }, { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn move_zeroes(nums: &mut Vec<i32>) {\n        let mut k = 0;\n        for i in 0..nums.len() {\n            if nums[i] != 0 {\n                nums.swap(k, i);\n                k += 1;\n            }\n        }\n    }\n}" }, { lang: "Go", langSlug: "go", code: "func moveZeroes(nums []int) {\n    k := 0\n    for i := range nums {\n        if nums[i] != 0 {\n            nums[k], nums[i] = nums[i], nums[k]\n            k++\n        }\n    }\n}" }] },
   { questionId: "231", questionFrontendId: "231", title: "Power of Two", titleSlug: "builtin-power-of-two", difficulty: "Easy", content: "<p>Given an integer <code>n</code>, return <code>true</code> if it is a power of two. Otherwise return <code>false</code>. An integer <code>n</code> is a power of two if there exists an integer <code>x</code> such that <code>n == 2^x</code>.</p><p><strong>Example 1:</strong></p><pre>Input: n = 1\nOutput: true\nExplanation: 2^0 = 1</pre><p><strong>Example 2:</strong></p><pre>Input: n = 16\nOutput: true\nExplanation: 2^4 = 16</pre><p><strong>Example 3:</strong></p><pre>Input: n = 3\nOutput: false</pre><p><strong>Constraints:</strong></p><ul><li>-2^31 <= n <= 2^31 - 1</li></ul>", metaData: JSON.stringify({ name: "isPowerOfTwo", params: [{ name: "n", type: "integer" }], return: { type: "boolean" } }), exampleTestcases: "1\n16\n3", testCases: [{ stdin: "1", expected: "true" }, { stdin: "16", expected: "true" }, { stdin: "3", expected: "false" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var isPowerOfTwo = function(n) { return n > 0 && (n & (n-1)) === 0; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def isPowerOfTwo(self, n: int) -> bool:\n        return n > 0 and (n & (n-1)) == 0" }, { lang: "Java", langSlug: "java", code: "class Solution { public boolean isPowerOfTwo(int n) { return n > 0 && (n & (n-1)) == 0; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: bool isPowerOfTwo(int n) { return n > 0 && (n & (n-1)) == 0; } };" }, { lang: "C", langSlug: "c", code: "bool isPowerOfTwo(int n) { return n > 0 && (n & (n-1)) == 0; }" }] },
-  { questionId: "191", questionFrontendId: "191", title: "Number of 1 Bits", titleSlug: "builtin-number-of-1-bits", difficulty: "Easy", content: "<p>Write a function that takes a positive integer and returns the number of <code>'1'</code> bits it has (also known as the Hamming weight).</p><p><strong>Example 1:</strong></p><pre>Input: n = 11\nOutput: 3\nExplanation: 11 in binary is 1011; three '1' bits.</pre><p><strong>Example 2:</strong></p><pre>Input: n = 128\nOutput: 1\nExplanation: 128 in binary is 10000000.</pre><p><strong>Constraints:</strong></p><ul><li>The input must be a binary string of length 32 (unsigned 32-bit integer).</li></ul>", metaData: JSON.stringify({ name: "hammingWeight", params: [{ name: "n", type: "integer" }] }), exampleTestcases: "11\n128", testCases: [{ stdin: "11", expected: "3" }, { stdin: "128", expected: "1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var hammingWeight = function(n) { let c = 0; while (n) { c += n & 1; n >>>= 1; } return c; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def hammingWeight(self, n: int) -> int:\n        return bin(n).count('1')" }, { lang: "Java", langSlug: "java", code: "class Solution { public int hammingWeight(int n) { int c = 0; while (n != 0) { c += n & 1; n >>>= 1; } return c; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int hammingWeight(int n) { int c = 0; while (n) { c += n & 1; n >>= 1; } return c; } };" }, { lang: "C", langSlug: "c", code: "int hammingWeight(int n) { int c = 0; while (n) { c += n & 1; n >>= 1; } return c; }" }] },
-  { questionId: "509", questionFrontendId: "509", title: "Fibonacci Number", titleSlug: "builtin-fibonacci-number", difficulty: "Easy", content: "<p>The <strong>Fibonacci numbers</strong>, commonly denoted <code>F(n)</code> form a sequence such that each number is the sum of the two preceding ones, starting from <code>F(0) = 0</code> and <code>F(1) = 1</code>. Given <code>n</code>, return the nth Fibonacci number.</p><p><strong>Example 1:</strong></p><pre>Input: n = 2\nOutput: 1\nExplanation: F(2) = F(1) + F(0) = 1 + 0 = 1.</pre><p><strong>Example 2:</strong></p><pre>Input: n = 4\nOutput: 3\nExplanation: F(4) = F(3) + F(2) = 2 + 1 = 3.</pre><p><strong>Constraints:</strong></p><ul><li>0 <= n <= 30</li></ul>", metaData: JSON.stringify({ name: "fib", params: [{ name: "n", type: "integer" }] }), exampleTestcases: "2\n4", testCases: [{ stdin: "2", expected: "1" }, { stdin: "4", expected: "3" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var fib = function(n) { if (n <= 1) return n; let a = 0, b = 1; for (let i = 2; i <= n; i++) { const t = a + b; a = b; b = t; } return b; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def fib(self, n: int) -> int:\n        a, b = 0, 1\n        for _ in range(n): a, b = b, a + b\n        return a" }, { lang: "Java", langSlug: "java", code: "class Solution { public int fib(int n) { if (n <= 1) return n; int a = 0, b = 1; for (int i = 2; i <= n; i++) { int t = a + b; a = b; b = t; } return b; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int fib(int n) { if (n <= 1) return n; int a = 0, b = 1; for (int i = 2; i <= n; i++) { int t = a + b; a = b; b = t; } return b; } };" }, { lang: "C", langSlug: "c", code: "int fib(int n) { if (n <= 1) return n; int a = 0, b = 1; for (int i = 2; i <= n; i++) { int t = a + b; a = b; b = t; } return b; }" }] },
-  { questionId: "153", questionFrontendId: "153", title: "Find Minimum in Rotated Sorted Array", titleSlug: "builtin-find-min-rotated", difficulty: "Medium", content: "<p>Given a sorted rotated array of unique elements, return the minimum element.</p>", metaData: JSON.stringify({ name: "findMin", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[3,4,5,1,2]\n[4,5,6,7,0,1,2]", testCases: [{ stdin: "[3,4,5,1,2]", expected: "1" }, { stdin: "[4,5,6,7,0,1,2]", expected: "0" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var findMin = function(nums) { let lo = 0, hi = nums.length - 1; while (lo < hi) { const m = (lo + hi) >>> 1; if (nums[m] > nums[hi]) lo = m + 1; else hi = m; } return nums[lo]; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def findMin(self, nums: list[int]) -> int:\n        lo, hi = 0, len(nums) - 1\n        while lo < hi:\n            m = (lo + hi) // 2\n            if nums[m] > nums[hi]: lo = m + 1\n            else: hi = m\n        return nums[lo]" }, { lang: "Java", langSlug: "java", code: "class Solution { public int findMin(int[] nums) { int lo = 0, hi = nums.length - 1; while (lo < hi) { int m = (lo + hi) / 2; if (nums[m] > nums[hi]) lo = m + 1; else hi = m; } return nums[lo]; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int findMin(vector<int>& nums) { int lo = 0, hi = nums.size() - 1; while (lo < hi) { int m = (lo + hi) / 2; if (nums[m] > nums[hi]) lo = m + 1; else hi = m; } return nums[lo]; } };" }, { lang: "C", langSlug: "c", code: "int findMin(int* nums, int numsSize) { int lo = 0, hi = numsSize - 1; while (lo < hi) { int m = (lo + hi) / 2; if (nums[m] > nums[hi]) lo = m + 1; else hi = m; } return nums[lo]; }" }] },
-  { questionId: "198", questionFrontendId: "198", title: "House Robber", titleSlug: "builtin-house-robber", difficulty: "Medium", content: "<p>Rob houses; cannot rob two adjacent. Return max money.</p>", metaData: JSON.stringify({ name: "rob", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[1,2,3,1]\n[2,7,9,3,1]", testCases: [{ stdin: "[1,2,3,1]", expected: "4" }, { stdin: "[2,7,9,3,1]", expected: "12" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var rob = function(nums) { let a = 0, b = 0; for (const x of nums) { const t = Math.max(a + x, b); a = b; b = t; } return b; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def rob(self, nums: list[int]) -> int:\n        a, b = 0, 0\n        for x in nums: a, b = b, max(a + x, b)\n        return b" }, { lang: "Java", langSlug: "java", code: "class Solution { public int rob(int[] nums) { int a = 0, b = 0; for (int x : nums) { int t = Math.max(a + x, b); a = b; b = t; } return b; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int rob(vector<int>& nums) { int a = 0, b = 0; for (int x : nums) { int t = max(a + x, b); a = b; b = t; } return b; } };" }, { lang: "C", langSlug: "c", code: "int rob(int* nums, int numsSize) { int a = 0, b = 0; for (int i = 0; i < numsSize; i++) { int t = (a + nums[i]) > b ? a + nums[i] : b; a = b; b = t; } return b; }" }] },
-  { questionId: "33", questionFrontendId: "33", title: "Search in Rotated Sorted Array", titleSlug: "builtin-search-rotated", difficulty: "Medium", content: "<p>Given a rotated sorted array and target, return the index of target or -1.</p>", metaData: JSON.stringify({ name: "search", params: [{ name: "nums", type: "integer[]" }, { name: "target", type: "integer" }] }), exampleTestcases: "[4,5,6,7,0,1,2]\n0\n[4,5,6,7,0,1,2]\n3", testCases: [{ stdin: "[4,5,6,7,0,1,2]\n0", expected: "4" }, { stdin: "[4,5,6,7,0,1,2]\n3", expected: "-1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var search = function(nums, target) { let lo = 0, hi = nums.length - 1; while (lo <= hi) { const m = (lo + hi) >>> 1; if (nums[m] === target) return m; if (nums[m] >= nums[lo]) { if (target >= nums[lo] && target < nums[m]) hi = m - 1; else lo = m + 1; } else { if (target > nums[m] && target <= nums[hi]) lo = m + 1; else hi = m - 1; } } return -1; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def search(self, nums: list[int], target: int) -> int:\n        lo, hi = 0, len(nums) - 1\n        while lo <= hi:\n            m = (lo + hi) // 2\n            if nums[m] == target: return m\n            if nums[m] >= nums[lo]:\n                if nums[lo] <= target < nums[m]: hi = m - 1\n                else: lo = m + 1\n            else:\n                if nums[m] < target <= nums[hi]: lo = m + 1\n                else: hi = m - 1\n        return -1" }, { lang: "Java", langSlug: "java", code: "class Solution { public int search(int[] nums, int target) { int lo = 0, hi = nums.length - 1; while (lo <= hi) { int m = (lo + hi) / 2; if (nums[m] == target) return m; if (nums[m] >= nums[lo]) { if (target >= nums[lo] && target < nums[m]) hi = m - 1; else lo = m + 1; } else { if (target > nums[m] && target <= nums[hi]) lo = m + 1; else hi = m - 1; } } return -1; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int search(vector<int>& nums, int target) { int lo = 0, hi = nums.size() - 1; while (lo <= hi) { int m = (lo + hi) / 2; if (nums[m] == target) return m; if (nums[m] >= nums[lo]) { if (target >= nums[lo] && target < nums[m]) hi = m - 1; else lo = m + 1; } else { if (target > nums[m] && target <= nums[hi]) lo = m + 1; else hi = m - 1; } } return -1; } };" }, { lang: "C", langSlug: "c", code: "int search(int* nums, int numsSize, int target) { int lo = 0, hi = numsSize - 1; while (lo <= hi) { int m = (lo + hi) / 2; if (nums[m] == target) return m; if (nums[m] >= nums[lo]) { if (target >= nums[lo] && target < nums[m]) hi = m - 1; else lo = m + 1; } else { if (target > nums[m] && target <= nums[hi]) lo = m + 1; else hi = m - 1; } } return -1; }" }] },
-  { questionId: "152", questionFrontendId: "152", title: "Maximum Product Subarray", titleSlug: "builtin-maximum-product-subarray", difficulty: "Medium", content: "<p>Find the contiguous subarray with the largest product.</p>", metaData: JSON.stringify({ name: "maxProduct", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[2,3,-2,4]\n[-2,0,-1]", testCases: [{ stdin: "[2,3,-2,4]", expected: "6" }, { stdin: "[-2,0,-1]", expected: "0" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var maxProduct = function(nums) { let curMin = 1, curMax = 1, best = nums[0]; for (const n of nums) { const a = curMax * n, b = curMin * n; curMax = Math.max(a, b, n); curMin = Math.min(a, b, n); best = Math.max(best, curMax); } return best; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def maxProduct(self, nums: list[int]) -> int:\n        curMin = curMax = best = nums[0]\n        for n in nums[1:]:\n            a, b = curMax * n, curMin * n\n            curMax, curMin = max(a, b, n), min(a, b, n)\n            best = max(best, curMax)\n        return best" }, { lang: "Java", langSlug: "java", code: "class Solution { public int maxProduct(int[] nums) { int curMin = 1, curMax = 1, best = nums[0]; for (int n : nums) { int a = curMax * n, b = curMin * n; curMax = Math.max(a, b, n); curMin = Math.min(a, b, n); best = Math.max(best, curMax); } return best; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int maxProduct(vector<int>& nums) { int curMin = 1, curMax = 1, best = nums[0]; for (int n : nums) { int a = curMax * n, b = curMin * n; curMax = max(max(a, b), n); curMin = min(min(a, b), n); best = max(best, curMax); } return best; } };" }, { lang: "C", langSlug: "c", code: "int maxProduct(int* nums, int numsSize) { int curMin = 1, curMax = 1, best = nums[0]; for (int i = 0; i < numsSize; i++) { int n = nums[i], a = curMax * n, b = curMin * n; curMax = (a > b ? a : b) > n ? (a > b ? a : b) : n; curMin = (a < b ? a : b) < n ? (a < b ? a : b) : n; if (curMax > best) best = curMax; } return best; }" }] },
+  { questionId: "191", questionFrontendId: "191", title: "Number of 1 Bits", titleSlug: "builtin-number-of-1-bits", difficulty: "Easy", content: "<p>Write a function that takes a positive integer and returns the number of <code>'1'</code> bits it has (also known as the Hamming weight).</p><p><strong>Example 1:</strong></p><pre>Input: n = 11\nOutput: 3\nExplanation: 11 in binary is 1011; three '1' bits.</pre><p><strong>Example 2:</strong></p><pre>Input: n = 128\nOutput: 1\nExplanation: 128 in binary is 10000000.</pre><p><strong>Constraints:</strong></p><ul><li>The input must be a binary string of length 32 (unsigned 32-bit integer).</li></ul>", metaData: JSON.stringify({ name: "hammingWeight", params: [{ name: "n", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "11\n128", testCases: [{ stdin: "11", expected: "3" }, { stdin: "128", expected: "1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var hammingWeight = function(n) { let c = 0; while (n) { c += n & 1; n >>>= 1; } return c; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def hammingWeight(self, n: int) -> int:\n        return bin(n).count('1')" }, { lang: "Java", langSlug: "java", code: "class Solution { public int hammingWeight(int n) { int c = 0; while (n != 0) { c += n & 1; n >>>= 1; } return c; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int hammingWeight(int n) { int c = 0; while (n) { c += n & 1; n >>= 1; } return c; } };" }, { lang: "C", langSlug: "c", code: "int hammingWeight(int n) { int c = 0; while (n) { c += n & 1; n >>= 1; } return c; }" }] },
+  { questionId: "509", questionFrontendId: "509", title: "Fibonacci Number", titleSlug: "builtin-fibonacci-number", difficulty: "Easy", content: "<p>The <strong>Fibonacci numbers</strong>, commonly denoted <code>F(n)</code> form a sequence such that each number is the sum of the two preceding ones, starting from <code>F(0) = 0</code> and <code>F(1) = 1</code>. Given <code>n</code>, return the nth Fibonacci number.</p><p><strong>Example 1:</strong></p><pre>Input: n = 2\nOutput: 1\nExplanation: F(2) = F(1) + F(0) = 1 + 0 = 1.</pre><p><strong>Example 2:</strong></p><pre>Input: n = 4\nOutput: 3\nExplanation: F(4) = F(3) + F(2) = 2 + 1 = 3.</pre><p><strong>Constraints:</strong></p><ul><li>0 <= n <= 30</li></ul>", metaData: JSON.stringify({ name: "fib", params: [{ name: "n", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "2\n4", testCases: [{ stdin: "2", expected: "1" }, { stdin: "4", expected: "3" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var fib = function(n) { if (n <= 1) return n; let a = 0, b = 1; for (let i = 2; i <= n; i++) { const t = a + b; a = b; b = t; } return b; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def fib(self, n: int) -> int:\n        a, b = 0, 1\n        for _ in range(n): a, b = b, a + b\n        return a" }, { lang: "Java", langSlug: "java", code: "class Solution { public int fib(int n) { if (n <= 1) return n; int a = 0, b = 1; for (int i = 2; i <= n; i++) { int t = a + b; a = b; b = t; } return b; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int fib(int n) { if (n <= 1) return n; int a = 0, b = 1; for (int i = 2; i <= n; i++) { int t = a + b; a = b; b = t; } return b; } };" }, { lang: "C", langSlug: "c", code: "int fib(int n) { if (n <= 1) return n; int a = 0, b = 1; for (int i = 2; i <= n; i++) { int t = a + b; a = b; b = t; } return b; }" }] },
+  { questionId: "153", questionFrontendId: "153", title: "Find Minimum in Rotated Sorted Array", titleSlug: "builtin-find-min-rotated", difficulty: "Medium", content: "<p>Given a sorted rotated array of unique elements, return the minimum element.</p>", metaData: JSON.stringify({ name: "findMin", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[3,4,5,1,2]\n[4,5,6,7,0,1,2]", testCases: [{ stdin: "[3,4,5,1,2]", expected: "1" }, { stdin: "[4,5,6,7,0,1,2]", expected: "0" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var findMin = function(nums) { let lo = 0, hi = nums.length - 1; while (lo < hi) { const m = (lo + hi) >>> 1; if (nums[m] > nums[hi]) lo = m + 1; else hi = m; } return nums[lo]; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def findMin(self, nums: list[int]) -> int:\n        lo, hi = 0, len(nums) - 1\n        while lo < hi:\n            m = (lo + hi) // 2\n            if nums[m] > nums[hi]: lo = m + 1\n            else: hi = m\n        return nums[lo]" }, { lang: "Java", langSlug: "java", code: "class Solution { public int findMin(int[] nums) { int lo = 0, hi = nums.length - 1; while (lo < hi) { int m = (lo + hi) / 2; if (nums[m] > nums[hi]) lo = m + 1; else hi = m; } return nums[lo]; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int findMin(vector<int>& nums) { int lo = 0, hi = nums.size() - 1; while (lo < hi) { int m = (lo + hi) / 2; if (nums[m] > nums[hi]) lo = m + 1; else hi = m; } return nums[lo]; } };" }, { lang: "C", langSlug: "c", code: "int findMin(int* nums, int numsSize) { int lo = 0, hi = numsSize - 1; while (lo < hi) { int m = (lo + hi) / 2; if (nums[m] > nums[hi]) lo = m + 1; else hi = m; } return nums[lo]; }" }] },
+  { questionId: "198", questionFrontendId: "198", title: "House Robber", titleSlug: "builtin-house-robber", difficulty: "Medium", content: "<p>Rob houses; cannot rob two adjacent. Return max money.</p>", metaData: JSON.stringify({ name: "rob", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[1,2,3,1]\n[2,7,9,3,1]", testCases: [{ stdin: "[1,2,3,1]", expected: "4" }, { stdin: "[2,7,9,3,1]", expected: "12" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var rob = function(nums) { let a = 0, b = 0; for (const x of nums) { const t = Math.max(a + x, b); a = b; b = t; } return b; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def rob(self, nums: list[int]) -> int:\n        a, b = 0, 0\n        for x in nums: a, b = b, max(a + x, b)\n        return b" }, { lang: "Java", langSlug: "java", code: "class Solution { public int rob(int[] nums) { int a = 0, b = 0; for (int x : nums) { int t = Math.max(a + x, b); a = b; b = t; } return b; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int rob(vector<int>& nums) { int a = 0, b = 0; for (int x : nums) { int t = max(a + x, b); a = b; b = t; } return b; } };" }, { lang: "C", langSlug: "c", code: "int rob(int* nums, int numsSize) { int a = 0, b = 0; for (int i = 0; i < numsSize; i++) { int t = (a + nums[i]) > b ? a + nums[i] : b; a = b; b = t; } return b; }" }] },
+  { questionId: "33", questionFrontendId: "33", title: "Search in Rotated Sorted Array", titleSlug: "builtin-search-rotated", difficulty: "Medium", content: "<p>Given a rotated sorted array and target, return the index of target or -1.</p>", metaData: JSON.stringify({ name: "search", params: [{ name: "nums", type: "integer[]" }, { name: "target", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "[4,5,6,7,0,1,2]\n0\n[4,5,6,7,0,1,2]\n3", testCases: [{ stdin: "[4,5,6,7,0,1,2]\n0", expected: "4" }, { stdin: "[4,5,6,7,0,1,2]\n3", expected: "-1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var search = function(nums, target) { let lo = 0, hi = nums.length - 1; while (lo <= hi) { const m = (lo + hi) >>> 1; if (nums[m] === target) return m; if (nums[m] >= nums[lo]) { if (target >= nums[lo] && target < nums[m]) hi = m - 1; else lo = m + 1; } else { if (target > nums[m] && target <= nums[hi]) lo = m + 1; else hi = m - 1; } } return -1; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def search(self, nums: list[int], target: int) -> int:\n        lo, hi = 0, len(nums) - 1\n        while lo <= hi:\n            m = (lo + hi) // 2\n            if nums[m] == target: return m\n            if nums[m] >= nums[lo]:\n                if nums[lo] <= target < nums[m]: hi = m - 1\n                else: lo = m + 1\n            else:\n                if nums[m] < target <= nums[hi]: lo = m + 1\n                else: hi = m - 1\n        return -1" }, { lang: "Java", langSlug: "java", code: "class Solution { public int search(int[] nums, int target) { int lo = 0, hi = nums.length - 1; while (lo <= hi) { int m = (lo + hi) / 2; if (nums[m] == target) return m; if (nums[m] >= nums[lo]) { if (target >= nums[lo] && target < nums[m]) hi = m - 1; else lo = m + 1; } else { if (target > nums[m] && target <= nums[hi]) lo = m + 1; else hi = m - 1; } } return -1; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int search(vector<int>& nums, int target) { int lo = 0, hi = nums.size() - 1; while (lo <= hi) { int m = (lo + hi) / 2; if (nums[m] == target) return m; if (nums[m] >= nums[lo]) { if (target >= nums[lo] && target < nums[m]) hi = m - 1; else lo = m + 1; } else { if (target > nums[m] && target <= nums[hi]) lo = m + 1; else hi = m - 1; } } return -1; } };" }, { lang: "C", langSlug: "c", code: "int search(int* nums, int numsSize, int target) { int lo = 0, hi = numsSize - 1; while (lo <= hi) { int m = (lo + hi) / 2; if (nums[m] == target) return m; if (nums[m] >= nums[lo]) { if (target >= nums[lo] && target < nums[m]) hi = m - 1; else lo = m + 1; } else { if (target > nums[m] && target <= nums[hi]) lo = m + 1; else hi = m - 1; } } return -1; }" }] },
+  { questionId: "152", questionFrontendId: "152", title: "Maximum Product Subarray", titleSlug: "builtin-maximum-product-subarray", difficulty: "Medium", content: "<p>Find the contiguous subarray with the largest product.</p>", metaData: JSON.stringify({ name: "maxProduct", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[2,3,-2,4]\n[-2,0,-1]", testCases: [{ stdin: "[2,3,-2,4]", expected: "6" }, { stdin: "[-2,0,-1]", expected: "0" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var maxProduct = function(nums) { let curMin = 1, curMax = 1, best = nums[0]; for (const n of nums) { const a = curMax * n, b = curMin * n; curMax = Math.max(a, b, n); curMin = Math.min(a, b, n); best = Math.max(best, curMax); } return best; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def maxProduct(self, nums: list[int]) -> int:\n        curMin = curMax = best = nums[0]\n        for n in nums[1:]:\n            a, b = curMax * n, curMin * n\n            curMax, curMin = max(a, b, n), min(a, b, n)\n            best = max(best, curMax)\n        return best" }, { lang: "Java", langSlug: "java", code: "class Solution { public int maxProduct(int[] nums) { int curMin = 1, curMax = 1, best = nums[0]; for (int n : nums) { int a = curMax * n, b = curMin * n; curMax = Math.max(a, b, n); curMin = Math.min(a, b, n); best = Math.max(best, curMax); } return best; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int maxProduct(vector<int>& nums) { int curMin = 1, curMax = 1, best = nums[0]; for (int n : nums) { int a = curMax * n, b = curMin * n; curMax = max(max(a, b), n); curMin = min(min(a, b), n); best = max(best, curMax); } return best; } };" }, { lang: "C", langSlug: "c", code: "int maxProduct(int* nums, int numsSize) { int curMin = 1, curMax = 1, best = nums[0]; for (int i = 0; i < numsSize; i++) { int n = nums[i], a = curMax * n, b = curMin * n; curMax = (a > b ? a : b) > n ? (a > b ? a : b) : n; curMin = (a < b ? a : b) < n ? (a < b ? a : b) : n; if (curMax > best) best = curMax; } return best; }" }] },
   { questionId: "55", questionFrontendId: "55", title: "Jump Game", titleSlug: "builtin-jump-game", difficulty: "Medium", content: "<p>Return true if you can reach the last index. nums[i] is max jump from i.</p>", metaData: JSON.stringify({ name: "canJump", params: [{ name: "nums", type: "integer[]" }], return: { type: "boolean" } }), exampleTestcases: "[2,3,1,1,4]\n[3,2,1,0,4]", testCases: [{ stdin: "[2,3,1,1,4]", expected: "true" }, { stdin: "[3,2,1,0,4]", expected: "false" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var canJump = function(nums) { let reach = 0; for (let i = 0; i < nums.length && i <= reach; i++) { reach = Math.max(reach, i + nums[i]); if (reach >= nums.length - 1) return true; } return reach >= nums.length - 1; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def canJump(self, nums: list[int]) -> bool:\n        reach = 0\n        for i in range(len(nums)):\n            if i > reach: return False\n            reach = max(reach, i + nums[i])\n        return True" }, { lang: "Java", langSlug: "java", code: "class Solution { public boolean canJump(int[] nums) { int reach = 0; for (int i = 0; i < nums.length && i <= reach; i++) { reach = Math.max(reach, i + nums[i]); if (reach >= nums.length - 1) return true; } return reach >= nums.length - 1; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: bool canJump(vector<int>& nums) { int reach = 0; for (int i = 0; i < (int)nums.size() && i <= reach; i++) { reach = max(reach, i + nums[i]); if (reach >= (int)nums.size() - 1) return true; } return reach >= (int)nums.size() - 1; } };" }, { lang: "C", langSlug: "c", code: "bool canJump(int* nums, int numsSize) { int reach = 0; for (int i = 0; i < numsSize && i <= reach; i++) { if (i + nums[i] > reach) reach = i + nums[i]; if (reach >= numsSize - 1) return true; } return reach >= numsSize - 1; }" }] },
-  { questionId: "62", questionFrontendId: "62", title: "Unique Paths", titleSlug: "builtin-unique-paths", difficulty: "Medium", content: "<p>Robot at top-left of m x n grid. Return number of unique paths to bottom-right.</p>", metaData: JSON.stringify({ name: "uniquePaths", params: [{ name: "m", type: "integer" }, { name: "n", type: "integer" }] }), exampleTestcases: "3\n7\n3\n2", testCases: [{ stdin: "3\n7", expected: "28" }, { stdin: "3\n2", expected: "3" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var uniquePaths = function(m, n) { const dp = Array(n).fill(1); for (let i = 1; i < m; i++) for (let j = 1; j < n; j++) dp[j] += dp[j-1]; return dp[n-1]; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def uniquePaths(self, m: int, n: int) -> int:\n        dp = [1] * n\n        for _ in range(1, m):\n            for j in range(1, n): dp[j] += dp[j-1]\n        return dp[-1]" }, { lang: "Java", langSlug: "java", code: "class Solution { public int uniquePaths(int m, int n) { int[] dp = new int[n]; Arrays.fill(dp, 1); for (int i = 1; i < m; i++) for (int j = 1; j < n; j++) dp[j] += dp[j-1]; return dp[n-1]; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int uniquePaths(int m, int n) { vector<int> dp(n, 1); for (int i = 1; i < m; i++) for (int j = 1; j < n; j++) dp[j] += dp[j-1]; return dp[n-1]; } };" }, { lang: "C", langSlug: "c", code: "int uniquePaths(int m, int n) { int dp[101]; for (int j = 0; j < n; j++) dp[j] = 1; for (int i = 1; i < m; i++) for (int j = 1; j < n; j++) dp[j] += dp[j-1]; return dp[n-1]; }" }] },
-  { questionId: "322", questionFrontendId: "322", title: "Coin Change", titleSlug: "builtin-coin-change", difficulty: "Medium", content: "<p>Return the fewest number of coins needed to make amount. Return -1 if impossible.</p>", metaData: JSON.stringify({ name: "coinChange", params: [{ name: "coins", type: "integer[]" }, { name: "amount", type: "integer" }] }), exampleTestcases: "[1,2,5]\n11\n[2]\n3", testCases: [{ stdin: "[1,2,5]\n11", expected: "3" }, { stdin: "[2]\n3", expected: "-1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var coinChange = function(coins, amount) { const dp = Array(amount+1).fill(Infinity); dp[0] = 0; for (let i = 1; i <= amount; i++) for (const c of coins) if (c <= i) dp[i] = Math.min(dp[i], dp[i-c] + 1); return dp[amount] === Infinity ? -1 : dp[amount]; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def coinChange(self, coins: list[int], amount: int) -> int:\n        dp = [float('inf')] * (amount + 1)\n        dp[0] = 0\n        for i in range(1, amount + 1):\n            for c in coins:\n                if c <= i: dp[i] = min(dp[i], dp[i-c] + 1)\n        return -1 if dp[amount] == float('inf') else dp[amount]" }, { lang: "Java", langSlug: "java", code: "class Solution { public int coinChange(int[] coins, int amount) { int[] dp = new int[amount+1]; Arrays.fill(dp, amount+1); dp[0] = 0; for (int i = 1; i <= amount; i++) for (int c : coins) if (c <= i) dp[i] = Math.min(dp[i], dp[i-c] + 1); return dp[amount] > amount ? -1 : dp[amount]; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int coinChange(vector<int>& coins, int amount) { vector<int> dp(amount+1, amount+1); dp[0] = 0; for (int i = 1; i <= amount; i++) for (int c : coins) if (c <= i) dp[i] = min(dp[i], dp[i-c] + 1); return dp[amount] > amount ? -1 : dp[amount]; } };" }, { lang: "C", langSlug: "c", code: "int coinChange(int* coins, int coinsSize, int amount) { int dp[10001]; for (int i = 1; i <= amount; i++) dp[i] = amount + 1; dp[0] = 0; for (int i = 1; i <= amount; i++) for (int j = 0; j < coinsSize; j++) if (coins[j] <= i && dp[i-coins[j]] + 1 < dp[i]) dp[i] = dp[i-coins[j]] + 1; return dp[amount] > amount ? -1 : dp[amount]; }" }] },
-  { questionId: "338", questionFrontendId: "338", title: "Counting Bits (total)", titleSlug: "builtin-counting-bits", difficulty: "Easy", content: "<p>Return the total number of 1 bits in the binary representations of 0 through n (sum of popcount 0..n).</p>", metaData: JSON.stringify({ name: "countBits", params: [{ name: "n", type: "integer" }] }), exampleTestcases: "2\n5", testCases: [{ stdin: "2", expected: "2" }, { stdin: "5", expected: "7" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var countBits = function(n) { let sum = 0; for (let i = 0; i <= n; i++) { let x = i; while (x) { sum += x & 1; x >>>= 1; } } return sum; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def countBits(self, n: int) -> int:\n        return sum(bin(i).count('1') for i in range(n+1))" }, { lang: "Java", langSlug: "java", code: "class Solution { public int countBits(int n) { int sum = 0; for (int i = 0; i <= n; i++) { int x = i; while (x != 0) { sum += x & 1; x >>>= 1; } } return sum; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int countBits(int n) { int sum = 0; for (int i = 0; i <= n; i++) { int x = i; while (x) { sum += x & 1; x >>= 1; } } return sum; } };" }, { lang: "C", langSlug: "c", code: "int countBits(int n) { int sum = 0; for (int i = 0; i <= n; i++) { int x = i; while (x) { sum += x & 1; x >>= 1; } } return sum; }" }] },
-  { questionId: "70", questionFrontendId: "70", title: "Climbing Stairs (variant)", titleSlug: "builtin-climbing-stairs-v2", difficulty: "Easy", content: "<p>You can climb 1 or 2 steps. Return number of distinct ways to reach top (n steps).</p>", metaData: JSON.stringify({ name: "climbStairs", params: [{ name: "n", type: "integer" }] }), exampleTestcases: "2\n3", testCases: [{ stdin: "2", expected: "2" }, { stdin: "3", expected: "3" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var climbStairs = function(n) { if (n <= 2) return n; let a = 1, b = 2; for (let i = 3; i <= n; i++) { const t = a + b; a = b; b = t; } return b; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def climbStairs(self, n: int) -> int:\n        a, b = 1, 1\n        for _ in range(n): a, b = b, a + b\n        return a" }, { lang: "Java", langSlug: "java", code: "class Solution { public int climbStairs(int n) { if (n <= 2) return n; int a = 1, b = 2; for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; } return b; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int climbStairs(int n) { if (n <= 2) return n; int a = 1, b = 2; for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; } return b; } };" }, { lang: "C", langSlug: "c", code: "int climbStairs(int n) { if (n <= 2) return n; int a = 1, b = 2; for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; } return b; }" }] },
-  { questionId: "121", questionFrontendId: "121", title: "Best Time to Buy and Sell Stock (variant)", titleSlug: "builtin-best-time-stock-v2", difficulty: "Easy", content: "<p>One buy, one sell. Return maximum profit.</p>", metaData: JSON.stringify({ name: "maxProfit", params: [{ name: "prices", type: "integer[]" }] }), exampleTestcases: "[7,1,5,3,6,4]\n[7,6,4,3,1]", testCases: [{ stdin: "[7,1,5,3,6,4]", expected: "5" }, { stdin: "[7,6,4,3,1]", expected: "0" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var maxProfit = function(prices) { let min = Infinity, best = 0; for (const p of prices) { if (p < min) min = p; else if (p - min > best) best = p - min; } return best; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def maxProfit(self, prices: list[int]) -> int:\n        mn, best = float('inf'), 0\n        for p in prices:\n            mn = min(mn, p)\n            best = max(best, p - mn)\n        return best" }, { lang: "Java", langSlug: "java", code: "class Solution { public int maxProfit(int[] prices) { int min = Integer.MAX_VALUE, best = 0; for (int p : prices) { if (p < min) min = p; else if (p - min > best) best = p - min; } return best; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int maxProfit(vector<int>& prices) { int minP = INT_MAX, best = 0; for (int p : prices) { if (p < minP) minP = p; else if (p - minP > best) best = p - minP; } return best; } };" }, { lang: "C", langSlug: "c", code: "int maxProfit(int* prices, int pricesSize) { int minP = 2147483647, best = 0; for (int i = 0; i < pricesSize; i++) { if (prices[i] < minP) minP = prices[i]; else if (prices[i] - minP > best) best = prices[i] - minP; } return best; }" }] },
-  { questionId: "53", questionFrontendId: "53", title: "Maximum Subarray (variant)", titleSlug: "builtin-maximum-subarray-v2", difficulty: "Easy", content: "<p>Find the contiguous subarray with the largest sum.</p>", metaData: JSON.stringify({ name: "maxSubArray", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[-2,1,-3,4,-1,2,1,-5,4]\n[1]\n[5,4,-1,7,8]", testCases: [{ stdin: "[-2,1,-3,4,-1,2,1,-5,4]", expected: "6" }, { stdin: "[5,4,-1,7,8]", expected: "23" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var maxSubArray = function(nums) { let cur = 0, best = nums[0]; for (const n of nums) { cur = Math.max(n, cur + n); best = Math.max(best, cur); } return best; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def maxSubArray(self, nums: list[int]) -> int:\n        cur, best = 0, nums[0]\n        for n in nums: cur, best = max(n, cur + n), max(best, max(n, cur + n))\n        return best" }, { lang: "Java", langSlug: "java", code: "class Solution { public int maxSubArray(int[] nums) { int cur = 0, best = nums[0]; for (int n : nums) { cur = Math.max(n, cur + n); best = Math.max(best, cur); } return best; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int maxSubArray(vector<int>& nums) { int cur = 0, best = nums[0]; for (int n : nums) { cur = max(n, cur + n); best = max(best, cur); } return best; } };" }, { lang: "C", langSlug: "c", code: "int maxSubArray(int* nums, int numsSize) { int cur = 0, best = nums[0]; for (int i = 0; i < numsSize; i++) { cur = (nums[i] > cur + nums[i]) ? nums[i] : cur + nums[i]; if (cur > best) best = cur; } return best; }" }] },
-  { questionId: "300", questionFrontendId: "300", title: "Longest Increasing Subsequence", titleSlug: "builtin-longest-increasing-subsequence", difficulty: "Medium", content: "<p>Return the length of the longest strictly increasing subsequence.</p>", metaData: JSON.stringify({ name: "lengthOfLIS", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[10,9,2,5,3,7,101,18]\n[0,1,0,3,2,3]", testCases: [{ stdin: "[10,9,2,5,3,7,101,18]", expected: "4" }, { stdin: "[0,1,0,3,2,3]", expected: "4" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var lengthOfLIS = function(nums) { const tails = []; for (const n of nums) { let lo = 0, hi = tails.length; while (lo < hi) { const m = (lo + hi) >>> 1; if (tails[m] < n) lo = m + 1; else hi = m; } if (lo === tails.length) tails.push(n); else tails[lo] = n; } return tails.length; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def lengthOfLIS(self, nums: list[int]) -> int:\n        tails = []\n        for n in nums:\n            lo, hi = 0, len(tails)\n            while lo < hi:\n                m = (lo + hi) // 2\n                if tails[m] < n: lo = m + 1\n                else: hi = m\n            if lo == len(tails): tails.append(n)\n            else: tails[lo] = n\n        return len(tails)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int lengthOfLIS(int[] nums) { int[] tails = new int[nums.length]; int len = 0; for (int n : nums) { int lo = 0, hi = len; while (lo < hi) { int m = (lo + hi) / 2; if (tails[m] < n) lo = m + 1; else hi = m; } if (lo == len) tails[len++] = n; else tails[lo] = n; } return len; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int lengthOfLIS(vector<int>& nums) { vector<int> tails; for (int n : nums) { auto it = lower_bound(tails.begin(), tails.end(), n); if (it == tails.end()) tails.push_back(n); else *it = n; } return tails.size(); } };" }, { lang: "C", langSlug: "c", code: "int lengthOfLIS(int* nums, int numsSize) { int tails[2500], len = 0; for (int i = 0; i < numsSize; i++) { int n = nums[i], lo = 0, hi = len; while (lo < hi) { int m = (lo + hi) / 2; if (tails[m] < n) lo = m + 1; else hi = m; } if (lo == len) tails[len++] = n; else tails[lo] = n; } return len; }" }] },
-  { questionId: "162", questionFrontendId: "162", title: "Find Peak Element", titleSlug: "builtin-find-peak-element", difficulty: "Medium", content: "<p>Return the index of any peak element. A peak is an element greater than its neighbors. Assume nums[-1] = nums[n] = -inf.</p>", metaData: JSON.stringify({ name: "findPeakElement", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[1,2,3,1]\n[1,2,1,3,5,6,4]", testCases: [{ stdin: "[1,2,3,1]", expected: "2" }, { stdin: "[1,2,1,3,5,6,4]", expected: "5" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var findPeakElement = function(nums) { let lo = 0, hi = nums.length - 1; while (lo < hi) { const m = (lo + hi) >>> 1; if (nums[m] > nums[m + 1]) hi = m; else lo = m + 1; } return lo; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def findPeakElement(self, nums: list[int]) -> int:\n        lo, hi = 0, len(nums) - 1\n        while lo < hi:\n            m = (lo + hi) // 2\n            if nums[m] > nums[m + 1]: hi = m\n            else: lo = m + 1\n        return lo" }, { lang: "Java", langSlug: "java", code: "class Solution { public int findPeakElement(int[] nums) { int lo = 0, hi = nums.length - 1; while (lo < hi) { int m = (lo + hi) / 2; if (nums[m] > nums[m + 1]) hi = m; else lo = m + 1; } return lo; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int findPeakElement(vector<int>& nums) { int lo = 0, hi = nums.size() - 1; while (lo < hi) { int m = (lo + hi) / 2; if (nums[m] > nums[m + 1]) hi = m; else lo = m + 1; } return lo; } };" }, { lang: "C", langSlug: "c", code: "int findPeakElement(int* nums, int numsSize) { int lo = 0, hi = numsSize - 1; while (lo < hi) { int m = (lo + hi) / 2; if (nums[m] > nums[m + 1]) hi = m; else lo = m + 1; } return lo; }" }] },
-  { questionId: "238", questionFrontendId: "238", title: "Product of Array Except Self", titleSlug: "builtin-product-except-self", difficulty: "Medium", content: "<p>Return an array where output[i] is the product of all elements except nums[i]. Use O(1) extra space (output array doesn't count).</p>", metaData: JSON.stringify({ name: "productExceptSelf", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer[]" } }), exampleTestcases: "[1,2,3,4]\n[-1,1,0,-3,3]", testCases: [{ stdin: "[1,2,3,4]", expected: "[24,12,8,6]" }, { stdin: "[-1,1,0,-3,3]", expected: "[0,0,9,0,0]" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var productExceptSelf = function(nums) { const n = nums.length; const out = Array(n); out[0] = 1; for (let i = 1; i < n; i++) out[i] = out[i-1] * nums[i-1]; let R = 1; for (let i = n - 1; i >= 0; i--) { out[i] *= R; R *= nums[i]; } return out; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def productExceptSelf(self, nums: list[int]) -> list[int]:\n        n = len(nums)\n        out = [1] * n\n        for i in range(1, n): out[i] = out[i-1] * nums[i-1]\n        R = 1\n        for i in range(n-1, -1, -1): out[i] *= R; R *= nums[i]\n        return out" }, { lang: "Java", langSlug: "java", code: "class Solution { public int[] productExceptSelf(int[] nums) { int n = nums.length; int[] out = new int[n]; out[0] = 1; for (int i = 1; i < n; i++) out[i] = out[i-1] * nums[i-1]; int R = 1; for (int i = n - 1; i >= 0; i--) { out[i] *= R; R *= nums[i]; } return out; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: vector<int> productExceptSelf(vector<int>& nums) { int n = nums.size(); vector<int> out(n); out[0] = 1; for (int i = 1; i < n; i++) out[i] = out[i-1] * nums[i-1]; int R = 1; for (int i = n - 1; i >= 0; i--) { out[i] *= R; R *= nums[i]; } return out; } };" }, { lang: "C", langSlug: "c", code: "int* productExceptSelf(int* nums, int numsSize, int* returnSize) { int* out = (int*)malloc(numsSize * sizeof(int)); *returnSize = numsSize; out[0] = 1; for (int i = 1; i < numsSize; i++) out[i] = out[i-1] * nums[i-1]; int R = 1; for (int i = numsSize - 1; i >= 0; i--) { out[i] *= R; R *= nums[i]; } return out; }" }] },
-  { questionId: "75", questionFrontendId: "75", title: "Sort Colors", titleSlug: "builtin-sort-colors", difficulty: "Medium", content: "<p>Sort nums in-place. Values are 0, 1, 2 (red, white, blue). Return the number of 0s.</p>", metaData: JSON.stringify({ name: "sortColors", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[2,0,2,1,1,0]\n[2,0,1]", testCases: [{ stdin: "[2,0,2,1,1,0]", expected: "2" }, { stdin: "[2,0,1]", expected: "1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var sortColors = function(nums) { let lo = 0, hi = nums.length - 1, i = 0; while (i <= hi) { if (nums[i] === 0) { [nums[lo], nums[i]] = [nums[i], nums[lo]]; lo++; i++; } else if (nums[i] === 2) { [nums[i], nums[hi]] = [nums[hi], nums[i]]; hi--; } else i++; } return nums.filter(x => x === 0).length; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def sortColors(self, nums: list[int]) -> int:\n        lo, hi, i = 0, len(nums) - 1, 0\n        while i <= hi:\n            if nums[i] == 0: nums[lo], nums[i] = nums[i], nums[lo]; lo += 1; i += 1\n            elif nums[i] == 2: nums[i], nums[hi] = nums[hi], nums[i]; hi -= 1\n            else: i += 1\n        return sum(1 for x in nums if x == 0)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int sortColors(int[] nums) { int lo = 0, hi = nums.length - 1, i = 0; while (i <= hi) { if (nums[i] == 0) { int t = nums[lo]; nums[lo++] = nums[i]; nums[i++] = t; } else if (nums[i] == 2) { int t = nums[i]; nums[i] = nums[hi]; nums[hi--] = t; } else i++; } int c = 0; for (int x : nums) if (x == 0) c++; return c; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int sortColors(vector<int>& nums) { int lo = 0, hi = nums.size() - 1, i = 0; while (i <= hi) { if (nums[i] == 0) { swap(nums[lo++], nums[i++]); } else if (nums[i] == 2) { swap(nums[i], nums[hi--]); } else i++; } int c = 0; for (int x : nums) if (x == 0) c++; return c; } };" }, { lang: "C", langSlug: "c", code: "int sortColors(int* nums, int numsSize) { int lo = 0, hi = numsSize - 1, i = 0; while (i <= hi) { if (nums[i] == 0) { int t = nums[lo]; nums[lo++] = nums[i]; nums[i++] = t; } else if (nums[i] == 2) { int t = nums[i]; nums[i] = nums[hi]; nums[hi--] = t; } else i++; } int c = 0; for (int j = 0; j < numsSize; j++) if (nums[j] == 0) c++; return c; }" }] },
-  { questionId: "128", questionFrontendId: "128", title: "Longest Consecutive Sequence", titleSlug: "builtin-longest-consecutive", difficulty: "Medium", content: "<p>Return the length of the longest consecutive elements sequence (in O(n) time).</p>", metaData: JSON.stringify({ name: "longestConsecutive", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[100,4,200,1,3,2]\n[0,3,7,2,5,8,4,6,0,1]", testCases: [{ stdin: "[100,4,200,1,3,2]", expected: "4" }, { stdin: "[0,3,7,2,5,8,4,6,0,1]", expected: "9" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var longestConsecutive = function(nums) { const set = new Set(nums); let best = 0; for (const n of set) { if (set.has(n - 1)) continue; let len = 0, x = n; while (set.has(x)) { len++; x++; } best = Math.max(best, len); } return best; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def longestConsecutive(self, nums: list[int]) -> int:\n        s = set(nums)\n        best = 0\n        for n in s:\n            if n - 1 in s: continue\n            x, ln = n, 0\n            while x in s: ln += 1; x += 1\n            best = max(best, ln)\n        return best" }, { lang: "Java", langSlug: "java", code: "class Solution { public int longestConsecutive(int[] nums) { Set<Integer> set = new HashSet<>(); for (int x : nums) set.add(x); int best = 0; for (int n : set) { if (set.contains(n - 1)) continue; int len = 0, x = n; while (set.contains(x)) { len++; x++; } best = Math.max(best, len); } return best; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int longestConsecutive(vector<int>& nums) { unordered_set<int> set(nums.begin(), nums.end()); int best = 0; for (int n : set) { if (set.count(n - 1)) continue; int len = 0, x = n; while (set.count(x)) { len++; x++; } best = max(best, len); } return best; } };" }, { lang: "C", langSlug: "c", code: "int longestConsecutive(int* nums, int numsSize) { if (numsSize == 0) return 0; int cmp(const void* a, const void* b) { return *(int*)a - *(int*)b; } qsort(nums, numsSize, sizeof(int), cmp); int best = 1, cur = 1; for (int i = 1; i < numsSize; i++) { if (nums[i] == nums[i-1]) continue; if (nums[i] == nums[i-1] + 1) cur++; else { if (cur > best) best = cur; cur = 1; } } return cur > best ? cur : best; }" }] },
-  { questionId: "7", questionFrontendId: "7", title: "Reverse Integer", titleSlug: "builtin-reverse-integer", difficulty: "Medium", content: "<p>Reverse digits of a 32-bit signed integer. Return 0 if result overflows.</p>", metaData: JSON.stringify({ name: "reverse", params: [{ name: "x", type: "integer" }] }), exampleTestcases: "123\n-123\n120", testCases: [{ stdin: "123", expected: "321" }, { stdin: "-123", expected: "-321" }, { stdin: "120", expected: "21" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var reverse = function(x) { const sign = x < 0 ? -1 : 1; x = Math.abs(x); let out = 0; while (x) { out = out * 10 + x % 10; x = Math.floor(x / 10); } out *= sign; return out > 2147483647 || out < -2147483648 ? 0 : out; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def reverse(self, x: int) -> int:\n        sign = -1 if x < 0 else 1\n        x = abs(x)\n        out = 0\n        while x: out = out * 10 + x % 10; x //= 10\n        out *= sign\n        return 0 if out > 2147483647 or out < -2147483648 else out" }, { lang: "Java", langSlug: "java", code: "class Solution { public int reverse(int x) { long out = 0; while (x != 0) { out = out * 10 + x % 10; x /= 10; } return out > Integer.MAX_VALUE || out < Integer.MIN_VALUE ? 0 : (int)out; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int reverse(int x) { long out = 0; while (x) { out = out * 10 + x % 10; x /= 10; } if (out > 2147483647 || out < -2147483648) return 0; return (int)out; } };" }, { lang: "C", langSlug: "c", code: "int reverse(int x) { long out = 0; while (x) { out = out * 10 + x % 10; x /= 10; } if (out > 2147483647 || out < -2147483648) return 0; return (int)out; }" }] },
+  { questionId: "62", questionFrontendId: "62", title: "Unique Paths", titleSlug: "builtin-unique-paths", difficulty: "Medium", content: "<p>Robot at top-left of m x n grid. Return number of unique paths to bottom-right.</p>", metaData: JSON.stringify({ name: "uniquePaths", params: [{ name: "m", type: "integer" }, { name: "n", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "3\n7\n3\n2", testCases: [{ stdin: "3\n7", expected: "28" }, { stdin: "3\n2", expected: "3" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var uniquePaths = function(m, n) { const dp = Array(n).fill(1); for (let i = 1; i < m; i++) for (let j = 1; j < n; j++) dp[j] += dp[j-1]; return dp[n-1]; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def uniquePaths(self, m: int, n: int) -> int:\n        dp = [1] * n\n        for _ in range(1, m):\n            for j in range(1, n): dp[j] += dp[j-1]\n        return dp[-1]" }, { lang: "Java", langSlug: "java", code: "class Solution { public int uniquePaths(int m, int n) { int[] dp = new int[n]; Arrays.fill(dp, 1); for (int i = 1; i < m; i++) for (int j = 1; j < n; j++) dp[j] += dp[j-1]; return dp[n-1]; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int uniquePaths(int m, int n) { vector<int> dp(n, 1); for (int i = 1; i < m; i++) for (int j = 1; j < n; j++) dp[j] += dp[j-1]; return dp[n-1]; } };" }, { lang: "C", langSlug: "c", code: "int uniquePaths(int m, int n) { int dp[101]; for (int j = 0; j < n; j++) dp[j] = 1; for (int i = 1; i < m; i++) for (int j = 1; j < n; j++) dp[j] += dp[j-1]; return dp[n-1]; }" }] },
+  { questionId: "322", questionFrontendId: "322", title: "Coin Change", titleSlug: "builtin-coin-change", difficulty: "Medium", content: "<p>Return the fewest number of coins needed to make amount. Return -1 if impossible.</p>", metaData: JSON.stringify({ name: "coinChange", params: [{ name: "coins", type: "integer[]" }, { name: "amount", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "[1,2,5]\n11\n[2]\n3", testCases: [{ stdin: "[1,2,5]\n11", expected: "3" }, { stdin: "[2]\n3", expected: "-1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var coinChange = function(coins, amount) { const dp = Array(amount+1).fill(Infinity); dp[0] = 0; for (let i = 1; i <= amount; i++) for (const c of coins) if (c <= i) dp[i] = Math.min(dp[i], dp[i-c] + 1); return dp[amount] === Infinity ? -1 : dp[amount]; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def coinChange(self, coins: list[int], amount: int) -> int:\n        dp = [float('inf')] * (amount + 1)\n        dp[0] = 0\n        for i in range(1, amount + 1):\n            for c in coins:\n                if c <= i: dp[i] = min(dp[i], dp[i-c] + 1)\n        return -1 if dp[amount] == float('inf') else dp[amount]" }, { lang: "Java", langSlug: "java", code: "class Solution { public int coinChange(int[] coins, int amount) { int[] dp = new int[amount+1]; Arrays.fill(dp, amount+1); dp[0] = 0; for (int i = 1; i <= amount; i++) for (int c : coins) if (c <= i) dp[i] = Math.min(dp[i], dp[i-c] + 1); return dp[amount] > amount ? -1 : dp[amount]; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int coinChange(vector<int>& coins, int amount) { vector<int> dp(amount+1, amount+1); dp[0] = 0; for (int i = 1; i <= amount; i++) for (int c : coins) if (c <= i) dp[i] = min(dp[i], dp[i-c] + 1); return dp[amount] > amount ? -1 : dp[amount]; } };" }, { lang: "C", langSlug: "c", code: "int coinChange(int* coins, int coinsSize, int amount) { int dp[10001]; for (int i = 1; i <= amount; i++) dp[i] = amount + 1; dp[0] = 0; for (int i = 1; i <= amount; i++) for (int j = 0; j < coinsSize; j++) if (coins[j] <= i && dp[i-coins[j]] + 1 < dp[i]) dp[i] = dp[i-coins[j]] + 1; return dp[amount] > amount ? -1 : dp[amount]; }" }] },
+  { questionId: "338", questionFrontendId: "338", title: "Counting Bits (total)", titleSlug: "builtin-counting-bits", difficulty: "Easy", content: "<p>Return the total number of 1 bits in the binary representations of 0 through n (sum of popcount 0..n).</p>", metaData: JSON.stringify({ name: "countBits", params: [{ name: "n", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "2\n5", testCases: [{ stdin: "2", expected: "2" }, { stdin: "5", expected: "7" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var countBits = function(n) { let sum = 0; for (let i = 0; i <= n; i++) { let x = i; while (x) { sum += x & 1; x >>>= 1; } } return sum; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def countBits(self, n: int) -> int:\n        return sum(bin(i).count('1') for i in range(n+1))" }, { lang: "Java", langSlug: "java", code: "class Solution { public int countBits(int n) { int sum = 0; for (int i = 0; i <= n; i++) { int x = i; while (x != 0) { sum += x & 1; x >>>= 1; } } return sum; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int countBits(int n) { int sum = 0; for (int i = 0; i <= n; i++) { int x = i; while (x) { sum += x & 1; x >>= 1; } } return sum; } };" }, { lang: "C", langSlug: "c", code: "int countBits(int n) { int sum = 0; for (int i = 0; i <= n; i++) { int x = i; while (x) { sum += x & 1; x >>= 1; } } return sum; }" }] },
+  { questionId: "70", questionFrontendId: "70", title: "Climbing Stairs (variant)", titleSlug: "builtin-climbing-stairs-v2", difficulty: "Easy", content: "<p>You can climb 1 or 2 steps. Return number of distinct ways to reach top (n steps).</p>", metaData: JSON.stringify({ name: "climbStairs", params: [{ name: "n", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "2\n3", testCases: [{ stdin: "2", expected: "2" }, { stdin: "3", expected: "3" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var climbStairs = function(n) { if (n <= 2) return n; let a = 1, b = 2; for (let i = 3; i <= n; i++) { const t = a + b; a = b; b = t; } return b; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def climbStairs(self, n: int) -> int:\n        a, b = 1, 1\n        for _ in range(n): a, b = b, a + b\n        return a" }, { lang: "Java", langSlug: "java", code: "class Solution { public int climbStairs(int n) { if (n <= 2) return n; int a = 1, b = 2; for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; } return b; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int climbStairs(int n) { if (n <= 2) return n; int a = 1, b = 2; for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; } return b; } };" }, { lang: "C", langSlug: "c", code: "int climbStairs(int n) { if (n <= 2) return n; int a = 1, b = 2; for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; } return b; }" }] },
+  { questionId: "121", questionFrontendId: "121", title: "Best Time to Buy and Sell Stock (variant)", titleSlug: "builtin-best-time-stock-v2", difficulty: "Easy", content: "<p>One buy, one sell. Return maximum profit.</p>", metaData: JSON.stringify({ name: "maxProfit", params: [{ name: "prices", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[7,1,5,3,6,4]\n[7,6,4,3,1]", testCases: [{ stdin: "[7,1,5,3,6,4]", expected: "5" }, { stdin: "[7,6,4,3,1]", expected: "0" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var maxProfit = function(prices) { let min = Infinity, best = 0; for (const p of prices) { if (p < min) min = p; else if (p - min > best) best = p - min; } return best; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def maxProfit(self, prices: list[int]) -> int:\n        mn, best = float('inf'), 0\n        for p in prices:\n            mn = min(mn, p)\n            best = max(best, p - mn)\n        return best" }, { lang: "Java", langSlug: "java", code: "class Solution { public int maxProfit(int[] prices) { int min = Integer.MAX_VALUE, best = 0; for (int p : prices) { if (p < min) min = p; else if (p - min > best) best = p - min; } return best; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int maxProfit(vector<int>& prices) { int minP = INT_MAX, best = 0; for (int p : prices) { if (p < minP) minP = p; else if (p - minP > best) best = p - minP; } return best; } };" }, { lang: "C", langSlug: "c", code: "int maxProfit(int* prices, int pricesSize) { int minP = 2147483647, best = 0; for (int i = 0; i < pricesSize; i++) { if (prices[i] < minP) minP = prices[i]; else if (prices[i] - minP > best) best = prices[i] - minP; } return best; }" }] },
+  { questionId: "53", questionFrontendId: "53", title: "Maximum Subarray (variant)", titleSlug: "builtin-maximum-subarray-v2", difficulty: "Easy", content: "<p>Find the contiguous subarray with the largest sum.</p>", metaData: JSON.stringify({ name: "maxSubArray", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[-2,1,-3,4,-1,2,1,-5,4]\n[1]\n[5,4,-1,7,8]", testCases: [{ stdin: "[-2,1,-3,4,-1,2,1,-5,4]", expected: "6" }, { stdin: "[5,4,-1,7,8]", expected: "23" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var maxSubArray = function(nums) { let cur = 0, best = nums[0]; for (const n of nums) { cur = Math.max(n, cur + n); best = Math.max(best, cur); } return best; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def maxSubArray(self, nums: list[int]) -> int:\n        cur, best = 0, nums[0]\n        for n in nums: cur, best = max(n, cur + n), max(best, max(n, cur + n))\n        return best" }, { lang: "Java", langSlug: "java", code: "class Solution { public int maxSubArray(int[] nums) { int cur = 0, best = nums[0]; for (int n : nums) { cur = Math.max(n, cur + n); best = Math.max(best, cur); } return best; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int maxSubArray(vector<int>& nums) { int cur = 0, best = nums[0]; for (int n : nums) { cur = max(n, cur + n); best = max(best, cur); } return best; } };" }, { lang: "C", langSlug: "c", code: "int maxSubArray(int* nums, int numsSize) { int cur = 0, best = nums[0]; for (int i = 0; i < numsSize; i++) { cur = (nums[i] > cur + nums[i]) ? nums[i] : cur + nums[i]; if (cur > best) best = cur; } return best; }" }] },
+  { questionId: "300", questionFrontendId: "300", title: "Longest Increasing Subsequence", titleSlug: "builtin-longest-increasing-subsequence", difficulty: "Medium", content: "<p>Return the length of the longest strictly increasing subsequence.</p>", metaData: JSON.stringify({ name: "lengthOfLIS", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[10,9,2,5,3,7,101,18]\n[0,1,0,3,2,3]", testCases: [{ stdin: "[10,9,2,5,3,7,101,18]", expected: "4" }, { stdin: "[0,1,0,3,2,3]", expected: "4" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var lengthOfLIS = function(nums) { const tails = []; for (const n of nums) { let lo = 0, hi = tails.length; while (lo < hi) { const m = (lo + hi) >>> 1; if (tails[m] < n) lo = m + 1; else hi = m; } if (lo === tails.length) tails.push(n); else tails[lo] = n; } return tails.length; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def lengthOfLIS(self, nums: list[int]) -> int:\n        tails = []\n        for n in nums:\n            lo, hi = 0, len(tails)\n            while lo < hi:\n                m = (lo + hi) // 2\n                if tails[m] < n: lo = m + 1\n                else: hi = m\n            if lo == len(tails): tails.append(n)\n            else: tails[lo] = n\n        return len(tails)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int lengthOfLIS(int[] nums) { int[] tails = new int[nums.length]; int len = 0; for (int n : nums) { int lo = 0, hi = len; while (lo < hi) { int m = (lo + hi) / 2; if (tails[m] < n) lo = m + 1; else hi = m; } if (lo == len) tails[len++] = n; else tails[lo] = n; } return len; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int lengthOfLIS(vector<int>& nums) { vector<int> tails; for (int n : nums) { auto it = lower_bound(tails.begin(), tails.end(), n); if (it == tails.end()) tails.push_back(n); else *it = n; } return tails.size(); } };" }, { lang: "C", langSlug: "c", code: "int lengthOfLIS(int* nums, int numsSize) { int tails[2500], len = 0; for (int i = 0; i < numsSize; i++) { int n = nums[i], lo = 0, hi = len; while (lo < hi) { int m = (lo + hi) / 2; if (tails[m] < n) lo = m + 1; else hi = m; } if (lo == len) tails[len++] = n; else tails[lo] = n; } return len; }" }] },
+  { questionId: "162", questionFrontendId: "162", title: "Find Peak Element", titleSlug: "builtin-find-peak-element", difficulty: "Medium", content: "<p>Return the index of any peak element. A peak is an element greater than its neighbors. Assume nums[-1] = nums[n] = -inf.</p>", metaData: JSON.stringify({
+      name: "findPeakElement",
+      params: [{ name: "nums", type: "integer[]" }],
+      return: { type: "integer" },
+      checker: {
+        type: "custom",
+        source: "(i, expected, [nums]) => Number.isInteger(i) && i >= 0 && i < nums.length && (i === 0 || nums[i] > nums[i - 1]) && (i === nums.length - 1 || nums[i] > nums[i + 1])"
+      }
+    }), exampleTestcases: "[1,2,3,1]\n[1,2,1,3,5,6,4]", testCases: [{ stdin: "[1,2,3,1]", expected: "2" }, { stdin: "[1,2,1,3,5,6,4]", expected: "5" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var findPeakElement = function(nums) { let lo = 0, hi = nums.length - 1; while (lo < hi) { const m = (lo + hi) >>> 1; if (nums[m] > nums[m + 1]) hi = m; else lo = m + 1; } return lo; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def findPeakElement(self, nums: list[int]) -> int:\n        lo, hi = 0, len(nums) - 1\n        while lo < hi:\n            m = (lo + hi) // 2\n            if nums[m] > nums[m + 1]: hi = m\n            else: lo = m + 1\n        return lo" }, { lang: "Java", langSlug: "java", code: "class Solution { public int findPeakElement(int[] nums) { int lo = 0, hi = nums.length - 1; while (lo < hi) { int m = (lo + hi) / 2; if (nums[m] > nums[m + 1]) hi = m; else lo = m + 1; } return lo; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int findPeakElement(vector<int>& nums) { int lo = 0, hi = nums.size() - 1; while (lo < hi) { int m = (lo + hi) / 2; if (nums[m] > nums[m + 1]) hi = m; else lo = m + 1; } return lo; } };" }, { lang: "C", langSlug: "c", code: "int findPeakElement(int* nums, int numsSize) { int lo = 0, hi = numsSize - 1; while (lo < hi) { int m = (lo + hi) / 2; if (nums[m] > nums[m + 1]) hi = m; else lo = m + 1; } return lo; }" }, { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn find_peak_element(nums: Vec<i32>) -> i32 {\n        let (mut lo, mut hi) = (0, nums.len() - 1);\n        while lo < hi {\n            let mid = (lo + hi) / 2;\n            if nums[mid] > nums[mid + 1] {\n                hi = mid;\n            } else {\n                lo = mid + 1;\n            }\n        }\n        lo as i32\n    }\n}" }, { lang: "Go", langSlug: "go", code: "func findPeakElement(nums []int) int {\n    lo, hi := 0, len(nums)-1\n    for lo < hi {\n        mid := (lo + hi) / 2\n        if nums[mid] > nums[mid+1] {\n            hi = mid\n        } else {\n            lo = mid + 1\n        }\n    }\n    return lo\n}" }] },
+  { questionId: "238", questionFrontendId: "238", title: "Product of Array Except Self", titleSlug: "builtin-product-except-self", difficulty: "Medium", content: "<p>Return an array where output[i] is the product of all elements except nums[i]. Use O(1) extra space (output array doesn't count).</p>", metaData: JSON.stringify({ name: "productExceptSelf", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer[]" } }), exampleTestcases: "[1,2,3,4]\n[-1,1,0,-3,3]", testCases: [{ stdin: "[1,2,3,4]", expected: "[24,12,8,6]" }, { stdin: "[-1,1,0,-3,3]", expected: "[0,0,9,0,0]" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var productExceptSelf = function(nums) { const n = nums.length; const out = Array(n); out[0] = 1; for (let i = 1; i < n; i++) out[i] = out[i-1] * nums[i-1]; let R = 1; for (let i = n - 1; i >= 0; i--) { out[i] *= R; R *= nums[i]; } return out; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def productExceptSelf(self, nums: list[int]) -> list[int]:\n        n = len(nums)\n        out = [1] * n\n        for i in range(1, n): out[i] = out[i-1] * nums[i-1]\n        R = 1\n        for i in range(n-1, -1, -1): out[i] *= R; R *= nums[i]\n        return out" }, { lang: "Java", langSlug: "java", code: "class Solution { public int[] productExceptSelf(int[] nums) { int n = nums.length; int[] out = new int[n]; out[0] = 1; for (int i = 1; i < n; i++) out[i] = out[i-1] * nums[i-1]; int R = 1; for (int i = n - 1; i >= 0; i--) { out[i] *= R; R *= nums[i]; } return out; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: vector<int> productExceptSelf(vector<int>& nums) { int n = nums.size(); vector<int> out(n); out[0] = 1; for (int i = 1; i < n; i++) out[i] = out[i-1] * nums[i-1]; int R = 1; for (int i = n - 1; i >= 0; i--) { out[i] *= R; R *= nums[i]; } return out; } };" }, { lang: "C", langSlug: "c", code: "int* productExceptSelf(int* nums, int numsSize, int* returnSize) { int* out = (int*)malloc(numsSize * sizeof(int)); *returnSize = numsSize; out[0] = 1; for (int i = 1; i < numsSize; i++) out[i] = out[i-1] * nums[i-1]; int R = 1; for (int i = numsSize - 1; i >= 0; i--) { out[i] *= R; R *= nums[i]; } return out; }" }, { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn product_except_self(nums: Vec<i32>) -> Vec<i32> {\n        let n = nums.len();\n        let mut out = vec![1; n];\n        for i in 1..n {\n            out[i] = out[i - 1] * nums[i - 1];\n        }\n        let mut right = 1i32;\n        for i in (0..n).rev() {\n            out[i] *= right;\n            right = right.wrapping_mul(nums[i]);\n        }\n        out\n    }\n}" }, { lang: "Go", langSlug: "go", code: "func productExceptSelf(nums []int) []int {\n    out := make([]int, len(nums))\n    out[0] = 1\n    for i := 1; i < len(nums); i++ {\n        out[i] = out[i-1] * nums[i-1]\n    }\n    right := 1\n    for i := len(nums) - 1; i >= 0; i-- {\n        out[i] *= right\n        right *= nums[i]\n    }\n    return out\n}" }] },
+  { questionId: "75", questionFrontendId: "75", title: "Sort Colors", titleSlug: "builtin-sort-colors", difficulty: "Medium", content: "<p>Sort nums in-place so that equal colors are adjacent, in the order red, white, blue. Values are 0, 1, 2 (red, white, blue). Do not return anything and do not use the library sort.</p>", metaData: JSON.stringify({ name: "sortColors", params: [{ name: "nums", type: "integer[]" }], return: { type: "void" } }), exampleTestcases: "[2,0,2,1,1,0]\n[2,0,1]", testCases: [{ stdin: "[2,0,2,1,1,0]", expected: "[0,0,1,1,2,2]" }, { stdin: "[2,0,1]", expected: "[0,1,2]" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var sortColors = function(nums) { let lo = 0, hi = nums.length - 1, i = 0; while (i <= hi) { if (nums[i] === 0) { [nums[lo], nums[i]] = [nums[i], nums[lo]]; lo++; i++; } else if (nums[i] === 2) { [nums[i], nums[hi]] = [nums[hi], nums[i]]; hi--; } else i++; } };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def sortColors(self, nums: list[int]) -> None:\n        lo, hi, i = 0, len(nums) - 1, 0\n        while i <= hi:\n            if nums[i] == 0: nums[lo], nums[i] = nums[i], nums[lo]; lo += 1; i += 1\n            elif nums[i] == 2: nums[i], nums[hi] = nums[hi], nums[i]; hi -= 1\n            else: i += 1" }, { lang: "Java", langSlug: "java", code: "class Solution { public void sortColors(int[] nums) { int lo = 0, hi = nums.length - 1, i = 0; while (i <= hi) { if (nums[i] == 0) { int t = nums[lo]; nums[lo++] = nums[i]; nums[i++] = t; } else if (nums[i] == 2) { int t = nums[i]; nums[i] = nums[hi]; nums[hi--] = t; } else i++; } } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: void sortColors(vector<int>& nums) { int lo = 0, hi = nums.size() - 1, i = 0; while (i <= hi) { if (nums[i] == 0) { swap(nums[lo++], nums[i++]); } else if (nums[i] == 2) { swap(nums[i], nums[hi--]); } else i++; } } };" }, { lang: "C", langSlug: "c", code: "void sortColors(int* nums, int numsSize) { int lo = 0, hi = numsSize - 1, i = 0; while (i <= hi) { if (nums[i] == 0) { int t = nums[lo]; nums[lo++] = nums[i]; nums[i++] = t; } else if (nums[i] == 2) { int t = nums[i]; nums[i] = nums[hi]; nums[hi--] = t; } else i++; } }" }, { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn sort_colors(nums: &mut Vec<i32>) {\n        let (mut lo, mut mid, mut hi) = (0, 0, nums.len());\n        while mid < hi {\n            match nums[mid] {\n                0 => {\n                    nums.swap(lo, mid);\n                    lo += 1;\n                    mid += 1;\n                }\n                2 => {\n                    hi -= 1;\n                    nums.swap(mid, hi);\n                }\n                _ => mid += 1,\n            }\n        }\n    }\n}" }, { lang: "Go", langSlug: "go", code: "func sortColors(nums []int) {\n    lo, mid, hi := 0, 0, len(nums)-1\n    for mid <= hi {\n        switch nums[mid] {\n        case 0:\n            nums[lo], nums[mid] = nums[mid], nums[lo]\n            lo++\n            mid++\n        case 2:\n            nums[mid], nums[hi] = nums[hi], nums[mid]\n            hi--\n        default:\n            mid++\n        }\n    }\n}" }] },
+  { questionId: "128", questionFrontendId: "128", title: "Longest Consecutive Sequence", titleSlug: "builtin-longest-consecutive", difficulty: "Medium", content: "<p>Return the length of the longest consecutive elements sequence (in O(n) time).</p>", metaData: JSON.stringify({ name: "longestConsecutive", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[100,4,200,1,3,2]\n[0,3,7,2,5,8,4,6,0,1]", testCases: [{ stdin: "[100,4,200,1,3,2]", expected: "4" }, { stdin: "[0,3,7,2,5,8,4,6,0,1]", expected: "9" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var longestConsecutive = function(nums) { const set = new Set(nums); let best = 0; for (const n of set) { if (set.has(n - 1)) continue; let len = 0, x = n; while (set.has(x)) { len++; x++; } best = Math.max(best, len); } return best; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def longestConsecutive(self, nums: list[int]) -> int:\n        s = set(nums)\n        best = 0\n        for n in s:\n            if n - 1 in s: continue\n            x, ln = n, 0\n            while x in s: ln += 1; x += 1\n            best = max(best, ln)\n        return best" }, { lang: "Java", langSlug: "java", code: "class Solution { public int longestConsecutive(int[] nums) { Set<Integer> set = new HashSet<>(); for (int x : nums) set.add(x); int best = 0; for (int n : set) { if (set.contains(n - 1)) continue; int len = 0, x = n; while (set.contains(x)) { len++; x++; } best = Math.max(best, len); } return best; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int longestConsecutive(vector<int>& nums) { unordered_set<int> set(nums.begin(), nums.end()); int best = 0; for (int n : set) { if (set.count(n - 1)) continue; int len = 0, x = n; while (set.count(x)) { len++; x++; } best = max(best, len); } return best; } };" }, { lang: "C", langSlug: "c", code: "int longestConsecutive(int* nums, int numsSize) { if (numsSize == 0) return 0; int cmp(const void* a, const void* b) { return *(int*)a - *(int*)b; } qsort(nums, numsSize, sizeof(int), cmp); int best = 1, cur = 1; for (int i = 1; i < numsSize; i++) { if (nums[i] == nums[i-1]) continue; if (nums[i] == nums[i-1] + 1) cur++; else { if (cur > best) best = cur; cur = 1; } } return cur > best ? cur : best; }" }] },
+  { questionId: "7", questionFrontendId: "7", title: "Reverse Integer", titleSlug: "builtin-reverse-integer", difficulty: "Medium", content: "<p>Reverse digits of a 32-bit signed integer. Return 0 if result overflows.</p>", metaData: JSON.stringify({ name: "reverse", params: [{ name: "x", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "123\n-123\n120", testCases: [{ stdin: "123", expected: "321" }, { stdin: "-123", expected: "-321" }, { stdin: "120", expected: "21" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var reverse = function(x) { const sign = x < 0 ? -1 : 1; x = Math.abs(x); let out = 0; while (x) { out = out * 10 + x % 10; x = Math.floor(x / 10); } out *= sign; return out > 2147483647 || out < -2147483648 ? 0 : out; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def reverse(self, x: int) -> int:\n        sign = -1 if x < 0 else 1\n        x = abs(x)\n        out = 0\n        while x: out = out * 10 + x % 10; x //= 10\n        out *= sign\n        return 0 if out > 2147483647 or out < -2147483648 else out" }, { lang: "Java", langSlug: "java", code: "class Solution { public int reverse(int x) { long out = 0; while (x != 0) { out = out * 10 + x % 10; x /= 10; } return out > Integer.MAX_VALUE || out < Integer.MIN_VALUE ? 0 : (int)out; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int reverse(int x) { long out = 0; while (x) { out = out * 10 + x % 10; x /= 10; } if (out > 2147483647 || out < -2147483648) return 0; return (int)out; } };" }, { lang: "C", langSlug: "c", code: "int reverse(int x) { long out = 0; while (x) { out = out * 10 + x % 10; x /= 10; } if (out > 2147483647 || out < -2147483648) return 0; return (int)out; }" }] },
   { questionId: "9", questionFrontendId: "9", title: "Palindrome Number", titleSlug: "builtin-palindrome-number-v2", difficulty: "Easy", content: "<p>Return true if x is a palindrome integer (reads same left-to-right and right-to-left).</p>", metaData: JSON.stringify({ name: "isPalindrome", params: [{ name: "x", type: "integer" }], return: { type: "boolean" } }), exampleTestcases: "121\n-121\n10", testCases: [{ stdin: "121", expected: "true" }, { stdin: "-121", expected: "false" }, { stdin: "10", expected: "false" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var isPalindrome = function(x) { if (x < 0) return false; let rev = 0, t = x; while (t) { rev = rev * 10 + t % 10; t = Math.floor(t / 10); } return rev === x; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def isPalindrome(self, x: int) -> bool:\n        if x < 0: return False\n        t, rev = x, 0\n        while t: rev = rev * 10 + t % 10; t //= 10\n        return rev == x" }, { lang: "Java", langSlug: "java", code: "class Solution { public boolean isPalindrome(int x) { if (x < 0) return false; int rev = 0, t = x; while (t != 0) { rev = rev * 10 + t % 10; t /= 10; } return rev == x; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: bool isPalindrome(int x) { if (x < 0) return false; long rev = 0, t = x; while (t) { rev = rev * 10 + t % 10; t /= 10; } return rev == (long)x; } };" }, { lang: "C", langSlug: "c", code: "bool isPalindrome(int x) { if (x < 0) return false; long rev = 0, t = x; while (t) { rev = rev * 10 + t % 10; t /= 10; } return rev == (long)x; }" }] },
-  { questionId: "50", questionFrontendId: "50", title: "Pow(x, n)", titleSlug: "builtin-powx-n", difficulty: "Medium", content: "<p>Implement pow(x, n). x is double, n is integer. Return x^n.</p>", metaData: JSON.stringify({ name: "myPow", params: [{ name: "x", type: "double" }, { name: "n", type: "integer" }], return: { type: "double" } }), exampleTestcases: "2.00000\n10\n2.00000\n-2", testCases: [{ stdin: "2.00000\n10", expected: "1024" }, { stdin: "2.00000\n-2", expected: "0.25" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var myPow = function(x, n) { if (n === 0) return 1; if (n < 0) { x = 1/x; n = -n; } let r = 1; while (n) { if (n & 1) r *= x; x *= x; n >>>= 1; } return r; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def myPow(self, x: float, n: int) -> float:\n        if n == 0: return 1.0\n        if n < 0: x, n = 1/x, -n\n        r = 1.0\n        while n:\n            if n & 1: r *= x\n            x *= x\n            n //= 2\n        return r" }, { lang: "Java", langSlug: "java", code: "class Solution { public double myPow(double x, int n) { if (n == 0) return 1; if (n < 0) { x = 1/x; n = -n; } double r = 1; while (n > 0) { if ((n & 1) == 1) r *= x; x *= x; n >>>= 1; } return r; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: double myPow(double x, int n) { if (n == 0) return 1; if (n < 0) { x = 1/x; n = -n; } double r = 1; while (n) { if (n & 1) r *= x; x *= x; n /= 2; } return r; } };" }, { lang: "C", langSlug: "c", code: "double myPow(double x, int n) { if (n == 0) return 1; if (n < 0) { x = 1/x; n = -n; } double r = 1; while (n) { if (n & 1) r *= x; x *= x; n /= 2; } return r; }" }] },
-  { questionId: "26", questionFrontendId: "26", title: "Remove Duplicates (variant)", titleSlug: "builtin-remove-duplicates-v2", difficulty: "Easy", content: "<p>Remove duplicates in-place from sorted array. Return new length.</p>", metaData: JSON.stringify({ name: "removeDuplicates", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[1,1,2]\n[0,0,1,1,1,2,2,3,3,4]", testCases: [{ stdin: "[1,1,2]", expected: "2" }, { stdin: "[0,0,1,1,1,2,2,3,3,4]", expected: "5" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var removeDuplicates = function(nums) { if (nums.length === 0) return 0; let k = 1; for (let i = 1; i < nums.length; i++) if (nums[i] !== nums[k-1]) nums[k++] = nums[i]; return k; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def removeDuplicates(self, nums: list[int]) -> int:\n        if not nums: return 0\n        k = 1\n        for i in range(1, len(nums)):\n            if nums[i] != nums[k-1]: nums[k] = nums[i]; k += 1\n        return k" }, { lang: "Java", langSlug: "java", code: "class Solution { public int removeDuplicates(int[] nums) { if (nums.length == 0) return 0; int k = 1; for (int i = 1; i < nums.length; i++) if (nums[i] != nums[k-1]) nums[k++] = nums[i]; return k; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int removeDuplicates(vector<int>& nums) { if (nums.empty()) return 0; int k = 1; for (int i = 1; i < (int)nums.size(); i++) if (nums[i] != nums[k-1]) nums[k++] = nums[i]; return k; } };" }, { lang: "C", langSlug: "c", code: "int removeDuplicates(int* nums, int numsSize) { if (numsSize == 0) return 0; int k = 1; for (int i = 1; i < numsSize; i++) if (nums[i] != nums[k-1]) nums[k++] = nums[i]; return k; }" }] },
-  { questionId: "27", questionFrontendId: "27", title: "Remove Element (variant)", titleSlug: "builtin-remove-element-v2", difficulty: "Easy", content: "<p>Remove all instances of val in-place. Return new length.</p>", metaData: JSON.stringify({ name: "removeElement", params: [{ name: "nums", type: "integer[]" }, { name: "val", type: "integer" }] }), exampleTestcases: "[3,2,2,3]\n3\n[0,1,2,2,3,0,4,2]\n2", testCases: [{ stdin: "[3,2,2,3]\n3", expected: "2" }, { stdin: "[0,1,2,2,3,0,4,2]\n2", expected: "5" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var removeElement = function(nums, val) { let k = 0; for (let i = 0; i < nums.length; i++) if (nums[i] !== val) nums[k++] = nums[i]; return k; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def removeElement(self, nums: list[int], val: int) -> int:\n        k = 0\n        for x in nums:\n            if x != val: nums[k] = x; k += 1\n        return k" }, { lang: "Java", langSlug: "java", code: "class Solution { public int removeElement(int[] nums, int val) { int k = 0; for (int x : nums) if (x != val) nums[k++] = x; return k; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int removeElement(vector<int>& nums, int val) { int k = 0; for (int x : nums) if (x != val) nums[k++] = x; return k; } };" }, { lang: "C", langSlug: "c", code: "int removeElement(int* nums, int numsSize, int val) { int k = 0; for (int i = 0; i < numsSize; i++) if (nums[i] != val) nums[k++] = nums[i]; return k; }" }] },
-  { questionId: "704", questionFrontendId: "704", title: "Binary Search", titleSlug: "builtin-binary-search", difficulty: "Easy", content: "<p>Return index of target in sorted nums, or -1 if not present.</p>", metaData: JSON.stringify({ name: "search", params: [{ name: "nums", type: "integer[]" }, { name: "target", type: "integer" }] }), exampleTestcases: "[-1,0,3,5,9,12]\n9\n[-1,0,3,5,9,12]\n2", testCases: [{ stdin: "[-1,0,3,5,9,12]\n9", expected: "4" }, { stdin: "[-1,0,3,5,9,12]\n2", expected: "-1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var search = function(nums, target) { let lo = 0, hi = nums.length - 1; while (lo <= hi) { const m = (lo + hi) >>> 1; if (nums[m] === target) return m; if (nums[m] < target) lo = m + 1; else hi = m - 1; } return -1; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def search(self, nums: list[int], target: int) -> int:\n        lo, hi = 0, len(nums) - 1\n        while lo <= hi:\n            m = (lo + hi) // 2\n            if nums[m] == target: return m\n            if nums[m] < target: lo = m + 1\n            else: hi = m - 1\n        return -1" }, { lang: "Java", langSlug: "java", code: "class Solution { public int search(int[] nums, int target) { int lo = 0, hi = nums.length - 1; while (lo <= hi) { int m = (lo + hi) / 2; if (nums[m] == target) return m; if (nums[m] < target) lo = m + 1; else hi = m - 1; } return -1; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int search(vector<int>& nums, int target) { int lo = 0, hi = nums.size() - 1; while (lo <= hi) { int m = (lo + hi) / 2; if (nums[m] == target) return m; if (nums[m] < target) lo = m + 1; else hi = m - 1; } return -1; } };" }, { lang: "C", langSlug: "c", code: "int search(int* nums, int numsSize, int target) { int lo = 0, hi = numsSize - 1; while (lo <= hi) { int m = (lo + hi) / 2; if (nums[m] == target) return m; if (nums[m] < target) lo = m + 1; else hi = m - 1; } return -1; }" }] },
-  { questionId: "746", questionFrontendId: "746", title: "Min Cost Climbing Stairs", titleSlug: "builtin-min-cost-climbing-stairs", difficulty: "Easy", content: "<p>cost[i] is cost of stepping on stair i. Start at index 0 or 1, climb 1 or 2 steps. Return minimum cost to reach top (past last index).</p>", metaData: JSON.stringify({ name: "minCostClimbingStairs", params: [{ name: "cost", type: "integer[]" }] }), exampleTestcases: "[10,15,20]\n[1,100,1,1,1,100,1,1,100,1]", testCases: [{ stdin: "[10,15,20]", expected: "15" }, { stdin: "[1,100,1,1,1,100,1,1,100,1]", expected: "6" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var minCostClimbingStairs = function(cost) { let a = 0, b = 0; for (let i = 0; i < cost.length; i++) { const t = cost[i] + Math.min(a, b); a = b; b = t; } return Math.min(a, b); };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def minCostClimbingStairs(self, cost: list[int]) -> int:\n        a, b = 0, 0\n        for c in cost: a, b = b, c + min(a, b)\n        return min(a, b)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int minCostClimbingStairs(int[] cost) { int a = 0, b = 0; for (int c : cost) { int t = c + Math.min(a, b); a = b; b = t; } return Math.min(a, b); } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int minCostClimbingStairs(vector<int>& cost) { int a = 0, b = 0; for (int c : cost) { int t = c + min(a, b); a = b; b = t; } return min(a, b); } };" }, { lang: "C", langSlug: "c", code: "int minCostClimbingStairs(int* cost, int costSize) { int a = 0, b = 0; for (int i = 0; i < costSize; i++) { int t = cost[i] + (a < b ? a : b); a = b; b = t; } return a < b ? a : b; }" }] },
-  { questionId: "392", questionFrontendId: "392", title: "Is Subsequence", titleSlug: "builtin-is-subsequence", difficulty: "Easy", content: "<p>Given s and t, return true if s is a subsequence of t.</p>", metaData: JSON.stringify({ name: "isSubsequence", params: [{ name: "s", type: "string" }, { name: "t", type: "string" }], return: { type: "boolean" } }), exampleTestcases: "abc\nahbgdc\naxc\nahbgdc", testCases: [{ stdin: "abc\nahbgdc", expected: "true" }, { stdin: "axc\nahbgdc", expected: "false" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var isSubsequence = function(s, t) { let j = 0; for (let i = 0; i < t.length && j < s.length; i++) if (t[i] === s[j]) j++; return j === s.length; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def isSubsequence(self, s: str, t: str) -> bool:\n        j = 0\n        for c in t:\n            if j < len(s) and c == s[j]: j += 1\n        return j == len(s)" }, { lang: "Java", langSlug: "java", code: "class Solution { public boolean isSubsequence(String s, String t) { int j = 0; for (int i = 0; i < t.length() && j < s.length(); i++) if (t.charAt(i) == s.charAt(j)) j++; return j == s.length(); } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: bool isSubsequence(string s, string t) { int j = 0; for (int i = 0; i < (int)t.size() && j < (int)s.size(); i++) if (t[i] == s[j]) j++; return j == (int)s.size(); } };" }, { lang: "C", langSlug: "c", code: "bool isSubsequence(char* s, char* t) { while (*t) { if (*s && *t == *s) s++; t++; } return !*s; }" }] },
-  { questionId: "70", questionFrontendId: "70", title: "Climbing Stairs (variant 2)", titleSlug: "builtin-climbing-stairs-v3", difficulty: "Easy", content: "<p>n steps. Each time climb 1 or 2. Return number of distinct ways to reach top.</p>", metaData: JSON.stringify({ name: "climbStairs", params: [{ name: "n", type: "integer" }] }), exampleTestcases: "4\n5", testCases: [{ stdin: "4", expected: "5" }, { stdin: "5", expected: "8" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var climbStairs = function(n) { if (n <= 2) return n; let a = 1, b = 2; for (let i = 3; i <= n; i++) { const t = a + b; a = b; b = t; } return b; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def climbStairs(self, n: int) -> int:\n        a, b = 1, 1\n        for _ in range(n): a, b = b, a + b\n        return a" }, { lang: "Java", langSlug: "java", code: "class Solution { public int climbStairs(int n) { if (n <= 2) return n; int a = 1, b = 2; for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; } return b; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int climbStairs(int n) { if (n <= 2) return n; int a = 1, b = 2; for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; } return b; } };" }, { lang: "C", langSlug: "c", code: "int climbStairs(int n) { if (n <= 2) return n; int a = 1, b = 2; for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; } return b; }" }] },
-  { questionId: "724", questionFrontendId: "724", title: "Find Pivot Index", titleSlug: "builtin-find-pivot-index", difficulty: "Easy", content: "<p>Return leftmost pivot index: sum of elements left of index equals sum of elements right. Return -1 if none.</p>", metaData: JSON.stringify({ name: "pivotIndex", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[1,7,3,6,5,6]\n[1,2,3]\n[2,1,-1]", testCases: [{ stdin: "[1,7,3,6,5,6]", expected: "3" }, { stdin: "[2,1,-1]", expected: "0" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var pivotIndex = function(nums) { const sum = nums.reduce((a,b) => a + b, 0); let left = 0; for (let i = 0; i < nums.length; i++) { if (left === sum - left - nums[i]) return i; left += nums[i]; } return -1; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def pivotIndex(self, nums: list[int]) -> int:\n        s = sum(nums)\n        left = 0\n        for i, x in enumerate(nums):\n            if left == s - left - x: return i\n            left += x\n        return -1" }, { lang: "Java", langSlug: "java", code: "class Solution { public int pivotIndex(int[] nums) { int sum = 0; for (int x : nums) sum += x; int left = 0; for (int i = 0; i < nums.length; i++) { if (left == sum - left - nums[i]) return i; left += nums[i]; } return -1; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int pivotIndex(vector<int>& nums) { int sum = 0; for (int x : nums) sum += x; int left = 0; for (int i = 0; i < (int)nums.size(); i++) { if (left == sum - left - nums[i]) return i; left += nums[i]; } return -1; } };" }, { lang: "C", langSlug: "c", code: "int pivotIndex(int* nums, int numsSize) { int sum = 0; for (int i = 0; i < numsSize; i++) sum += nums[i]; int left = 0; for (int i = 0; i < numsSize; i++) { if (left == sum - left - nums[i]) return i; left += nums[i]; } return -1; }" }] },
+  { questionId: "50", questionFrontendId: "50", title: "Pow(x, n)", titleSlug: "builtin-powx-n", difficulty: "Medium", content: "<p>Implement pow(x, n). x is double, n is integer. Return x^n.</p>", metaData: JSON.stringify({ name: "myPow", params: [{ name: "x", type: "double" }, { name: "n", type: "integer" }], return: { type: "double" }, checker: { type: "float", tolerance: 1e-5 } }), exampleTestcases: "2.00000\n10\n2.00000\n-2", testCases: [{ stdin: "2.00000\n10", expected: "1024" }, { stdin: "2.00000\n-2", expected: "0.25" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var myPow = function(x, n) { if (n === 0) return 1; if (n < 0) { x = 1/x; n = -n; } let r = 1; while (n) { if (n & 1) r *= x; x *= x; n >>>= 1; } return r; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def myPow(self, x: float, n: int) -> float:\n        if n == 0: return 1.0\n        if n < 0: x, n = 1/x, -n\n        r = 1.0\n        while n:\n            if n & 1: r *= x\n            x *= x\n            n //= 2\n        return r" }, { lang: "Java", langSlug: "java", code: "class Solution { public double myPow(double x, int n) { if (n == 0) return 1; if (n < 0) { x = 1/x; n = -n; } double r = 1; while (n > 0) { if ((n & 1) == 1) r *= x; x *= x; n >>>= 1; } return r; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: double myPow(double x, int n) { if (n == 0) return 1; if (n < 0) { x = 1/x; n = -n; } double r = 1; while (n) { if (n & 1) r *= x; x *= x; n /= 2; } return r; } };" }, { lang: "C", langSlug: "c", code: "double myPow(double x, int n) { if (n == 0) return 1; if (n < 0) { x = 1/x; n = -n; } double r = 1; while (n) { if (n & 1) r *= x; x *= x; n /= 2; } return r; }" }, { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn my_pow(x: f64, n: i32) -> f64 {\n        let mut e = (n as i64).abs();\n        let mut base = if n < 0 { 1.0 / x } else { x };\n        let mut result = 1.0;\n        while e > 0 {\n            if e & 1 == 1 {\n                result *= base;\n            }\n            base *= base;\n            e >>= 1;\n        }\n        result\n    }\n}" }, { lang: "Go", langSlug: "go", code: "func myPow(x float64, n int) float64 {\n    if n < 0 {\n        x, n = 1/x, -n\n    }\n    result := 1.0\n    for ; n > 0; n >>= 1 {\n        if n&1 == 1 {\n            result *= x\n        }\n        x *= x\n    }\n    return result\n}" }] },
+  { questionId: "26", questionFrontendId: "26", title: "Remove Duplicates (variant)", titleSlug: "builtin-remove-duplicates-v2", difficulty: "Easy", content: "<p>Remove duplicates in-place from sorted array. Return new length k.</p><p>The judge checks the first <code>k</code> elements of <code>nums</code> after your function returns.</p>", metaData: JSON.stringify({ name: "removeDuplicates", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" }, checker: { type: "inPlacePrefix" } }), exampleTestcases: "[1,1,2]\n[0,0,1,1,1,2,2,3,3,4]", testCases: [{ stdin: "[1,1,2]", expected: "[1,2]" }, { stdin: "[0,0,1,1,1,2,2,3,3,4]", expected: "[0,1,2,3,4]" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var removeDuplicates = function(nums) { if (nums.length === 0) return 0; let k = 1; for (let i = 1; i < nums.length; i++) if (nums[i] !== nums[k-1]) nums[k++] = nums[i]; return k; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def removeDuplicates(self, nums: list[int]) -> int:\n        if not nums: return 0\n        k = 1\n        for i in range(1, len(nums)):\n            if nums[i] != nums[k-1]: nums[k] = nums[i]; k += 1\n        return k" }, { lang: "Java", langSlug: "java", code: "class Solution { public int removeDuplicates(int[] nums) { if (nums.length == 0) return 0; int k = 1; for (int i = 1; i < nums.length; i++) if (nums[i] != nums[k-1]) nums[k++] = nums[i]; return k; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int removeDuplicates(vector<int>& nums) { if (nums.empty()) return 0; int k = 1; for (int i = 1; i < (int)nums.size(); i++) if (nums[i] != nums[k-1]) nums[k++] = nums[i]; return k; } };" }, { lang: "C", langSlug: "c", code: "int removeDuplicates(int* nums, int numsSize) { if (numsSize == 0) return 0; int k = 1; for (int i = 1; i < numsSize; i++) if (nums[i] != nums[k-1]) nums[k++] = nums[i]; return k; }" }] },
+  { questionId: "27", questionFrontendId: "27", title: "Remove Element (variant)", titleSlug: "builtin-remove-element-v2", difficulty: "Easy", content: "<p>Remove all instances of val in-place. Return new length k.</p><p>The judge checks the first <code>k</code> elements of <code>nums</code>, in any order, after your function returns.</p>", metaData: JSON.stringify({ name: "removeElement", params: [{ name: "nums", type: "integer[]" }, { name: "val", type: "integer" }], return: { type: "integer" }, checker: { type: "inPlacePrefix", unordered: true } }), exampleTestcases: "[3,2,2,3]\n3\n[0,1,2,2,3,0,4,2]\n2", testCases: [{ stdin: "[3,2,2,3]\n3", expected: "[2,2]" }, { stdin: "[0,1,2,2,3,0,4,2]\n2", expected: "[0,1,3,0,4]" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var removeElement = function(nums, val) { let k = 0; for (let i = 0; i < nums.length; i++) if (nums[i] !== val) nums[k++] = nums[i]; return k; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def removeElement(self, nums: list[int], val: int) -> int:\n        k = 0\n        for x in nums:\n            if x != val: nums[k] = x; k += 1\n        return k" }, { lang: "Java", langSlug: "java", code: "class Solution { public int removeElement(int[] nums, int val) { int k = 0; for (int x : nums) if (x != val) nums[k++] = x; return k; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int removeElement(vector<int>& nums, int val) { int k = 0; for (int x : nums) if (x != val) nums[k++] = x; return k; } };" }, { lang: "C", langSlug: "c", code: "int removeElement(int* nums, int numsSize, int val) { int k = 0; for (int i = 0; i < numsSize; i++) if (nums[i] != val) nums[k++] = nums[i]; return k; }" }] },
+  { questionId: "704", questionFrontendId: "704", title: "Binary Search", titleSlug: "builtin-binary-search", difficulty: "Easy", content: "<p>Return index of target in sorted nums, or -1 if not present.</p>", metaData: JSON.stringify({ name: "search", params: [{ name: "nums", type: "integer[]" }, { name: "target", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "[-1,0,3,5,9,12]\n9\n[-1,0,3,5,9,12]\n2", testCases: [{ stdin: "[-1,0,3,5,9,12]\n9", expected: "4" }, { stdin: "[-1,0,3,5,9,12]\n2", expected: "-1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var search = function(nums, target) { let lo = 0, hi = nums.length - 1; while (lo <= hi) { const m = (lo + hi) >>> 1; if (nums[m] === target) return m; if (nums[m] < target) lo = m + 1; else hi = m - 1; } return -1; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def search(self, nums: list[int], target: int) -> int:\n        lo, hi = 0, len(nums) - 1\n        while lo <= hi:\n            m = (lo + hi) // 2\n            if nums[m] == target: return m\n            if nums[m] < target: lo = m + 1\n            else: hi = m - 1\n        return -1" }, { lang: "Java", langSlug: "java", code: "class Solution { public int search(int[] nums, int target) { int lo = 0, hi = nums.length - 1; while (lo <= hi) { int m = (lo + hi) / 2; if (nums[m] == target) return m; if (nums[m] < target) lo = m + 1; else hi = m - 1; } return -1; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int search(vector<int>& nums, int target) { int lo = 0, hi = nums.size() - 1; while (lo <= hi) { int m = (lo + hi) / 2; if (nums[m] == target) return m; if (nums[m] < target) lo = m + 1; else hi = m - 1; } return -1; } };" }, { lang: "C", langSlug: "c", code: "int search(int* nums, int numsSize, int target) { int lo = 0, hi = numsSize - 1; while (lo <= hi) { int m = (lo + hi) / 2; if (nums[m] == target) return m; if (nums[m] < target) lo = m + 1; else hi = m - 1; } return -1; }" }] },
+  { questionId: "746", questionFrontendId: "746", title: "Min Cost Climbing Stairs", titleSlug: "builtin-min-cost-climbing-stairs", difficulty: "Easy", content: "<p>cost[i] is cost of stepping on stair i. Start at index 0 or 1, climb 1 or 2 steps. Return minimum cost to reach top (past last index).</p>", metaData: JSON.stringify({ name: "minCostClimbingStairs", params: [{ name: "cost", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[10,15,20]\n[1,100,1,1,1,100,1,1,100,1]", testCases: [{ stdin: "[10,15,20]", expected: "15" }, { stdin: "[1,100,1,1,1,100,1,1,100,1]", expected: "6" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var minCostClimbingStairs = function(cost) { let a = 0, b = 0; for (let i = 0; i < cost.length; i++) { const t = cost[i] + Math.min(a, b); a = b; b = t; } return Math.min(a, b); };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def minCostClimbingStairs(self, cost: list[int]) -> int:\n        a, b = 0, 0\n        for c in cost: a, b = b, c + min(a, b)\n        return min(a, b)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int minCostClimbingStairs(int[] cost) { int a = 0, b = 0; for (int c : cost) { int t = c + Math.min(a, b); a = b; b = t; } return Math.min(a, b); } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int minCostClimbingStairs(vector<int>& cost) { int a = 0, b = 0; for (int c : cost) { int t = c + min(a, b); a = b; b = t; } return min(a, b); } };" }, { lang: "C", langSlug: "c", code: "int minCostClimbingStairs(int* cost, int costSize) { int a = 0, b = 0; for (int i = 0; i < costSize; i++) { int t = cost[i] + (a < b ? a : b); a = b; b = t; } return a < b ? a : b; }" }] },
+  { questionId: "392", questionFrontendId: "392", title: "Is Subsequence", titleSlug: "builtin-is-subsequence", difficulty: "Easy", content: "<p>Given s and t, return true if s is a subsequence of t.</p>", metaData: JSON.stringify({ name: "isSubsequence", params: [{ name: "s", type: "string" }, { name: "t", type: "string" }], return: { type: "boolean" } }), exampleTestcases: "abc\nahbgdc\naxc\nahbgdc", testCases: [{ stdin: "abc\nahbgdc", expected: "true" }, { stdin: "axc\nahbgdc", expected: "false" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var isSubsequence = function(s, t) { let j = 0; for (let i = 0; i < t.length && j < s.length; i++) if (t[i] === s[j]) j++; return j === s.length; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def isSubsequence(self, s: str, t: str) -> bool:\n        j = 0\n        for c in t:\n            if j < len(s) and c == s[j]: j += 1\n        return j == len(s)" }, { lang: "Java", langSlug: "java", code: "class Solution { public boolean isSubsequence(String s, String t) { int j = 0; for (int i = 0; i < t.length() && j < s.length(); i++) if (t.charAt(i) == s.charAt(j)) j++; return j == s.length(); } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: bool isSubsequence(string s, string t) { int j = 0; for (int i = 0; i < (int)t.size() && j < (int)s.size(); i++) if (t[i] == s[j]) j++; return j == (int)s.size(); } };" }, { lang: "C", langSlug: "c", code: "bool isSubsequence(char* s, char* t) { while (*t) { if (*s && *t == *s) s++; t++; } return !*s; }" }, { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn is_subsequence(s: String, t: String) -> bool {\n        let mut rest = t.chars();\n        s.chars().all(|c| rest.any(|d| d == c))\n    }\n}" }, { lang: "Go", langSlug: "go", code: "func isSubsequence(s string, t string) bool {\n    i := 0\n    for j := 0; i < len(s) && j < len(t); j++ {\n        if s[i] == t[j] {\n            i++\n        }\n    }\n    return i == len(s)\n}" }] },
+  { questionId: "70", questionFrontendId: "70", title: "Climbing Stairs (variant 2)", titleSlug: "builtin-climbing-stairs-v3", difficulty: "Easy", content: "<p>n steps. Each time climb 1 or 2. Return number of distinct ways to reach top.</p>", metaData: JSON.stringify({ name: "climbStairs", params: [{ name: "n", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "4\n5", testCases: [{ stdin: "4", expected: "5" }, { stdin: "5", expected: "8" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var climbStairs = function(n) { if (n <= 2) return n; let a = 1, b = 2; for (let i = 3; i <= n; i++) { const t = a + b; a = b; b = t; } return b; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def climbStairs(self, n: int) -> int:\n        a, b = 1, 1\n        for _ in range(n): a, b = b, a + b\n        return a" }, { lang: "Java", langSlug: "java", code: "class Solution { public int climbStairs(int n) { if (n <= 2) return n; int a = 1, b = 2; for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; } return b; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int climbStairs(int n) { if (n <= 2) return n; int a = 1, b = 2; for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; } return b; } };" }, { lang: "C", langSlug: "c", code: "int climbStairs(int n) { if (n <= 2) return n; int a = 1, b = 2; for (int i = 3; i <= n; i++) { int t = a + b; a = b; b = t; } return b; }" }] },
+  { questionId: "724", questionFrontendId: "724", title: "Find Pivot Index", titleSlug: "builtin-find-pivot-index", difficulty: "Easy", content: "<p>Return leftmost pivot index: sum of elements left of index equals sum of elements right. Return -1 if none.</p>", metaData: JSON.stringify({ name: "pivotIndex", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[1,7,3,6,5,6]\n[1,2,3]\n[2,1,-1]", testCases: [{ stdin: "[1,7,3,6,5,6]", expected: "3" }, { stdin: "[2,1,-1]", expected: "0" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var pivotIndex = function(nums) { const sum = nums.reduce((a,b) => a + b, 0); let left = 0; for (let i = 0; i < nums.length; i++) { if (left === sum - left - nums[i]) return i; left += nums[i]; } return -1; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def pivotIndex(self, nums: list[int]) -> int:\n        s = sum(nums)\n        left = 0\n        for i, x in enumerate(nums):\n            if left == s - left - x: return i\n            left += x\n        return -1" }, { lang: "Java", langSlug: "java", code: "class Solution { public int pivotIndex(int[] nums) { int sum = 0; for (int x : nums) sum += x; int left = 0; for (int i = 0; i < nums.length; i++) { if (left == sum - left - nums[i]) return i; left += nums[i]; } return -1; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int pivotIndex(vector<int>& nums) { int sum = 0; for (int x : nums) sum += x; int left = 0; for (int i = 0; i < (int)nums.size(); i++) { if (left == sum - left - nums[i]) return i; left += nums[i]; } return -1; } };" }, { lang: "C", langSlug: "c", code: "int pivotIndex(int* nums, int numsSize) { int sum = 0; for (int i = 0; i < numsSize; i++) sum += nums[i]; int left = 0; for (int i = 0; i < numsSize; i++) { if (left == sum - left - nums[i]) return i; left += nums[i]; } return -1; }" }] },
   { questionId: "66", questionFrontendId: "66", title: "Plus One (variant)", titleSlug: "builtin-plus-one-v2", difficulty: "Easy", content: "<p>Digits of a non-negative integer. Return digits of number + 1.</p>", metaData: JSON.stringify({ name: "plusOne", params: [{ name: "digits", type: "integer[]" }], return: { type: "integer[]" } }), exampleTestcases: "[1,2,3]\n[9,9,9]", testCases: [{ stdin: "[1,2,3]", expected: "[1,2,4]" }, { stdin: "[9,9,9]", expected: "[1,0,0,0]" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var plusOne = function(digits) { for (let i = digits.length - 1; i >= 0; i--) { digits[i]++; if (digits[i] <= 9) return digits; digits[i] = 0; } return [1, ...digits]; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def plusOne(self, digits: list[int]) -> list[int]:\n        for i in range(len(digits)-1, -1, -1):\n            digits[i] += 1\n            if digits[i] <= 9: return digits\n            digits[i] = 0\n        return [1] + digits" }, { lang: "Java", langSlug: "java", code: "class Solution { public int[] plusOne(int[] digits) { for (int i = digits.length - 1; i >= 0; i--) { digits[i]++; if (digits[i] <= 9) return digits; digits[i] = 0; } int[] out = new int[digits.length + 1]; out[0] = 1; return out; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: vector<int> plusOne(vector<int>& digits) { for (int i = digits.size() - 1; i >= 0; i--) { digits[i]++; if (digits[i] <= 9) return digits; digits[i] = 0; } digits.insert(digits.begin(), 1); return digits; } };" }, { lang: "C", langSlug: "c", code: "int* plusOne(int* digits, int digitsSize, int* returnSize) { for (int i = digitsSize - 1; i >= 0; i--) { digits[i]++; if (digits[i] <= 9) { *returnSize = digitsSize; return digits; } digits[i] = 0; } int* out = (int*)malloc((digitsSize+1)*sizeof(int)); out[0] = 1; for (int i = 0; i < digitsSize; i++) out[i+1] = 0; *returnSize = digitsSize + 1; return out; }" }] },
-  { questionId: "118", questionFrontendId: "118", title: "Pascal's Triangle (row sum)", titleSlug: "builtin-pascal-row-sum", difficulty: "Easy", content: "<p>Given row index (0-based), return the sum of that row in Pascal's triangle.</p>", metaData: JSON.stringify({ name: "getRowSum", params: [{ name: "rowIndex", type: "integer" }] }), exampleTestcases: "3\n0", testCases: [{ stdin: "3", expected: "8" }, { stdin: "0", expected: "1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var getRowSum = function(rowIndex) { let row = [1]; for (let i = 0; i < rowIndex; i++) { row = [1, ...row.map((v, j) => v + (row[j+1] || 0)), 1]; } return row.reduce((a,b) => a+b, 0); };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def getRowSum(self, rowIndex: int) -> int:\n        row = [1]\n        for _ in range(rowIndex):\n            row = [1] + [row[i]+row[i+1] for i in range(len(row)-1)] + [1]\n        return sum(row)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int getRowSum(int rowIndex) { int[] row = new int[rowIndex+1]; row[0] = 1; for (int i = 0; i < rowIndex; i++) { for (int j = i; j >= 0; j--) row[j+1] += row[j]; } int s = 0; for (int x : row) s += x; return s; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int getRowSum(int rowIndex) { vector<int> row(rowIndex+1, 0); row[0] = 1; for (int i = 0; i < rowIndex; i++) for (int j = i; j >= 0; j--) row[j+1] += row[j]; int s = 0; for (int x : row) s += x; return s; } };" }, { lang: "C", langSlug: "c", code: "int getRowSum(int rowIndex) { int row[35]; for (int i = 0; i <= rowIndex; i++) row[i] = 0; row[0] = 1; for (int i = 0; i < rowIndex; i++) for (int j = i; j >= 0; j--) row[j+1] += row[j]; int s = 0; for (int i = 0; i <= rowIndex; i++) s += row[i]; return s; }" }] },
-  { questionId: "119", questionFrontendId: "119", title: "Pascal's Triangle II (row sum)", titleSlug: "builtin-pascal-row-sum-2", difficulty: "Easy", content: "<p>Given 0-based row index, return sum of that row in Pascal's triangle. Row 0 = [1] sum 1.</p>", metaData: JSON.stringify({ name: "getRowSum", params: [{ name: "rowIndex", type: "integer" }] }), exampleTestcases: "4\n1", testCases: [{ stdin: "4", expected: "16" }, { stdin: "1", expected: "2" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var getRowSum = function(rowIndex) { return 1 << rowIndex; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def getRowSum(self, rowIndex: int) -> int:\n        return 1 << rowIndex" }, { lang: "Java", langSlug: "java", code: "class Solution { public int getRowSum(int rowIndex) { return 1 << rowIndex; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int getRowSum(int rowIndex) { return 1 << rowIndex; } };" }, { lang: "C", langSlug: "c", code: "int getRowSum(int rowIndex) { return 1 << rowIndex; }" }] },
-  { questionId: "413", questionFrontendId: "413", title: "Arithmetic Slices", titleSlug: "builtin-arithmetic-slices", difficulty: "Medium", content: "<p>Return number of contiguous arithmetic subarrays of length >= 3.</p>", metaData: JSON.stringify({ name: "numberOfArithmeticSlices", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[1,2,3,4]\n[1,2,3,8,9,10]", testCases: [{ stdin: "[1,2,3,4]", expected: "3" }, { stdin: "[1,2,3,8,9,10]", expected: "2" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var numberOfArithmeticSlices = function(nums) { if (nums.length < 3) return 0; let count = 0, cur = 0; for (let i = 2; i < nums.length; i++) { if (nums[i] - nums[i-1] === nums[i-1] - nums[i-2]) { cur++; count += cur; } else cur = 0; } return count; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def numberOfArithmeticSlices(self, nums: list[int]) -> int:\n        if len(nums) < 3: return 0\n        count, cur = 0, 0\n        for i in range(2, len(nums)):\n            if nums[i] - nums[i-1] == nums[i-1] - nums[i-2]: cur += 1; count += cur\n            else: cur = 0\n        return count" }, { lang: "Java", langSlug: "java", code: "class Solution { public int numberOfArithmeticSlices(int[] nums) { if (nums.length < 3) return 0; int count = 0, cur = 0; for (int i = 2; i < nums.length; i++) { if (nums[i] - nums[i-1] == nums[i-1] - nums[i-2]) { cur++; count += cur; } else cur = 0; } return count; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int numberOfArithmeticSlices(vector<int>& nums) { if (nums.size() < 3) return 0; int count = 0, cur = 0; for (int i = 2; i < (int)nums.size(); i++) { if (nums[i] - nums[i-1] == nums[i-1] - nums[i-2]) { cur++; count += cur; } else cur = 0; } return count; } };" }, { lang: "C", langSlug: "c", code: "int numberOfArithmeticSlices(int* nums, int numsSize) { if (numsSize < 3) return 0; int count = 0, cur = 0; for (int i = 2; i < numsSize; i++) { if (nums[i] - nums[i-1] == nums[i-1] - nums[i-2]) { cur++; count += cur; } else cur = 0; } return count; }" }] },
-  { questionId: "91", questionFrontendId: "91", title: "Decode Ways", titleSlug: "builtin-decode-ways", difficulty: "Medium", content: "<p>Digits string: '1' to '9' map to 'A' to 'I', '10' to '26' to 'J' to 'Z'. Return number of ways to decode.</p>", metaData: JSON.stringify({ name: "numDecodings", params: [{ name: "s", type: "string" }] }), exampleTestcases: "12\n226\n06", testCases: [{ stdin: "12", expected: "2" }, { stdin: "226", expected: "3" }, { stdin: "06", expected: "0" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var numDecodings = function(s) { if (!s || s[0] === '0') return 0; let prev = 1, cur = 1; for (let i = 1; i < s.length; i++) { let next = 0; if (s[i] !== '0') next = cur; const two = parseInt(s.slice(i-1, i+1), 10); if (two >= 10 && two <= 26) next += prev; prev = cur; cur = next; } return cur; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def numDecodings(self, s: str) -> int:\n        if not s or s[0] == '0': return 0\n        prev, cur = 1, 1\n        for i in range(1, len(s)):\n            nxt = cur if s[i] != '0' else 0\n            two = int(s[i-1:i+1])\n            if 10 <= two <= 26: nxt += prev\n            prev, cur = cur, nxt\n        return cur" }, { lang: "Java", langSlug: "java", code: "class Solution { public int numDecodings(String s) { if (s.isEmpty() || s.charAt(0) == '0') return 0; int prev = 1, cur = 1; for (int i = 1; i < s.length(); i++) { int next = s.charAt(i) != '0' ? cur : 0; int two = Integer.parseInt(s.substring(i-1, i+1)); if (two >= 10 && two <= 26) next += prev; prev = cur; cur = next; } return cur; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int numDecodings(string s) { if (s.empty() || s[0] == '0') return 0; int prev = 1, cur = 1; for (int i = 1; i < (int)s.size(); i++) { int next = s[i] != '0' ? cur : 0; int two = stoi(s.substr(i-1, 2)); if (two >= 10 && two <= 26) next += prev; prev = cur; cur = next; } return cur; } };" }, { lang: "C", langSlug: "c", code: "int numDecodings(char* s) { if (!s || *s == '0') return 0; int prev = 1, cur = 1; for (int i = 1; s[i]; i++) { int next = s[i] != '0' ? cur : 0; int two = (s[i-1]-'0')*10 + (s[i]-'0'); if (two >= 10 && two <= 26) next += prev; prev = cur; cur = next; } return cur; }" }] },
-  { questionId: "139", questionFrontendId: "139", title: "Word Break", titleSlug: "builtin-word-break", difficulty: "Medium", content: "<p>Return true if s can be segmented into words from wordDict. wordDict given as comma-separated words after s.</p>", metaData: JSON.stringify({ name: "wordBreak", params: [{ name: "s", type: "string" }, { name: "wordDict", type: "string" }] }), exampleTestcases: "leetcode\nleet,code\napplepenapple\napple,pen", testCases: [{ stdin: "leetcode\nleet,code", expected: "true" }, { stdin: "applepenapple\napple,pen", expected: "true" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var wordBreak = function(s, wordDict) { const set = new Set(wordDict.split(',')); const ok = (i) => { if (i === s.length) return true; for (let j = i + 1; j <= s.length; j++) if (set.has(s.slice(i,j)) && ok(j)) return true; return false; }; return ok(0); };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def wordBreak(self, s: str, wordDict: str) -> bool:\n        words = set(wordDict.split(','))\n        def ok(i):\n            if i == len(s): return True\n            for j in range(i+1, len(s)+1):\n                if s[i:j] in words and ok(j): return True\n            return False\n        return ok(0)" }, { lang: "Java", langSlug: "java", code: "class Solution { public boolean wordBreak(String s, String wordDict) { Set<String> set = new java.util.HashSet<>(java.util.Arrays.asList(wordDict.split(\",\"))); return ok(s, 0, set); } boolean ok(String s, int i, Set<String> set) { if (i == s.length()) return true; for (int j = i+1; j <= s.length(); j++) if (set.contains(s.substring(i,j)) && ok(s, j, set)) return true; return false; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: bool wordBreak(string s, string wordDict) { set<string> st; stringstream ss(wordDict); string w; while (getline(ss, w, ',')) st.insert(w); function<bool(int)> ok = [&](int i) { if (i == (int)s.size()) return true; for (int j = i+1; j <= (int)s.size(); j++) if (st.count(s.substr(i, j-i)) && ok(j)) return true; return false; }; return ok(0); } };" }, { lang: "C", langSlug: "c", code: "bool wordBreak(char* s, char* wordDict) { return true; }" }] },
-  { questionId: "5", questionFrontendId: "5", title: "Longest Palindromic Substring", titleSlug: "builtin-longest-palindromic-substring", difficulty: "Medium", content: "<p>Given a string <code>s</code>, return the <strong>length</strong> of the longest palindromic substring in <code>s</code>. A substring is palindromic if it reads the same forward and backward.</p><p><strong>Example 1:</strong></p><pre>Input: s = \"babad\"\nOutput: 3\nExplanation: \"bab\" or \"aba\" are longest palindromic substrings; length is 3.</pre><p><strong>Example 2:</strong></p><pre>Input: s = \"cbbd\"\nOutput: 2\nExplanation: \"bb\" is the longest palindromic substring; length is 2.</pre><p><strong>Constraints:</strong></p><ul><li>1 <= s.length <= 1000</li><li>s consist only of digits and English letters.</li></ul>", metaData: JSON.stringify({ name: "longestPalindrome", params: [{ name: "s", type: "string" }] }), exampleTestcases: "babad\ncbbd", testCases: [{ stdin: "babad", expected: "3" }, { stdin: "cbbd", expected: "2" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var longestPalindrome = function(s) { let best = 0; for (let i = 0; i < s.length; i++) { for (let lo = i, hi = i; lo >= 0 && hi < s.length && s[lo] === s[hi]; lo--, hi++) best = Math.max(best, hi - lo + 1); for (let lo = i, hi = i+1; lo >= 0 && hi < s.length && s[lo] === s[hi]; lo--, hi++) best = Math.max(best, hi - lo + 1); } return best; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def longestPalindrome(self, s: str) -> int:\n        def expand(lo, hi):\n            while lo >= 0 and hi < len(s) and s[lo] == s[hi]: lo -= 1; hi += 1\n            return hi - lo - 1\n        best = 0\n        for i in range(len(s)): best = max(best, expand(i,i), expand(i,i+1))\n        return best" }, { lang: "Java", langSlug: "java", code: "class Solution { public int longestPalindrome(String s) { int best = 0; for (int i = 0; i < s.length(); i++) { for (int lo = i, hi = i; lo >= 0 && hi < s.length() && s.charAt(lo) == s.charAt(hi); lo--, hi++) best = Math.max(best, hi - lo + 1); for (int lo = i, hi = i+1; lo >= 0 && hi < s.length() && s.charAt(lo) == s.charAt(hi); lo--, hi++) best = Math.max(best, hi - lo + 1); } return best; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int longestPalindrome(string s) { int best = 0; for (int i = 0; i < (int)s.size(); i++) { int lo = i, hi = i; while (lo >= 0 && hi < (int)s.size() && s[lo] == s[hi]) { best = max(best, hi - lo + 1); lo--; hi++; } lo = i; hi = i + 1; while (lo >= 0 && hi < (int)s.size() && s[lo] == s[hi]) { best = max(best, hi - lo + 1); lo--; hi++; } } return best; } };" }, { lang: "C", langSlug: "c", code: "int longestPalindrome(char* s) { int best = 0, n = strlen(s); for (int i = 0; i < n; i++) { int lo = i, hi = i; while (lo >= 0 && hi < n && s[lo] == s[hi]) { if (hi - lo + 1 > best) best = hi - lo + 1; lo--; hi++; } lo = i; hi = i + 1; while (lo >= 0 && hi < n && s[lo] == s[hi]) { if (hi - lo + 1 > best) best = hi - lo + 1; lo--; hi++; } } return best; }" }] },
-  { questionId: "45", questionFrontendId: "45", title: "Jump Game II", titleSlug: "builtin-jump-game-ii", difficulty: "Medium", content: "<p>Return minimum number of jumps to reach last index. nums[i] is max jump from i.</p>", metaData: JSON.stringify({ name: "jump", params: [{ name: "nums", type: "integer[]" }] }), exampleTestcases: "[2,3,1,1,4]\n[2,3,0,1,4]", testCases: [{ stdin: "[2,3,1,1,4]", expected: "2" }, { stdin: "[2,3,0,1,4]", expected: "2" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var jump = function(nums) { let jumps = 0, curEnd = 0, far = 0; for (let i = 0; i < nums.length - 1; i++) { far = Math.max(far, i + nums[i]); if (i === curEnd) { jumps++; curEnd = far; } } return jumps; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def jump(self, nums: list[int]) -> int:\n        jumps, cur_end, far = 0, 0, 0\n        for i in range(len(nums)-1):\n            far = max(far, i + nums[i])\n            if i == cur_end: jumps += 1; cur_end = far\n        return jumps" }, { lang: "Java", langSlug: "java", code: "class Solution { public int jump(int[] nums) { int jumps = 0, curEnd = 0, far = 0; for (int i = 0; i < nums.length - 1; i++) { far = Math.max(far, i + nums[i]); if (i == curEnd) { jumps++; curEnd = far; } } return jumps; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int jump(vector<int>& nums) { int jumps = 0, curEnd = 0, far = 0; for (int i = 0; i < (int)nums.size() - 1; i++) { far = max(far, i + nums[i]); if (i == curEnd) { jumps++; curEnd = far; } } return jumps; } };" }, { lang: "C", langSlug: "c", code: "int jump(int* nums, int numsSize) { if (numsSize <= 1) return 0; int jumps = 0, curEnd = 0, far = 0; for (int i = 0; i < numsSize - 1; i++) { if (i + nums[i] > far) far = i + nums[i]; if (i == curEnd) { jumps++; curEnd = far; } } return jumps; }" }] },
-  { questionId: "96", questionFrontendId: "96", title: "Unique Binary Search Trees", titleSlug: "builtin-unique-bst", difficulty: "Medium", content: "<p>Given n, return number of structurally unique BST's with n nodes (values 1..n).</p>", metaData: JSON.stringify({ name: "numTrees", params: [{ name: "n", type: "integer" }] }), exampleTestcases: "3\n1", testCases: [{ stdin: "3", expected: "5" }, { stdin: "1", expected: "1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var numTrees = function(n) { const dp = [1, 1]; for (let i = 2; i <= n; i++) { let s = 0; for (let r = 0; r < i; r++) s += (dp[r] || 1) * (dp[i-1-r] || 1); dp[i] = s; } return dp[n]; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def numTrees(self, n: int) -> int:\n        dp = [1, 1]\n        for i in range(2, n+1): dp.append(sum(dp[r]*dp[i-1-r] for r in range(i)))\n        return dp[n]" }, { lang: "Java", langSlug: "java", code: "class Solution { public int numTrees(int n) { int[] dp = new int[n+1]; dp[0] = dp[1] = 1; for (int i = 2; i <= n; i++) for (int r = 0; r < i; r++) dp[i] += dp[r] * dp[i-1-r]; return dp[n]; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int numTrees(int n) { vector<int> dp(n+1); dp[0] = dp[1] = 1; for (int i = 2; i <= n; i++) for (int r = 0; r < i; r++) dp[i] += dp[r] * dp[i-1-r]; return dp[n]; } };" }, { lang: "C", langSlug: "c", code: "int numTrees(int n) { int dp[20]; dp[0] = dp[1] = 1; for (int i = 2; i <= n; i++) { dp[i] = 0; for (int r = 0; r < i; r++) dp[i] += dp[r] * dp[i-1-r]; } return dp[n]; }" }] },
+  { questionId: "118", questionFrontendId: "118", title: "Pascal's Triangle (row sum)", titleSlug: "builtin-pascal-row-sum", difficulty: "Easy", content: "<p>Given row index (0-based), return the sum of that row in Pascal's triangle.</p>", metaData: JSON.stringify({ name: "getRowSum", params: [{ name: "rowIndex", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "3\n0", testCases: [{ stdin: "3", expected: "8" }, { stdin: "0", expected: "1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var getRowSum = function(rowIndex) { let row = [1]; for (let i = 0; i < rowIndex; i++) { row = [1, ...row.slice(1).map((v, j) => row[j] + v), 1]; } return row.reduce((a,b) => a+b, 0); };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def getRowSum(self, rowIndex: int) -> int:\n        row = [1]\n        for _ in range(rowIndex):\n            row = [1] + [row[i]+row[i+1] for i in range(len(row)-1)] + [1]\n        return sum(row)" }, { lang: "Java", langSlug: "java", code: "class Solution { public int getRowSum(int rowIndex) { int[] row = new int[rowIndex+1]; row[0] = 1; for (int i = 0; i < rowIndex; i++) { for (int j = i; j >= 0; j--) row[j+1] += row[j]; } int s = 0; for (int x : row) s += x; return s; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int getRowSum(int rowIndex) { vector<int> row(rowIndex+1, 0); row[0] = 1; for (int i = 0; i < rowIndex; i++) for (int j = i; j >= 0; j--) row[j+1] += row[j]; int s = 0; for (int x : row) s += x; return s; } };" }, { lang: "C", langSlug: "c", code: "int getRowSum(int rowIndex) { int row[35]; for (int i = 0; i <= rowIndex; i++) row[i] = 0; row[0] = 1; for (int i = 0; i < rowIndex; i++) for (int j = i; j >= 0; j--) row[j+1] += row[j]; int s = 0; for (int i = 0; i <= rowIndex; i++) s += row[i]; return s; }" }] },
+  { questionId: "119", questionFrontendId: "119", title: "Pascal's Triangle II (row sum)", titleSlug: "builtin-pascal-row-sum-2", difficulty: "Easy", content: "<p>Given 0-based row index, return sum of that row in Pascal's triangle. Row 0 = [1] sum 1.</p>", metaData: JSON.stringify({ name: "getRowSum", params: [{ name: "rowIndex", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "4\n1", testCases: [{ stdin: "4", expected: "16" }, { stdin: "1", expected: "2" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var getRowSum = function(rowIndex) { return 1 << rowIndex; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def getRowSum(self, rowIndex: int) -> int:\n        return 1 << rowIndex" }, { lang: "Java", langSlug: "java", code: "class Solution { public int getRowSum(int rowIndex) { return 1 << rowIndex; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int getRowSum(int rowIndex) { return 1 << rowIndex; } };" }, { lang: "C", langSlug: "c", code: "int getRowSum(int rowIndex) { return 1 << rowIndex; }" }] },
+  { questionId: "413", questionFrontendId: "413", title: "Arithmetic Slices", titleSlug: "builtin-arithmetic-slices", difficulty: "Medium", content: "<p>Return number of contiguous arithmetic subarrays of length >= 3.</p>", metaData: JSON.stringify({ name: "numberOfArithmeticSlices", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[1,2,3,4]\n[1,2,3,8,9,10]", testCases: [{ stdin: "[1,2,3,4]", expected: "3" }, { stdin: "[1,2,3,8,9,10]", expected: "2" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var numberOfArithmeticSlices = function(nums) { if (nums.length < 3) return 0; let count = 0, cur = 0; for (let i = 2; i < nums.length; i++) { if (nums[i] - nums[i-1] === nums[i-1] - nums[i-2]) { cur++; count += cur; } else cur = 0; } return count; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def numberOfArithmeticSlices(self, nums: list[int]) -> int:\n        if len(nums) < 3: return 0\n        count, cur = 0, 0\n        for i in range(2, len(nums)):\n            if nums[i] - nums[i-1] == nums[i-1] - nums[i-2]: cur += 1; count += cur\n            else: cur = 0\n        return count" }, { lang: "Java", langSlug: "java", code: "class Solution { public int numberOfArithmeticSlices(int[] nums) { if (nums.length < 3) return 0; int count = 0, cur = 0; for (int i = 2; i < nums.length; i++) { if (nums[i] - nums[i-1] == nums[i-1] - nums[i-2]) { cur++; count += cur; } else cur = 0; } return count; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int numberOfArithmeticSlices(vector<int>& nums) { if (nums.size() < 3) return 0; int count = 0, cur = 0; for (int i = 2; i < (int)nums.size(); i++) { if (nums[i] - nums[i-1] == nums[i-1] - nums[i-2]) { cur++; count += cur; } else cur = 0; } return count; } };" }, { lang: "C", langSlug: "c", code: "int numberOfArithmeticSlices(int* nums, int numsSize) { if (numsSize < 3) return 0; int count = 0, cur = 0; for (int i = 2; i < numsSize; i++) { if (nums[i] - nums[i-1] == nums[i-1] - nums[i-2]) { cur++; count += cur; } else cur = 0; } return count; }" }] },
+  { questionId: "91", questionFrontendId: "91", title: "Decode Ways", titleSlug: "builtin-decode-ways", difficulty: "Medium", content: "<p>Digits string: '1' to '9' map to 'A' to 'I', '10' to '26' to 'J' to 'Z'. Return number of ways to decode.</p>", metaData: JSON.stringify({ name: "numDecodings", params: [{ name: "s", type: "string" }], return: { type: "integer" } }), exampleTestcases: "12\n226\n06", testCases: [{ stdin: "12", expected: "2" }, { stdin: "226", expected: "3" }, { stdin: "06", expected: "0" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var numDecodings = function(s) { if (!s || s[0] === '0') return 0; let prev = 1, cur = 1; for (let i = 1; i < s.length; i++) { let next = 0; if (s[i] !== '0') next = cur; const two = parseInt(s.slice(i-1, i+1), 10); if (two >= 10 && two <= 26) next += prev; prev = cur; cur = next; } return cur; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def numDecodings(self, s: str) -> int:\n        if not s or s[0] == '0': return 0\n        prev, cur = 1, 1\n        for i in range(1, len(s)):\n            nxt = cur if s[i] != '0' else 0\n            two = int(s[i-1:i+1])\n            if 10 <= two <= 26: nxt += prev\n            prev, cur = cur, nxt\n        return cur" }, { lang: "Java", langSlug: "java", code: "class Solution { public int numDecodings(String s) { if (s.isEmpty() || s.charAt(0) == '0') return 0; int prev = 1, cur = 1; for (int i = 1; i < s.length(); i++) { int next = s.charAt(i) != '0' ? cur : 0; int two = Integer.parseInt(s.substring(i-1, i+1)); if (two >= 10 && two <= 26) next += prev; prev = cur; cur = next; } return cur; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int numDecodings(string s) { if (s.empty() || s[0] == '0') return 0; int prev = 1, cur = 1; for (int i = 1; i < (int)s.size(); i++) { int next = s[i] != '0' ? cur : 0; int two = stoi(s.substr(i-1, 2)); if (two >= 10 && two <= 26) next += prev; prev = cur; cur = next; } return cur; } };" }, { lang: "C", langSlug: "c", code: "int numDecodings(char* s) { if (!s || *s == '0') return 0; int prev = 1, cur = 1; for (int i = 1; s[i]; i++) { int next = s[i] != '0' ? cur : 0; int two = (s[i-1]-'0')*10 + (s[i]-'0'); if (two >= 10 && two <= 26) next += prev; prev = cur; cur = next; } return cur; }" }] },
+  { questionId: "139", questionFrontendId: "139", title: "Word Break", titleSlug: "builtin-word-break", difficulty: "Medium", content: "<p>Return true if s can be segmented into words from wordDict. wordDict given as comma-separated words after s.</p>", metaData: JSON.stringify({ name: "wordBreak", params: [{ name: "s", type: "string" }, { name: "wordDict", type: "string" }], return: { type: "boolean" } }), exampleTestcases: "leetcode\nleet,code\napplepenapple\napple,pen", testCases: [{ stdin: "leetcode\nleet,code", expected: "true" }, { stdin: "applepenapple\napple,pen", expected: "true" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var wordBreak = function(s, wordDict) { const set = new Set(wordDict.split(',')); const dp = new Array(s.length + 1).fill(false); dp[0] = true; for (let j = 1; j <= s.length; j++) for (let i = 0; i < j && !dp[j]; i++) if (dp[i] && set.has(s.slice(i, j))) dp[j] = true; return dp[s.length]; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def wordBreak(self, s: str, wordDict: str) -> bool:\n        words = set(wordDict.split(','))\n        dp = [True] + [False] * len(s)\n        for j in range(1, len(s) + 1):\n            dp[j] = any(dp[i] and s[i:j] in words for i in range(j))\n        return dp[len(s)]" }, { lang: "Java", langSlug: "java", code: "class Solution { public boolean wordBreak(String s, String wordDict) { java.util.Set<String> set = new java.util.HashSet<>(java.util.Arrays.asList(wordDict.split(\",\"))); boolean[] dp = new boolean[s.length() + 1]; dp[0] = true; for (int j = 1; j <= s.length(); j++) for (int i = 0; i < j && !dp[j]; i++) if (dp[i] && set.contains(s.substring(i, j))) dp[j] = true; return dp[s.length()]; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: bool wordBreak(string s, string wordDict) { set<string> st; stringstream ss(wordDict); string w; while (getline(ss, w, ',')) st.insert(w); int n = s.size(); vector<bool> dp(n + 1, false); dp[0] = true; for (int j = 1; j <= n; j++) for (int i = 0; i < j && !dp[j]; i++) if (dp[i] && st.count(s.substr(i, j - i))) dp[j] = true; return dp[n]; } };" }, { lang: "C", langSlug: "c", code: "bool wordBreak(char* s, char* wordDict) { int n = strlen(s), m = strlen(wordDict); bool* dp = calloc(n + 1, sizeof(bool)); dp[0] = true; for (int i = 0; i < n; i++) { if (!dp[i]) continue; for (int a = 0; a <= m; ) { int b = a; while (b < m && wordDict[b] != ',') b++; int len = b - a; if (len > 0 && i + len <= n && strncmp(s + i, wordDict + a, len) == 0) dp[i + len] = true; a = b + 1; } } bool ok = dp[n]; free(dp); return ok; }" }, { lang: "Rust", langSlug: "rust", code: "use std::collections::HashSet;\n\nimpl Solution {\n    pub fn word_break(s: String, word_dict: String) -> bool {\n        let words: HashSet<&str> = word_dict.split(',').collect();\n        let n = s.len();\n        let mut dp = vec![false; n + 1];\n        dp[0] = true;\n        for j in 1..=n {\n            let reachable = (0..j).any(|i| dp[i] && words.contains(&s[i..j]));\n            dp[j] = reachable;\n        }\n        dp[n]\n    }\n}" }, { lang: "Go", langSlug: "go", code: "import \"strings\"\n\nfunc wordBreak(s string, wordDict string) bool {\n    words := map[string]bool{}\n    for _, w := range strings.Split(wordDict, \",\") {\n        words[w] = true\n    }\n    dp := make([]bool, len(s)+1)\n    dp[0] = true\n    for j := 1; j <= len(s); j++ {\n        for i := 0; i < j && !dp[j]; i++ {\n            dp[j] = dp[i] && words[s[i:j]]\n        }\n    }\n    return dp[len(s)]\n}" }] },
+  { questionId: "5", questionFrontendId: "5", title: "Longest Palindromic Substring", titleSlug: "builtin-longest-palindromic-substring", difficulty: "Medium", content: "<p>Given a string <code>s</code>, return the <strong>length</strong> of the longest palindromic substring in <code>s</code>. A substring is palindromic if it reads the same forward and backward.</p><p><strong>Example 1:</strong></p><pre>Input: s = \"babad\"\nOutput: 3\nExplanation: \"bab\" or \"aba\" are longest palindromic substrings; length is 3.</pre><p><strong>Example 2:</strong></p><pre>Input: s = \"cbbd\"\nOutput: 2\nExplanation: \"bb\" is the longest palindromic substring; length is 2.</pre><p><strong>Constraints:</strong></p><ul><li>1 <= s.length <= 1000</li><li>s consist only of digits and English letters.</li></ul>", metaData: JSON.stringify({ name: "longestPalindrome", params: [{ name: "s", type: "string" }], return: { type: "integer" } }), exampleTestcases: "babad\ncbbd", testCases: [{ stdin: "babad", expected: "3" }, { stdin: "cbbd", expected: "2" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var longestPalindrome = function(s) { let best = 0; for (let i = 0; i < s.length; i++) { for (let lo = i, hi = i; lo >= 0 && hi < s.length && s[lo] === s[hi]; lo--, hi++) best = Math.max(best, hi - lo + 1); for (let lo = i, hi = i+1; lo >= 0 && hi < s.length && s[lo] === s[hi]; lo--, hi++) best = Math.max(best, hi - lo + 1); } return best; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def longestPalindrome(self, s: str) -> int:\n        def expand(lo, hi):\n            while lo >= 0 and hi < len(s) and s[lo] == s[hi]: lo -= 1; hi += 1\n            return hi - lo - 1\n        best = 0\n        for i in range(len(s)): best = max(best, expand(i,i), expand(i,i+1))\n        return best" }, { lang: "Java", langSlug: "java", code: "class Solution { public int longestPalindrome(String s) { int best = 0; for (int i = 0; i < s.length(); i++) { for (int lo = i, hi = i; lo >= 0 && hi < s.length() && s.charAt(lo) == s.charAt(hi); lo--, hi++) best = Math.max(best, hi - lo + 1); for (int lo = i, hi = i+1; lo >= 0 && hi < s.length() && s.charAt(lo) == s.charAt(hi); lo--, hi++) best = Math.max(best, hi - lo + 1); } return best; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int longestPalindrome(string s) { int best = 0; for (int i = 0; i < (int)s.size(); i++) { int lo = i, hi = i; while (lo >= 0 && hi < (int)s.size() && s[lo] == s[hi]) { best = max(best, hi - lo + 1); lo--; hi++; } lo = i; hi = i + 1; while (lo >= 0 && hi < (int)s.size() && s[lo] == s[hi]) { best = max(best, hi - lo + 1); lo--; hi++; } } return best; } };" }, { lang: "C", langSlug: "c", code: "int longestPalindrome(char* s) { int best = 0, n = strlen(s); for (int i = 0; i < n; i++) { int lo = i, hi = i; while (lo >= 0 && hi < n && s[lo] == s[hi]) { if (hi - lo + 1 > best) best = hi - lo + 1; lo--; hi++; } lo = i; hi = i + 1; while (lo >= 0 && hi < n && s[lo] == s[hi]) { if (hi - lo + 1 > best) best = hi - lo + 1; lo--; hi++; } } return best; }" }] },
+  { questionId: "45", questionFrontendId: "45", title: "Jump Game II", titleSlug: "builtin-jump-game-ii", difficulty: "Medium", content: "<p>Return minimum number of jumps to reach last index. nums[i] is max jump from i.</p>", metaData: JSON.stringify({ name: "jump", params: [{ name: "nums", type: "integer[]" }], return: { type: "integer" } }), exampleTestcases: "[2,3,1,1,4]\n[2,3,0,1,4]", testCases: [{ stdin: "[2,3,1,1,4]", expected: "2" }, { stdin: "[2,3,0,1,4]", expected: "2" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var jump = function(nums) { let jumps = 0, curEnd = 0, far = 0; for (let i = 0; i < nums.length - 1; i++) { far = Math.max(far, i + nums[i]); if (i === curEnd) { jumps++; curEnd = far; } } return jumps; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def jump(self, nums: list[int]) -> int:\n        jumps, cur_end, far = 0, 0, 0\n        for i in range(len(nums)-1):\n            far = max(far, i + nums[i])\n            if i == cur_end: jumps += 1; cur_end = far\n        return jumps" }, { lang: "Java", langSlug: "java", code: "class Solution { public int jump(int[] nums) { int jumps = 0, curEnd = 0, far = 0; for (int i = 0; i < nums.length - 1; i++) { far = Math.max(far, i + nums[i]); if (i == curEnd) { jumps++; curEnd = far; } } return jumps; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int jump(vector<int>& nums) { int jumps = 0, curEnd = 0, far = 0; for (int i = 0; i < (int)nums.size() - 1; i++) { far = max(far, i + nums[i]); if (i == curEnd) { jumps++; curEnd = far; } } return jumps; } };" }, { lang: "C", langSlug: "c", code: "int jump(int* nums, int numsSize) { if (numsSize <= 1) return 0; int jumps = 0, curEnd = 0, far = 0; for (int i = 0; i < numsSize - 1; i++) { if (i + nums[i] > far) far = i + nums[i]; if (i == curEnd) { jumps++; curEnd = far; } } return jumps; }" }] },
+  { questionId: "96", questionFrontendId: "96", title: "Unique Binary Search Trees", titleSlug: "builtin-unique-bst", difficulty: "Medium", content: "<p>Given n, return number of structurally unique BST's with n nodes (values 1..n).</p>", metaData: JSON.stringify({ name: "numTrees", params: [{ name: "n", type: "integer" }], return: { type: "integer" } }), exampleTestcases: "3\n1", testCases: [{ stdin: "3", expected: "5" }, { stdin: "1", expected: "1" }], codeSnippets: [{ lang: "JavaScript", langSlug: "javascript", code: "var numTrees = function(n) { const dp = [1, 1]; for (let i = 2; i <= n; i++) { let s = 0; for (let r = 0; r < i; r++) s += (dp[r] || 1) * (dp[i-1-r] || 1); dp[i] = s; } return dp[n]; };" }, { lang: "Python", langSlug: "python", code: "class Solution:\n    def numTrees(self, n: int) -> int:\n        dp = [1, 1]\n        for i in range(2, n+1): dp.append(sum(dp[r]*dp[i-1-r] for r in range(i)))\n        return dp[n]" }, { lang: "Java", langSlug: "java", code: "class Solution { public int numTrees(int n) { int[] dp = new int[n+1]; dp[0] = dp[1] = 1; for (int i = 2; i <= n; i++) for (int r = 0; r < i; r++) dp[i] += dp[r] * dp[i-1-r]; return dp[n]; } }" }, { lang: "C++", langSlug: "cpp", code: "class Solution { public: int numTrees(int n) { vector<int> dp(n+1); dp[0] = dp[1] = 1; for (int i = 2; i <= n; i++) for (int r = 0; r < i; r++) dp[i] += dp[r] * dp[i-1-r]; return dp[n]; } };" }, { lang: "C", langSlug: "c", code: "int numTrees(int n) { int dp[20]; dp[0] = dp[1] = 1; for (int i = 2; i <= n; i++) { dp[i] = 0; for (int r = 0; r < i; r++) dp[i] += dp[r] * dp[i-1-r]; } return dp[n]; }" }] },
+  {
+    questionId: "206",
+    questionFrontendId: "206",
+    title: "Reverse Linked List",
+    titleSlug: "builtin-reverse-linked-list",
+    difficulty: "Easy",
+    content: `
+<p>Given the <code>head</code> of a singly linked list, reverse the list, and return <em>the reversed list</em>.</p>
+<p><strong>Example 1:</strong></p>
+<pre>Input: head = [1,2,3,4,5]
+Output: [5,4,3,2,1]
+</pre>
+<p><strong>Example 2:</strong></p>
+<pre>Input: head = [1,2]
+Output: [2,1]
+</pre>
+<p><strong>Example 3:</strong></p>
+<pre>Input: head = []
+Output: []
+</pre>
+<p><strong>Constraints:</strong></p>
+<ul><li>The number of nodes in the list is in the range [0, 5000].</li><li>-5000 <= Node.val <= 5000</li></ul>
+`,
+    metaData: JSON.stringify({ name: "reverseList", params: [{ name: "head", type: "ListNode" }], return: { type: "ListNode" } }),
+    exampleTestcases: "[1,2,3,4,5]\n[1,2]\n[]",
+    testCases: [
+      { stdin: "[1,2,3,4,5]", expected: "[5,4,3,2,1]" },
+      { stdin: "[1,2]", expected: "[2,1]" },
+      { stdin: "[]", expected: "[]" },
+    ],
+    codeSnippets: [
+      { lang: "JavaScript", langSlug: "javascript", code: "var reverseList = function(head) {\n  let prev = null;\n  while (head) {\n    const next = head.next;\n    head.next = prev;\n    prev = head;\n    head = next;\n  }\n  return prev;\n};" },
+      { lang: "Python", langSlug: "python", code: "class Solution:\n    def reverseList(self, head: Optional[ListNode]) -> Optional[ListNode]:\n        prev = None\n        while head:\n            head.next, prev, head = prev, head, head.next\n        return prev" },
+      { lang: "Java", langSlug: "java", code: "class Solution {\n    public ListNode reverseList(ListNode head) {\n        ListNode prev = null;\n        while (head != null) {\n            ListNode next = head.next;\n            head.next = prev;\n            prev = head;\n            head = next;\n        }\n        return prev;\n    }\n}" },
+      { lang: "C++", langSlug: "cpp", code: "class Solution {\npublic:\n    ListNode* reverseList(ListNode* head) {\n        ListNode* prev = nullptr;\n        while (head) {\n            ListNode* next = head->next;\n            head->next = prev;\n            prev = head;\n            head = next;\n        }\n        return prev;\n    }\n};" },
+      { lang: "C", langSlug: "c", code: "struct ListNode* reverseList(struct ListNode* head) {\n    struct ListNode* prev = NULL;\n    while (head) {\n        struct ListNode* next = head->next;\n        head->next = prev;\n        prev = head;\n        head = next;\n    }\n    return prev;\n}" },
+    { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn reverse_list(head: Option<Box<ListNode>>) -> Option<Box<ListNode>> {\n        let (mut prev, mut cur) = (None, head);\n        while let Some(mut node) = cur {\n            cur = node.next.take();\n            node.next = prev;\n            prev = Some(node);\n        }\n        prev\n    }\n}" },
+    { lang: "Go", langSlug: "go", code: "func reverseList(head *ListNode) *ListNode {\n    var prev *ListNode\n    for head != nil {\n        head.Next, prev, head = prev, head, head.Next\n    }\n    return prev\n}" },
+    ],
+  },
+  {
+    questionId: "21",
+    questionFrontendId: "21",
+    title: "Merge Two Sorted Lists",
+    titleSlug: "builtin-merge-two-sorted-lists",
+    difficulty: "Easy",
+    content: `
+<p>You are given the heads of two sorted linked lists <code>list1</code> and <code>list2</code>.</p>
+<p>Merge the two lists into one <strong>sorted</strong> list. The list should be made by splicing together the nodes of the first two lists.</p>
+<p>Return <em>the head of the merged linked list</em>.</p>
+<p><strong>Example 1:</strong></p>
+<pre>Input: list1 = [1,2,4], list2 = [1,3,4]
+Output: [1,1,2,3,4,4]
+</pre>
+<p><strong>Example 2:</strong></p>
+<pre>Input: list1 = [], list2 = []
+Output: []
+</pre>
+<p><strong>Example 3:</strong></p>
+<pre>Input: list1 = [], list2 = [0]
+Output: [0]
+</pre>
+<p><strong>Constraints:</strong></p>
+<ul><li>The number of nodes in both lists is in the range [0, 5000].</li><li>-10^5 <= Node.val <= 10^5</li><li>Both <code>list1</code> and <code>list2</code> are sorted in <strong>non-decreasing</strong> order.</li></ul>
+`,
+    metaData: JSON.stringify({ name: "mergeTwoLists", params: [{ name: "list1", type: "ListNode" }, { name: "list2", type: "ListNode" }], return: { type: "ListNode" } }),
+    exampleTestcases: "[1,2,4]\n[1,3,4]\n[]\n[]\n[]\n[0]",
+    testCases: [
+      { stdin: "[1,2,4]\n[1,3,4]", expected: "[1,1,2,3,4,4]" },
+      { stdin: "[]\n[]", expected: "[]" },
+      { stdin: "[]\n[0]", expected: "[0]" },
+    ],
+    codeSnippets: [
+      { lang: "JavaScript", langSlug: "javascript", code: "var mergeTwoLists = function(list1, list2) {\n  const dummy = new ListNode(0);\n  let t = dummy;\n  while (list1 && list2) {\n    if (list1.val <= list2.val) { t.next = list1; list1 = list1.next; }\n    else { t.next = list2; list2 = list2.next; }\n    t = t.next;\n  }\n  t.next = list1 || list2;\n  return dummy.next;\n};" },
+      { lang: "Python", langSlug: "python", code: "class Solution:\n    def mergeTwoLists(self, list1: Optional[ListNode], list2: Optional[ListNode]) -> Optional[ListNode]:\n        dummy = t = ListNode(0)\n        while list1 and list2:\n            if list1.val <= list2.val:\n                t.next, list1 = list1, list1.next\n            else:\n                t.next, list2 = list2, list2.next\n            t = t.next\n        t.next = list1 or list2\n        return dummy.next" },
+      { lang: "Java", langSlug: "java", code: "class Solution {\n    public ListNode mergeTwoLists(ListNode list1, ListNode list2) {\n        ListNode dummy = new ListNode(0), t = dummy;\n        while (list1 != null && list2 != null) {\n            if (list1.val <= list2.val) { t.next = list1; list1 = list1.next; }\n            else { t.next = list2; list2 = list2.next; }\n            t = t.next;\n        }\n        t.next = list1 != null ? list1 : list2;\n        return dummy.next;\n    }\n}" },
+      { lang: "C++", langSlug: "cpp", code: "class Solution {\npublic:\n    ListNode* mergeTwoLists(ListNode* list1, ListNode* list2) {\n        ListNode dummy;\n        ListNode* t = &dummy;\n        while (list1 && list2) {\n            if (list1->val <= list2->val) { t->next = list1; list1 = list1->next; }\n            else { t->next = list2; list2 = list2->next; }\n            t = t->next;\n        }\n        t->next = list1 ? list1 : list2;\n        return dummy.next;\n    }\n};" },
+      { lang: "C", langSlug: "c", code: "struct ListNode* mergeTwoLists(struct ListNode* list1, struct ListNode* list2) {\n    struct ListNode dummy = { 0, NULL };\n    struct ListNode* t = &dummy;\n    while (list1 && list2) {\n        if (list1->val <= list2->val) { t->next = list1; list1 = list1->next; }\n        else { t->next = list2; list2 = list2->next; }\n        t = t->next;\n    }\n    t->next = list1 ? list1 : list2;\n    return dummy.next;\n}" },
+    { lang: "Rust", langSlug: "rust", code: "impl Solution {\n    pub fn merge_two_lists(list1: Option<Box<ListNode>>, list2: Option<Box<ListNode>>) -> Option<Box<ListNode>> {\n        let (mut a, mut b) = (list1, list2);\n        let mut head = None;\n        let mut tail = &mut head;\n        loop {\n            let take_a = match (&a, &b) {\n                (Some(x), Some(y)) => x.val <= y.val,\n                _ => break,\n            };\n            let source = if take_a { &mut a } else { &mut b };\n            let mut node = source.take().unwrap();\n            *source = node.next.take();\n            tail = &mut tail.insert(node).next;\n        }\n        *tail = a.or(b);\n        head\n    }\n}" },
+    { lang: "Go", langSlug: "go", code: "func mergeTwoLists(list1 *ListNode, list2 *ListNode) *ListNode {\n    dummy := &ListNode{}\n    tail := dummy\n    for list1 != nil && list2 != nil {\n        if list1.Val <= list2.Val {\n            tail.Next, list1 = list1, list1.Next\n        } else {\n            tail.Next, list2 = list2, list2.Next\n        }\n        tail = tail.Next\n    }\n    if list1 != nil {\n        tail.Next = list1\n    } else {\n        tail.Next = list2\n    }\n    return dummy.Next\n}" },
+    ],
+  },
+  {
+    questionId: "104",
+    questionFrontendId: "104",
+    title: "Maximum Depth of Binary Tree",
+    titleSlug: "builtin-maximum-depth-of-binary-tree",
+    difficulty: "Easy",
+    content: `
+<p>Given the <code>root</code> of a binary tree, return <em>its maximum depth</em>.</p>
+<p>A binary tree's <strong>maximum depth</strong> is the number of nodes along the longest path from the root node down to the farthest leaf node.</p>
+<p><strong>Example 1:</strong></p>
+<pre>Input: root = [3,9,20,null,null,15,7]
+Output: 3
+</pre>
+<p><strong>Example 2:</strong></p>
+<pre>Input: root = [1,null,2]
+Output: 2
+</pre>
+<p><strong>Constraints:</strong></p>
+<ul><li>The number of nodes in the tree is in the range [0, 10^4].</li><li>-100 <= Node.val <= 100</li></ul>
+`,
+    metaData: JSON.stringify({ name: "maxDepth", params: [{ name: "root", type: "TreeNode" }], return: { type: "integer" } }),
+    exampleTestcases: "[3,9,20,null,null,15,7]\n[1,null,2]",
+    testCases: [
+      { stdin: "[3,9,20,null,null,15,7]", expected: "3" },
+      { stdin: "[1,null,2]", expected: "2" },
+    ],
+    codeSnippets: [
+      { lang: "JavaScript", langSlug: "javascript", code: "var maxDepth = function(root) {\n  return root ? 1 + Math.max(maxDepth(root.left), maxDepth(root.right)) : 0;\n};" },
+      { lang: "Python", langSlug: "python", code: "class Solution:\n    def maxDepth(self, root: Optional[TreeNode]) -> int:\n        return 1 + max(self.maxDepth(root.left), self.maxDepth(root.right)) if root else 0" },
+      { lang: "Java", langSlug: "java", code: "class Solution {\n    public int maxDepth(TreeNode root) {\n        return root == null ? 0 : 1 + Math.max(maxDepth(root.left), maxDepth(root.right));\n    }\n}" },
+      { lang: "C++", langSlug: "cpp", code: "class Solution {\npublic:\n    int maxDepth(TreeNode* root) {\n        return root ? 1 + max(maxDepth(root->left), maxDepth(root->right)) : 0;\n    }\n};" },
+      { lang: "C", langSlug: "c", code: "int maxDepth(struct TreeNode* root) {\n    if (!root) return 0;\n    int l = maxDepth(root->left), r = maxDepth(root->right);\n    return 1 + (l > r ? l : r);\n}" },
+    { lang: "Rust", langSlug: "rust", code: "use std::rc::Rc;\nuse std::cell::RefCell;\n\nimpl Solution {\n    pub fn max_depth(root: Option<Rc<RefCell<TreeNode>>>) -> i32 {\n        match root {\n            None => 0,\n            Some(node) => {\n                let node = node.borrow();\n                1 + Self::max_depth(node.left.clone()).max(Self::max_depth(node.right.clone()))\n            }\n        }\n    }\n}" },
+    { lang: "Go", langSlug: "go", code: "func maxDepth(root *TreeNode) int {\n    if root == nil {\n        return 0\n    }\n    left, right := maxDepth(root.Left), maxDepth(root.Right)\n    if left > right {\n        return left + 1\n    }\n    return right + 1\n}" },
+    ],
+  },
+  {
+    questionId: "226",
+    questionFrontendId: "226",
+    title: "Invert Binary Tree",
+    titleSlug: "builtin-invert-binary-tree",
+    difficulty: "Easy",
+    content: `
+<p>Given the <code>root</code> of a binary tree, invert the tree, and return <em>its root</em>.</p>
+<p><strong>Example 1:</strong></p>
+<pre>Input: root = [4,2,7,1,3,6,9]
+Output: [4,7,2,9,6,3,1]
+</pre>
+<p><strong>Example 2:</strong></p>
+<pre>Input: root = [2,1,3]
+Output: [2,3,1]
+</pre>
+<p><strong>Example 3:</strong></p>
+<pre>Input: root = []
+Output: []
+</pre>
+<p><strong>Constraints:</strong></p>
+<ul><li>The number of nodes in the tree is in the range [0, 5000].</li><li>-100 <= Node.val <= 100</li></ul>
+`,
+    metaData: JSON.stringify({ name: "invertTree", params: [{ name: "root", type: "TreeNode" }], return: { type: "TreeNode" } }),
+    exampleTestcases: "[4,2,7,1,3,6,9]\n[2,1,3]\n[]",
+    testCases: [
+      { stdin: "[4,2,7,1,3,6,9]", expected: "[4,7,2,9,6,3,1]" },
+      { stdin: "[2,1,3]", expected: "[2,3,1]" },
+      { stdin: "[]", expected: "[]" },
+    ],
+    codeSnippets: [
+      { lang: "JavaScript", langSlug: "javascript", code: "var invertTree = function(root) {\n  if (root) [root.left, root.right] = [invertTree(root.right), invertTree(root.left)];\n  return root;\n};" },
+      { lang: "Python", langSlug: "python", code: "class Solution:\n    def invertTree(self, root: Optional[TreeNode]) -> Optional[TreeNode]:\n        if root:\n            root.left, root.right = self.invertTree(root.right), self.invertTree(root.left)\n        return root" },
+      { lang: "Java", langSlug: "java", code: "class Solution {\n    public TreeNode invertTree(TreeNode root) {\n        if (root == null) return null;\n        TreeNode left = invertTree(root.left);\n        root.left = invertTree(root.right);\n        root.right = left;\n        return root;\n    }\n}" },
+      { lang: "C++", langSlug: "cpp", code: "class Solution {\npublic:\n    TreeNode* invertTree(TreeNode* root) {\n        if (!root) return nullptr;\n        TreeNode* left = invertTree(root->left);\n        root->left = invertTree(root->right);\n        root->right = left;\n        return root;\n    }\n};" },
+      { lang: "C", langSlug: "c", code: "struct TreeNode* invertTree(struct TreeNode* root) {\n    if (!root) return NULL;\n    struct TreeNode* left = invertTree(root->left);\n    root->left = invertTree(root->right);\n    root->right = left;\n    return root;\n}" },
+    { lang: "Rust", langSlug: "rust", code: "use std::rc::Rc;\nuse std::cell::RefCell;\n\nimpl Solution {\n    pub fn invert_tree(root: Option<Rc<RefCell<TreeNode>>>) -> Option<Rc<RefCell<TreeNode>>> {\n        if let Some(node) = &root {\n            let mut node = node.borrow_mut();\n            let (left, right) = (node.left.take(), node.right.take());\n            node.left = Self::invert_tree(right);\n            node.right = Self::invert_tree(left);\n        }\n        root\n    }\n}" },
+    { lang: "Go", langSlug: "go", code: "func invertTree(root *TreeNode) *TreeNode {\n    if root != nil {\n        root.Left, root.Right = invertTree(root.Right), invertTree(root.Left)\n    }\n    return root\n}" },
+    ],
+  },
 ];
 
+/** The seed list, with each problem's hidden suite and topic tags. */
+export function builtinSeed() {
+  return problems.map((p) => ({ ...p, hiddenTestCases: getHiddenTestCases(p.titleSlug), tags: getBuiltinTags(p.titleSlug) }));
+}
+
+/** slug -> problem, in the seed's shape plus active and source (see problem-bank.js). */
+let bank = new Map(builtinSeed().map((p) => [p.titleSlug, { ...p, active: true, source: "builtin" }]));
+
+/** Serve these problems from now on (problem-bank.js, after loading or changing the database). */
+export function replaceProblems(list) {
+  bank = new Map(list.map((p) => [p.titleSlug, p]));
+}
+
 /** Escape for use inside HTML text/content. */
 function escapeHtml(s) {
   if (s == null) return "";
@@ -543,33 +661,52 @@ function ensureLongDescription(problem) {
   return { ...problem, content: parts.join("\n") };
 }
 
+/** A problem for the client, archived ones included (old matches still show them). Hidden tests are left out. */
 export function getBuiltinProblem(slug) {
   if (slug == null || !String(slug).startsWith(BUILTIN_PREFIX)) return null;
-  const p = problems.find((q) => q.titleSlug === slug);
+  const p = bank.get(slug);
   if (!p) return null;
-  const withLongDesc = ensureLongDescription(p);
+  const { hiddenTestCases, ...withoutHidden } = p;
+  const withLongDesc = ensureLongDescription(withoutHidden);
   // Serve stub-only snippets (no full solutions) so the editor shows templates with correct indentation.
   const stubs = makeStubSnippets(withLongDesc.metaData);
   return stubs.length > 0 ? { ...withLongDesc, codeSnippets: stubs } : withLongDesc;
 }
 
+/** Problems open for new matches. */
 export function listBuiltinProblems() {
-  return problems.map((p) => ({
+  return [...bank.values()].filter((p) => p.active).map((p) => ({
     title: p.title,
     titleSlug: p.titleSlug,
     difficulty: p.difficulty,
+    tags: p.tags || [],
   }));
 }
 
-export function pickBuiltinQuestion(difficulty) {
-  const filtered = difficulty
-    ? problems.filter((q) => q.difficulty.toLowerCase() === String(difficulty).toLowerCase())
-    : problems;
-  if (filtered.length === 0) return null;
-  return filtered[Math.floor(Math.random() * filtered.length)];
+/** Active problems, optionally of one difficulty and/or carrying one topic tag (matchmaking picks among them). */
+export function matchingBuiltinProblems(difficulty, tag) {
+  return [...bank.values()].filter((q) =>
+    q.active &&
+    (!difficulty || q.difficulty.toLowerCase() === String(difficulty).toLowerCase()) &&
+    (!tag || (q.tags || []).includes(tag)));
+}
+
+/** Full reference solution for a language (langSlug: javascript, python, java, cpp, c, ...), or null. Server-side only. */
+export function getBuiltinReferenceSolution(slug, langSlug) {
+  const snippet = bank.get(slug)?.codeSnippets?.find((s) => s.langSlug === langSlug);
+  return snippet?.code || null;
 }
 
+/** Public example cases only (what Test runs and what the statement shows). */
 export function getBuiltinTestCases(slug) {
   const p = getBuiltinProblem(slug);
   return p && Array.isArray(p.testCases) ? p.testCases : [];
 }
+
+/** Full judge suite for submit: public examples followed by the hidden cases (marked hidden: true). */
+export function getBuiltinJudgeTestCases(slug) {
+  const publicCases = getBuiltinTestCases(slug);
+  if (publicCases.length === 0) return [];
+  const hidden = (bank.get(slug)?.hiddenTestCases || []).map((tc) => ({ ...tc, hidden: true }));
+  return [...publicCases, ...hidden];
+}
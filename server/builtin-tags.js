@@ -0,0 +1,91 @@
+/**
+ * Topic tags: the vocabulary problems are tagged from (slug -> display name), and the built-in problems' tags,
+ * keyed by titleSlug. They are seed data like the problems themselves (see problem-bank.js); admins can retag
+ * any problem, within TOPIC_TAGS.
+ */
+
+export const TOPIC_TAGS = {
+  array: "Array",
+  string: "String",
+  "hash-table": "Hash Table",
+  math: "Math",
+  "dynamic-programming": "Dynamic Programming",
+  "binary-search": "Binary Search",
+  "two-pointers": "Two Pointers",
+  "sliding-window": "Sliding Window",
+  greedy: "Greedy",
+  "bit-manipulation": "Bit Manipulation",
+  "prefix-sum": "Prefix Sum",
+  sorting: "Sorting",
+  stack: "Stack",
+  "linked-list": "Linked List",
+  tree: "Tree",
+  recursion: "Recursion"
+};
+
+const BUILTIN_TAGS = {
+  "builtin-two-sum": ["array", "hash-table"],
+  "builtin-remove-duplicates-from-sorted-array": ["array", "two-pointers"],
+  "builtin-remove-element": ["array", "two-pointers"],
+  "builtin-plus-one": ["array", "math"],
+  "builtin-sqrtx": ["math", "binary-search"],
+  "builtin-climbing-stairs": ["math", "dynamic-programming"],
+  "builtin-best-time-to-buy-and-sell-stock": ["array", "dynamic-programming"],
+  "builtin-maximum-subarray": ["array", "dynamic-programming"],
+  "builtin-longest-substring-without-repeating-characters": ["string", "hash-table", "sliding-window"],
+  "builtin-valid-parentheses": ["string", "stack"],
+  "builtin-single-number": ["array", "bit-manipulation"],
+  "builtin-contains-duplicate": ["array", "hash-table", "sorting"],
+  "builtin-missing-number": ["array", "math", "bit-manipulation"],
+  "builtin-palindrome-number": ["math"],
+  "builtin-search-insert-position": ["array", "binary-search"],
+  "builtin-majority-element": ["array", "hash-table", "sorting"],
+  "builtin-move-zeroes": ["array", "two-pointers"],
+  "builtin-power-of-two": ["math", "bit-manipulation"],
+  "builtin-number-of-1-bits": ["bit-manipulation"],
+  "builtin-fibonacci-number": ["math", "dynamic-programming", "recursion"],
+  "builtin-find-min-rotated": ["array", "binary-search"],
+  "builtin-house-robber": ["array", "dynamic-programming"],
+  "builtin-search-rotated": ["array", "binary-search"],
+  "builtin-maximum-product-subarray": ["array", "dynamic-programming"],
+  "builtin-jump-game": ["array", "greedy", "dynamic-programming"],
+  "builtin-unique-paths": ["math", "dynamic-programming"],
+  "builtin-coin-change": ["array", "dynamic-programming"],
+  "builtin-counting-bits": ["dynamic-programming", "bit-manipulation"],
+  "builtin-climbing-stairs-v2": ["math", "dynamic-programming"],
+  "builtin-best-time-stock-v2": ["array", "dynamic-programming"],
+  "builtin-maximum-subarray-v2": ["array", "dynamic-programming"],
+  "builtin-longest-increasing-subsequence": ["array", "dynamic-programming", "binary-search"],
+  "builtin-find-peak-element": ["array", "binary-search"],
+  "builtin-product-except-self": ["array", "prefix-sum"],
+  "builtin-sort-colors": ["array", "two-pointers", "sorting"],
+  "builtin-longest-consecutive": ["array", "hash-table"],
+  "builtin-reverse-integer": ["math"],
+  "builtin-palindrome-number-v2": ["math"],
+  "builtin-powx-n": ["math", "recursion"],
+  "builtin-remove-duplicates-v2": ["array", "two-pointers"],
+  "builtin-remove-element-v2": ["array", "two-pointers"],
+  "builtin-binary-search": ["array", "binary-search"],
+  "builtin-min-cost-climbing-stairs": ["array", "dynamic-programming"],
+  "builtin-is-subsequence": ["string", "two-pointers"],
+  "builtin-climbing-stairs-v3": ["math", "dynamic-programming"],
+  "builtin-find-pivot-index": ["array", "prefix-sum"],
+  "builtin-plus-one-v2": ["array", "math"],
+  "builtin-pascal-row-sum": ["math", "dynamic-programming"],
+  "builtin-pascal-row-sum-2": ["math", "bit-manipulation"],
+  "builtin-arithmetic-slices": ["array", "dynamic-programming"],
+  "builtin-decode-ways": ["string", "dynamic-programming"],
+  "builtin-word-break": ["string", "hash-table", "dynamic-programming"],
+  "builtin-longest-palindromic-substring": ["string", "two-pointers", "dynamic-programming"],
+  "builtin-jump-game-ii": ["array", "greedy"],
+  "builtin-unique-bst": ["math", "dynamic-programming", "tree"],
+  "builtin-reverse-linked-list": ["linked-list", "recursion"],
+  "builtin-merge-two-sorted-lists": ["linked-list", "recursion"],
+  "builtin-maximum-depth-of-binary-tree": ["tree", "recursion"],
+  "builtin-invert-binary-tree": ["tree", "recursion"]
+};
+
+/** Tags of a built-in problem ([] if it has none). */
+export function getBuiltinTags(slug) {
+  return BUILTIN_TAGS[slug] || [];
+}
@@ -0,0 +1,160 @@
+/**
+ * Output checkers ("special judge"). A problem may declare `checker`, either on the problem itself or inside its
+ * metaData JSON (like timeLimitMs); without one, outputs are compared exactly.
+ *   { type: "exact" }                                  normalized JSON (or trimmed text) equality
+ *   { type: "unordered", nested: false }               arrays equal as multisets; `nested` also ignores order inside inner arrays
+ *   { type: "float", tolerance: 1e-5 }                 numbers equal within absolute or relative tolerance, through arrays
+ *   { type: "inPlacePrefix", param: 0, unordered: false }
+ *       "modify nums in place and return k" problems: the harness prints nums[0..k) (see harness.js) and that
+ *       prefix is compared with the expected array, optionally in any order
+ *   { type: "custom", source: "(actual, expected, input) => boolean" }
+ *       JS function source, run like a solution: in its own node process inside the sandbox (sandbox.js), with
+ *       a time limit per case and a total per submission (checkerBudget). `actual` and `expected` are parsed
+ *       JSON when possible, `input` is the array of parsed stdin lines.
+ */
+import fs from "fs";
+import path from "path";
+import { makeSandboxDir, removeSandboxDir, runSandboxed, SANDBOX_LIMITS } from "./sandbox.js";
+
+export const CHECKER_TYPES = ["exact", "unordered", "float", "inPlacePrefix", "custom"];
+
+const DEFAULT_TOLERANCE = 1e-5;
+/** Per case, including node's startup. */
+const CUSTOM_TIMEOUT_MS = 2000;
+/**
+ * All of one submission's (or Run's) custom checks together: this much per case, and never less than the minimum.
+ * A check is a fresh sandboxed node process (about 120 ms idle), so the per-case share leaves room for a busy judge.
+ */
+const CUSTOM_BUDGET_PER_CASE_MS = 1000;
+const CUSTOM_BUDGET_MIN_MS = 10000;
+
+/** A checker spec in its object form: a bare type name ("unordered") is short for { type: "unordered" }. */
+export function checkerSpec(spec) {
+  return typeof spec === "string" ? { type: spec } : spec;
+}
+
+/** Checker spec for a problem: problem.checker, else metaData.checker, else exact. */
+export function getChecker(problem) {
+  let spec = problem?.checker;
+  if (!spec && problem?.metaData) {
+    try {
+      const meta = typeof problem.metaData === "string" ? JSON.parse(problem.metaData) : problem.metaData;
+      spec = meta?.checker;
+    } catch (_) {}
+  }
+  spec = checkerSpec(spec);
+  return spec && CHECKER_TYPES.includes(spec.type) ? spec : { type: "exact" };
+}
+
+/** Normalize output for comparison (trim, optional JSON). */
+export function normalizeOutput(s) {
+  const t = String(s ?? "").trim();
+  try {
+    const parsed = JSON.parse(t);
+    return JSON.stringify(parsed);
+  } catch (_) {
+    return t;
+  }
+}
+
+function parseValue(s) {
+  const t = String(s ?? "").trim();
+  try {
+    return JSON.parse(t);
+  } catch (_) {
+    return t;
+  }
+}
+
+const canonical = (v) => JSON.stringify(v);
+
+function sortedCopy(arr, nested) {
+  const items = nested ? arr.map((x) => (Array.isArray(x) ? sortedCopy(x, true) : x)) : arr;
+  return items.map(canonical).sort();
+}
+
+function sameMultiset(actual, expected, nested) {
+  if (!Array.isArray(actual) || !Array.isArray(expected) || actual.length !== expected.length) return false;
+  const a = sortedCopy(actual, nested);
+  const e = sortedCopy(expected, nested);
+  return a.every((x, i) => x === e[i]);
+}
+
+function closeEnough(actual, expected, tolerance) {
+  if (typeof expected === "number") {
+    if (typeof actual !== "number") return false;
+    const diff = Math.abs(actual - expected);
+    return diff <= tolerance || diff <= tolerance * Math.abs(expected);
+  }
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && actual.length === expected.length && expected.every((e, i) => closeEnough(actual[i], e, tolerance));
+  }
+  return canonical(actual) === canonical(expected);
+}
+
+/**
+ * The checker program: the source as an expression, applied to the JSON arguments on stdin. The verdict is the
+ * last line of stdout, so a checker may log.
+ */
+const customProgram = (source) => `"use strict";
+const __check = (
+${source}
+);
+if (typeof __check !== "function") throw new Error("Custom checker source must evaluate to a function");
+const __result = __check.apply(null, JSON.parse(require("fs").readFileSync(0, "utf8"))) === true;
+process.stdout.write("\\n" + __result + "\\n");
+`;
+
+/**
+ * Custom checker time left for one submission of `caseCount` test cases: pass the same budget to each of its
+ * checkOutput calls.
+ */
+export function checkerBudget(caseCount = 0) {
+  return { remainingMs: Math.max(CUSTOM_BUDGET_MIN_MS, caseCount * CUSTOM_BUDGET_PER_CASE_MS) };
+}
+
+/** Run a custom checker in the sandbox. Rejects on a checker error, timeout or spent budget. */
+async function runCustom(source, actual, expected, input, budget) {
+  const timeoutMs = Math.min(CUSTOM_TIMEOUT_MS, budget.remainingMs);
+  if (timeoutMs <= 0) throw new Error("Custom checker time budget exhausted");
+  const dir = await makeSandboxDir();
+  const started = Date.now();
+  try {
+    await fs.promises.writeFile(path.join(dir, "checker.cjs"), customProgram(source), "utf8");
+    const r = await runSandboxed("node", [`--max-old-space-size=${SANDBOX_LIMITS.memoryMb}`, "checker.cjs"], {
+      stdin: JSON.stringify([actual, expected, input]), cwd: dir, timeoutMs, limitAddressSpace: false
+    });
+    if (r.timedOut) throw new Error("Custom checker timed out");
+    if (r.code !== 0) throw new Error(`Custom checker failed: ${r.stderr.match(/^\w*Error\b.*$/m)?.[0] || r.signal || r.code}`);
+    return r.stdout.trimEnd().split("\n").pop() === "true";
+  } finally {
+    budget.remainingMs -= Date.now() - started;
+    await removeSandboxDir(dir);
+  }
+}
+
+/**
+ * Whether `actual` (the program's trimmed stdout) is an accepted answer for this test case. Rejects when the
+ * checker itself fails (custom checker error, timeout or spent budget): that is the judge's failure, not a wrong
+ * answer, so callers report it as a judge error instead of a verdict.
+ */
+export async function checkOutput(spec, { actual, expected, stdin }, budget = checkerBudget()) {
+  const type = spec?.type || "exact";
+  if (type === "exact") return normalizeOutput(actual) === normalizeOutput(expected);
+  const a = parseValue(actual);
+  const e = parseValue(expected);
+  switch (type) {
+    case "unordered":
+      return sameMultiset(a, e, !!spec.nested);
+    case "float":
+      return closeEnough(a, e, Number(spec.tolerance) > 0 ? Number(spec.tolerance) : DEFAULT_TOLERANCE);
+    case "inPlacePrefix":
+      return spec.unordered ? sameMultiset(a, e, false) : Array.isArray(a) && canonical(a) === canonical(e);
+    case "custom": {
+      const input = String(stdin ?? "").split(/\r?\n/).map((l) => l.trim()).filter(Boolean).map(parseValue);
+      return runCustom(String(spec.source || ""), a, e, input, budget);
+    }
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Build cache for the compiled languages' local runners (executors.js), so a submit compiles once instead of once
+ * per test case, and repeated Run/Test clicks on unchanged code skip the compiler. Entries are keyed by a hash of
+ * the language, the compile command and the exact source handed to the compiler, harness included.
+ *
+ * A successful build's outputs (the binary, or Java's class files) are copied into COMPILE_CACHE_DIR, which only
+ * the server can read, before anything runs; every run gets its own copy in its sandbox directory, so a solution
+ * cannot alter what later runs execute. A failed build keeps its compiler result, so all test cases of a broken
+ * solution report the same error without recompiling (timeouts are not kept: they depend on load).
+ *
+ * Entries are evicted least recently used first once they add up to more than COMPILE_CACHE_MB (default 256;
+ * 0 disables the cache). The cache lives as long as the server process: the directory is emptied on first use.
+ */
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const envMb = parseInt(process.env.COMPILE_CACHE_MB, 10);
+export const COMPILE_CACHE_MAX_BYTES = (Number.isFinite(envMb) && envMb >= 0 ? envMb : 256) * 1024 * 1024;
+const CACHE_DIR = process.env.COMPILE_CACHE_DIR || path.join(os.tmpdir(), "rankedcode-compile-cache");
+
+/** key -> { dir, files, bytes } for builds, { failure, bytes } for compile errors; Map order is recency. */
+const entries = new Map();
+/** key -> promise settled once that key's build is stored, so concurrent runs of the same code compile once. */
+const building = new Map();
+let totalBytes = 0;
+let ready = null;
+
+const prepare = () => (ready ??= fs.promises.rm(CACHE_DIR, { recursive: true, force: true })
+  .then(() => fs.promises.mkdir(CACHE_DIR, { recursive: true, mode: 0o700 })));
+
+export function compileCacheKey(...parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of parts) hash.update(String(part)).update("\0");
+  return hash.digest("hex");
+}
+
+function touch(key, entry) {
+  entries.delete(key);
+  entries.set(key, entry);
+}
+
+function evict(key) {
+  const entry = entries.get(key);
+  entries.delete(key);
+  totalBytes -= entry.bytes;
+  if (entry.dir) fs.promises.rm(entry.dir, { recursive: true, force: true }).catch(() => {});
+}
+
+function remember(key, entry) {
+  if (entries.has(key)) evict(key);
+  entries.set(key, entry);
+  totalBytes += entry.bytes;
+  for (const oldest of entries.keys()) {
+    if (totalBytes <= COMPILE_CACHE_MAX_BYTES) break;
+    evict(oldest);
+  }
+}
+
+/**
+ * Copy the build outputs out of a sandbox directory into a new entry. Each entry gets a directory of its own: an
+ * evicted entry's directory may still be being removed when the same key is built again.
+ */
+function storeBuild(key, dir, outputs) {
+  return prepare()
+    .then(() => Promise.all([fs.promises.readdir(dir), fs.promises.mkdtemp(path.join(CACHE_DIR, `${key}-`))]))
+    .then(([names, entryDir]) => {
+      const files = names.filter(outputs);
+      return Promise.all(files.map((f) => fs.promises.copyFile(path.join(dir, f), path.join(entryDir, f))))
+        .then(() => Promise.all(files.map((f) => fs.promises.stat(path.join(entryDir, f)))))
+        .then((stats) => remember(key, { dir: entryDir, files, bytes: stats.reduce((n, s) => n + s.size, 0) }));
+    });
+}
+
+function restoreBuild(entry, dir) {
+  return Promise.all(entry.files.map((f) => fs.promises.copyFile(path.join(entry.dir, f), path.join(dir, f))));
+}
+
+/**
+ * Make the build of one source available in `dir`, a fresh sandbox directory. On a hit the cached outputs are
+ * copied in; otherwise `compile()` writes the source there and runs the compiler, resolving to its process
+ * result (sandbox.js), and the files matching `outputs(name)` are cached. Resolves to null when the outputs are
+ * in place, or to the failed compile result, as judged by `failed(result)`.
+ */
+export function compileCached({ key, dir, outputs, compile, failed }) {
+  if (COMPILE_CACHE_MAX_BYTES === 0) return compile().then((r) => (failed(r) ? r : null));
+  const entry = entries.get(key);
+  if (entry) {
+    touch(key, entry);
+    if (entry.failure) return Promise.resolve(entry.failure);
+    // Evicted while copying: build it again.
+    return restoreBuild(entry, dir).then(() => null, () => {
+      if (entries.get(key) === entry) evict(key);
+      return compileCached({ key, dir, outputs, compile, failed });
+    });
+  }
+  if (building.has(key)) return building.get(key).then(() => compileCached({ key, dir, outputs, compile, failed }));
+  const build = compile().then((r) => {
+    if (!failed(r)) return storeBuild(key, dir, outputs).then(() => null);
+    if (!r.timedOut) remember(key, { failure: r, bytes: Buffer.byteLength(String(r.stderr || "")) });
+    return r;
+  });
+  const settled = build.then(() => {}, () => {}).finally(() => building.delete(key));
+  building.set(key, settled);
+  return build;
+}
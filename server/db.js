@@ -4,14 +4,15 @@ import path from "path";
 import { fileURLToPath } from "url";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const dbPath = path.join(__dirname, "..", "ranked-leetcode.db");
+const dbPath = process.env.DB_PATH || path.join(__dirname, "..", "ranked-leetcode.db");
 
 let dbPromise;
 
+/** The database holds password hashes: readable by the server's user only (0600), whatever the umask. */
 function persist(db) {
   try {
     const data = db.export();
-    fs.writeFileSync(dbPath, Buffer.from(data));
+    fs.writeFileSync(dbPath, Buffer.from(data), { mode: 0o600 });
   } catch (err) {
     console.error("db persist error:", err.message);
   }
@@ -26,6 +27,7 @@ export async function getDb() {
     let data = null;
     try {
       data = fs.readFileSync(dbPath);
+      fs.chmodSync(dbPath, 0o600);
     } catch (_) {
       /* new db */
     }
@@ -47,7 +49,8 @@ export async function getDb() {
         difficulty TEXT NOT NULL,
         status TEXT NOT NULL,
         created_at TEXT NOT NULL,
-        ranked INTEGER NOT NULL DEFAULT 1
+        ranked INTEGER NOT NULL DEFAULT 1,
+        started_at TEXT
       );
       CREATE TABLE IF NOT EXISTS match_players (
         id TEXT PRIMARY KEY,
@@ -66,9 +69,106 @@ export async function getDb() {
         id TEXT PRIMARY KEY,
         user_id TEXT NOT NULL UNIQUE,
         desired_difficulty TEXT,
+        desired_tag TEXT,
         created_at TEXT NOT NULL,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
       );
+      CREATE TABLE IF NOT EXISTS submissions (
+        id TEXT PRIMARY KEY,
+        match_id TEXT,
+        user_id TEXT NOT NULL,
+        problem_slug TEXT NOT NULL,
+        language TEXT NOT NULL,
+        code TEXT NOT NULL,
+        status TEXT NOT NULL,
+        verdict TEXT,
+        passed_count INTEGER,
+        total_count INTEGER,
+        runtime_ms INTEGER,
+        compile_output TEXT,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        started_at TEXT,
+        finished_at TEXT,
+        FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_submissions_status ON submissions(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_submissions_match_user ON submissions(match_id, user_id);
+      CREATE TABLE IF NOT EXISTS submission_tests (
+        submission_id TEXT NOT NULL,
+        case_index INTEGER NOT NULL,
+        hidden INTEGER NOT NULL DEFAULT 0,
+        verdict TEXT NOT NULL,
+        runtime_ms REAL,
+        PRIMARY KEY (submission_id, case_index),
+        FOREIGN KEY (submission_id) REFERENCES submissions(id) ON DELETE CASCADE
+      );
+      CREATE TABLE IF NOT EXISTS similarity_flags (
+        id TEXT PRIMARY KEY,
+        match_id TEXT NOT NULL,
+        submission_id TEXT NOT NULL,
+        other_submission_id TEXT NOT NULL,
+        score REAL NOT NULL,
+        source TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_similarity_flags_match ON similarity_flags(match_id);
+      CREATE TABLE IF NOT EXISTS problems (
+        slug TEXT PRIMARY KEY,
+        question_id TEXT NOT NULL,
+        frontend_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        difficulty TEXT NOT NULL,
+        content TEXT NOT NULL,
+        meta_data TEXT NOT NULL,
+        example_testcases TEXT NOT NULL,
+        code_snippets TEXT NOT NULL DEFAULT '[]',
+        tags TEXT,
+        source TEXT NOT NULL DEFAULT 'custom',
+        active INTEGER NOT NULL DEFAULT 1,
+        seed_hash TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS test_cases (
+        id TEXT PRIMARY KEY,
+        problem_slug TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        stdin TEXT NOT NULL,
+        expected TEXT NOT NULL,
+        hidden INTEGER NOT NULL DEFAULT 0,
+        FOREIGN KEY (problem_slug) REFERENCES problems(slug) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_test_cases_problem ON test_cases(problem_slug, hidden, position);
+      CREATE TABLE IF NOT EXISTS problem_attempts (
+        match_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        problem_slug TEXT NOT NULL,
+        elo INTEGER NOT NULL,
+        solved INTEGER NOT NULL,
+        solve_ms INTEGER,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (match_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_problem_attempts_problem ON problem_attempts(problem_slug, solved);
+      CREATE TABLE IF NOT EXISTS problem_ratings (
+        problem_slug TEXT PRIMARY KEY,
+        rating INTEGER NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        solves INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS runtime_baselines (
+        problem_slug TEXT NOT NULL,
+        language TEXT NOT NULL,
+        baseline_ms REAL NOT NULL,
+        source TEXT NOT NULL,
+        samples INTEGER NOT NULL DEFAULT 1,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (problem_slug, language)
+      );
     `;
     db.run(schema);
     try {
@@ -76,8 +176,45 @@ export async function getDb() {
     } catch (_) {
       /* column may already exist */
     }
+    try {
+      db.run("ALTER TABLE matches ADD COLUMN review_status TEXT");
+    } catch (_) {
+      /* column may already exist */
+    }
+    try {
+      db.run("ALTER TABLE matches ADD COLUMN started_at TEXT");
+    } catch (_) {
+      /* column may already exist */
+    }
+    try {
+      db.run("ALTER TABLE matchmaking_queue ADD COLUMN desired_tag TEXT");
+    } catch (_) {
+      /* column may already exist */
+    }
+    try {
+      // NULL until the problem bank fills it in (problem-bank.js): rows from before tags existed.
+      db.run("ALTER TABLE problems ADD COLUMN tags TEXT");
+    } catch (_) {
+      /* column may already exist */
+    }
+    for (const column of ["language TEXT", "normalized_runtime REAL"]) {
+      try {
+        db.run(`ALTER TABLE match_players ADD COLUMN ${column}`);
+      } catch (_) {
+        /* column may already exist */
+      }
+    }
     persist(db);
 
+    // db.export() closes and reopens the database, which silently ends an open transaction
+    // (the later COMMIT then fails). Hold writes inside BEGIN…COMMIT and persist once at the end.
+    let inTransaction = false;
+    const trackTransaction = (sql) => {
+      const head = String(sql).trim().toUpperCase();
+      if (/^BEGIN\b/.test(head)) inTransaction = true;
+      else if (/^(COMMIT|END|ROLLBACK)\b/.test(head)) inTransaction = false;
+    };
+
     const wrap = {
       run(sql, ...params) {
         if (params.length > 0) {
@@ -85,8 +222,10 @@ export async function getDb() {
         } else {
           db.run(sql);
         }
-        persist(db);
-        return Promise.resolve({ changes: db.getRowsModified() });
+        const changes = db.getRowsModified();
+        trackTransaction(sql);
+        if (!inTransaction) persist(db);
+        return Promise.resolve({ changes });
       },
       get(sql, ...params) {
         const stmt = db.prepare(sql);
@@ -105,7 +244,8 @@ export async function getDb() {
       },
       exec(sql) {
         db.exec(sql);
-        persist(db);
+        trackTransaction(sql);
+        if (!inTransaction) persist(db);
         return Promise.resolve();
       }
     };
@@ -0,0 +1,612 @@
+/**
+ * Execution backends behind one interface. An executor is { name, supports(language), execute(request) } where
+ * request is { language, code, stdin, meta, timeLimitMs, repeats } and execute resolves to a run result
+ * ({ stdout, stderr, runTimeMs, exitCode, signal, timedOut, memoryExceeded, outputExceeded, compileError }, see
+ * verdicts.js, plus harnessToken, the token of a harnessed run's result line). Backends:
+ *   local    sandboxed toolchains on this machine (sandbox.js), the solution wrapped in its harness (harness.js);
+ *            TypeScript is transpiled in-process (types stripped, not checked) and runs on the JavaScript harness;
+ *            compiled languages build once per source and reuse the build across test cases (compile-cache.js);
+ *            only languages whose toolchains are installed (probed at startup)
+ *   piston   a Piston API at PISTON_URL, e.g. a self-hosted http://localhost:2000/api/v2/piston; same harness
+ *            sources (Java with its entry class first) and TypeScript sent as its transpiled
+ *            JavaScript. One run per request, timed by the harness's result line
+ *            when there is one, else (and always for C, C++, Rust and Go) by Piston's cpu_time
+ *   fake     canned results, for tests and for working on the UI without toolchains
+ * EXECUTORS lists the backends to try, in order (default "local,piston"). A backend is skipped for languages it
+ * does not support, and the next one is tried when it throws (unreachable, misconfigured, toolchain missing).
+ */
+import fetch from "node-fetch";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import vm from "vm";
+import {
+  harnessToken, splitHarnessOutput, wrapC, wrapCCompileOnly, wrapCpp, wrapCppCompileOnly, wrapGo, wrapGoCompileOnly, wrapJava, wrapJavaCompileOnly,
+  wrapJavaScript, wrapPython, wrapRust, wrapRustCompileOnly
+} from "./harness.js";
+import { compileCacheKey, compileCached } from "./compile-cache.js";
+import { hasTool, makeSandboxDir, removeSandboxDir, runSandboxed, SANDBOX_LIMITS } from "./sandbox.js";
+import { DEFAULT_TIME_LIMIT_MS } from "./verdicts.js";
+
+export const PISTON_URL = (process.env.PISTON_URL || "https://emkc.org/api/v2/piston").replace(/\/+$/, "");
+const DEFAULT_EXECUTORS = "local,piston";
+
+const LANGUAGE_ALIASES = { js: "javascript", py: "python", python3: "python", "c++": "cpp", ts: "typescript", rs: "rust", golang: "go" };
+
+/**
+ * Canonical language name, the snippet langSlug: javascript, typescript, python, java, cpp, c, rust, go. Executors,
+ * reference solutions and runtime baselines all key languages by it.
+ */
+export function executorLanguage(language) {
+  const lang = String(language || "").toLowerCase().trim();
+  return LANGUAGE_ALIASES[lang] || lang;
+}
+
+/** Syntax errors are found by compiling (never running) the code with the same CommonJS wrapper Node uses. */
+function jsSyntaxError(code) {
+  try {
+    vm.compileFunction(code, ["exports", "require", "module", "__filename", "__dirname"]);
+    return null;
+  } catch (e) {
+    return e?.name === "SyntaxError" ? `SyntaxError: ${e.message}` : null;
+  }
+}
+
+/**
+ * Node's permission model, where the sandbox's Node has it: no inspector, child processes, workers or native
+ * addons, and files only in the run directory, so a solution cannot reach the harness from outside its closure.
+ */
+const NODE_PERMISSION_FLAGS = ["--experimental-permission", "--disable-warning=ExperimentalWarning"];
+const NODE_PERMISSION = hasTool("node", [...NODE_PERMISSION_FLAGS, "-e", ""]);
+if (!NODE_PERMISSION) console.warn("Sandbox: running JavaScript without Node's permission model (this Node does not have it).");
+
+function nodePermissionArgs(dir) {
+  return NODE_PERMISSION ? [...NODE_PERMISSION_FLAGS, `--allow-fs-read=${dir}`, `--allow-fs-write=${dir}`] : [];
+}
+
+/**
+ * Run a JavaScript solution in its own sandboxed Node process, never in the server's heap: a hostile
+ * submission cannot reach server state, and async loops die with the process at the time limit.
+ */
+function runLocalJavaScript(code, stdin, meta, options = {}) {
+  const syntaxError = jsSyntaxError(code);
+  if (syntaxError) {
+    return Promise.resolve({ stdout: "", stderr: syntaxError, runTimeMs: null, exitCode: 1, signal: null, timedOut: false, compileError: true });
+  }
+  let program;
+  try {
+    program = harnessSource("javascript", code, stdin, meta);
+  } catch (err) {
+    return Promise.resolve(setupErrorResult(err));
+  }
+  let tmpDir = null;
+  return makeSandboxDir()
+    .then((dir) => { tmpDir = dir; return fs.promises.writeFile(path.join(tmpDir, "main.cjs"), program.source, "utf8"); })
+    .then(() => runRepeated(() => runSandboxed("node", [`--max-old-space-size=${SANDBOX_LIMITS.memoryMb}`, ...nodePermissionArgs(tmpDir), "main.cjs"], {
+      stdin: programStdin(program, stdin), cwd: tmpDir, timeoutMs: options.timeLimitMs || DEFAULT_TIME_LIMIT_MS, limitAddressSpace: false,
+      memoryReport: MEMORY_REPORTS.javascript
+    }), options.repeats, program.token))
+    .then((r) => removeSandboxDir(tmpDir).then(() => toRunResult(r, { harnessToken: program.token })))
+    .catch((err) => (tmpDir ? removeSandboxDir(tmpDir) : Promise.resolve()).then(() => setupErrorResult(err)));
+}
+
+/** The TypeScript compiler, loaded on first use: it is large, and only TypeScript runs need it. */
+let typescript = null;
+const loadTypeScript = () => (typescript ??= import("typescript").then((m) => m.default));
+
+const TS_DIAGNOSTIC_HOST = { getCanonicalFileName: (f) => f, getCurrentDirectory: () => "", getNewLine: () => "\n" };
+
+/**
+ * Strip a TypeScript solution's types, like `tsc --isolatedModules` without the type check. Resolves to { js },
+ * or { error } with tsc-style messages for syntax errors.
+ */
+function transpileTypeScript(code) {
+  return loadTypeScript().then((ts) => {
+    const out = ts.transpileModule(code, {
+      fileName: "main.ts",
+      reportDiagnostics: true,
+      compilerOptions: { target: ts.ScriptTarget.ES2022, module: ts.ModuleKind.CommonJS }
+    });
+    const errors = (out.diagnostics || []).filter((d) => d.category === ts.DiagnosticCategory.Error);
+    return errors.length ? { error: ts.formatDiagnostics(errors, TS_DIAGNOSTIC_HOST).trim() } : { js: out.outputText };
+  });
+}
+
+function runLocalTypeScript(code, stdin, meta, options = {}) {
+  return transpileTypeScript(code)
+    .then(({ js, error }) => (error ? compileErrorResult({ code: 1, stderr: error }) : runLocalJavaScript(js, stdin, meta, options)))
+    .catch(setupErrorResult);
+}
+
+
+/**
+ * Languages timed from outside the process (the sandbox's CPU time of the whole run), not by their harness: native
+ * code can run before main (constructors, Go's init) and reach anything in its own process, the harness's token
+ * and clock included, so the time on its result line proves nothing.
+ */
+const PROCESS_TIMED = new Set(["c", "cpp", "rust", "go"]);
+
+/**
+ * Run a program up to `repeats` times for a steadier timing. The first run is the one judged; repeats stop
+ * at the first run that does not exit cleanly. Resolves to the first run plus `timeMs`, the median of the
+ * method-call times the harness reported on lines carrying `token` (process startup and compilation never count),
+ * or null if none did. With `processTimed`, a run that printed its result line counts its CPU time (runSandboxed's
+ * cpuTimeMs) instead: startup and input parsing included, but measured where the program cannot reach.
+ */
+function runRepeated(runOnce, repeats = 1, token = null, processTimed = false) {
+  const runs = [];
+  const next = () => runOnce().then((r) => {
+    runs.push(r);
+    return runs.length < repeats && r.code === 0 && !r.timedOut ? next() : null;
+  });
+  const timeOf = (r) => {
+    const { result, timeMs } = splitHarnessOutput(r.stdout, token);
+    if (!processTimed) return timeMs;
+    return result !== null ? r.cpuTimeMs ?? null : null;
+  };
+  return next().then(() => {
+    const times = runs.map(timeOf).filter((t) => t != null).sort((a, b) => a - b);
+    const median = times.length ? (times[(times.length - 1) >> 1] + times[times.length >> 1]) / 2 : null;
+    return { ...runs[0], timeMs: median == null ? null : Math.round(median * 1e6) / 1e6 };
+  });
+}
+
+/** Shape a finished process into the executor result the judge classifies (see verdicts.js). */
+function toRunResult(r, extra = {}) {
+  return {
+    stdout: r.stdout,
+    stderr: r.stderr,
+    runTimeMs: r.timeMs ?? null,
+    exitCode: r.code,
+    signal: r.signal || null,
+    timedOut: !!r.timedOut,
+    memoryExceeded: !!r.memoryExceeded,
+    outputExceeded: !!r.outputExceeded,
+    compileError: false,
+    ...extra
+  };
+}
+
+/** Compile step failed (non-zero exit or killed); the run never happened. */
+function compileFailed(compile) {
+  return compile.timedOut || (compile.code !== 0 && compile.code !== null) || (compile.code === null && compile.signal);
+}
+
+function compileErrorResult(compile) {
+  const stderr = compile.timedOut ? "Compilation timed out" : compile.outputExceeded ? "Compiler output too large" : compile.stderr || "Compilation failed";
+  return { stdout: "", stderr, runTimeMs: null, exitCode: compile.code, signal: null, timedOut: false, compileError: true };
+}
+
+/** A local toolchain that could not be started: rethrown by setupErrorResult so executeWith tries the next backend. */
+function toolchainMissing(command) {
+  return Object.assign(new Error(`${command} could not be started in the sandbox`), { toolchainMissing: true });
+}
+
+function setupErrorResult(err) {
+  if (err.toolchainMissing) throw err;
+  return { stdout: "", stderr: String(err.message), runTimeMs: null, exitCode: null, signal: null, timedOut: false, compileError: false };
+}
+
+/**
+ * Compile `source`, saved as `file`, in a fresh sandbox directory, or copy in its cached build (compile-cache.js),
+ * then `run(dir)`. `compiler` is [command, args, runSandboxed options]; `outputs(name)` picks the files to cache
+ * (default: the `main` binary). `token` is the harness token the run's result carries. Resolves to the run's result,
+ * or to a Compile Error; rejects when the compiler cannot be started.
+ */
+function compileAndRun({ language, source, file, compiler, outputs = (name) => name === "main", run, token = null }) {
+  const [command, args, compileOptions] = compiler;
+  let tmpDir = null;
+  return makeSandboxDir()
+    .then((dir) => {
+      tmpDir = dir;
+      return compileCached({
+        key: compileCacheKey(language, command, ...args, source),
+        dir,
+        outputs,
+        failed: compileFailed,
+        compile: () => fs.promises.writeFile(path.join(dir, file), source, "utf8")
+          .then(() => runSandboxed(command, args, { cwd: dir, ...compileOptions }))
+          .then((r) => {
+            if (r.execFailed) throw toolchainMissing(command);
+            return r;
+          })
+      });
+    })
+    .then((failure) => (failure ? compileErrorResult(failure) : run(tmpDir).then((r) => toRunResult(r, { harnessToken: token }))))
+    .then((result) => removeSandboxDir(tmpDir).then(() => result))
+    .catch((err) => (tmpDir ? removeSandboxDir(tmpDir) : Promise.resolve()).then(() => setupErrorResult(err)));
+}
+
+
+/** Harness signature for a run: the full typed one from metaData, or just a method name (params parsed as JSON). */
+function harnessSignature(meta) {
+  if (meta?.signature) return meta.signature;
+  return meta?.methodName ? { name: meta.methodName, params: null, returnType: null } : null;
+}
+
+
+/**
+ * How each runtime ends when an allocation fails under its cap (see runSandboxed's memoryReport). C has no such
+ * report: a failed malloc is whatever the program makes of it, and only a kernel kill counts as out of memory.
+ */
+const MEMORY_REPORTS = {
+  javascript: { signal: "SIGABRT", stderr: /JavaScript heap out of memory/ },
+  python: { code: 1, stderr: /^MemoryError\b/m },
+  java: { code: 1, stderr: /^Exception in thread "main" java\.lang\.OutOfMemoryError\b/m },
+  cpp: { signal: "SIGABRT", stderr: /terminate called after throwing an instance of 'std::bad_alloc'/ },
+  rust: { signal: "SIGABRT", stderr: /^memory allocation of \d+ bytes failed$/m },
+  go: { code: 2, stderr: /^fatal error: (?:runtime: )?out of memory$/m }
+};
+
+/** A harnessed program, with the fresh token its result line must carry, or a program run as written. */
+const harnessed = (source) => ({ source, token: harnessToken() });
+const asWritten = (source) => ({ source, token: null });
+
+/** The stdin a program reads: its harness token on the first line, when it has one, then the test input. */
+function programStdin(program, stdin) {
+  return program.token ? `${program.token}\n${stdin}` : stdin;
+}
+
+/**
+ * The program to run ({ source, token }): the solution wrapped in its harness (harness.js) when there is input to
+ * call it with, or as written when it brings its own entry point. Throws for signatures a harness cannot handle.
+ */
+function harnessSource(language, code, stdin, meta) {
+  const hasStdin = String(stdin).trim().length > 0;
+  switch (language) {
+    case "javascript": {
+      const signature = hasStdin ? harnessSignature(meta) : null;
+      return signature ? harnessed(wrapJavaScript(code, signature)) : asWritten(wrapJavaScript(code, null));
+    }
+    case "python": {
+      const needsHarness = hasStdin && /class\s+Solution\s*[:(]/.test(code) && !/if\s+__name__\s*==\s*[\'"]__main__[\'"]\s*:/m.test(code);
+      return needsHarness ? harnessed(wrapPython(code, harnessSignature(meta))) : asWritten(code);
+    }
+    case "c": {
+      const hasMain = /\bint\s+main\s*\(/.test(code);
+      if (hasStdin && !hasMain && meta?.signature) return harnessed(wrapC(code, meta.signature));
+      return asWritten(hasMain ? code : wrapCCompileOnly(code));
+    }
+    case "cpp": {
+      const hasMain = /int\s+main\s*\(|void\s+main\s*\(/.test(code);
+      const hasSolution = /\bclass\s+Solution\b/.test(code);
+      if (hasStdin && hasSolution && !hasMain && meta?.signature) return harnessed(wrapCpp(code, meta.signature));
+      return asWritten(hasMain ? code : wrapCppCompileOnly(code));
+    }
+    case "rust": {
+      const hasMain = /\bfn\s+main\s*\(/.test(code);
+      const hasSolution = /\bimpl\s+Solution\b/.test(code);
+      if (hasStdin && hasSolution && !hasMain && meta?.signature) return harnessed(wrapRust(code, meta.signature));
+      return asWritten(hasMain ? code : wrapRustCompileOnly(code));
+    }
+    case "go": {
+      const hasMain = /\bfunc\s+main\s*\(/.test(code);
+      if (hasStdin && !hasMain && meta?.signature) return harnessed(wrapGo(code, meta.signature));
+      return asWritten(wrapGoCompileOnly(code));
+    }
+    default:
+      return asWritten(code);
+  }
+}
+
+/** Python reports syntax errors at load time without a traceback; treat those as Compile Error. */
+function isPythonCompileError(r) {
+  return r.code !== 0 && !/Traceback \(most recent call last\)/.test(r.stderr) && /^(SyntaxError|IndentationError|TabError):/m.test(r.stderr);
+}
+
+function runLocalPython(code, stdin, meta, options = {}) {
+  let program;
+  try {
+    program = harnessSource("python", code, stdin, meta);
+  } catch (err) {
+    return Promise.resolve(setupErrorResult(err));
+  }
+  let tmpDir = null;
+  return makeSandboxDir()
+    .then((dir) => { tmpDir = dir; return fs.promises.writeFile(path.join(tmpDir, "main.py"), program.source, "utf8"); })
+    .then(() => runRepeated(() => runSandboxed("python3", ["main.py"], {
+      stdin: programStdin(program, stdin), cwd: tmpDir, timeoutMs: options.timeLimitMs || DEFAULT_TIME_LIMIT_MS,
+      memoryReport: MEMORY_REPORTS.python
+    }), options.repeats, program.token))
+    .then((r) => removeSandboxDir(tmpDir).then(() => toRunResult(r, { compileError: isPythonCompileError(r), harnessToken: program.token })))
+    .catch((err) => (tmpDir ? removeSandboxDir(tmpDir) : Promise.resolve()).then(() => setupErrorResult(err)));
+}
+
+/** JVM threads count against RLIMIT_NPROC, and the JVM reserves address space up front, so Java is capped by heap flags. */
+const JAVA_MAX_PROCESSES = 256;
+
+/**
+ * The Java program to run, like harnessSource, plus its entry class: the harness's RcMain, or Solution when the
+ * code brings its own main (the old `java Solution` behaviour). `entryFirst` as in wrapJava.
+ */
+function javaProgram(code, stdin, meta, { entryFirst = false } = {}) {
+  const hasStdin = String(stdin).trim().length > 0;
+  const hasMain = /\bstatic\s+void\s+main\s*\(/.test(code);
+  const hasSolution = /\bclass\s+Solution\b/.test(code);
+  if (hasMain) return { ...asWritten(code), mainClass: "Solution" };
+  const program = hasStdin && hasSolution && meta?.signature
+    ? harnessed(wrapJava(code, meta.signature, { entryFirst }))
+    : asWritten(wrapJavaCompileOnly(code, { entryFirst }));
+  return { ...program, mainClass: "RcMain" };
+}
+
+function runLocalJava(code, stdin, meta, options = {}) {
+  let program;
+  try {
+    program = javaProgram(code, stdin, meta);
+  } catch (err) {
+    return Promise.resolve(setupErrorResult(err));
+  }
+  return compileAndRun({
+    language: "java",
+    source: program.source,
+    token: program.token,
+    file: "Solution.java",
+    compiler: ["javac", [`-J-Xmx${SANDBOX_LIMITS.compileMemoryMb}m`, "-encoding", "UTF-8", "Solution.java"], {
+      limitAddressSpace: false, maxProcesses: JAVA_MAX_PROCESSES
+    }],
+    outputs: (name) => name.endsWith(".class"),
+    run: (dir) => runRepeated(() => runSandboxed("java", [`-Xmx${SANDBOX_LIMITS.memoryMb}m`, "-XX:+UseSerialGC", program.mainClass], {
+      stdin: programStdin(program, stdin), cwd: dir, timeoutMs: options.timeLimitMs || DEFAULT_TIME_LIMIT_MS, limitAddressSpace: false,
+      maxProcesses: JAVA_MAX_PROCESSES, memoryReport: MEMORY_REPORTS.java
+    }), options.repeats, program.token)
+  });
+}
+
+function runLocalC(code, stdin, meta, options = {}) {
+  let program;
+  try {
+    program = harnessSource("c", code, stdin, meta);
+  } catch (err) {
+    return Promise.resolve(setupErrorResult(err));
+  }
+  return compileAndRun({
+    language: "c",
+    source: program.source,
+    token: program.token,
+    file: "main.c",
+    compiler: ["gcc", ["-std=gnu11", "-O2", "-o", "main", "main.c", "-lm"], { memoryMb: SANDBOX_LIMITS.compileMemoryMb }],
+    run: (dir) => runRepeated(() => runSandboxed("./main", [], {
+      stdin: programStdin(program, stdin), cwd: dir, timeoutMs: options.timeLimitMs || DEFAULT_TIME_LIMIT_MS, cpuTime: true
+    }), options.repeats, program.token, true)
+  });
+}
+
+function runLocalCpp(code, stdin, meta, options = {}) {
+  let program;
+  try {
+    program = harnessSource("cpp", code, stdin, meta);
+  } catch (err) {
+    return Promise.resolve(setupErrorResult(err));
+  }
+  return compileAndRun({
+    language: "cpp",
+    source: program.source,
+    token: program.token,
+    file: "main.cpp",
+    compiler: ["g++", ["-std=c++17", "-O2", "-o", "main", "main.cpp"], { memoryMb: SANDBOX_LIMITS.compileMemoryMb }],
+    run: (dir) => runRepeated(() => runSandboxed("./main", [], {
+      stdin: programStdin(program, stdin), cwd: dir, timeoutMs: options.timeLimitMs || DEFAULT_TIME_LIMIT_MS, cpuTime: true,
+      memoryReport: MEMORY_REPORTS.cpp
+    }), options.repeats, program.token, true)
+  });
+}
+
+/** rustc -O and Go's first build (which compiles the standard packages into the cache) outlast the default 10s. */
+const RUST_COMPILE_TIMEOUT_MS = 30000;
+const GO_COMPILE_TIMEOUT_MS = 60000;
+
+/** rustup's settings, passed to rustc when the server has them: a rustup-managed rustc cannot find its toolchain otherwise. */
+const RUST_COMPILE_ENV = Object.fromEntries(["RUSTUP_HOME", "RUSTUP_TOOLCHAIN"].filter((k) => process.env[k]).map((k) => [k, process.env[k]]));
+
+function runLocalRust(code, stdin, meta, options = {}) {
+  let program;
+  try {
+    program = harnessSource("rust", code, stdin, meta);
+  } catch (err) {
+    return Promise.resolve(setupErrorResult(err));
+  }
+  return compileAndRun({
+    language: "rust",
+    source: program.source,
+    token: program.token,
+    file: "main.rs",
+    compiler: ["rustc", ["-O", "--edition", "2021", "-o", "main", "main.rs"], {
+      env: RUST_COMPILE_ENV, timeoutMs: RUST_COMPILE_TIMEOUT_MS, memoryMb: SANDBOX_LIMITS.compileMemoryMb
+    }],
+    run: (dir) => runRepeated(() => runSandboxed("./main", [], {
+      stdin: programStdin(program, stdin), cwd: dir, timeoutMs: options.timeLimitMs || DEFAULT_TIME_LIMIT_MS, cpuTime: true,
+      memoryReport: MEMORY_REPORTS.rust
+    }), options.repeats, program.token, true)
+  });
+}
+
+/**
+ * Go's build cache, kept across runs so each build only compiles the solution. It belongs to the server and the
+ * compiler runs under the server's uid: a solution able to write the cache could plant code in later builds.
+ */
+const GO_CACHE_DIR = process.env.GO_CACHE_DIR || path.join(os.tmpdir(), "rankedcode-go-cache");
+const GO_BUILD_ENV = {
+  GOCACHE: GO_CACHE_DIR,
+  GOPATH: path.join(GO_CACHE_DIR, "gopath"),
+  GOTOOLCHAIN: "local",
+  GOPROXY: "off",
+  CGO_ENABLED: "0"
+};
+
+/** The Go runtime reserves several hundred MB of address space at startup, before the solution allocates anything. */
+const GO_RUNTIME_RESERVE_MB = 768;
+
+function runLocalGo(code, stdin, meta, options = {}) {
+  let program;
+  try {
+    program = harnessSource("go", code, stdin, meta);
+  } catch (err) {
+    return Promise.resolve(setupErrorResult(err));
+  }
+  return fs.promises.mkdir(GO_CACHE_DIR, { recursive: true, mode: 0o700 })
+    .then(() => compileAndRun({
+      language: "go",
+      source: program.source,
+      token: program.token,
+      file: "main.go",
+      compiler: ["go", ["build", "-o", "main", "main.go"], {
+        env: GO_BUILD_ENV, writable: [GO_CACHE_DIR], timeoutMs: GO_COMPILE_TIMEOUT_MS, memoryMb: SANDBOX_LIMITS.compileMemoryMb,
+        switchUser: false
+      }],
+      run: (dir) => runRepeated(() => runSandboxed("./main", [], {
+        stdin: programStdin(program, stdin), cwd: dir, timeoutMs: options.timeLimitMs || DEFAULT_TIME_LIMIT_MS,
+        memoryMb: SANDBOX_LIMITS.memoryMb + GO_RUNTIME_RESERVE_MB, cpuTime: true, memoryReport: MEMORY_REPORTS.go
+      }), options.repeats, program.token, true)
+    }))
+    .catch(setupErrorResult);
+}
+
+const LOCAL_RUNNERS = {
+  javascript: runLocalJavaScript,
+  typescript: runLocalTypeScript,
+  python: runLocalPython,
+  java: runLocalJava,
+  c: runLocalC,
+  cpp: runLocalCpp,
+  rust: runLocalRust,
+  go: runLocalGo
+};
+
+/** Languages the judge runs, by their canonical names. */
+export const LANGUAGES = Object.keys(LOCAL_RUNNERS);
+
+/** The commands each local runner needs, with arguments that exit cleanly when the command works. */
+const LOCAL_TOOLCHAINS = {
+  javascript: [["node", ["--version"]]],
+  typescript: [["node", ["--version"]]],
+  python: [["python3", ["--version"]]],
+  java: [["javac", ["-version"]], ["java", ["-version"]]],
+  c: [["gcc", ["--version"]]],
+  cpp: [["g++", ["--version"]]],
+  rust: [["rustc", ["--version"], RUST_COMPILE_ENV]],
+  go: [["go", ["version"]]]
+};
+
+/**
+ * Supports the languages whose toolchains are installed, probed once when the executor is created, so the next
+ * backend (e.g. Piston) takes the others. A compiler that still cannot be started makes execute reject.
+ */
+export function createLocalExecutor() {
+  const available = new Set(LANGUAGES.filter((language) => LOCAL_TOOLCHAINS[language].every(([cmd, args, env]) => hasTool(cmd, args, env))));
+  const missing = LANGUAGES.filter((language) => !available.has(language));
+  if (missing.length) console.warn(`Local executor: no toolchain for ${missing.join(", ")}.`);
+  return {
+    name: "local",
+    supports: (language) => available.has(language),
+    execute: ({ language, code, stdin, meta, timeLimitMs, repeats }) => LOCAL_RUNNERS[language](code, stdin, meta, { timeLimitMs, repeats })
+  };
+}
+
+/** Piston's names where they differ from ours, and the file extension each language is sent with. */
+const PISTON_LANGUAGES = { cpp: "c++" };
+const PISTON_EXTENSIONS = { javascript: "js", python: "py", java: "java", cpp: "cpp", c: "c", rust: "rs", go: "go" };
+
+/** Piston runs the program once per request (no repeats); its cpu_time (ms, compile excluded) covers unwrapped code. */
+export function createPistonExecutor(url = PISTON_URL) {
+  return {
+    name: "piston",
+    supports: () => true,
+    async execute({ language, code, stdin, meta, timeLimitMs = DEFAULT_TIME_LIMIT_MS }) {
+      if (language === "typescript") {
+        const { js, error } = await transpileTypeScript(code);
+        if (error) return compileErrorResult({ code: 1, stderr: error });
+        [language, code] = ["javascript", js];
+      }
+      let program;
+      try {
+        // Piston launches Java as a source file, which starts the first class in it.
+        program = language === "java" ? javaProgram(code, stdin, meta, { entryFirst: true }) : harnessSource(language, code, stdin, meta);
+      } catch (err) {
+        return setupErrorResult(err);
+      }
+      const res = await fetch(`${url}/execute`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          language: PISTON_LANGUAGES[language] || language,
+          version: "*",
+          files: [{ name: `main.${PISTON_EXTENSIONS[language] || "txt"}`, content: program.source }],
+          stdin: programStdin(program, String(stdin)),
+          run_timeout: timeLimitMs
+        })
+      });
+      if (!res.ok) throw new Error(await res.text() || `HTTP ${res.status}`);
+      const result = await res.json();
+      if (result.compile && result.compile.code !== 0) {
+        return { stdout: "", stderr: result.compile.stderr || result.compile.output || "Compilation failed", runTimeMs: null, exitCode: result.compile.code, signal: null, timedOut: false, compileError: true };
+      }
+      const stdout = result.run?.stdout ?? "";
+      return {
+        stdout,
+        stderr: result.run?.stderr ?? "",
+        runTimeMs: (PROCESS_TIMED.has(language) ? null : splitHarnessOutput(stdout, program.token).timeMs)
+          ?? (Number.isFinite(result.run?.cpu_time) ? result.run.cpu_time : null),
+        exitCode: result.run?.code ?? null,
+        signal: result.run?.signal === "SIGKILL" ? null : result.run?.signal || null,
+        timedOut: result.run?.signal === "SIGKILL",
+        memoryExceeded: false,
+        outputExceeded: false,
+        compileError: false,
+        harnessToken: program.token
+      };
+    }
+  };
+}
+
+/**
+ * A backend that runs nothing: `respond(request)` returns (or resolves to) the fields of the result, merged over a
+ * clean exit with empty output. The default answers every request that way.
+ */
+export function createFakeExecutor(respond = () => ({})) {
+  return {
+    name: "fake",
+    supports: () => true,
+    async execute(request) {
+      const fields = await respond(request);
+      return { stdout: "", stderr: "", runTimeMs: null, exitCode: 0, signal: null, timedOut: false, memoryExceeded: false, outputExceeded: false, compileError: false, ...fields };
+    }
+  };
+}
+
+const BACKENDS = { local: createLocalExecutor, piston: createPistonExecutor, fake: createFakeExecutor };
+
+/** Executors named in a comma-separated list (EXECUTORS), in order; unknown names are reported and skipped. */
+export function createExecutors(names = process.env.EXECUTORS || DEFAULT_EXECUTORS) {
+  const executors = [];
+  for (const name of String(names).split(",").map((n) => n.trim().toLowerCase()).filter(Boolean)) {
+    if (Object.hasOwn(BACKENDS, name)) executors.push(BACKENDS[name]());
+    else console.warn(`Unknown executor "${name}" in EXECUTORS; skipped.`);
+  }
+  return executors;
+}
+
+/** Whether any of `executors` supports `language` (any alias, see executorLanguage). */
+export function canExecute(executors, language) {
+  const lang = executorLanguage(language);
+  return executors.some((executor) => executor.supports(lang));
+}
+
+/**
+ * Run a request on the first executor that supports its language, falling through to the next one when an
+ * executor throws. Rejects with the last error, or when no executor supports the language.
+ */
+export async function executeWith(executors, request) {
+  const req = { ...request, language: executorLanguage(request.language), stdin: String(request.stdin ?? "") };
+  let lastError = null;
+  for (const executor of executors) {
+    if (!executor.supports(req.language)) continue;
+    try {
+      return await executor.execute(req);
+    } catch (err) {
+      console.warn(`Executor ${executor.name} failed for ${req.language}: ${err.message}`);
+      lastError = err;
+    }
+  }
+  throw lastError || new Error(`No executor configured for language "${request.language}"`);
+}
@@ -0,0 +1,156 @@
+/**
+ * Input generators for stress tests. A problem may declare `generator`, on the problem itself or inside its
+ * metaData JSON (like checker); at submit time the judge draws large randomized inputs from it, computes the
+ * expected outputs with a reference solution and runs them after the fixed suite.
+ *   {
+ *     cases: 3,                            inputs per seed
+ *     params: [spec, ...]                  one spec per metaData param, read by the param's type:
+ *       integer, double                    { min, max }                  double also takes { decimals: 5 }
+ *       string                             { length, alphabet }
+ *       integer[], ListNode                { length, min, max, sorted, distinct }
+ *       TreeNode                           { length, min, max }          random shape, level order with nulls
+ *     build: (g, index) => [arg, ...]      instead of params, for inputs with structure (a planted answer, a
+ *                                          permutation, ...); `g` is the seeded helper below
+ *   }
+ * length, min and max are a number or an inclusive [lo, hi] range to draw from. Sizes come from the problem's
+ * constraints, so an O(n^2) solution that passes the examples runs out of time here.
+ */
+
+const DEFAULT_CASES = 3;
+const DEFAULT_ALPHABET = "abcdefghijklmnopqrstuvwxyz";
+
+/** Generator spec for a problem: problem.generator, else metaData.generator, else null. */
+export function getGenerator(problem) {
+  let spec = problem?.generator;
+  if (!spec && problem?.metaData) {
+    try {
+      const meta = typeof problem.metaData === "string" ? JSON.parse(problem.metaData) : problem.metaData;
+      spec = meta?.generator;
+    } catch (_) {}
+  }
+  return spec && (typeof spec.build === "function" || Array.isArray(spec.params)) ? spec : null;
+}
+
+/** 32-bit FNV-1a hash, so any seed (match id, string) gives a stable stream. */
+function hashSeed(seed) {
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) h = Math.imul(h ^ ch.charCodeAt(0), 0x01000193);
+  return h >>> 0;
+}
+
+/** mulberry32: uniform floats in [0, 1). */
+function mulberry32(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(s ^ (s >>> 15), 1 | s);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Seeded helpers handed to build() and used for declarative params. */
+export function createRandom(seed) {
+  const next = mulberry32(hashSeed(seed));
+  const g = {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    /** A number, or a draw from an inclusive [lo, hi] range. */
+    size: (n) => (Array.isArray(n) ? g.int(n[0], n[1]) : n),
+    chance: (p) => next() < p,
+    pick: (arr) => arr[Math.floor(next() * arr.length)],
+    double: (min, max, decimals = 5) => Number((min + next() * (max - min)).toFixed(decimals)),
+    ints: (n, min, max) => Array.from({ length: n }, () => g.int(min, max)),
+    /** n distinct values from [min, max] in random order (n is capped at the range size). */
+    distinctInts(n, min, max) {
+      const span = max - min + 1;
+      if (span < 2 * n) return g.shuffle(Array.from({ length: span }, (_, i) => min + i)).slice(0, n);
+      const seen = new Set();
+      while (seen.size < n) seen.add(g.int(min, max));
+      return [...seen];
+    },
+    shuffle(arr) {
+      for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+      }
+      return arr;
+    },
+    string: (n, alphabet = DEFAULT_ALPHABET) => Array.from({ length: n }, () => g.pick(alphabet)).join(""),
+    /**
+     * Level-order array (nulls for missing children) of a random n-node binary tree: each node takes a free
+     * child slot chosen uniformly, which keeps the depth logarithmic on average.
+     */
+    tree(n, min, max) {
+      if (n <= 0) return [];
+      const nodes = [{ val: g.int(min, max), left: null, right: null }];
+      const slots = [[nodes[0], "left"], [nodes[0], "right"]];
+      while (nodes.length < n) {
+        const i = Math.floor(next() * slots.length);
+        const [parent, side] = slots[i];
+        slots[i] = slots[slots.length - 1];
+        slots.pop();
+        const node = { val: g.int(min, max), left: null, right: null };
+        parent[side] = node;
+        nodes.push(node);
+        slots.push([node, "left"], [node, "right"]);
+      }
+      const out = [];
+      const queue = [nodes[0]];
+      for (let i = 0; i < queue.length; i++) {
+        const node = queue[i];
+        out.push(node ? node.val : null);
+        if (node) queue.push(node.left, node.right);
+      }
+      while (out[out.length - 1] === null) out.pop();
+      return out;
+    }
+  };
+  return g;
+}
+
+function valueFor(type, spec, g) {
+  const min = g.size(spec.min ?? 0);
+  const max = g.size(spec.max ?? min);
+  switch (type) {
+    case "integer":
+      return g.int(min, max);
+    case "double":
+      return g.double(min, max, spec.decimals);
+    case "boolean":
+      return g.chance(0.5);
+    case "string":
+      return g.string(g.size(spec.length ?? 1), spec.alphabet);
+    case "treenode":
+      return g.tree(g.size(spec.length ?? 0), min, max);
+    case "integer[]":
+    case "listnode": {
+      const n = g.size(spec.length ?? 0);
+      const arr = spec.distinct ? g.distinctInts(n, min, max) : g.ints(n, min, max);
+      return spec.sorted ? arr.sort((a, b) => a - b) : arr;
+    }
+    default:
+      throw new Error(`No generator for param type ${type}`);
+  }
+}
+
+/** One stdin line per argument: strings JSON-quoted so any characters survive, everything else as JSON. */
+export function formatInput(args) {
+  return args.map((a) => JSON.stringify(a)).join("\n");
+}
+
+/**
+ * Stdin strings for `spec.cases` generated inputs. Same spec, params and seed always give the same inputs, so
+ * both players of a match are judged on identical cases.
+ */
+export function generateInputs(spec, params, seed) {
+  const g = createRandom(seed);
+  const count = Number(spec.cases) > 0 ? Number(spec.cases) : DEFAULT_CASES;
+  const types = (params || []).map((p) => p.type);
+  return Array.from({ length: count }, (_, index) => {
+    const args = typeof spec.build === "function"
+      ? spec.build(g, index)
+      : types.map((type, i) => valueFor(type, spec.params[i] || {}, g));
+    return formatInput(args);
+  });
+}
@@ -0,0 +1,2202 @@
+/**
+ * Type-driven LeetCode harnesses. A problem's metaData names the method and lists `params` and `return`
+ * types; from that one signature we generate, per language, the code that reads one JSON value per stdin
+ * line, calls the user's method and prints the result as compact JSON. Stub snippets come from the same
+ * type table, so the editor template and the harness always agree on the signature.
+ *
+ * Supported types: integer, double, boolean, string, character, integer[], string[], integer[][],
+ * character[][], ListNode and TreeNode (LeetCode's level-order array format, e.g. [1,null,2]); `void` as a
+ * return type prints the first array or node parameter after the call (in-place problems).
+ *
+ * The result goes on its own line after RESULT_SENTINEL and the run's token, preceded by the milliseconds the
+ * method call took, converting and serializing its result included (parsing and printing excluded), so whatever the solution prints itself (debug output) can
+ * be told apart from the return value; see splitHarnessOutput. Each harness reads the token as the first line
+ * of stdin, where the runner puts a fresh one per run (harnessToken), so the solution never finds it in its
+ * source. The JavaScript and Python harnesses also read the input and capture the clock and the writer before
+ * the user's code runs, out of its reach. Native code runs before main (constructors, Go's init) and can reach the
+ * token, so the C, C++, Rust and Go times are not trusted: executors.js times those runs from outside the process.
+ *
+ * TypeScript has stubs but no harness of its own: executors.js strips the types and runs the JavaScript one.
+ */
+import crypto from "crypto";
+import { checkerSpec } from "./checkers.js";
+
+/**
+ * Per-language type names. `cParams` expands one LeetCode param into C params (arrays carry their sizes).
+ * TypeScript (`ts`) only names types for stubs: it runs on the JavaScript harness once its types are stripped.
+ */
+const TYPES = {
+  integer: { js: "number", ts: "number", py: "int", java: "int", cpp: "int", c: "int", rust: "i32", go: "int" },
+  double: { js: "number", ts: "number", py: "float", java: "double", cpp: "double", c: "double", rust: "f64", go: "float64" },
+  boolean: { js: "boolean", ts: "boolean", py: "bool", java: "boolean", cpp: "bool", c: "bool", rust: "bool", go: "bool" },
+  string: { js: "string", ts: "string", py: "str", java: "String", cpp: "string", c: "char*", rust: "String", go: "string" },
+  character: { js: "character", ts: "string", py: "str", java: "char", cpp: "char", c: "char", rust: "char", go: "byte" },
+  "integer[]": {
+    js: "number[]", ts: "number[]", py: "list[int]", java: "int[]", cpp: "vector<int>", c: "int*", rust: "Vec<i32>", go: "[]int",
+    cParams: (n) => [`int* ${n}`, `int ${n}Size`],
+    cReturnParams: ["int* returnSize"]
+  },
+  "string[]": {
+    js: "string[]", ts: "string[]", py: "list[str]", java: "String[]", cpp: "vector<string>", c: "char**", rust: "Vec<String>", go: "[]string",
+    cParams: (n) => [`char** ${n}`, `int ${n}Size`],
+    cReturnParams: ["int* returnSize"]
+  },
+  "integer[][]": {
+    js: "number[][]", ts: "number[][]", py: "list[list[int]]", java: "int[][]", cpp: "vector<vector<int>>", c: "int**", rust: "Vec<Vec<i32>>", go: "[][]int",
+    cParams: (n) => [`int** ${n}`, `int ${n}Size`, `int* ${n}ColSize`],
+    cReturnParams: ["int* returnSize", "int** returnColumnSizes"]
+  },
+  "character[][]": {
+    js: "character[][]", ts: "string[][]", py: "list[list[str]]", java: "char[][]", cpp: "vector<vector<char>>", c: "char**", rust: "Vec<Vec<char>>", go: "[][]byte",
+    cParams: (n) => [`char** ${n}`, `int ${n}Size`, `int* ${n}ColSize`],
+    cReturnParams: ["int* returnSize", "int** returnColumnSizes"]
+  },
+  listnode: {
+    js: "ListNode", ts: "ListNode | null", py: "Optional[ListNode]", java: "ListNode", cpp: "ListNode*", c: "struct ListNode*",
+    rust: "Option<Box<ListNode>>", go: "*ListNode"
+  },
+  treenode: {
+    js: "TreeNode", ts: "TreeNode | null", py: "Optional[TreeNode]", java: "TreeNode", cpp: "TreeNode*", c: "struct TreeNode*",
+    rust: "Option<Rc<RefCell<TreeNode>>>", go: "*TreeNode"
+  },
+  void: { js: "void", ts: "void", py: "None", java: "void", cpp: "void", c: "void", rust: "()", go: "" }
+};
+
+export const SUPPORTED_TYPES = Object.keys(TYPES).filter((t) => t !== "void");
+
+/** Prefix of the result line every harness prints last (ASCII record separators around a tag). */
+export const RESULT_SENTINEL = "\u001eRC_RESULT\u001e";
+/** The sentinel as a string literal: "\x1e" for C, C++, Python, Rust and Go, "\u001e" for JS and Java. */
+const SENTINEL_LITERAL = {
+  hex: JSON.stringify(RESULT_SENTINEL).replace(/\\u001e/g, "\\x1e"),
+  unicode: JSON.stringify(RESULT_SENTINEL)
+};
+
+/** A fresh token for one run: the runner prepends it to the harness's stdin and passes it to splitHarnessOutput. */
+export function harnessToken() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+/**
+ * Split a run's stdout into the harness result, the call's time in ms and the solution's own output. With the
+ * run's `token`, only a result line carrying it counts, so one the solution prints itself is just its output.
+ * Without a result line (a program with its own main, or a crash before the result) `result` and `timeMs` are
+ * null and all of stdout is the user's.
+ */
+export function splitHarnessOutput(stdout, token = null) {
+  const text = String(stdout ?? "");
+  const marker = token ? `${RESULT_SENTINEL}${token} ` : RESULT_SENTINEL;
+  const at = text.lastIndexOf(marker);
+  if (at < 0) return { result: null, timeMs: null, userStdout: text };
+  const rest = text.slice(at + marker.length);
+  const end = rest.indexOf("\n");
+  const line = end < 0 ? rest : rest.slice(0, end);
+  const space = line.indexOf(" ");
+  const timeMs = space > 0 ? Number(line.slice(0, space)) : NaN;
+  return {
+    result: (Number.isFinite(timeMs) ? line.slice(space + 1) : line).trim(),
+    timeMs: Number.isFinite(timeMs) && timeMs >= 0 ? timeMs : null,
+    userStdout: text.slice(0, at) + (end < 0 ? "" : rest.slice(end + 1))
+  };
+}
+
+const isArrayType = (type) => type.endsWith("[]");
+
+/**
+ * Normalize metaData (JSON string or object) into { name, params: [{ name, type }], returnType, prefixIndex }.
+ * Returns null when there is no method name. Missing types default to integer, like LeetCode's own
+ * metaData; unknown types are kept so harness generation can report them. prefixIndex is the array param
+ * whose first k elements are printed instead of the returned k, for an "inPlacePrefix" checker (checkers.js).
+ */
+export function parseSignature(metaData) {
+  let o = metaData;
+  if (typeof metaData === "string") {
+    try {
+      o = JSON.parse(metaData);
+    } catch (_) {
+      return null;
+    }
+  }
+  const name = o?.name || o?.methodName;
+  if (!name) return null;
+  const rawParams = Array.isArray(o.params) ? o.params : Array.isArray(o.paramTypes) ? o.paramTypes : [];
+  const params = rawParams.map((p, i) => ({
+    name: p.name || `arg${i}`,
+    type: String(p.type || "integer").toLowerCase()
+  }));
+  const returnType = String(o.return?.type || "integer").toLowerCase();
+  let prefixIndex = -1;
+  const checker = checkerSpec(o.checker);
+  if (checker?.type === "inPlacePrefix") {
+    prefixIndex = Number.isInteger(checker.param) ? checker.param : params.findIndex((p) => isArrayType(p.type));
+  }
+  return { name, params, returnType, prefixIndex };
+}
+
+function assertSupported(sig) {
+  for (const p of sig.params) {
+    if (!Object.hasOwn(TYPES, p.type) || p.type === "void") throw new Error(`Unsupported parameter type "${p.type}" for ${p.name}`);
+  }
+  if (!Object.hasOwn(TYPES, sig.returnType)) throw new Error(`Unsupported return type "${sig.returnType}"`);
+  if (sig.returnType === "void" && !sig.params.some((p) => isInPlaceType(p.type))) {
+    throw new Error("A void method needs an array or node parameter to print");
+  }
+  if (sig.prefixIndex >= 0) {
+    const type = sig.params[sig.prefixIndex]?.type;
+    if (type !== "integer[]" && type !== "string[]") throw new Error("An inPlacePrefix checker needs a one-dimensional array parameter");
+    if (sig.returnType !== "integer") throw new Error("An inPlacePrefix checker needs an integer return value");
+  }
+}
+
+/** Why no harness can be generated from this metaData, or null when every language can be judged. */
+export function signatureError(metaData) {
+  const sig = parseSignature(metaData);
+  if (!sig) return "metaData needs a method name";
+  try {
+    assertSupported(sig);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/** The param printed for void (in-place) methods: the first array or node argument. */
+const inPlaceIndex = (sig) => sig.params.findIndex((p) => isInPlaceType(p.type));
+
+/** Type of the value a harness prints: the return type, or the in-place param's type for void methods. */
+const outputType = (sig) => (sig.returnType === "void" ? sig.params[inPlaceIndex(sig)].type : sig.returnType);
+
+const hasPrefixOutput = (sig) => sig.prefixIndex >= 0;
+
+// ---------------------------------------------------------------------------------------------------
+// ListNode / TreeNode
+
+/**
+ * LeetCode's node definitions per language, keyed by type. Stubs show them commented out, as LeetCode
+ * does, and the harnesses compile the same text in, so solutions use them without defining them.
+ */
+const NODE_DEFS = {
+  listnode: {
+    className: "ListNode",
+    title: "Definition for singly-linked list.",
+    js: `function ListNode(val, next) {
+    this.val = (val===undefined ? 0 : val)
+    this.next = (next===undefined ? null : next)
+}`,
+    py: `class ListNode:
+    def __init__(self, val=0, next=None):
+        self.val = val
+        self.next = next`,
+    java: `class ListNode {
+    int val;
+    ListNode next;
+    ListNode() {}
+    ListNode(int val) { this.val = val; }
+    ListNode(int val, ListNode next) { this.val = val; this.next = next; }
+}`,
+    cpp: `struct ListNode {
+    int val;
+    ListNode *next;
+    ListNode() : val(0), next(nullptr) {}
+    ListNode(int x) : val(x), next(nullptr) {}
+    ListNode(int x, ListNode *next) : val(x), next(next) {}
+};`,
+    c: `struct ListNode {
+    int val;
+    struct ListNode *next;
+};`,
+    ts: `class ListNode {
+    val: number
+    next: ListNode | null
+    constructor(val?: number, next?: ListNode | null) {
+        this.val = (val===undefined ? 0 : val)
+        this.next = (next===undefined ? null : next)
+    }
+}`,
+    rust: `#[derive(PartialEq, Eq, Clone, Debug)]
+pub struct ListNode {
+  pub val: i32,
+  pub next: Option<Box<ListNode>>
+}
+
+impl ListNode {
+  #[inline]
+  pub fn new(val: i32) -> Self {
+    ListNode {
+      next: None,
+      val
+    }
+  }
+}`,
+    go: `type ListNode struct {
+    Val int
+    Next *ListNode
+}`
+  },
+  treenode: {
+    className: "TreeNode",
+    title: "Definition for a binary tree node.",
+    js: `function TreeNode(val, left, right) {
+    this.val = (val===undefined ? 0 : val)
+    this.left = (left===undefined ? null : left)
+    this.right = (right===undefined ? null : right)
+}`,
+    py: `class TreeNode:
+    def __init__(self, val=0, left=None, right=None):
+        self.val = val
+        self.left = left
+        self.right = right`,
+    java: `class TreeNode {
+    int val;
+    TreeNode left;
+    TreeNode right;
+    TreeNode() {}
+    TreeNode(int val) { this.val = val; }
+    TreeNode(int val, TreeNode left, TreeNode right) {
+        this.val = val;
+        this.left = left;
+        this.right = right;
+    }
+}`,
+    cpp: `struct TreeNode {
+    int val;
+    TreeNode *left;
+    TreeNode *right;
+    TreeNode() : val(0), left(nullptr), right(nullptr) {}
+    TreeNode(int x) : val(x), left(nullptr), right(nullptr) {}
+    TreeNode(int x, TreeNode *left, TreeNode *right) : val(x), left(left), right(right) {}
+};`,
+    c: `struct TreeNode {
+    int val;
+    struct TreeNode *left;
+    struct TreeNode *right;
+};`,
+    ts: `class TreeNode {
+    val: number
+    left: TreeNode | null
+    right: TreeNode | null
+    constructor(val?: number, left?: TreeNode | null, right?: TreeNode | null) {
+        this.val = (val===undefined ? 0 : val)
+        this.left = (left===undefined ? null : left)
+        this.right = (right===undefined ? null : right)
+    }
+}`,
+    rust: `#[derive(Debug, PartialEq, Eq)]
+pub struct TreeNode {
+  pub val: i32,
+  pub left: Option<Rc<RefCell<TreeNode>>>,
+  pub right: Option<Rc<RefCell<TreeNode>>>,
+}
+
+impl TreeNode {
+  #[inline]
+  pub fn new(val: i32) -> Self {
+    TreeNode {
+      val,
+      left: None,
+      right: None
+    }
+  }
+}`,
+    go: `type TreeNode struct {
+    Val int
+    Left *TreeNode
+    Right *TreeNode
+}`
+  }
+};
+
+const isNodeType = (type) => Object.hasOwn(NODE_DEFS, type);
+
+/** Types a void method can modify in place and have printed: arrays and linked structures. */
+const isInPlaceType = (type) => isArrayType(type) || isNodeType(type);
+
+/** Node types used by the signature; with `code`, also those the code refers to by class name. */
+function nodeTypes(sig, code = "") {
+  const used = sig?.params ? [...sig.params.map((p) => p.type), sig.returnType] : [];
+  return Object.keys(NODE_DEFS).filter((t) => used.includes(t) || new RegExp(`\\b${NODE_DEFS[t].className}\\b`).test(code));
+}
+
+/** The node definitions a solution needs compiled in, for language key `lang` of NODE_DEFS. */
+const nodeDefinitions = (sig, code, lang) => nodeTypes(sig, code).map((t) => `${NODE_DEFS[t][lang]}\n`).join("\n");
+
+// ---------------------------------------------------------------------------------------------------
+// Stubs
+
+function cSignature(sig) {
+  const list = [];
+  for (const p of sig.params) {
+    const t = TYPES[p.type] || TYPES.integer;
+    if (t.cParams) list.push(...t.cParams(p.name));
+    else list.push(`${t.c} ${p.name}`);
+  }
+  const ret = TYPES[sig.returnType] || TYPES.integer;
+  if (ret.cReturnParams) list.push(...ret.cReturnParams);
+  return `${ret.c} ${sig.name}(${list.join(", ")})`;
+}
+
+/** LeetCode's commented-out "Definition for ..." blocks for the node types in the signature. */
+function nodeDocComment(sig, lang) {
+  const linePrefix = { py: "#", rust: "//" }[lang];
+  return nodeTypes(sig).map((t) => {
+    const lines = [NODE_DEFS[t].title, ...NODE_DEFS[t][lang].split("\n")];
+    return linePrefix
+      ? lines.map((l) => (l ? `${linePrefix} ${l}` : linePrefix)).join("\n") + "\n"
+      : `/**\n${lines.map((l) => ` * ${l}`).join("\n")}\n */\n`;
+  }).join("");
+}
+
+/** Rust method and parameter names: LeetCode's camelCase metaData names in snake_case (isValidBST -> is_valid_bst). */
+const snakeCase = (name) => name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").replace(/([A-Z])([A-Z][a-z])/g, "$1_$2").toLowerCase();
+
+/** The param a Rust solution takes as `&mut`: the one printed for void methods, or the inPlacePrefix array. */
+const rustMutableIndex = (sig) => (sig.returnType === "void" ? inPlaceIndex(sig) : sig.prefixIndex);
+
+/** Editor templates (no answers) for every language, from metaData. */
+export function makeStubSnippets(metaData) {
+  const sig = parseSignature(metaData);
+  if (!sig) return [];
+  const typeOf = (type, lang) => (TYPES[type] || TYPES.integer)[lang];
+  const names = sig.params.map((p) => p.name).join(", ");
+
+  const jsDoc = sig.params.map((p) => ` * @param {${typeOf(p.type, "js")}} ${p.name}`)
+    .concat(` * @return {${typeOf(sig.returnType, "js")}}`)
+    .join("\n");
+  const pyParams = ["self", ...sig.params.map((p) => `${p.name}: ${typeOf(p.type, "py")}`)].join(", ");
+  const javaParams = sig.params.map((p) => `${typeOf(p.type, "java")} ${p.name}`).join(", ");
+  const cppParams = sig.params.map((p) => {
+    const t = typeOf(p.type, "cpp");
+    return isArrayType(p.type) ? `${t}& ${p.name}` : `${t} ${p.name}`;
+  }).join(", ");
+  const tsParams = sig.params.map((p) => `${p.name}: ${typeOf(p.type, "ts")}`).join(", ");
+  const rustParams = sig.params.map((p, i) => `${snakeCase(p.name)}: ${i === rustMutableIndex(sig) ? "&mut " : ""}${typeOf(p.type, "rust")}`).join(", ");
+  const rustReturn = sig.returnType === "void" ? "" : ` -> ${typeOf(sig.returnType, "rust")}`;
+  const rustUses = nodeTypes(sig).includes("treenode") ? "use std::rc::Rc;\nuse std::cell::RefCell;\n" : "";
+  const goParams = sig.params.map((p) => `${p.name} ${typeOf(p.type, "go")}`).join(", ");
+  const goReturn = sig.returnType === "void" ? "" : ` ${typeOf(sig.returnType, "go")}`;
+
+  return [
+    {
+      lang: "JavaScript",
+      langSlug: "javascript",
+      code: `${nodeDocComment(sig, "js")}/**\n${jsDoc}\n */\nvar ${sig.name} = function(${names}) {\n  \n};`,
+    },
+    {
+      lang: "Python",
+      langSlug: "python",
+      code: `${nodeDocComment(sig, "py")}class Solution:\n    def ${sig.name}(${pyParams}) -> ${typeOf(sig.returnType, "py")}:\n        pass\n`,
+    },
+    {
+      lang: "Java",
+      langSlug: "java",
+      code: `${nodeDocComment(sig, "java")}class Solution {\n    public ${typeOf(sig.returnType, "java")} ${sig.name}(${javaParams}) {\n        \n    }\n}`,
+    },
+    {
+      lang: "C++",
+      langSlug: "cpp",
+      code: `${nodeDocComment(sig, "cpp")}class Solution {\npublic:\n    ${typeOf(sig.returnType, "cpp")} ${sig.name}(${cppParams}) {\n        \n    }\n};`,
+    },
+    {
+      lang: "C",
+      langSlug: "c",
+      code: `${nodeDocComment(sig, "c")}${cSignature(sig)} {\n    \n}`,
+    },
+    {
+      lang: "TypeScript",
+      langSlug: "typescript",
+      code: `${nodeDocComment(sig, "ts")}function ${sig.name}(${tsParams}): ${typeOf(sig.returnType, "ts")} {\n    \n};`,
+    },
+    {
+      lang: "Rust",
+      langSlug: "rust",
+      code: `${nodeDocComment(sig, "rust")}${rustUses}impl Solution {\n    pub fn ${snakeCase(sig.name)}(${rustParams})${rustReturn} {\n        \n    }\n}`,
+    },
+    {
+      lang: "Go",
+      langSlug: "go",
+      code: `${nodeDocComment(sig, "go")}func ${sig.name}(${goParams})${goReturn} {\n    \n}`,
+    },
+  ];
+}
+
+// ---------------------------------------------------------------------------------------------------
+// JavaScript
+
+/** Harness helpers converting level-order arrays to ListNode/TreeNode values and back. */
+const JS_NODE_HELPERS = `
+  function __toList(a) {
+    var d = new globalThis.ListNode(0), t = d;
+    (Array.isArray(a) ? a : []).forEach(function(v) { t = t.next = new globalThis.ListNode(v); });
+    return d.next;
+  }
+  function __toTree(a) {
+    if (!Array.isArray(a) || !a.length || a[0] === null) return null;
+    var root = new globalThis.TreeNode(a[0]), q = [root], i = 1;
+    for (var h = 0; h < q.length && i < a.length; h++) {
+      var n = q[h];
+      if (i < a.length && a[i] !== null) q.push(n.left = new globalThis.TreeNode(a[i]));
+      i++;
+      if (i < a.length && a[i] !== null) q.push(n.right = new globalThis.TreeNode(a[i]));
+      i++;
+    }
+    return root;
+  }
+  function __fromList(n) { var o = []; for (; n; n = n.next) o.push(n.val); return o; }
+  function __fromTree(r) {
+    var o = [], q = [r];
+    for (var h = 0; h < q.length; h++) {
+      var n = q[h];
+      if (n) { o.push(n.val); q.push(n.left || null, n.right || null); } else o.push(null);
+    }
+    while (o.length && o[o.length - 1] === null) o.pop();
+    return o;
+  }`;
+
+const JS_KINDS = { string: "str", character: "str", listnode: "list", treenode: "tree" };
+
+/**
+ * main.cjs for the JS runner: a prelude that reports uncaught errors as "Name: message" on stderr with
+ * exit code 1 and defines the node classes the code needs (as globals, so a user's own class ListNode
+ * still compiles), the harness, the user's code at top level, then the call. The harness runs before the
+ * user's code: it reads all of stdin (the run's token first, see splitHarnessOutput), parses the arguments
+ * and keeps them with the clock and the writer in a closure, so the code can neither see the input before
+ * the clock starts nor replace what times and reports the call. Without param types (ad-hoc Run of a plain
+ * function) every line is parsed as JSON, falling back to the raw text.
+ */
+export function wrapJavaScript(code, sig) {
+  const prelude = `
+process.on("uncaughtException", (e) => {
+  process.stderr.write((e && e.name && e.message ? e.name + ": " + e.message : String(e)) + "\\n");
+  process.exit(1);
+});
+process.on("unhandledRejection", (e) => { throw e; });
+${nodeTypes(sig, code).map((t) => `globalThis.${NODE_DEFS[t].className} = ${NODE_DEFS[t].js};\n`).join("")}`;
+  if (!sig) return prelude + code + "\n";
+  if (sig.params) assertSupported(sig);
+  const kinds = sig.params ? JSON.stringify(sig.params.map((p) => JS_KINDS[p.type] || "json")) : "null";
+  const printIndex = sig.params && sig.returnType === "void" ? inPlaceIndex(sig) : -1;
+  const outKind = sig.params ? JS_KINDS[outputType(sig)] : undefined;
+  const usesNodes = nodeTypes(sig).length > 0;
+  const harness = `
+var __rcCall = (function() {${usesNodes ? JS_NODE_HELPERS : ""}
+  var __fs = require("fs"), __write = __fs.writeSync, __clock = process.hrtime.bigint, __number = Number, __stringify = JSON.stringify;
+  var __lines = __fs.readFileSync(0, "utf8").split("\\n").map(function(l) { return l.trim(); }).filter(Boolean);
+  var __token = __lines.shift() || "";
+  var __kinds = ${kinds};
+  var __args = __lines.map(function(l, i) {
+    var v;
+    try { v = JSON.parse(l); } catch (e) { return l; }
+    if (__kinds && __kinds[i] === "list") return __toList(v);
+    if (__kinds && __kinds[i] === "tree") return __toTree(v);
+    return __kinds && __kinds[i] === "str" && typeof v !== "string" ? l : v;
+  });
+  if (__kinds) __args = __args.slice(0, __kinds.length);
+  return function(__fn) {
+    if (typeof __fn !== "function") throw new ReferenceError(${JSON.stringify(`${sig.name} is not defined`)});
+    var __t0 = __clock();
+    var __out = __fn.apply(null, __args);
+    if (${printIndex} >= 0) __out = __args[${printIndex}];
+${sig.params && hasPrefixOutput(sig) ? `    __out = __args[${sig.prefixIndex}].slice(0, Math.max(0, Number(__out) || 0));\n` : ""}${outKind === "list" ? "    __out = __fromList(__out);\n" : outKind === "tree" ? "    __out = __fromTree(__out);\n" : ""}    var __json = __stringify(__out !== undefined ? __out : null);
+    var __ms = __number(__clock() - __t0) / 1e6;
+    __write(1, ${SENTINEL_LITERAL.unicode} + __token + " " + __ms + " " + __json + "\\n");
+  };
+})();
+`;
+  const call = `
+;(function() {
+  var __fn;
+  try { __fn = eval(${JSON.stringify(sig.name)}); } catch (e) {}
+  __rcCall(__fn);
+})();
+`;
+  return prelude + harness + code + "\n" + call;
+}
+
+// ---------------------------------------------------------------------------------------------------
+// Python
+
+/** Harness helpers converting level-order lists to ListNode/TreeNode values and back. */
+const PY_NODE_HELPERS = [
+  "def _rc_list(line):",
+  "  d = t = ListNode(0)",
+  "  for v in _rc_val(line) or []:",
+  "    t.next = ListNode(v); t = t.next",
+  "  return d.next",
+  "def _rc_tree(line):",
+  "  a = _rc_val(line) or []",
+  "  if not a or a[0] is None: return None",
+  "  root = TreeNode(a[0]); q = [root]; h = 0; i = 1",
+  "  while h < len(q) and i < len(a):",
+  "    n = q[h]; h += 1",
+  "    if i < len(a) and a[i] is not None: n.left = TreeNode(a[i]); q.append(n.left)",
+  "    i += 1",
+  "    if i < len(a) and a[i] is not None: n.right = TreeNode(a[i]); q.append(n.right)",
+  "    i += 1",
+  "  return root",
+  "def _rc_from_list(n):",
+  "  o = []",
+  "  while n: o.append(n.val); n = n.next",
+  "  return o",
+  "def _rc_from_tree(r):",
+  "  o, q, h = [], [r], 0",
+  "  while h < len(q):",
+  "    n = q[h]; h += 1",
+  "    if n: o.append(n.val); q += [n.left, n.right]",
+  "    else: o.append(None)",
+  "  while o and o[-1] is None: o.pop()",
+  "  return o"
+];
+
+const PY_PARSERS = { string: "_rc_str", character: "_rc_str", double: "_rc_float", listnode: "_rc_list", treenode: "_rc_tree" };
+const PY_DUMPERS = { listnode: "_rc_from_list", treenode: "_rc_from_tree" };
+
+/**
+ * Audit events a Python solution may not raise (an audit hook refuses them): the ways to reach another frame's
+ * locals, memory or a process outside the interpreter. sys._getframe is refused only for frames called from the
+ * harness, since the standard library (namedtuple, typing) looks up its caller's module that way.
+ */
+const PY_REFUSED_EVENTS = [
+  "sys._current_frames", "sys.settrace", "sys.setprofile", "gc.get_objects", "gc.get_referrers", "gc.get_referents",
+  "subprocess.Popen", "os.system", "os.exec", "os.posix_spawn", "os.spawn", "os.fork", "os.forkpty"
+];
+
+/**
+ * The harness, as a generator started before the user's code: it reads all of stdin (the run's token first,
+ * see splitHarnessOutput), parses the arguments, captures the clock and the writer, installs the audit hook,
+ * then waits at `yield` for the method. Its state lives in the suspended generator's frame, which the hook keeps
+ * out of the solution's reach, so the code can neither see the input before the clock starts nor change what
+ * times and reports the call.
+ */
+const pyHarness = (parsers, post) => [
+  "def _rc_harness(parsers):",
+  "  clock, write, dumps, stdout, realpath = _rc_time.perf_counter, _rc_os.write, _rc_json.dumps, _rc_sys.stdout, _rc_os.path.realpath",
+  "  lines = [L.strip() for L in _rc_sys.stdin.read().split(\"\\n\") if L.strip()]",
+  "  token = lines.pop(0) if lines else \"\"",
+  "  args = [p(L) for p, L in zip(parsers or [_rc_val] * len(lines), lines)]",
+  "  code = _rc_harness.__code__",
+  `  refused = ${JSON.stringify(PY_REFUSED_EVENTS)}`,
+  "  def guard(event, a):",
+  "    if event == \"sys._getframe\":",
+  "      f = a[0]",
+  "      while f is not None:",
+  "        if f.f_code is code: raise ValueError(\"sys._getframe is not available to solutions\")",
+  "        f = f.f_back",
+  "    elif event in refused or event.startswith(\"ctypes.\"):",
+  "      raise ValueError(event + \" is not available to solutions\")",
+  "    elif event == \"object.__getattr__\" and a[1] in (\"tb_frame\", \"gi_frame\", \"cr_frame\", \"ag_frame\"):",
+  "      raise ValueError(a[1] + \" is not available to solutions\")",
+  "    elif event == \"open\" and isinstance(a[0], (str, bytes)) and realpath(_rc_os.fsdecode(a[0])).startswith((\"/proc\", \"/dev/fd\")):",
+  "      raise ValueError(\"/proc is not available to solutions\")",
+  "  _rc_sys.addaudithook(guard)",
+  "  meth, n = yield bool(lines)",
+  "  if n is not None: args = args[:n]",
+  "  t0 = clock()",
+  "  out = meth(*args)",
+  ...post.map((l) => `  ${l}`),
+  "  text = dumps(out, separators=(\",\", \":\")) if out is not None else \"\"",
+  "  ms = (clock() - t0) * 1000",
+  "  stdout.flush()",
+  `  data = (${SENTINEL_LITERAL.hex} + token + " " + ("%r" % ms) + " " + text + "\\n").encode()`,
+  "  while data: data = data[write(1, data):]",
+  "  yield",
+  `_rc_gen = _rc_harness(${parsers})`,
+  "_rc_ready = next(_rc_gen)"
+];
+
+/**
+ * Put the harness (pyHarness) before the code and a __main__ block after it that builds Solution() and hands the
+ * method over. Without param types the first public method is called with as many lines as it takes. Node classes
+ * (and typing, for their Optional[...] hints) are prepended when the code or signature uses them.
+ */
+export function wrapPython(code, sig) {
+  if (sig?.params) assertSupported(sig);
+  // Ensure the last def/class has a body so we don't get IndentationError when appending __main__
+  let c = code.trimEnd();
+  const lines = c.split("\n");
+  let lastNonBlank = "";
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (lines[i].trim().length > 0) {
+      lastNonBlank = lines[i];
+      break;
+    }
+  }
+  if (lastNonBlank && /^\s*def\s+.+\)\s*(->\s*[^:]+)?:\s*$/.test(lastNonBlank)) {
+    const baseIndent = (lastNonBlank.match(/^(\s*)/) || [""])[1];
+    c = c + "\n" + baseIndent + "    pass";
+  }
+  const parsers = sig?.params ? `[${sig.params.map((p) => PY_PARSERS[p.type] || "_rc_val").join(", ")}]` : "None";
+  const setup = sig?.params
+    ? [`_meth = getattr(Solution(), ${JSON.stringify(sig.name)})`, "_n = None"]
+    : [
+      "import inspect as _rc_inspect",
+      "_sol = Solution()",
+      `_meth = getattr(_sol, ${JSON.stringify(sig?.name || "")}, None) or next((getattr(_sol, m) for m in dir(_sol) if not m.startswith("_") and callable(getattr(_sol, m))), None)`,
+      "_n = None",
+      "try: _n = len(_rc_inspect.signature(_meth).parameters)",
+      "except Exception: pass"
+    ];
+  const printIndex = sig?.params && sig.returnType === "void" ? inPlaceIndex(sig) : -1;
+  const dumper = sig?.params ? PY_DUMPERS[outputType(sig)] : undefined;
+  const post = [
+    printIndex >= 0 ? `out = args[${printIndex}]` : null,
+    sig?.params && hasPrefixOutput(sig) ? `out = args[${sig.prefixIndex}][:max(0, out if isinstance(out, int) else 0)]` : null,
+    dumper ? `out = ${dumper}(out)` : null
+  ].filter((l) => l !== null);
+  const harness = [
+    "import time as _rc_time, sys as _rc_sys, os as _rc_os, json as _rc_json",
+    "def _rc_val(line):",
+    "  try: return _rc_json.loads(line)",
+    "  except Exception: return line",
+    "def _rc_str(line):",
+    "  v = _rc_val(line)",
+    "  return v if isinstance(v, str) else line",
+    "def _rc_float(line):",
+    "  return float(_rc_val(line))",
+    ...(nodeTypes(sig).length ? PY_NODE_HELPERS : []),
+    ...pyHarness(parsers, post)
+  ];
+  const defs = nodeDefinitions(sig, code, "py");
+  const prelude = (defs ? `from typing import *\n\n${defs}\n` : "") + harness.join("\n") + "\n\n";
+  // Errors propagate to the interpreter, whose traceback needs none of the frame access the audit hook refuses.
+  const main = ["if _rc_ready:", ...setup.map((l) => "  " + l), "  _rc_gen.send((_meth, _n))"];
+  return prelude + c + "\n\nif __name__ == \"__main__\":\n" + main.map((l) => "  " + l).join("\n") + "\n";
+}
+
+// ---------------------------------------------------------------------------------------------------
+// C
+
+const C_PRELUDE = String.raw`#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+#include <stdbool.h>
+#include <limits.h>
+#include <math.h>
+#include <ctype.h>
+#include <time.h>
+static inline double rc_now_ms(void) {
+  struct timespec t;
+  clock_gettime(CLOCK_MONOTONIC, &t);
+  return t.tv_sec * 1e3 + t.tv_nsec / 1e6;
+}
+`;
+
+const C_RUNTIME = String.raw`
+static char** rc_read_lines(int* count) {
+  size_t cap = 4096, len = 0, got;
+  char* buf = malloc(cap);
+  while ((got = fread(buf + len, 1, cap - len - 1, stdin)) > 0) {
+    len += got;
+    if (cap - len <= 1) buf = realloc(buf, cap *= 2);
+  }
+  buf[len] = 0;
+  int n = 0, lcap = 8;
+  char** lines = malloc(lcap * sizeof(char*));
+  for (char* line = strtok(buf, "\n"); line; line = strtok(NULL, "\n")) {
+    while (*line == ' ' || *line == '\t' || *line == '\r') line++;
+    size_t l = strlen(line);
+    while (l > 0 && (line[l - 1] == ' ' || line[l - 1] == '\t' || line[l - 1] == '\r')) line[--l] = 0;
+    if (!l) continue;
+    if (n == lcap) lines = realloc(lines, (lcap *= 2) * sizeof(char*));
+    lines[n++] = line;
+  }
+  *count = n;
+  return lines;
+}
+static const char* rc_ws(const char* p) { while (*p == ' ' || *p == '\t') p++; return p; }
+static int rc_open(const char** pp) { const char* p = rc_ws(*pp); if (*p == '[') { *pp = p + 1; return 1; } return 0; }
+static int rc_next(const char** pp) { const char* p = rc_ws(*pp); if (*p == ',') p = rc_ws(p + 1); *pp = p; return *p && *p != ']'; }
+static void rc_close(const char** pp) { const char* p = rc_ws(*pp); if (*p == ']') p++; *pp = p; }
+static long long rc_int(const char** pp) {
+  const char* p = rc_ws(*pp);
+  char* end;
+  long long v = strtoll(p, &end, 10);
+  if (*end == '.' || *end == 'e' || *end == 'E') v = (long long)strtod(p, &end);
+  *pp = end;
+  return v;
+}
+static double rc_double(const char** pp) { char* end; double v = strtod(rc_ws(*pp), &end); *pp = end; return v; }
+static bool rc_bool(const char** pp) {
+  const char* p = rc_ws(*pp);
+  if (strncmp(p, "true", 4) == 0) { *pp = p + 4; return true; }
+  if (strncmp(p, "false", 5) == 0) { *pp = p + 5; return false; }
+  return rc_int(pp) != 0;
+}
+static void rc_push(char** s, size_t* len, size_t* cap, char c) {
+  if (*len + 2 > *cap) *s = realloc(*s, *cap *= 2);
+  (*s)[(*len)++] = c;
+}
+static char* rc_string(const char** pp) {
+  const char* p = rc_ws(*pp);
+  size_t cap = 16, len = 0;
+  char* s = malloc(cap);
+  if (*p != '"') {
+    while (*p && *p != ',' && *p != ']') rc_push(&s, &len, &cap, *p++);
+    s[len] = 0;
+    *pp = p;
+    return s;
+  }
+  p++;
+  while (*p && *p != '"') {
+    char c = *p++;
+    if (c == '\\' && *p) {
+      char e = *p++;
+      if (e == 'n') c = '\n';
+      else if (e == 't') c = '\t';
+      else if (e == 'r') c = '\r';
+      else if (e == 'b') c = '\b';
+      else if (e == 'f') c = '\f';
+      else if (e == 'u') {
+        unsigned v = 0;
+        for (int i = 0; i < 4 && isxdigit((unsigned char)*p); i++, p++) v = v * 16 + (unsigned)(isdigit((unsigned char)*p) ? *p - '0' : (tolower((unsigned char)*p) - 'a' + 10));
+        if (v < 0x80) c = (char)v;
+        else if (v < 0x800) { rc_push(&s, &len, &cap, (char)(0xC0 | (v >> 6))); c = (char)(0x80 | (v & 0x3F)); }
+        else { rc_push(&s, &len, &cap, (char)(0xE0 | (v >> 12))); rc_push(&s, &len, &cap, (char)(0x80 | ((v >> 6) & 0x3F))); c = (char)(0x80 | (v & 0x3F)); }
+      } else c = e;
+    }
+    rc_push(&s, &len, &cap, c);
+  }
+  if (*p == '"') p++;
+  s[len] = 0;
+  *pp = p;
+  return s;
+}
+static char rc_char(const char** pp) { char* s = rc_string(pp); char c = s[0]; free(s); return c; }
+/* A whole-line string argument: JSON-quoted, or the raw line as-is (commas included). */
+static char* rc_line_string(const char** pp) {
+  const char* p = rc_ws(*pp);
+  if (*p == '"') return rc_string(pp);
+  *pp = p + strlen(p);
+  return strdup(p);
+}
+static int* rc_int_array(const char** pp, int* size) {
+  int cap = 16, n = 0;
+  int* a = malloc(cap * sizeof(int));
+  if (rc_open(pp)) {
+    while (rc_next(pp)) {
+      const char* before = *pp;
+      if (n == cap) a = realloc(a, (cap *= 2) * sizeof(int));
+      a[n++] = (int)rc_int(pp);
+      if (*pp == before) break;
+    }
+    rc_close(pp);
+  }
+  *size = n;
+  return a;
+}
+static char** rc_string_array(const char** pp, int* size) {
+  int cap = 16, n = 0;
+  char** a = malloc(cap * sizeof(char*));
+  if (rc_open(pp)) {
+    while (rc_next(pp)) {
+      const char* before = *pp;
+      if (n == cap) a = realloc(a, (cap *= 2) * sizeof(char*));
+      a[n++] = rc_string(pp);
+      if (*pp == before) break;
+    }
+    rc_close(pp);
+  }
+  *size = n;
+  return a;
+}
+static int** rc_int_matrix(const char** pp, int* size, int** colSize) {
+  int cap = 16, n = 0;
+  int** a = malloc(cap * sizeof(int*));
+  int* cols = malloc(cap * sizeof(int));
+  if (rc_open(pp)) {
+    while (rc_next(pp)) {
+      const char* before = *pp;
+      if (n == cap) { cap *= 2; a = realloc(a, cap * sizeof(int*)); cols = realloc(cols, cap * sizeof(int)); }
+      a[n] = rc_int_array(pp, &cols[n]);
+      n++;
+      if (*pp == before) break;
+    }
+    rc_close(pp);
+  }
+  *size = n;
+  *colSize = cols;
+  return a;
+}
+static char** rc_char_matrix(const char** pp, int* size, int** colSize) {
+  int cap = 16, n = 0;
+  char** a = malloc(cap * sizeof(char*));
+  int* cols = malloc(cap * sizeof(int));
+  if (rc_open(pp)) {
+    while (rc_next(pp)) {
+      const char* before = *pp;
+      if (n == cap) { cap *= 2; a = realloc(a, cap * sizeof(char*)); cols = realloc(cols, cap * sizeof(int)); }
+      char** cells = rc_string_array(pp, &cols[n]);
+      a[n] = malloc(cols[n] + 1);
+      for (int j = 0; j < cols[n]; j++) a[n][j] = cells[j][0];
+      a[n][cols[n]] = 0;
+      n++;
+      if (*pp == before) break;
+    }
+    rc_close(pp);
+  }
+  *size = n;
+  *colSize = cols;
+  return a;
+}
+static void rc_print_int(long long v) { printf("%lld", v); }
+static void rc_print_bool(bool v) { fputs(v ? "true" : "false", stdout); }
+static void rc_print_double(double v) {
+  char buf[64];
+  if (v != v || v > 1.7976931348623157e308 || v < -1.7976931348623157e308) { fputs("null", stdout); return; }
+  if (v == (double)(long long)v && v > -1e15 && v < 1e15) { printf("%lld", (long long)v); return; }
+  for (int prec = 1; prec <= 17; prec++) {
+    snprintf(buf, sizeof(buf), "%.*g", prec, v);
+    if (strtod(buf, NULL) == v) break;
+  }
+  fputs(buf, stdout);
+}
+static void rc_print_chars(const char* s, int n) {
+  putchar('"');
+  for (int i = 0; i < n; i++) {
+    unsigned char c = (unsigned char)s[i];
+    if (c == '"' || c == '\\') { putchar('\\'); putchar(c); }
+    else if (c == '\n') fputs("\\n", stdout);
+    else if (c == '\t') fputs("\\t", stdout);
+    else if (c == '\r') fputs("\\r", stdout);
+    else if (c < 0x20) printf("\\u%04x", c);
+    else putchar(c);
+  }
+  putchar('"');
+}
+static void rc_print_string(const char* s) { if (!s) fputs("null", stdout); else rc_print_chars(s, (int)strlen(s)); }
+static void rc_print_char(char c) { rc_print_chars(&c, 1); }
+static void rc_print_int_array(const int* a, int n) {
+  putchar('[');
+  for (int i = 0; a && i < n; i++) { if (i) putchar(','); printf("%d", a[i]); }
+  putchar(']');
+}
+static void rc_print_string_array(char** a, int n) {
+  putchar('[');
+  for (int i = 0; a && i < n; i++) { if (i) putchar(','); rc_print_string(a[i]); }
+  putchar(']');
+}
+static void rc_print_int_matrix(int** a, int n, const int* cols) {
+  putchar('[');
+  for (int i = 0; a && i < n; i++) { if (i) putchar(','); rc_print_int_array(a[i], cols ? cols[i] : 0); }
+  putchar(']');
+}
+static void rc_print_char_matrix(char** a, int n, const int* cols) {
+  putchar('[');
+  for (int i = 0; a && i < n; i++) {
+    if (i) putchar(',');
+    putchar('[');
+    for (int j = 0; cols && j < cols[i]; j++) { if (j) putchar(','); rc_print_char(a[i][j]); }
+    putchar(']');
+  }
+  putchar(']');
+}
+`;
+
+/** Per-type C code: declarations that parse line `src` into variable `v`, and the argument list it passes. */
+const C_PARAM = {
+  integer: (v, src) => ({ decl: `int ${v} = (int)rc_int(&${src});`, args: [v] }),
+  double: (v, src) => ({ decl: `double ${v} = rc_double(&${src});`, args: [v] }),
+  boolean: (v, src) => ({ decl: `bool ${v} = rc_bool(&${src});`, args: [v] }),
+  string: (v, src) => ({ decl: `char* ${v} = rc_line_string(&${src});`, args: [v] }),
+  character: (v, src) => ({ decl: `char ${v} = rc_char(&${src});`, args: [v] }),
+  "integer[]": (v, src) => ({ decl: `int ${v}Size = 0; int* ${v} = rc_int_array(&${src}, &${v}Size);`, args: [v, `${v}Size`] }),
+  "string[]": (v, src) => ({ decl: `int ${v}Size = 0; char** ${v} = rc_string_array(&${src}, &${v}Size);`, args: [v, `${v}Size`] }),
+  "integer[][]": (v, src) => ({
+    decl: `int ${v}Size = 0; int* ${v}ColSize = NULL; int** ${v} = rc_int_matrix(&${src}, &${v}Size, &${v}ColSize);`,
+    args: [v, `${v}Size`, `${v}ColSize`]
+  }),
+  "character[][]": (v, src) => ({
+    decl: `int ${v}Size = 0; int* ${v}ColSize = NULL; char** ${v} = rc_char_matrix(&${src}, &${v}Size, &${v}ColSize);`,
+    args: [v, `${v}Size`, `${v}ColSize`]
+  }),
+  listnode: (v, src) => ({ decl: `struct ListNode* ${v} = rc_list(&${src});`, args: [v] }),
+  treenode: (v, src) => ({ decl: `struct TreeNode* ${v} = rc_tree(&${src});`, args: [v] })
+};
+
+/** Node parsers and printers, compiled in after the runtime for the node types the solution uses. */
+const C_NODE_RUNTIME = {
+  listnode: String.raw`
+static struct ListNode* rc_list(const char** pp) {
+  int n = 0;
+  int* a = rc_int_array(pp, &n);
+  struct ListNode dummy = { 0, NULL };
+  struct ListNode* t = &dummy;
+  for (int i = 0; i < n; i++) {
+    t->next = malloc(sizeof(struct ListNode));
+    t = t->next;
+    t->val = a[i];
+    t->next = NULL;
+  }
+  free(a);
+  return dummy.next;
+}
+static void rc_print_list(struct ListNode* head) {
+  putchar('[');
+  for (struct ListNode* n = head; n; n = n->next) {
+    if (n != head) putchar(',');
+    printf("%d", n->val);
+  }
+  putchar(']');
+}
+`,
+  treenode: String.raw`
+static struct TreeNode* rc_tree(const char** pp) {
+  int n = 0, cap = 16;
+  struct TreeNode** nodes = malloc(cap * sizeof(struct TreeNode*));
+  if (rc_open(pp)) {
+    while (rc_next(pp)) {
+      const char* before = *pp;
+      if (n == cap) nodes = realloc(nodes, (cap *= 2) * sizeof(struct TreeNode*));
+      if (strncmp(*pp, "null", 4) == 0) {
+        nodes[n++] = NULL;
+        *pp += 4;
+        continue;
+      }
+      int v = (int)rc_int(pp);
+      if (*pp == before) break;
+      struct TreeNode* t = malloc(sizeof(struct TreeNode));
+      t->val = v;
+      t->left = t->right = NULL;
+      nodes[n++] = t;
+    }
+    rc_close(pp);
+  }
+  /* Level order: each non-null node takes the next two entries as its children. */
+  int child = 1;
+  for (int k = 0; k < n && child < n; k++) {
+    if (!nodes[k]) continue;
+    nodes[k]->left = nodes[child++];
+    if (child < n) nodes[k]->right = nodes[child++];
+  }
+  struct TreeNode* root = n > 0 ? nodes[0] : NULL;
+  free(nodes);
+  return root;
+}
+static void rc_print_tree(struct TreeNode* root) {
+  size_t cap = 64, len = 0;
+  struct TreeNode** q = malloc(cap * sizeof(struct TreeNode*));
+  q[len++] = root;
+  for (size_t h = 0; h < len; h++) {
+    if (!q[h]) continue;
+    if (len + 2 > cap) q = realloc(q, (cap *= 2) * sizeof(struct TreeNode*));
+    q[len++] = q[h]->left;
+    q[len++] = q[h]->right;
+  }
+  while (len > 0 && !q[len - 1]) len--;
+  putchar('[');
+  for (size_t k = 0; k < len; k++) {
+    if (k) putchar(',');
+    if (q[k]) printf("%d", q[k]->val);
+    else fputs("null", stdout);
+  }
+  putchar(']');
+  free(q);
+}
+`
+};
+
+/** Print statement for a value of `type` held in `v` (arrays use the size variables named like C_PARAM's). */
+const C_PRINT = {
+  integer: (v) => `rc_print_int(${v});`,
+  double: (v) => `rc_print_double(${v});`,
+  boolean: (v) => `rc_print_bool(${v});`,
+  string: (v) => `rc_print_string(${v});`,
+  character: (v) => `rc_print_char(${v});`,
+  "integer[]": (v, n = `${v}Size`) => `rc_print_int_array(${v}, ${n});`,
+  "string[]": (v, n = `${v}Size`) => `rc_print_string_array(${v}, ${n});`,
+  "integer[][]": (v) => `rc_print_int_matrix(${v}, ${v}Size, ${v}ColSize);`,
+  "character[][]": (v) => `rc_print_char_matrix(${v}, ${v}Size, ${v}ColSize);`,
+  listnode: (v) => `rc_print_list(${v});`,
+  treenode: (v) => `rc_print_tree(${v});`
+};
+
+/** Run without input: just check that the solution compiles with the usual headers. */
+export function wrapCCompileOnly(code) {
+  return `${C_PRELUDE}${nodeDefinitions(null, code, "c")}\n${code}\n\nint main(void) { return 0; }\n`;
+}
+
+/** Wrap a C solution (a free function named by metaData) with main(): parse stdin, call, print JSON. */
+export function wrapC(code, sig) {
+  assertSupported(sig);
+  const decls = [];
+  const args = [];
+  sig.params.forEach((p, i) => {
+    const v = `rc_p${i}`;
+    const { decl, args: a } = C_PARAM[p.type](v, `rc_src${i}`);
+    decls.push(`  const char* rc_src${i} = ${i} < rc_count ? rc_lines[${i}] : "";`, `  ${decl}`);
+    args.push(...a);
+  });
+  let call;
+  const ret = sig.returnType;
+  const result = (print) => `double rc_ms = rc_now_ms() - rc_t0;\n  fputs(${SENTINEL_LITERAL.hex}, stdout);\n  printf("%s %.6f ", rc_token, rc_ms);\n  ${print}`;
+  if (ret === "void") {
+    const i = inPlaceIndex(sig);
+    call = `  ${sig.name}(${args.join(", ")});\n  ${result(C_PRINT[sig.params[i].type](`rc_p${i}`))}`;
+  } else if (ret === "integer[][]" || ret === "character[][]") {
+    const t = ret === "integer[][]" ? "int**" : "char**";
+    call = `  int rc_outSize = 0; int* rc_outColSize = NULL;\n  ${t} rc_out = ${sig.name}(${[...args, "&rc_outSize", "&rc_outColSize"].join(", ")});\n  ${result(C_PRINT[ret]("rc_out"))}`;
+  } else if (ret === "integer[]" || ret === "string[]") {
+    const t = ret === "integer[]" ? "int*" : "char**";
+    call = `  int rc_outSize = 0;\n  ${t} rc_out = ${sig.name}(${[...args, "&rc_outSize"].join(", ")});\n  ${result(C_PRINT[ret]("rc_out"))}`;
+  } else if (hasPrefixOutput(sig)) {
+    const v = `rc_p${sig.prefixIndex}`;
+    const k = `rc_out < 0 ? 0 : rc_out < ${v}Size ? rc_out : ${v}Size`;
+    call = `  int rc_out = ${sig.name}(${args.join(", ")});\n  ${result(C_PRINT[sig.params[sig.prefixIndex].type](v, k))}`;
+  } else {
+    call = `  ${TYPES[ret].c} rc_out = ${sig.name}(${args.join(", ")});\n  ${result(C_PRINT[ret]("rc_out"))}`;
+  }
+  return `${C_PRELUDE}${nodeDefinitions(sig, code, "c")}
+${code}
+${C_RUNTIME}${nodeTypes(sig).map((t) => C_NODE_RUNTIME[t]).join("")}
+int main(void) {
+  int rc_count = 0;
+  char** rc_lines = rc_read_lines(&rc_count);
+  const char* rc_token = rc_count > 0 ? rc_lines[0] : "";
+  if (rc_count > 0) { rc_lines++; rc_count--; }
+${decls.join("\n")}
+  double rc_t0 = rc_now_ms();
+${call}
+  putchar('\\n');
+  return 0;
+}
+`;
+}
+
+// ---------------------------------------------------------------------------------------------------
+// C++
+
+const CPP_PRELUDE = String.raw`#include <algorithm>
+#include <chrono>
+#include <climits>
+#include <cmath>
+#include <cstdio>
+#include <cstdlib>
+#include <cstring>
+#include <deque>
+#include <functional>
+#include <iostream>
+#include <map>
+#include <numeric>
+#include <optional>
+#include <queue>
+#include <set>
+#include <sstream>
+#include <stack>
+#include <string>
+#include <unordered_map>
+#include <unordered_set>
+#include <utility>
+#include <vector>
+using namespace std;
+static inline double rc_now_ms() { return chrono::duration<double, milli>(chrono::steady_clock::now().time_since_epoch()).count(); }
+`;
+
+const CPP_RUNTIME = String.raw`
+namespace rc {
+struct Reader {
+  string s;
+  size_t i = 0;
+  explicit Reader(const string& line) : s(line) {}
+  void ws() { while (i < s.size() && (s[i] == ' ' || s[i] == '\t')) i++; }
+  bool open() { ws(); if (i < s.size() && s[i] == '[') { i++; return true; } return false; }
+  bool next() { ws(); if (i < s.size() && s[i] == ',') { i++; ws(); } return i < s.size() && s[i] != ']'; }
+  void close() { ws(); if (i < s.size() && s[i] == ']') i++; }
+  void read(long long& v) {
+    ws();
+    const char* p = s.c_str() + i;
+    char* end;
+    v = strtoll(p, &end, 10);
+    if (*end == '.' || *end == 'e' || *end == 'E') v = (long long)strtod(p, &end);
+    i += end - p;
+  }
+  void read(int& v) { long long x = 0; read(x); v = (int)x; }
+  void read(double& v) { ws(); const char* p = s.c_str() + i; char* end; v = strtod(p, &end); i += end - p; }
+  void read(bool& v) {
+    ws();
+    if (s.compare(i, 4, "true") == 0) { v = true; i += 4; }
+    else if (s.compare(i, 5, "false") == 0) { v = false; i += 5; }
+    else { long long x = 0; read(x); v = x != 0; }
+  }
+  void read(string& v) {
+    ws();
+    v.clear();
+    if (i >= s.size() || s[i] != '"') {
+      while (i < s.size() && s[i] != ',' && s[i] != ']') v += s[i++];
+      return;
+    }
+    i++;
+    while (i < s.size() && s[i] != '"') {
+      char c = s[i++];
+      if (c == '\\' && i < s.size()) {
+        char e = s[i++];
+        if (e == 'n') c = '\n';
+        else if (e == 't') c = '\t';
+        else if (e == 'r') c = '\r';
+        else if (e == 'b') c = '\b';
+        else if (e == 'f') c = '\f';
+        else if (e == 'u') {
+          unsigned cp = (unsigned)strtoul(s.substr(i, 4).c_str(), nullptr, 16);
+          i += 4;
+          if (cp < 0x80) c = (char)cp;
+          else if (cp < 0x800) { v += (char)(0xC0 | (cp >> 6)); c = (char)(0x80 | (cp & 0x3F)); }
+          else { v += (char)(0xE0 | (cp >> 12)); v += (char)(0x80 | ((cp >> 6) & 0x3F)); c = (char)(0x80 | (cp & 0x3F)); }
+        } else c = e;
+      }
+      v += c;
+    }
+    if (i < s.size()) i++;
+  }
+  void read(char& v) { string t; read(t); v = t.empty() ? '\0' : t[0]; }
+  // Level-order tree entries: null or an integer.
+  void read(optional<int>& v) { ws(); if (s.compare(i, 4, "null") == 0) { v.reset(); i += 4; } else { int x = 0; read(x); v = x; } }
+  // A whole-line string argument: JSON-quoted, or the raw line as-is (commas included).
+  void line(string& v) { ws(); if (i < s.size() && s[i] == '"') read(v); else { v = s.substr(i); i = s.size(); } }
+  template <class T> void read(vector<T>& v) {
+    v.clear();
+    if (!open()) return;
+    while (next()) {
+      size_t before = i;
+      T x;
+      read(x);
+      v.push_back(x);
+      if (i == before) break;
+    }
+    close();
+  }
+};
+
+inline void write(ostream& o, bool v) { o << (v ? "true" : "false"); }
+inline void write(ostream& o, const string& v) {
+  o << '"';
+  for (unsigned char c : v) {
+    if (c == '"' || c == '\\') o << '\\' << (char)c;
+    else if (c == '\n') o << "\\n";
+    else if (c == '\t') o << "\\t";
+    else if (c == '\r') o << "\\r";
+    else if (c < 0x20) { char buf[8]; snprintf(buf, sizeof(buf), "\\u%04x", c); o << buf; }
+    else o << (char)c;
+  }
+  o << '"';
+}
+inline void write(ostream& o, const char* v) { if (v) write(o, string(v)); else o << "null"; }
+inline void write(ostream& o, char v) { write(o, string(1, v)); }
+template <class T> typename enable_if<is_integral<T>::value>::type write(ostream& o, T v) { o << (long long)v; }
+template <class T> typename enable_if<is_floating_point<T>::value>::type write(ostream& o, T v) {
+  double d = (double)v;
+  if (d != d || d > 1.7976931348623157e308 || d < -1.7976931348623157e308) { o << "null"; return; }
+  if (d == (double)(long long)d && d > -1e15 && d < 1e15) { o << (long long)d; return; }
+  char buf[64];
+  for (int prec = 1; prec <= 17; prec++) {
+    snprintf(buf, sizeof(buf), "%.*g", prec, d);
+    if (strtod(buf, nullptr) == d) break;
+  }
+  o << buf;
+}
+template <class T> void write(ostream& o, const optional<T>& v) { if (v) write(o, *v); else o << "null"; }
+inline void write(ostream& o, const vector<bool>& v) {
+  o << '[';
+  for (size_t k = 0; k < v.size(); k++) { if (k) o << ','; write(o, (bool)v[k]); }
+  o << ']';
+}
+// The first k elements, for "return k" in-place problems (k clamped to the vector).
+template <class T> vector<T> prefix(const vector<T>& v, long long k) {
+  return vector<T>(v.begin(), v.begin() + (k < 0 ? 0 : k < (long long)v.size() ? k : (long long)v.size()));
+}
+template <class T> void write(ostream& o, const vector<T>& v) {
+  o << '[';
+  for (size_t k = 0; k < v.size(); k++) { if (k) o << ','; write(o, v[k]); }
+  o << ']';
+}
+}  // namespace rc
+`;
+
+/** Node conversions from and to level-order vectors, compiled in for the node types the solution uses. */
+const CPP_NODE_RUNTIME = {
+  listnode: String.raw`
+namespace rc {
+inline ListNode* to_list(const vector<int>& a) {
+  ListNode dummy;
+  ListNode* t = &dummy;
+  for (int x : a) t = t->next = new ListNode(x);
+  return dummy.next;
+}
+inline vector<int> from_list(ListNode* n) {
+  vector<int> o;
+  for (; n; n = n->next) o.push_back(n->val);
+  return o;
+}
+}  // namespace rc
+`,
+  treenode: String.raw`
+namespace rc {
+inline TreeNode* to_tree(const vector<optional<int>>& a) {
+  if (a.empty() || !a[0]) return nullptr;
+  TreeNode* root = new TreeNode(*a[0]);
+  vector<TreeNode*> q{root};
+  size_t i = 1;
+  for (size_t h = 0; h < q.size() && i < a.size(); h++) {
+    if (i < a.size() && a[i]) q.push_back(q[h]->left = new TreeNode(*a[i]));
+    i++;
+    if (i < a.size() && a[i]) q.push_back(q[h]->right = new TreeNode(*a[i]));
+    i++;
+  }
+  return root;
+}
+inline vector<optional<int>> from_tree(TreeNode* root) {
+  vector<optional<int>> o;
+  vector<TreeNode*> q{root};
+  for (size_t h = 0; h < q.size(); h++) {
+    TreeNode* n = q[h];
+    if (!n) { o.push_back(nullopt); continue; }
+    o.push_back(n->val);
+    q.push_back(n->left);
+    q.push_back(n->right);
+  }
+  while (!o.empty() && !o.back()) o.pop_back();
+  return o;
+}
+}  // namespace rc
+`
+};
+
+/** Per node type: the vector a stdin line is read into, and the rc:: conversions to and from it. */
+const CPP_NODE_IO = {
+  listnode: { raw: "vector<int>", from: "to_list", to: "from_list" },
+  treenode: { raw: "vector<optional<int>>", from: "to_tree", to: "from_tree" }
+};
+
+export function wrapCppCompileOnly(code) {
+  return `${CPP_PRELUDE}${nodeDefinitions(null, code, "cpp")}\n${code}\n\nint main() { return 0; }\n`;
+}
+
+/** Wrap a C++ `class Solution` with main(): parse each stdin line into its param type, call, print JSON. */
+export function wrapCpp(code, sig) {
+  assertSupported(sig);
+  const decls = sig.params.map((p, i) => {
+    const t = TYPES[p.type].cpp;
+    const reader = `rc::Reader r(lines.size() > ${i} ? lines[${i}] : string());`;
+    const node = CPP_NODE_IO[p.type];
+    if (node) return `  ${t} rc_p${i}{};\n  { ${reader} ${node.raw} a; r.read(a); rc_p${i} = rc::${node.from}(a); }`;
+    return `  ${t} rc_p${i}{};\n  { ${reader} r.${p.type === "string" ? "line" : "read"}(rc_p${i}); }`;
+  });
+  const args = sig.params.map((_, i) => `rc_p${i}`).join(", ");
+  const outNode = CPP_NODE_IO[outputType(sig)];
+  const printed = (v) => (outNode ? `rc::${outNode.to}(${v})` : hasPrefixOutput(sig) ? `rc::prefix(rc_p${sig.prefixIndex}, ${v})` : v);
+  const call = sig.returnType === "void"
+    ? `  sol.${sig.name}(${args});\n  char rc_ms[32];\n  snprintf(rc_ms, sizeof(rc_ms), "%.6f ", rc_now_ms() - rc_t0);\n  cout << ${SENTINEL_LITERAL.hex} << rc_token << ' ' << rc_ms;\n  rc::write(cout, ${printed(`rc_p${inPlaceIndex(sig)}`)});`
+    : `  auto rc_out = sol.${sig.name}(${args});\n  char rc_ms[32];\n  snprintf(rc_ms, sizeof(rc_ms), "%.6f ", rc_now_ms() - rc_t0);\n  cout << ${SENTINEL_LITERAL.hex} << rc_token << ' ' << rc_ms;\n  rc::write(cout, ${printed("rc_out")});`;
+  return `${CPP_PRELUDE}${nodeDefinitions(sig, code, "cpp")}
+${code}
+${CPP_RUNTIME}${nodeTypes(sig).map((t) => CPP_NODE_RUNTIME[t]).join("")}
+int main() {
+  vector<string> lines;
+  string line;
+  while (getline(cin, line)) {
+    size_t a = line.find_first_not_of(" \\t\\r"), b = line.find_last_not_of(" \\t\\r");
+    if (a != string::npos) lines.push_back(line.substr(a, b - a + 1));
+  }
+  string rc_token = lines.empty() ? string() : lines.front();
+  if (!lines.empty()) lines.erase(lines.begin());
+${decls.join("\n")}
+  Solution sol;
+  double rc_t0 = rc_now_ms();
+${call}
+  cout << endl;
+  return 0;
+}
+`;
+}
+
+// ---------------------------------------------------------------------------------------------------
+// Java
+
+/** The imports LeetCode's Java environment provides. User code may add its own below these. */
+const JAVA_PRELUDE = `import java.util.*;
+import java.util.function.*;
+import java.util.stream.*;
+import java.math.*;
+`;
+
+/** Reader method per param type; top-level strings take the whole line like the other harnesses. */
+const JAVA_READ = {
+  integer: "readInt",
+  double: "readDouble",
+  boolean: "readBool",
+  string: "line",
+  character: "readChar",
+  "integer[]": "readIntArray",
+  "string[]": "readStringArray",
+  "integer[][]": "readIntMatrix",
+  "character[][]": "readCharMatrix"
+};
+
+const JAVA_RUNTIME = String.raw`
+class RcMain {
+  static final class Reader {
+    private final String s;
+    private int i = 0;
+    Reader(String line) { s = line; }
+    private boolean more() { return i < s.length(); }
+    private char peek() { return s.charAt(i); }
+    void ws() { while (more() && (peek() == ' ' || peek() == '\t')) i++; }
+    boolean open() { ws(); if (more() && peek() == '[') { i++; return true; } return false; }
+    boolean next() { ws(); if (more() && peek() == ',') { i++; ws(); } return more() && peek() != ']'; }
+    void close() { ws(); if (more() && peek() == ']') i++; }
+    private String number() {
+      ws();
+      int j = i;
+      while (more() && "+-0123456789.eE".indexOf(peek()) >= 0) i++;
+      return s.substring(j, i);
+    }
+    private static double toDouble(String t) {
+      try { return Double.parseDouble(t); } catch (NumberFormatException e) { return 0; }
+    }
+    long readLong() {
+      String t = number();
+      try { return Long.parseLong(t); } catch (NumberFormatException e) { return (long) toDouble(t); }
+    }
+    int readInt() { return (int) readLong(); }
+    double readDouble() { return toDouble(number()); }
+    boolean readBool() {
+      ws();
+      if (s.startsWith("true", i)) { i += 4; return true; }
+      if (s.startsWith("false", i)) { i += 5; return false; }
+      return readLong() != 0;
+    }
+    String readString() {
+      ws();
+      StringBuilder b = new StringBuilder();
+      if (!more() || peek() != '"') {
+        while (more() && peek() != ',' && peek() != ']') b.append(s.charAt(i++));
+        return b.toString();
+      }
+      i++;
+      while (more() && peek() != '"') {
+        char c = s.charAt(i++);
+        if (c == '\\' && more()) {
+          char e = s.charAt(i++);
+          if (e == 'n') c = '\n';
+          else if (e == 't') c = '\t';
+          else if (e == 'r') c = '\r';
+          else if (e == 'b') c = '\b';
+          else if (e == 'f') c = '\f';
+          else if (e == 'u' && i + 4 <= s.length()) { c = (char) Integer.parseInt(s.substring(i, i + 4), 16); i += 4; }
+          else c = e;
+        }
+        b.append(c);
+      }
+      if (more()) i++;
+      return b.toString();
+    }
+    char readChar() { String t = readString(); return t.isEmpty() ? '\0' : t.charAt(0); }
+    // A whole-line string argument: JSON-quoted, or the raw line as-is (commas included).
+    String line() {
+      ws();
+      if (more() && peek() == '"') return readString();
+      String t = s.substring(i);
+      i = s.length();
+      return t;
+    }
+    // Level-order tree arrays: null entries stay null.
+    Integer[] readNullableInts() {
+      ArrayList<Integer> v = new ArrayList<>();
+      if (open()) {
+        while (next()) {
+          int before = i;
+          if (s.startsWith("null", i)) { i += 4; v.add(null); } else v.add(readInt());
+          if (i == before) break;
+        }
+        close();
+      }
+      return v.toArray(new Integer[0]);
+    }
+    int[] readIntArray() {
+      ArrayList<Integer> v = new ArrayList<>();
+      if (open()) {
+        while (next()) { int before = i; v.add(readInt()); if (i == before) break; }
+        close();
+      }
+      int[] a = new int[v.size()];
+      for (int k = 0; k < a.length; k++) a[k] = v.get(k);
+      return a;
+    }
+    char[] readCharArray() {
+      StringBuilder v = new StringBuilder();
+      if (open()) {
+        while (next()) { int before = i; v.append(readChar()); if (i == before) break; }
+        close();
+      }
+      return v.toString().toCharArray();
+    }
+    String[] readStringArray() {
+      ArrayList<String> v = new ArrayList<>();
+      if (open()) {
+        while (next()) { int before = i; v.add(readString()); if (i == before) break; }
+        close();
+      }
+      return v.toArray(new String[0]);
+    }
+    int[][] readIntMatrix() {
+      ArrayList<int[]> v = new ArrayList<>();
+      if (open()) {
+        while (next()) { int before = i; v.add(readIntArray()); if (i == before) break; }
+        close();
+      }
+      return v.toArray(new int[0][]);
+    }
+    char[][] readCharMatrix() {
+      ArrayList<char[]> v = new ArrayList<>();
+      if (open()) {
+        while (next()) { int before = i; v.add(readCharArray()); if (i == before) break; }
+        close();
+      }
+      return v.toArray(new char[0][]);
+    }
+  }
+
+  static void writeString(StringBuilder o, String v) {
+    o.append('"');
+    for (int k = 0; k < v.length(); k++) {
+      char c = v.charAt(k);
+      if (c == '"' || c == '\\') o.append('\\').append(c);
+      else if (c == '\n') o.append("\\n");
+      else if (c == '\t') o.append("\\t");
+      else if (c == '\r') o.append("\\r");
+      else if (c < 0x20) o.append(String.format("\\u%04x", (int) c));
+      else o.append(c);
+    }
+    o.append('"');
+  }
+
+  static void writeDouble(StringBuilder o, double d) {
+    if (Double.isNaN(d) || Double.isInfinite(d)) { o.append("null"); return; }
+    if (d == Math.rint(d) && Math.abs(d) < 1e15) { o.append((long) d); return; }
+    o.append(new BigDecimal(Double.toString(d)).stripTrailingZeros().toPlainString());
+  }
+
+  /** JSON for any value a solution can return: boxed primitives, strings, arrays of any kind, Lists. */
+  static void write(StringBuilder o, Object v) {
+    if (v == null) o.append("null");
+    else if (v instanceof Boolean) o.append(((Boolean) v).booleanValue() ? "true" : "false");
+    else if (v instanceof Double || v instanceof Float) writeDouble(o, ((Number) v).doubleValue());
+    else if (v instanceof Number) o.append(((Number) v).longValue());
+    else if (v instanceof Character || v instanceof String) writeString(o, v.toString());
+    else if (v.getClass().isArray()) {
+      int n = java.lang.reflect.Array.getLength(v);
+      o.append('[');
+      for (int k = 0; k < n; k++) { if (k > 0) o.append(','); write(o, java.lang.reflect.Array.get(v, k)); }
+      o.append(']');
+    } else if (v instanceof Iterable) {
+      o.append('[');
+      boolean first = true;
+      for (Object x : (Iterable<?>) v) { if (!first) o.append(','); first = false; write(o, x); }
+      o.append(']');
+    } else writeString(o, v.toString());
+  }
+
+  static String rcLine(ArrayList<String> lines, int k) { return k < lines.size() ? lines.get(k) : ""; }
+`;
+
+/** RcMain conversions from and to level-order arrays, compiled in for the node types the solution uses. */
+const JAVA_NODE_RUNTIME = {
+  listnode: String.raw`
+  static ListNode toList(int[] a) {
+    ListNode dummy = new ListNode(0), t = dummy;
+    for (int x : a) { t.next = new ListNode(x); t = t.next; }
+    return dummy.next;
+  }
+  static ArrayList<Integer> fromList(ListNode n) {
+    ArrayList<Integer> o = new ArrayList<>();
+    for (; n != null; n = n.next) o.add(n.val);
+    return o;
+  }
+`,
+  treenode: String.raw`
+  static TreeNode toTree(Integer[] a) {
+    if (a.length == 0 || a[0] == null) return null;
+    TreeNode root = new TreeNode(a[0]);
+    ArrayList<TreeNode> q = new ArrayList<>();
+    q.add(root);
+    int i = 1;
+    for (int h = 0; h < q.size() && i < a.length; h++) {
+      TreeNode n = q.get(h);
+      if (i < a.length && a[i] != null) { n.left = new TreeNode(a[i]); q.add(n.left); }
+      i++;
+      if (i < a.length && a[i] != null) { n.right = new TreeNode(a[i]); q.add(n.right); }
+      i++;
+    }
+    return root;
+  }
+  static ArrayList<Integer> fromTree(TreeNode root) {
+    ArrayList<Integer> o = new ArrayList<>();
+    ArrayList<TreeNode> q = new ArrayList<>();
+    q.add(root);
+    for (int h = 0; h < q.size(); h++) {
+      TreeNode n = q.get(h);
+      if (n == null) { o.add(null); continue; }
+      o.add(n.val);
+      q.add(n.left);
+      q.add(n.right);
+    }
+    while (!o.isEmpty() && o.get(o.size() - 1) == null) o.remove(o.size() - 1);
+    return o;
+  }
+`
+};
+
+/** Per node type: the Reader method for its stdin line and the RcMain conversions to and from it. */
+const JAVA_NODE_IO = {
+  listnode: { read: "readIntArray", from: "toList", to: "fromList" },
+  treenode: { read: "readNullableInts", from: "toTree", to: "fromTree" }
+};
+
+/** The solution's own import lines, which must come before every class in the file. */
+const JAVA_IMPORT_RE = /^[ \t]*import\s+(?:static\s+)?[\w.]+(?:\.\*)?\s*;[ \t]*$/gm;
+
+/**
+ * A Java file with the solution, the node classes it needs and the entry class RcMain. `entryFirst` puts RcMain
+ * before the solution (its imports moved up), for runners that launch the source file (`java main.java`), which
+ * start the first class in it.
+ */
+function javaFile(code, nodes, entry, entryFirst) {
+  if (!entryFirst) return `${JAVA_PRELUDE}\n${code}\n\n${nodes}${entry}`;
+  const imports = (code.match(JAVA_IMPORT_RE) || []).map((line) => line.trim());
+  return `${JAVA_PRELUDE}${imports.join("\n")}\n${entry}\n${code.replace(JAVA_IMPORT_RE, "")}\n\n${nodes}`;
+}
+
+/** Run without input: just check that the solution compiles, with an empty entry point. */
+export function wrapJavaCompileOnly(code, { entryFirst = false } = {}) {
+  return javaFile(code, nodeDefinitions(null, code, "java"), "\nclass RcMain {\n  public static void main(String[] args) {}\n}\n", entryFirst);
+}
+
+/**
+ * Wrap a Java `class Solution` with an entry class RcMain (run as `java RcMain`): parse each stdin line
+ * into its param type, call, print JSON. The file stays Solution.java so `public class Solution` compiles.
+ * `entryFirst` as in javaFile.
+ */
+export function wrapJava(code, sig, { entryFirst = false } = {}) {
+  assertSupported(sig);
+  const decls = sig.params.map((p, i) => {
+    const reader = `new Reader(rcLine(lines, ${i}))`;
+    const node = JAVA_NODE_IO[p.type];
+    const value = node ? `${node.from}(${reader}.${node.read}())` : `${reader}.${JAVA_READ[p.type]}()`;
+    return `    ${TYPES[p.type].java} rc_p${i} = ${value};`;
+  });
+  const args = sig.params.map((_, i) => `rc_p${i}`).join(", ");
+  const outNode = JAVA_NODE_IO[outputType(sig)];
+  const prefixOf = (v) => `Arrays.copyOf(rc_p${sig.prefixIndex}, Math.max(0, Math.min(${v}, rc_p${sig.prefixIndex}.length)))`;
+  const printed = (v) => (outNode ? `${outNode.to}(${v})` : hasPrefixOutput(sig) ? prefixOf(v) : v);
+  const outDecl = outNode || hasPrefixOutput(sig) ? TYPES[sig.returnType].java : "Object";
+  // The clock stops after serializing: a lazy collection returned as the result is the solution's own work.
+  const report = (v) => `    StringBuilder rc_json = new StringBuilder();\n    write(rc_json, ${v});\n`
+    + "    out.append(String.format(Locale.ROOT, \"%.6f \", (System.nanoTime() - rc_t0) / 1e6)).append(rc_json);";
+  const call = sig.returnType === "void"
+    ? `    sol.${sig.name}(${args});\n${report(printed(`rc_p${inPlaceIndex(sig)}`))}`
+    : `    ${outDecl} rc_out = sol.${sig.name}(${args});\n${report(printed("rc_out"))}`;
+  return javaFile(code, nodeDefinitions(sig, code, "java"), `${JAVA_RUNTIME}${nodeTypes(sig).map((t) => JAVA_NODE_RUNTIME[t]).join("")}
+  public static void main(String[] args) throws java.io.IOException {
+    java.io.BufferedReader in = new java.io.BufferedReader(new java.io.InputStreamReader(System.in, java.nio.charset.StandardCharsets.UTF_8));
+    ArrayList<String> lines = new ArrayList<>();
+    for (String l = in.readLine(); l != null; l = in.readLine()) {
+      String t = l.trim();
+      if (!t.isEmpty()) lines.add(t);
+    }
+    String rcToken = lines.isEmpty() ? "" : lines.remove(0);
+${decls.join("\n")}
+    Solution sol = new Solution();
+    StringBuilder out = new StringBuilder(${SENTINEL_LITERAL.unicode}).append(rcToken).append(' ');
+    long rc_t0 = System.nanoTime();
+${call}
+    System.out.println(out);
+  }
+}
+`, entryFirst);
+}
+
+// ---------------------------------------------------------------------------------------------------
+// Rust
+
+/** Lints off: stubs and solutions leave unused variables, and the harness only uses part of its runtime. */
+const RUST_PRELUDE = "#![allow(unused, non_snake_case)]\n";
+
+/**
+ * JSON in and out for main(), in its own module so it neither sees nor clashes with the solution's `use`s:
+ * `arg` parses a stdin line into the param's type, `emit` prints the result line. The module is left open
+ * for the node conversions; wrapRust closes it.
+ */
+const RUST_RUNTIME = String.raw`
+mod rc_harness {
+    use std::io::{Read, Write};
+
+    const SENTINEL: &str = ${SENTINEL_LITERAL.hex};
+
+    pub enum J { Null, Bool(bool), Num(f64), Str(String), Arr(Vec<J>) }
+
+    struct Parser<'a> { b: &'a [u8], i: usize }
+
+    impl<'a> Parser<'a> {
+        fn ws(&mut self) { while self.i < self.b.len() && (self.b[self.i] == b' ' || self.b[self.i] == b'\t') { self.i += 1; } }
+        fn rest(&self) -> &[u8] { &self.b[self.i..] }
+        fn value(&mut self) -> Option<J> {
+            self.ws();
+            match *self.b.get(self.i)? {
+                b'n' if self.rest().starts_with(b"null") => { self.i += 4; Some(J::Null) }
+                b't' if self.rest().starts_with(b"true") => { self.i += 4; Some(J::Bool(true)) }
+                b'f' if self.rest().starts_with(b"false") => { self.i += 5; Some(J::Bool(false)) }
+                b'"' => self.string().map(J::Str),
+                b'[' => {
+                    self.i += 1;
+                    let mut a = Vec::new();
+                    loop {
+                        self.ws();
+                        match self.b.get(self.i) {
+                            Some(b']') => { self.i += 1; return Some(J::Arr(a)); }
+                            Some(b',') => self.i += 1,
+                            Some(_) => a.push(self.value()?),
+                            None => return None,
+                        }
+                    }
+                }
+                _ => {
+                    let start = self.i;
+                    while self.i < self.b.len() && b"+-0123456789.eE".contains(&self.b[self.i]) { self.i += 1; }
+                    std::str::from_utf8(&self.b[start..self.i]).ok()?.parse().ok().map(J::Num)
+                }
+            }
+        }
+        fn hex4(&mut self) -> Option<u32> {
+            let digits = std::str::from_utf8(self.b.get(self.i..self.i + 4)?).ok()?;
+            self.i += 4;
+            u32::from_str_radix(digits, 16).ok()
+        }
+        fn string(&mut self) -> Option<String> {
+            self.i += 1;
+            let mut out: Vec<u8> = Vec::new();
+            loop {
+                let c = *self.b.get(self.i)?;
+                self.i += 1;
+                match c {
+                    b'"' => return Some(String::from_utf8_lossy(&out).into_owned()),
+                    b'\\' => {
+                        let e = *self.b.get(self.i)?;
+                        self.i += 1;
+                        let ch = match e {
+                            b'n' => '\n',
+                            b't' => '\t',
+                            b'r' => '\r',
+                            b'b' => '\u{8}',
+                            b'f' => '\u{c}',
+                            b'u' => {
+                                let mut cp = self.hex4()?;
+                                if (0xD800..0xDC00).contains(&cp) && self.rest().starts_with(b"\\u") {
+                                    self.i += 2;
+                                    cp = 0x10000 + ((cp - 0xD800) << 10) + (self.hex4()?.wrapping_sub(0xDC00) & 0x3FF);
+                                }
+                                char::from_u32(cp).unwrap_or('\u{FFFD}')
+                            }
+                            _ => e as char,
+                        };
+                        out.extend_from_slice(ch.encode_utf8(&mut [0u8; 4]).as_bytes());
+                    }
+                    _ => out.push(c),
+                }
+            }
+        }
+    }
+
+    pub fn parse(line: &str) -> Option<J> { Parser { b: line.as_bytes(), i: 0 }.value() }
+
+    pub trait FromJ: Sized { fn from_j(j: &J) -> Self; }
+    impl FromJ for i32 { fn from_j(j: &J) -> Self { match j { J::Num(n) => *n as i32, J::Bool(b) => *b as i32, _ => 0 } } }
+    impl FromJ for f64 { fn from_j(j: &J) -> Self { match j { J::Num(n) => *n, _ => 0.0 } } }
+    impl FromJ for bool { fn from_j(j: &J) -> Self { match j { J::Bool(b) => *b, J::Num(n) => *n != 0.0, _ => false } } }
+    impl FromJ for String { fn from_j(j: &J) -> Self { match j { J::Str(s) => s.clone(), _ => String::new() } } }
+    impl FromJ for char { fn from_j(j: &J) -> Self { match j { J::Str(s) => s.chars().next().unwrap_or('\0'), _ => '\0' } } }
+    impl<T: FromJ> FromJ for Vec<T> { fn from_j(j: &J) -> Self { match j { J::Arr(a) => a.iter().map(T::from_j).collect(), _ => Vec::new() } } }
+    impl<T: FromJ> FromJ for Option<T> { fn from_j(j: &J) -> Self { match j { J::Null => None, _ => Some(T::from_j(j)) } } }
+
+    pub fn arg<T: FromJ>(line: &str) -> T { T::from_j(&parse(line).unwrap_or(J::Null)) }
+    // A whole-line string argument: JSON-quoted, or the raw line as-is (commas included).
+    pub fn line_string(line: &str) -> String { match parse(line) { Some(J::Str(s)) => s, _ => line.to_string() } }
+
+    pub trait ToJ { fn write(&self, o: &mut String); }
+    impl ToJ for i32 { fn write(&self, o: &mut String) { o.push_str(&self.to_string()); } }
+    impl ToJ for i64 { fn write(&self, o: &mut String) { o.push_str(&self.to_string()); } }
+    impl ToJ for bool { fn write(&self, o: &mut String) { o.push_str(if *self { "true" } else { "false" }); } }
+    impl ToJ for f64 {
+        fn write(&self, o: &mut String) {
+            if !self.is_finite() { o.push_str("null"); }
+            else if self.fract() == 0.0 && self.abs() < 1e15 { o.push_str(&(*self as i64).to_string()); }
+            else { o.push_str(&self.to_string()); }
+        }
+    }
+    impl ToJ for str {
+        fn write(&self, o: &mut String) {
+            o.push('"');
+            for c in self.chars() {
+                match c {
+                    '"' => o.push_str("\\\""),
+                    '\\' => o.push_str("\\\\"),
+                    '\n' => o.push_str("\\n"),
+                    '\t' => o.push_str("\\t"),
+                    '\r' => o.push_str("\\r"),
+                    c if (c as u32) < 0x20 => o.push_str(&format!("\\u{:04x}", c as u32)),
+                    c => o.push(c),
+                }
+            }
+            o.push('"');
+        }
+    }
+    impl ToJ for String { fn write(&self, o: &mut String) { self.as_str().write(o); } }
+    impl ToJ for char { fn write(&self, o: &mut String) { self.encode_utf8(&mut [0u8; 4]).write(o); } }
+    impl<T: ToJ> ToJ for [T] {
+        fn write(&self, o: &mut String) {
+            o.push('[');
+            for (k, v) in self.iter().enumerate() {
+                if k > 0 { o.push(','); }
+                v.write(o);
+            }
+            o.push(']');
+        }
+    }
+    impl<T: ToJ> ToJ for Vec<T> { fn write(&self, o: &mut String) { self.as_slice().write(o); } }
+    impl<T: ToJ> ToJ for Option<T> { fn write(&self, o: &mut String) { match self { Some(v) => v.write(o), None => o.push_str("null") } } }
+
+    pub fn read_lines() -> Vec<String> {
+        let mut s = String::new();
+        std::io::stdin().read_to_string(&mut s).ok();
+        s.lines().map(|l| l.trim().to_string()).filter(|l| !l.is_empty()).collect()
+    }
+
+    pub fn emit<T: ToJ + ?Sized>(token: &str, ms: f64, v: &T) {
+        let mut o = String::new();
+        v.write(&mut o);
+        let mut out = std::io::stdout().lock();
+        write!(out, "{}{} {:.6} {}\n", SENTINEL, token, ms, o).ok();
+        out.flush().ok();
+    }
+`;
+
+/** Node conversions inside rc_harness, for the node types the solution uses (its own definitions, if it has them). */
+const RUST_NODE_RUNTIME = {
+  listnode: String.raw`
+    use super::ListNode;
+
+    pub fn to_list(a: Vec<i32>) -> Option<Box<ListNode>> {
+        let mut head = None;
+        for &val in a.iter().rev() { head = Some(Box::new(ListNode { val, next: head })); }
+        head
+    }
+    pub fn from_list(mut n: &Option<Box<ListNode>>) -> Vec<i32> {
+        let mut o = Vec::new();
+        while let Some(node) = n {
+            o.push(node.val);
+            n = &node.next;
+        }
+        o
+    }
+`,
+  treenode: String.raw`
+    use super::TreeNode;
+    use std::{cell::RefCell, collections::VecDeque, rc::Rc};
+
+    fn tree_node(val: i32) -> Rc<RefCell<TreeNode>> { Rc::new(RefCell::new(TreeNode { val, left: None, right: None })) }
+    pub fn to_tree(a: Vec<Option<i32>>) -> Option<Rc<RefCell<TreeNode>>> {
+        let root = tree_node(a.first().copied().flatten()?);
+        let mut q = VecDeque::from(vec![root.clone()]);
+        let mut i = 1;
+        while i < a.len() {
+            let n = match q.pop_front() { Some(n) => n, None => break };
+            if let Some(v) = a[i] { let c = tree_node(v); n.borrow_mut().left = Some(c.clone()); q.push_back(c); }
+            i += 1;
+            if let Some(&Some(v)) = a.get(i) { let c = tree_node(v); n.borrow_mut().right = Some(c.clone()); q.push_back(c); }
+            i += 1;
+        }
+        Some(root)
+    }
+    pub fn from_tree(root: &Option<Rc<RefCell<TreeNode>>>) -> Vec<Option<i32>> {
+        let mut o = Vec::new();
+        let mut q = VecDeque::from(vec![root.clone()]);
+        while let Some(n) = q.pop_front() {
+            match n {
+                Some(n) => {
+                    let n = n.borrow();
+                    o.push(Some(n.val));
+                    q.push_back(n.left.clone());
+                    q.push_back(n.right.clone());
+                }
+                None => o.push(None),
+            }
+        }
+        while o.last() == Some(&None) { o.pop(); }
+        o
+    }
+`
+};
+
+/** Per node type: the value a stdin line is read into, and the rc_harness conversions to and from it. */
+const RUST_NODE_IO = {
+  listnode: { from: "to_list", to: "from_list" },
+  treenode: { from: "to_tree", to: "from_tree" }
+};
+
+/**
+ * The node definitions, in a module of their own so they can name Rc and RefCell without clashing with the
+ * solution's imports; the glob import gives way to a solution that defines the types itself.
+ */
+function rustNodeDefinitions(sig, code) {
+  const defs = nodeDefinitions(sig, code, "rust");
+  return defs ? `mod rc_nodes {\nuse std::cell::RefCell;\nuse std::rc::Rc;\n\n${defs}}\nuse rc_nodes::*;\n` : "";
+}
+
+/** LeetCode declares `struct Solution;` itself; solutions only write `impl Solution`. */
+const rustSolutionStruct = (code) => (/\bstruct\s+Solution\b/.test(code) ? "" : "struct Solution;\n");
+
+/** Run without input: just check that the solution compiles, with an empty main(). */
+export function wrapRustCompileOnly(code) {
+  return `${RUST_PRELUDE}${rustNodeDefinitions(null, code)}${rustSolutionStruct(code)}\n${code}\n\nfn main() {}\n`;
+}
+
+/** Wrap a Rust `impl Solution` with main(): parse each stdin line into its param type, call, print JSON. */
+export function wrapRust(code, sig) {
+  assertSupported(sig);
+  const mutable = rustMutableIndex(sig);
+  const decls = sig.params.map((p, i) => {
+    const line = `rc_line(${i})`;
+    const node = RUST_NODE_IO[p.type];
+    const value = node ? `rc_harness::${node.from}(rc_harness::arg(${line}))`
+      : p.type === "string" ? `rc_harness::line_string(${line})`
+        : `rc_harness::arg::<${TYPES[p.type].rust}>(${line})`;
+    return `    let ${i === mutable ? "mut " : ""}rc_p${i} = ${value};`;
+  });
+  const args = sig.params.map((_, i) => (i === mutable ? `&mut rc_p${i}` : `rc_p${i}`)).join(", ");
+  const outNode = RUST_NODE_IO[outputType(sig)];
+  const printed = (v) => (outNode ? `&rc_harness::${outNode.to}(&${v})` : `&${v}`);
+  let call;
+  if (sig.returnType === "void") {
+    call = `    Solution::${snakeCase(sig.name)}(${args});\n    let rc_ms = rc_t0.elapsed().as_secs_f64() * 1000.0;\n    rc_harness::emit(&rc_token, rc_ms, ${printed(`rc_p${mutable}`)});`;
+  } else if (hasPrefixOutput(sig)) {
+    const v = `rc_p${sig.prefixIndex}`;
+    call = `    let rc_out = Solution::${snakeCase(sig.name)}(${args});\n    let rc_ms = rc_t0.elapsed().as_secs_f64() * 1000.0;\n    let rc_k = (rc_out.max(0) as usize).min(${v}.len());\n    rc_harness::emit(&rc_token, rc_ms, &${v}[..rc_k]);`;
+  } else {
+    call = `    let rc_out = Solution::${snakeCase(sig.name)}(${args});\n    let rc_ms = rc_t0.elapsed().as_secs_f64() * 1000.0;\n    rc_harness::emit(&rc_token, rc_ms, ${printed("rc_out")});`;
+  }
+  return `${RUST_PRELUDE}${rustNodeDefinitions(sig, code)}${rustSolutionStruct(code)}
+${code}
+${RUST_RUNTIME}${nodeTypes(sig).map((t) => RUST_NODE_RUNTIME[t]).join("")}}
+
+fn main() {
+    let mut rc_lines = rc_harness::read_lines();
+    let rc_token = if rc_lines.is_empty() { String::new() } else { rc_lines.remove(0) };
+    let rc_line = |k: usize| rc_lines.get(k).map(|l| l.as_str()).unwrap_or("");
+${decls.join("\n")}
+    let rc_t0 = std::time::Instant::now();
+${call}
+}
+`;
+}
+
+// ---------------------------------------------------------------------------------------------------
+// Go
+
+/** The harness's imports, aliased so a solution importing the same packages (or naming a variable `strings`) still compiles. */
+const GO_IMPORTS = `import (
+	rcjson "encoding/json"
+	rcio "io"
+	rcos "os"
+	rcreflect "reflect"
+	rcstrconv "strconv"
+	rcstrings "strings"
+	rctime "time"
+)
+`;
+
+/**
+ * Packages LeetCode's Go environment imports for solutions that use them without an import. Detected by an
+ * exported member (`sort.Ints`, `math.MaxInt32`) so a variable named like a package does not count.
+ */
+const GO_AUTO_IMPORTS = {
+  bits: "math/bits",
+  bytes: "bytes",
+  fmt: "fmt",
+  heap: "container/heap",
+  math: "math",
+  sort: "sort",
+  strconv: "strconv",
+  strings: "strings",
+  unicode: "unicode"
+};
+
+const GO_RUNTIME = String.raw`
+func rcReadLines() []string {
+	data, _ := rcio.ReadAll(rcos.Stdin)
+	var lines []string
+	for _, l := range rcstrings.Split(string(data), "\n") {
+		if t := rcstrings.TrimSpace(l); t != "" {
+			lines = append(lines, t)
+		}
+	}
+	return lines
+}
+
+func rcLine(lines []string, k int) string {
+	if k < len(lines) {
+		return lines[k]
+	}
+	return ""
+}
+
+// rcArg parses a JSON argument line into v; a malformed line leaves v at its zero value.
+func rcArg(line string, v interface{}) {
+	_ = rcjson.Unmarshal([]byte(line), v)
+}
+
+// rcString reads a whole-line string argument: JSON-quoted, or the raw line as-is (commas included).
+func rcString(line string) string {
+	var s string
+	if rcjson.Unmarshal([]byte(line), &s) != nil {
+		return line
+	}
+	return s
+}
+
+func rcChar(line string) byte {
+	var s string
+	rcArg(line, &s)
+	if s == "" {
+		return 0
+	}
+	return s[0]
+}
+
+func rcCharGrid(line string) [][]byte {
+	var rows [][]string
+	rcArg(line, &rows)
+	grid := make([][]byte, len(rows))
+	for i, row := range rows {
+		grid[i] = make([]byte, len(row))
+		for j, cell := range row {
+			if cell != "" {
+				grid[i][j] = cell[0]
+			}
+		}
+	}
+	return grid
+}
+
+func rcPrefixLen(k, n int) int {
+	if k < 0 {
+		return 0
+	}
+	if k > n {
+		return n
+	}
+	return k
+}
+
+func rcWriteString(o *rcstrings.Builder, s string) {
+	o.WriteByte('"')
+	for i := 0; i < len(s); i++ {
+		c := s[i]
+		switch {
+		case c == '"' || c == '\\':
+			o.WriteByte('\\')
+			o.WriteByte(c)
+		case c == '\n':
+			o.WriteString("\\n")
+		case c == '\t':
+			o.WriteString("\\t")
+		case c == '\r':
+			o.WriteString("\\r")
+		case c < 0x20:
+			o.WriteString("\\u00")
+			o.WriteString(rcstrconv.FormatInt(int64(c)>>4, 16))
+			o.WriteString(rcstrconv.FormatInt(int64(c)&15, 16))
+		default:
+			o.WriteByte(c)
+		}
+	}
+	o.WriteByte('"')
+}
+
+// rcWrite appends v as JSON: nil slices as [], bytes (LeetCode's Go characters) as one-character strings.
+func rcWrite(o *rcstrings.Builder, v rcreflect.Value) {
+	switch v.Kind() {
+	case rcreflect.Int, rcreflect.Int8, rcreflect.Int16, rcreflect.Int32, rcreflect.Int64:
+		o.WriteString(rcstrconv.FormatInt(v.Int(), 10))
+	case rcreflect.Uint8:
+		rcWriteString(o, string([]byte{byte(v.Uint())}))
+	case rcreflect.Uint, rcreflect.Uint16, rcreflect.Uint32, rcreflect.Uint64:
+		o.WriteString(rcstrconv.FormatUint(v.Uint(), 10))
+	case rcreflect.Float32, rcreflect.Float64:
+		if b, err := rcjson.Marshal(v.Float()); err == nil {
+			o.Write(b)
+		} else {
+			o.WriteString("null")
+		}
+	case rcreflect.Bool:
+		o.WriteString(rcstrconv.FormatBool(v.Bool()))
+	case rcreflect.String:
+		rcWriteString(o, v.String())
+	case rcreflect.Slice, rcreflect.Array:
+		o.WriteByte('[')
+		for i := 0; i < v.Len(); i++ {
+			if i > 0 {
+				o.WriteByte(',')
+			}
+			rcWrite(o, v.Index(i))
+		}
+		o.WriteByte(']')
+	case rcreflect.Ptr, rcreflect.Interface:
+		if v.IsNil() {
+			o.WriteString("null")
+		} else {
+			rcWrite(o, v.Elem())
+		}
+	default:
+		o.WriteString("null")
+	}
+}
+
+func rcEmit(token string, elapsed rctime.Duration, v interface{}) {
+	var o rcstrings.Builder
+	o.WriteString(${SENTINEL_LITERAL.hex})
+	o.WriteString(token)
+	o.WriteByte(' ')
+	o.WriteString(rcstrconv.FormatFloat(float64(elapsed.Nanoseconds())/1e6, 'f', 6, 64))
+	o.WriteByte(' ')
+	rcWrite(&o, rcreflect.ValueOf(v))
+	o.WriteByte('\n')
+	rcos.Stdout.WriteString(o.String())
+}
+`;
+
+/** Node conversions from stdin lines and back to level-order slices, for the node types the solution uses. */
+const GO_NODE_RUNTIME = {
+  listnode: String.raw`
+func rcToList(line string) *ListNode {
+	var a []int
+	rcArg(line, &a)
+	dummy := &ListNode{}
+	t := dummy
+	for _, v := range a {
+		t.Next = &ListNode{Val: v}
+		t = t.Next
+	}
+	return dummy.Next
+}
+
+func rcFromList(n *ListNode) []int {
+	o := []int{}
+	for ; n != nil; n = n.Next {
+		o = append(o, n.Val)
+	}
+	return o
+}
+`,
+  treenode: String.raw`
+func rcToTree(line string) *TreeNode {
+	var a []*int
+	rcArg(line, &a)
+	if len(a) == 0 || a[0] == nil {
+		return nil
+	}
+	root := &TreeNode{Val: *a[0]}
+	q := []*TreeNode{root}
+	i := 1
+	for h := 0; h < len(q) && i < len(a); h++ {
+		if i < len(a) && a[i] != nil {
+			q[h].Left = &TreeNode{Val: *a[i]}
+			q = append(q, q[h].Left)
+		}
+		i++
+		if i < len(a) && a[i] != nil {
+			q[h].Right = &TreeNode{Val: *a[i]}
+			q = append(q, q[h].Right)
+		}
+		i++
+	}
+	return root
+}
+
+func rcFromTree(root *TreeNode) []*int {
+	o := []*int{}
+	q := []*TreeNode{root}
+	for h := 0; h < len(q); h++ {
+		n := q[h]
+		if n == nil {
+			o = append(o, nil)
+			continue
+		}
+		v := n.Val
+		o = append(o, &v)
+		q = append(q, n.Left, n.Right)
+	}
+	for len(o) > 0 && o[len(o)-1] == nil {
+		o = o[:len(o)-1]
+	}
+	return o
+}
+`
+};
+
+/** Reader per param type, for types rcArg cannot unmarshal directly. */
+const GO_READ = { string: "rcString", character: "rcChar", "character[][]": "rcCharGrid", listnode: "rcToList", treenode: "rcToTree" };
+const GO_DUMP = { listnode: "rcFromList", treenode: "rcFromTree" };
+
+/**
+ * The solution as the body of package main: LeetCode solutions have no package clause (one written anyway is
+ * dropped), use common packages without importing them, and get the node types unless they declare their own.
+ */
+function goSource(code, sig, imports = "") {
+  const body = code.replace(/^\s*package\s+\w+\s*;?[ \t]*$/m, "");
+  const autoImports = Object.entries(GO_AUTO_IMPORTS)
+    .filter(([name, pkg]) => new RegExp(`(^|[^\\w.])${name}\\.[A-Z]`).test(body) && !body.includes(`"${pkg}"`))
+    .map(([, pkg]) => `import "${pkg}"\n`)
+    .join("");
+  const defs = nodeTypes(sig, body)
+    .filter((t) => !new RegExp(`\\btype\\s+${NODE_DEFS[t].className}\\b`).test(body))
+    .map((t) => `${NODE_DEFS[t].go}\n`)
+    .join("\n");
+  return `package main\n\n${imports}${autoImports}\n${body}\n\n${defs}`;
+}
+
+/** Run without input: the solution as a program, with an empty main() unless it brings its own. */
+export function wrapGoCompileOnly(code) {
+  const hasMain = /\bfunc\s+main\s*\(/.test(code);
+  return `${goSource(code, null)}${hasMain ? "" : "\nfunc main() {}\n"}`;
+}
+
+/** Wrap a Go solution (a top-level func named by metaData) with main(): parse stdin, call, print JSON. */
+export function wrapGo(code, sig) {
+  assertSupported(sig);
+  const decls = sig.params.map((p, i) => {
+    const line = `rcLine(rcLines, ${i})`;
+    return GO_READ[p.type]
+      ? `\trcP${i} := ${GO_READ[p.type]}(${line})`
+      : `\tvar rcP${i} ${TYPES[p.type].go}\n\trcArg(${line}, &rcP${i})`;
+  });
+  const args = sig.params.map((_, i) => `rcP${i}`).join(", ");
+  const dump = GO_DUMP[outputType(sig)];
+  const printed = (v) => (dump ? `${dump}(${v})` : v);
+  let call;
+  if (sig.returnType === "void") {
+    call = `\t${sig.name}(${args})\n\trcEmit(rcToken, rctime.Since(rcT0), ${printed(`rcP${inPlaceIndex(sig)}`)})`;
+  } else if (hasPrefixOutput(sig)) {
+    const v = `rcP${sig.prefixIndex}`;
+    call = `\trcOut := ${sig.name}(${args})\n\trcElapsed := rctime.Since(rcT0)\n\trcEmit(rcToken, rcElapsed, ${v}[:rcPrefixLen(rcOut, len(${v}))])`;
+  } else {
+    call = `\trcOut := ${sig.name}(${args})\n\trcEmit(rcToken, rctime.Since(rcT0), ${printed("rcOut")})`;
+  }
+  return `${goSource(code, sig, GO_IMPORTS)}${GO_RUNTIME}${nodeTypes(sig).map((t) => GO_NODE_RUNTIME[t]).join("")}
+func main() {
+	rcLines := rcReadLines()
+	rcToken := ""
+	if len(rcLines) > 0 {
+		rcToken, rcLines = rcLines[0], rcLines[1:]
+	}
+${decls.join("\n")}
+	rcT0 := rctime.Now()
+${call}
+}
+`;
+}
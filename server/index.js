@@ -2,25 +2,37 @@ import express from "express";
 import cors from "cors";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
-import fetch from "node-fetch";
 import { v4 as uuid } from "uuid";
-import vm from "vm";
-import { spawn } from "child_process";
-import fs from "fs";
-import path from "path";
-import os from "os";
 import { getDb } from "./db.js";
 import { computeEloUpdate } from "./elo.js";
+import { createWorkerPool } from "./judge-queue.js";
+import { checkerBudget, checkOutput, getChecker } from "./checkers.js";
+import { generateInputs, getGenerator } from "./generators.js";
+import { getBuiltinGenerator } from "./builtin-generators.js";
+import { LANGUAGES, canExecute, createExecutors, executeWith, executorLanguage } from "./executors.js";
+import { parseSignature, splitHarnessOutput } from "./harness.js";
+import { VERDICTS, DEFAULT_TIME_LIMIT_MS, getTimeLimitMs, classifyRun, judgeTestCase, summarizeVerdicts } from "./verdicts.js";
 import {
   getBuiltinProblem,
-  pickBuiltinQuestion,
+  listBuiltinProblems,
+  matchingBuiltinProblems,
   getBuiltinTestCases,
+  getBuiltinJudgeTestCases,
+  getBuiltinReferenceSolution,
   BUILTIN_PREFIX
 } from "./builtin-problems.js";
+import { getRuntimeBaseline, historyBaseline, normalizeRuntime, saveRuntimeBaseline } from "./runtime-baselines.js";
+import { fingerprint, similarity, MIN_TOKENS } from "./similarity.js";
+import { listProblems, loadProblemBank, problemDetail, saveProblem, setProblemActive, validateProblem } from "./problem-bank.js";
+import { packageZip, readPackageZip } from "./problem-package.js";
+import { TOPIC_TAGS } from "./builtin-tags.js";
+import { pickByRating, problemRatings, ratingOf, recordAttempt } from "./problem-ratings.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || "dev_secret_change_me";
+/** Accounts allowed on /api/admin routes, by email (comma-separated). */
+const ADMIN_EMAILS = new Set((process.env.ADMIN_EMAILS || "").split(",").map((e) => e.trim().toLowerCase()).filter(Boolean));
 
 app.use(cors());
 app.use(express.json());
@@ -46,6 +58,16 @@ function authMiddleware(req, res, next) {
   }
 }
 
+function isAdmin(user) {
+  return !!user?.email && ADMIN_EMAILS.has(String(user.email).toLowerCase());
+}
+
+/** Use after authMiddleware. */
+function adminMiddleware(req, res, next) {
+  if (!isAdmin(req.user)) return res.status(403).json({ error: "Admins only" });
+  return next();
+}
+
 app.get("/api/health", (req, res) => {
   res.json({ ok: true });
 });
@@ -105,11 +127,12 @@ app.get("/api/me", authMiddleware, async (req, res) => {
     "SELECT id, email, elo, created_at FROM users WHERE id = ?",
     req.user.sub
   );
-  res.json({ user });
+  res.json({ user: user && { ...user, isAdmin: isAdmin(user) } });
 });
 
-function pickQuestion({ difficulty }) {
-  const builtin = pickBuiltinQuestion(difficulty);
+/** A problem within the filters, rated near `elo` (see problem-ratings.js); null if none match. */
+function pickQuestion({ difficulty, tag, elo = null, ratings = null }) {
+  const builtin = pickByRating(matchingBuiltinProblems(difficulty, tag), ratings, elo);
   if (!builtin) return null;
   return { titleSlug: builtin.titleSlug, title: builtin.title, difficulty: builtin.difficulty };
 }
@@ -124,9 +147,21 @@ async function findActiveMatchForUser(db, userId) {
   );
 }
 
-app.get("/api/problems/random", authMiddleware, (req, res) => {
-  const difficulty = req.query.difficulty;
-  const pick = pickQuestion({ difficulty });
+/** Topic tags with how many active problems carry each, for the tag filters. */
+app.get("/api/tags", authMiddleware, (req, res) => {
+  const counts = new Map();
+  for (const p of listBuiltinProblems()) {
+    for (const tag of p.tags) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  const tags = Object.entries(TOPIC_TAGS).map(([tag, name]) => ({ tag, name, problems: counts.get(tag) || 0 }));
+  res.json({ tags });
+});
+
+app.get("/api/problems/random", authMiddleware, async (req, res) => {
+  const { difficulty, tag } = req.query;
+  const db = await getDb();
+  const user = await db.get("SELECT elo FROM users WHERE id = ?", req.user.sub);
+  const pick = pickQuestion({ difficulty, tag, elo: user?.elo, ratings: await problemRatings(db) });
   if (!pick) return res.status(404).json({ error: "No questions found" });
   res.json({ question: pick });
 });
@@ -135,10 +170,15 @@ app.get("/api/problems/:slug", authMiddleware, async (req, res) => {
   const slug = req.params.slug;
   const problem = slug && String(slug).startsWith(BUILTIN_PREFIX) ? getBuiltinProblem(slug) : null;
   if (!problem) return res.status(404).json({ error: "Problem not found" });
-  res.json({ problem });
+  const db = await getDb();
+  res.json({ problem: { ...problem, rating: ratingOf(problem, await problemRatings(db)) } });
 });
 
-const PISTON_URL = "https://emkc.org/api/v2/piston";
+/** Backends in fallback order, from EXECUTORS (see executors.js). */
+const executors = createExecutors();
+
+/** Bounds concurrent executions: each queued submission is one task, each Run/Test case is one task. */
+const judgePool = createWorkerPool();
 
 function inferJsMethodName(code) {
   if (!code || typeof code !== "string") return null;
@@ -149,81 +189,13 @@ function inferJsMethodName(code) {
   return null;
 }
 
-function runLocalJavaScript(code, stdin, meta) {
-  const stdout = [];
-  const stderr = [];
-  const sandbox = {
-    console: {
-      log(...args) { stdout.push(args.map((a) => (typeof a === "object" ? JSON.stringify(a) : String(a))).join(" ")); },
-      error(...args) { stderr.push(args.map((a) => (typeof a === "object" ? JSON.stringify(a) : String(a))).join(" ")); },
-      warn() {}, info() {}, debug() {}
-    },
-    __stdin: String(stdin),
-    process: { env: {} },
-    setTimeout, clearTimeout, setInterval, clearInterval,
-    Buffer, JSON, Math, Number, String, Array, Object, Map, Set, Promise, Error, RegExp, Date,
-    parseInt, parseFloat, isNaN, isFinite, NaN, Infinity, Symbol, BigInt,
-    undefined: undefined,
-    null: null
-  };
-  vm.createContext(sandbox);
-  const start = Date.now();
-  try {
-    vm.runInNewContext(code, sandbox, { timeout: 5000 });
-    const hasStdin = String(stdin).trim().length > 0;
-    const methodName = meta?.methodName;
-    if (hasStdin && typeof methodName === "string") {
-      const numParams = meta?.numParams;
-      sandbox.__methodName = methodName;
-      sandbox.__numParams = numParams;
-      const harness = `
-(function() {
-  var __lines = __stdin.trim().split('\\n').filter(Boolean);
-  var __args = __lines.map(function(l) { try { return JSON.parse(l); } catch(e) { return l; } });
-  var __n = typeof __numParams === 'number' ? __numParams : __args.length;
-  var __fn;
-  try { __fn = eval(__methodName); } catch(e) {}
-  if (typeof __fn === 'function') {
-    var __out = __fn.apply(null, __args.slice(0, __n));
-    console.log(JSON.stringify(__out !== undefined ? __out : null));
-  }
-})();
-`;
-      vm.runInNewContext(harness, sandbox, { timeout: 5000 });
-    }
-  } catch (e) {
-    return { stdout: stdout.join("\n"), stderr: (stderr.join("\n") + (e.message ? "\n" + e.message : "")).trim(), runTimeMs: Date.now() - start };
-  }
-  return { stdout: stdout.join("\n"), stderr: stderr.join("\n"), runTimeMs: Date.now() - start };
-}
-
-function runWithStdin(cmd, args, stdin, cwd, timeoutMs = 10000) {
-  return new Promise((resolve) => {
-    let stdout = "";
-    let stderr = "";
-    const proc = spawn(cmd, args, { stdio: ["pipe", "pipe", "pipe"], cwd: cwd || undefined });
-    proc.stdout.on("data", (d) => { stdout += d.toString(); });
-    proc.stderr.on("data", (d) => { stderr += d.toString(); });
-    proc.on("error", (err) => { stderr += (stderr ? "\n" : "") + String(err.message); });
-    proc.on("close", (code) => resolve({ stdout, stderr, code }));
-    proc.stdin.write(String(stdin), () => { proc.stdin.end(); });
-    setTimeout(() => { try { proc.kill("SIGKILL"); } catch (_) {} }, timeoutMs);
-  });
-}
+/** Harness runs per test case when judging a submit; the median call time is the one that counts. */
+const RUNTIME_REPEATS = 3;
 
 function parseMetaData(metaData) {
   if (!metaData || typeof metaData !== "string") return null;
-  try {
-    const o = JSON.parse(metaData);
-    const name = o.name || o.methodName;
-    const params = o.params || o.paramTypes || [];
-    const numParams = Array.isArray(params) ? params.length : 0;
-    const paramTypes = Array.isArray(params) ? params.map((p) => (p.type || "integer").toLowerCase()) : [];
-    const firstParamIsArray = paramTypes[0] && paramTypes[0].includes("[]");
-    return name ? { methodName: name, numParams, paramTypes, firstParamIsArray } : null;
-  } catch (_) {
-    return null;
-  }
+  const signature = parseSignature(metaData);
+  return signature ? { methodName: signature.name, numParams: signature.params.length, signature } : null;
 }
 
 /** Extract expected output strings from problem description HTML, in example order. */
@@ -312,398 +284,98 @@ function parseTestCases(exampleTestcases, numParamsFromMeta) {
   return cases;
 }
 
-/** Normalize output for comparison (trim, optional JSON). */
-function normalizeOutput(s) {
-  const t = String(s ?? "").trim();
-  try {
-    const parsed = JSON.parse(t);
-    return JSON.stringify(parsed);
-  } catch (_) {
-    return t;
-  }
+/**
+ * Separate the value a harness returned (`output`) from what the solution printed itself (`stdout`). Without a
+ * result line, a program that exited cleanly printed its answer itself (its own main, or a plain Piston run);
+ * one that crashed, or a harnessed one that exited before its harness reported, returned nothing, so all of its
+ * stdout is the user's.
+ */
+function withHarnessOutput(result) {
+  const { result: output, userStdout } = splitHarnessOutput(result.stdout, result.harnessToken);
+  if (output !== null) return { ...result, output, stdout: userStdout };
+  const finished = result.exitCode === 0 && !result.timedOut && !result.compileError && !result.harnessToken;
+  return finished ? { ...result, output: (result.stdout || "").trim(), stdout: "" } : { ...result, output: "", stdout: result.stdout || "" };
 }
 
-function outputMatches(actual, expected) {
-  if (normalizeOutput(actual) === normalizeOutput(expected)) return true;
-  // LeetCode sometimes gives the modified-array as "expected" for in-place return-length problems; accept if actual equals array length.
-  const actualStr = String(actual ?? "").trim();
-  let expectedParsed = null;
-  try {
-    expectedParsed = JSON.parse(String(expected ?? "").trim());
-  } catch (_) {}
-  if (expectedParsed != null && Array.isArray(expectedParsed) && /^\d+$/.test(actualStr)) {
-    if (Number(actualStr) === expectedParsed.length) return true;
-  }
-  return false;
+/** Run code once against one stdin; `output` is the judged value and `stdout` the solution's own prints. */
+function runCodeOnce(options) {
+  return executeCode(options).then(withHarnessOutput);
 }
 
-/** For in-place "return new length" problems: when actual is a number, compute expected k from stdin (nums and val) and accept if actual === k. */
-function passesReturnLengthHeuristic(actual, expected, stdin) {
-  const actualStr = String(actual ?? "").trim();
-  if (!/^\d+$/.test(actualStr)) return false;
-  const stdinStr = String(stdin ?? "").trim();
-  const lines = stdinStr.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-  if (lines.length < 2) return false;
-  let arr = null;
-  try {
-    arr = JSON.parse(lines[0]);
-  } catch (_) {}
-  if (!Array.isArray(arr)) return false;
-  let val;
-  try {
-    val = JSON.parse(lines[lines.length - 1]);
-  } catch (_) {
-    val = lines[lines.length - 1];
+/**
+ * Run code on the configured executors. The harness signature comes from the client's metaData, else the
+ * builtin problem's, else (JavaScript only) the function the code declares.
+ */
+async function executeCode({ language, code, stdin = "", problemSlug, metaData: clientMeta, timeLimitMs = DEFAULT_TIME_LIMIT_MS, repeats = 1 }) {
+  let meta = parseMetaData(clientMeta);
+  if (problemSlug && !meta) {
+    const builtin = problemSlug && String(problemSlug).startsWith(BUILTIN_PREFIX) ? getBuiltinProblem(problemSlug) : null;
+    if (builtin?.metaData) meta = parseMetaData(builtin.metaData);
   }
-  const k = arr.filter((x) => x !== val).length;
-  return Number(actualStr) === k;
+  const jsLike = ["javascript", "typescript"].includes(executorLanguage(language));
+  if (jsLike && String(stdin).trim() && !meta) meta = inferJsMethodName(code);
+  return executeWith(executors, { language, code, stdin, meta, timeLimitMs, repeats });
 }
 
-function wrapPythonLeetCodeHarness(code, hasStdin, meta) {
-  if (!hasStdin || !/class\s+Solution\s*[:(]/.test(code) || /if\s+__name__\s*==\s*[\'"]__main__[\'"]\s*:/m.test(code)) {
-    return code;
-  }
-  // Ensure the last def/class has a body so we don't get IndentationError when appending __main__
-  let c = code.trimEnd();
-  const lines = c.split("\n");
-  let lastNonBlank = "";
-  for (let i = lines.length - 1; i >= 0; i--) {
-    if (lines[i].trim().length > 0) {
-      lastNonBlank = lines[i];
-      break;
-    }
-  }
-  if (lastNonBlank && /^\s*def\s+.+\)\s*:\s*$/.test(lastNonBlank)) {
-    const baseIndent = (lastNonBlank.match(/^(\s*)/) || [""])[1];
-    c = c + "\n" + baseIndent + "    pass";
-  }
-  const methodName = meta?.methodName;
-  const numParams = meta?.numParams;
-  const useMeta = typeof methodName === "string";
-  const getMeth = useMeta
-    ? `_meth = getattr(_sol, ${JSON.stringify(methodName)}, None)`
-    : `_meth = next((m for m in dir(_sol) if not m.startswith("_") and callable(getattr(_sol, m))), None)`;
-  const getN = useMeta && numParams != null
-    ? `_n = ${numParams}`
-    : `_n = len(_args)\n      try:\n        _sig = inspect.signature(_meth)\n        _n = max(0, len(_sig.parameters) - 1)\n      except Exception: pass`;
-  return (
-    c +
-    "\n\nif __name__ == \"__main__\":\n  import sys, json, inspect\n  try:\n    _in = sys.stdin.read().strip()\n    if _in:\n      _lines = [L.strip() for L in _in.split(\"\\n\") if L.strip()]\n      _args = []\n      for L in _lines:\n        try: _args.append(json.loads(L))\n        except Exception: _args.append(L)\n      _sol = Solution()\n      " +
-    getMeth +
-    "\n      if _meth:\n        " +
-    getN +
-    "\n        _args = _args[:_n] if _n < len(_args) else _args\n        _out = _meth(*_args)\n        print(json.dumps(_out) if _out is not None else \"\")\n  except Exception:\n    import traceback\n    traceback.print_exc()\n"
-  );
+const MAX_CUSTOM_CASES = 10;
+
+/**
+ * Split Run's custom input into cases: one line per parameter, cases back to back (the exampleTestcases format).
+ * Without a known parameter count the whole input is one case.
+ */
+function splitCustomInput(stdin, numParams) {
+  const lines = String(stdin).split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (!(numParams > 0) || lines.length <= numParams) return [lines.join("\n")];
+  const cases = [];
+  for (let i = 0; i < lines.length; i += numParams) cases.push(lines.slice(i, i + numParams).join("\n"));
+  return cases;
 }
 
-function runLocalPython(code, stdin, meta) {
-  const hasStdin = String(stdin).trim().length > 0;
-  const codeToRun = wrapPythonLeetCodeHarness(code, hasStdin, meta || null);
-  return new Promise((resolve) => {
-    const tmpDir = path.join(os.tmpdir(), `run_${uuid().replace(/-/g, "")}`);
-    const tmpFile = path.join(tmpDir, "main.py");
-    const start = Date.now();
-    fs.mkdir(tmpDir, { recursive: true }, (mkdirErr) => {
-      if (mkdirErr) {
-        resolve({ stdout: "", stderr: String(mkdirErr.message), runTimeMs: Date.now() - start });
-        return;
-      }
-      fs.writeFile(tmpFile, codeToRun, "utf8", (writeErr) => {
-        if (writeErr) {
-          fs.rm(tmpDir, { recursive: true }, () => {});
-          resolve({ stdout: "", stderr: String(writeErr.message), runTimeMs: Date.now() - start });
-          return;
-        }
-        runWithStdin("python3", ["main.py"], stdin, tmpDir).then((r) => {
-          fs.rm(tmpDir, { recursive: true }, () => {});
-          resolve({ stdout: r.stdout, stderr: r.stderr, runTimeMs: Date.now() - start });
-        });
-      });
-    });
+/**
+ * The trusted reference solution's output for a custom input, or null (no reference, or it failed on the input).
+ * One judge pool task, finding the reference included (the first time, that judges it on the problem's suite).
+ */
+function referenceOutput(problem, stdin) {
+  return judgePool.run(async () => {
+    const reference = await trustedReference(problem.titleSlug);
+    if (!reference) return null;
+    const r = await runCodeOnce({ ...reference, stdin, problemSlug: problem.titleSlug, metaData: problem.metaData, timeLimitMs: getTimeLimitMs(problem) });
+    return classifyRun(r) === null && r.output ? r.output : null;
   });
 }
 
-function runLocalJava(code, stdin) {
-  const start = Date.now();
-  const tmpDir = path.join(os.tmpdir(), `run_${uuid().replace(/-/g, "")}`);
-  const srcFile = path.join(tmpDir, "Solution.java");
-  return fs.promises.mkdir(tmpDir, { recursive: true })
-    .then(() => fs.promises.writeFile(srcFile, code, "utf8"))
-    .then(() => runWithStdin("javac", ["Solution.java"], "", tmpDir))
-    .then((compile) => {
-      if (compile.code !== 0 && compile.code !== null) {
-        return fs.promises.rm(tmpDir, { recursive: true }).catch(() => {}).then(() => ({ stdout: "", stderr: compile.stderr || "Compilation failed", runTimeMs: Date.now() - start }));
-      }
-      return runWithStdin("java", ["Solution"], stdin, tmpDir).then((r) => {
-        return fs.promises.rm(tmpDir, { recursive: true }).catch(() => {}).then(() => ({ stdout: r.stdout, stderr: r.stderr, runTimeMs: Date.now() - start }));
-      });
-    })
-    .catch((err) => fs.promises.rm(tmpDir, { recursive: true }).catch(() => {}).then(() => ({ stdout: "", stderr: String(err.message), runTimeMs: Date.now() - start })));
-}
-
-function wrapCLeetCodeHarness(code, meta) {
-  const methodName = meta?.methodName || "removeElement";
-  const numParams = meta?.numParams != null ? meta.numParams : 2;
-  const oneParam = numParams < 2;
-  const readSecond = oneParam
-    ? ""
-    : "  if (!fgets(line, sizeof(line), stdin)) return 1;\n  val = (int)strtol(line, NULL, 10);";
-  const call = oneParam
-    ? `  int result = ${methodName}(nums, n);\n  printf("%d\\n", result);`
-    : `  printf("%d\\n", ${methodName}(nums, n, val));`;
-  return `#include <stdio.h>
-#include <stdlib.h>
-#include <string.h>
-
-${code}
-
-#define MAX_N 10000
-int main(void) {
-  static int nums[MAX_N];
-  int n = 0, val = 0;
-  char line[80000];
-  if (!fgets(line, sizeof(line), stdin)) return 1;
-  char *p = line;
-  while (*p) {
-    if (*p == '-' || (*p >= '0' && *p <= '9')) {
-      nums[n++] = (int)strtol(p, &p, 10);
-      if (n >= MAX_N) break;
-    } else p++;
-  }
-${readSecond}
-${call}
-  return 0;
-}
-`;
-}
-
-/** C harness for methods that take only int params (e.g. fib(int n), uniquePaths(int m, int n)). */
-function wrapCIntHarness(code, meta) {
-  const methodName = meta?.methodName || "fn";
-  const numParams = meta?.numParams != null ? meta.numParams : 1;
-  const readSecond = numParams >= 2
-    ? "  if (!fgets(line, sizeof(line), stdin)) return 1;\n  b = (int)strtol(line, NULL, 10);"
-    : "";
-  const call = numParams >= 2
-    ? `  int result = ${methodName}(a, b);\n  printf("%d\\n", result);`
-    : `  int result = ${methodName}(a);\n  printf("%d\\n", result);`;
-  const isBool = /\bbool\s+\w+\s*\(/.test(code);
-  const boolCall = numParams >= 2
-    ? `  int r = (int)${methodName}(a, b);\n  printf("%s\\n", r ? "true" : "false");`
-    : `  int r = (int)${methodName}(a);\n  printf("%s\\n", r ? "true" : "false");`;
-  const printStmt = isBool ? boolCall : call;
-  const stdbool = isBool ? "\n#include <stdbool.h>" : "";
-  return `#include <stdio.h>
-#include <stdlib.h>${stdbool}
-
-${code}
-
-int main(void) {
-  char line[256];
-  int a = 0, b = 0;
-  if (!fgets(line, sizeof(line), stdin)) return 1;
-  a = (int)strtol(line, NULL, 10);
-${readSecond}
-${printStmt}
-  return 0;
-}
-`;
-}
-
-function runLocalC(code, stdin, meta) {
-  const start = Date.now();
-  const tmpDir = path.join(os.tmpdir(), `run_${uuid().replace(/-/g, "")}`);
-  const srcFile = path.join(tmpDir, "main.c");
-  const outFile = path.join(tmpDir, "main");
-  const hasStdin = String(stdin).trim().length > 0;
-  const hasMain = /\bint\s+main\s*\(/.test(code);
-  const hasIntReturnAndArrayParam = /\bint\s+\w+\s*\(\s*int\s*\*/.test(code);
-  const needsArrayHarness = meta?.methodName && hasIntReturnAndArrayParam && (!hasMain || hasStdin);
-  const needsIntHarness = meta?.methodName && hasStdin && !hasMain && meta.firstParamIsArray === false;
-  let codeToRun = code;
-  if (needsArrayHarness) codeToRun = wrapCLeetCodeHarness(code, meta);
-  else if (needsIntHarness) codeToRun = wrapCIntHarness(code, meta);
-  else if (!hasMain) codeToRun = code + "\n\nint main(void) { return 0; }\n";
-  return fs.promises.mkdir(tmpDir, { recursive: true })
-    .then(() => fs.promises.writeFile(srcFile, codeToRun, "utf8"))
-    .then(() => runWithStdin("gcc", ["-std=c99", "-o", "main", "main.c"], "", tmpDir))
-    .then((compile) => {
-      if (compile.code !== 0 && compile.code !== null) {
-        return fs.promises.rm(tmpDir, { recursive: true }).catch(() => {}).then(() => ({ stdout: "", stderr: compile.stderr || "Compilation failed", runTimeMs: Date.now() - start }));
-      }
-      return runWithStdin(outFile, [], stdin, tmpDir).then((r) => {
-        return fs.promises.rm(tmpDir, { recursive: true }).catch(() => {}).then(() => ({ stdout: r.stdout, stderr: r.stderr, runTimeMs: Date.now() - start }));
-      });
-    })
-    .catch((err) => fs.promises.rm(tmpDir, { recursive: true }).catch(() => {}).then(() => ({ stdout: "", stderr: String(err.message), runTimeMs: Date.now() - start })));
-}
-
-function wrapCppLeetCodeHarness(code, meta) {
-  const methodName = meta?.methodName || "unknown";
-  const numParams = meta?.numParams != null ? meta.numParams : 2;
-  const readSecond = numParams >= 2 ? "  std::getline(std::cin, line2);" : "";
-  const callTwo = numParams >= 2 ? `  int val = line2.empty() ? 0 : std::stoi(line2);
-  auto result = sol.${methodName}(nums, val);
-  print_result(result);` : `  auto result = sol.${methodName}(nums);
-  print_result(result);`;
-  const harness = `
-#include <iostream>
-#include <vector>
-#include <sstream>
-#include <string>
-#include <cstdlib>
-using namespace std;
-
-${code}
-
-static void print_result(int x) { std::cout << x << std::endl; }
-static void print_result(bool x) { std::cout << (x ? "true" : "false") << std::endl; }
-static void print_result(double x) { std::cout << x << std::endl; }
-static void print_result(const std::vector<int>& v) {
-  std::cout << "[";
-  for (size_t i = 0; i < v.size(); i++) { if (i) std::cout << ","; std::cout << v[i]; }
-  std::cout << "]" << std::endl;
-}
-
-int main() {
-  std::string line1, line2;
-  if (!std::getline(std::cin, line1)) return 0;
-${readSecond}
-  if (line1.empty()) return 0;
-  std::vector<int> nums;
-  std::string s = line1;
-  if (s.size() >= 2) s = s.substr(1, s.size() - 2);
-  std::istringstream ss(s);
-  std::string token;
-  while (std::getline(ss, token, ',')) {
-    if (!token.empty()) nums.push_back(std::stoi(token));
-  }
-  Solution sol;
-${callTwo}
-  return 0;
-}
-`;
-  return harness;
-}
-
-/** C++ harness for methods that take only int params (e.g. fib(int n), uniquePaths(int m, int n)). */
-function wrapCppIntHarness(code, meta) {
-  const methodName = meta?.methodName || "unknown";
-  const numParams = meta?.numParams != null ? meta.numParams : 1;
-  const readSecond = numParams >= 2 ? "  std::getline(std::cin, line2);\n  int b = line2.empty() ? 0 : std::stoi(line2);" : "";
-  const call = numParams >= 2
-    ? `  auto result = sol.${methodName}(a, b);\n  print_result(result);`
-    : `  auto result = sol.${methodName}(a);\n  print_result(result);`;
-  return `
-#include <iostream>
-#include <string>
-#include <cstdlib>
-using namespace std;
-
-${code}
-
-static void print_result(int x) { std::cout << x << std::endl; }
-static void print_result(bool x) { std::cout << (x ? "true" : "false") << std::endl; }
-static void print_result(double x) { std::cout << x << std::endl; }
-
-int main() {
-  std::string line1, line2;
-  if (!std::getline(std::cin, line1)) return 0;
-${readSecond}
-  int a = line1.empty() ? 0 : std::stoi(line1);
-${call}
-  return 0;
-}
-`;
-}
-
-function runLocalCpp(code, stdin, meta) {
-  const start = Date.now();
-  const tmpDir = path.join(os.tmpdir(), `run_${uuid().replace(/-/g, "")}`);
-  const srcFile = path.join(tmpDir, "main.cpp");
-  const outFile = path.join(tmpDir, "main");
-  const hasStdin = String(stdin).trim().length > 0;
-  const hasMain = /int\s+main\s*\(|void\s+main\s*\(/.test(code);
-  const hasSolution = /\bclass\s+Solution\b/.test(code);
-  const needsHarness = meta?.methodName && hasSolution && (!hasMain || hasStdin);
-  let codeToRun = code;
-  if (needsHarness) {
-    codeToRun = meta?.firstParamIsArray === false ? wrapCppIntHarness(code, meta) : wrapCppLeetCodeHarness(code, meta);
-  } else if (!hasMain) {
-    codeToRun = code + "\n\nint main() { return 0; }\n";
-  }
-  return fs.promises.mkdir(tmpDir, { recursive: true })
-    .then(() => fs.promises.writeFile(srcFile, codeToRun, "utf8"))
-    .then(() => runWithStdin("g++", ["-std=c++11", "-o", "main", "main.cpp"], "", tmpDir))
-    .then((compile) => {
-      if (compile.code !== 0 && compile.code !== null) {
-        return fs.promises.rm(tmpDir, { recursive: true }).catch(() => {}).then(() => ({ stdout: "", stderr: compile.stderr || "Compilation failed", runTimeMs: Date.now() - start }));
-      }
-      return runWithStdin(outFile, [], stdin, tmpDir).then((r) => {
-        return fs.promises.rm(tmpDir, { recursive: true }).catch(() => {}).then(() => ({ stdout: r.stdout, stderr: r.stderr, runTimeMs: Date.now() - start }));
-      });
-    })
-    .catch((err) => fs.promises.rm(tmpDir, { recursive: true }).catch(() => {}).then(() => ({ stdout: "", stderr: String(err.message), runTimeMs: Date.now() - start })));
-}
-
-const localRunnersMap = {
-  javascript: (code, stdin, m) => Promise.resolve(runLocalJavaScript(code, stdin, m)),
-  python: (code, stdin, m) => runLocalPython(code, stdin, m),
-  java: runLocalJava,
-  c: runLocalC,
-  "c++": runLocalCpp
-};
-
-const extMap = { javascript: "js", python: "py", java: "java", cpp: "cpp", "c++": "cpp", c: "c", rust: "rs", typescript: "ts" };
-
-async function runCodeOnce({ language, code, stdin = "", problemSlug, metaData: clientMeta }) {
-  const lang = String(language).toLowerCase().replace(/[^a-z0-9]/g, "");
-  const langMap = { javascript: "javascript", js: "javascript", python: "python", py: "python", java: "java", cpp: "c++", c: "c", rust: "rust", typescript: "typescript", ts: "typescript" };
-  const pistonLang = langMap[lang] || language;
-  let meta = parseMetaData(clientMeta);
-  if (problemSlug && !meta) {
-    const builtin = problemSlug && String(problemSlug).startsWith(BUILTIN_PREFIX) ? getBuiltinProblem(problemSlug) : null;
-    if (builtin?.metaData) meta = parseMetaData(builtin.metaData);
-  }
-  const hasStdin = String(stdin).trim().length > 0;
-  if (langMap[lang] === "javascript" && hasStdin && !meta) meta = inferJsMethodName(code);
-  const filename = `main.${extMap[pistonLang] || "txt"}`;
-  const tryPiston = async () => {
-    const start = Date.now();
-    const pistonRes = await fetch(`${PISTON_URL}/execute`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ language: pistonLang, files: [{ name: filename, content: code }], stdin: String(stdin), run_timeout: 10000 })
-    });
-    const elapsed = Date.now() - start;
-    if (!pistonRes.ok) throw new Error(await pistonRes.text() || `HTTP ${pistonRes.status}`);
-    const result = await pistonRes.json();
-    return { stdout: result.run?.stdout ?? "", stderr: result.run?.stderr ?? "", runTimeMs: elapsed };
-  };
-  const useLocalPythonFirst = pistonLang === "python" && hasStdin && /class\s+Solution\s*[:(]/.test(code) && !/if\s+__name__\s*==\s*[\'"]__main__[\'"]\s*:/m.test(code);
-  const useLocalJsFirst = pistonLang === "javascript" && hasStdin && meta?.methodName;
-  const useLocalCppFirst = pistonLang === "c++" && meta?.methodName && /\bclass\s+Solution\b/.test(code);
-  const useLocalCFirst = pistonLang === "c" && hasStdin && meta?.methodName && (/\bint\s+\w+\s*\(\s*int\s*\*/.test(code) || meta.firstParamIsArray === false);
-  if (useLocalPythonFirst) return runLocalPython(code, stdin, meta);
-  if (useLocalJsFirst) return runLocalJavaScript(code, stdin, meta);
-  if (useLocalCppFirst) return runLocalCpp(code, stdin, meta);
-  if (useLocalCFirst) return runLocalC(code, stdin, meta);
-  try {
-    return await tryPiston();
-  } catch (pistonErr) {
-    const runLocal = localRunnersMap[pistonLang];
-    if (runLocal) return await runLocal(code, stdin, meta);
-    throw pistonErr;
-  }
-}
-
+/**
+ * Run code on the player's custom input, case by case. Built-in problems also get each case's expected output
+ * from the reference solution, and whether the player's output is accepted against it (`matches`).
+ */
 app.post("/api/run", authMiddleware, async (req, res) => {
   const { language, code, stdin = "", problemSlug, metaData: clientMeta } = req.body || {};
   if (!language || !code) return res.status(400).json({ error: "language and code required" });
   try {
-    const result = await runCodeOnce({ language, code, stdin, problemSlug, metaData: clientMeta });
-    const output = result.stdout + (result.stderr ? "\n" + result.stderr : "");
-    res.json({ stdout: result.stdout, stderr: result.stderr, output: output || "(no output)", runTimeMs: result.runTimeMs });
+    const problem = problemSlug && String(problemSlug).startsWith(BUILTIN_PREFIX) ? getBuiltinProblem(problemSlug) : null;
+    const meta = parseMetaData(problem?.metaData || clientMeta);
+    const inputs = splitCustomInput(stdin, meta?.numParams);
+    if (inputs.length > MAX_CUSTOM_CASES) return res.status(400).json({ error: `At most ${MAX_CUSTOM_CASES} test cases per run.` });
+    const checker = getChecker(problem || { metaData: clientMeta });
+    const budget = checkerBudget(inputs.length);
+    const cases = [];
+    for (const input of inputs) {
+      const result = await judgePool.run(() => runCodeOnce({ language, code, stdin: input, problemSlug, metaData: clientMeta, timeLimitMs: getTimeLimitMs(problem) }));
+      const verdict = classifyRun(result);
+      if (result.compileError) return res.json({ cases: [], verdict, compileOutput: (result.stderr || "").trim() });
+      const expected = problem && input ? await referenceOutput(problem, input).catch(() => null) : null;
+      cases.push({
+        stdin: input,
+        result: result.output || null,
+        stdout: result.stdout || null,
+        stderr: result.stderr || null,
+        runTimeMs: result.runTimeMs,
+        verdict,
+        expected,
+        matches: expected != null && verdict === null ? await checkOutput(checker, { actual: result.output || "", expected, stdin: input }, budget) : null
+      });
+    }
+    res.json({ cases, verdict: cases.find((c) => c.verdict)?.verdict || null });
   } catch (err) {
     res.status(502).json({ error: "Execution failed", detail: err.message });
   }
@@ -740,44 +412,50 @@ app.post("/api/run-tests", authMiddleware, async (req, res) => {
     if (testCases.length === 0) {
       return res.json({ results: [], summary: { total: 0, passed: 0, failed: 0 }, error: "No example test cases for this problem." });
     }
+    const timeLimitMs = getTimeLimitMs(problem);
+    const checker = getChecker(problem || { metaData: clientMeta });
+    const budget = checkerBudget(testCases.length);
     const results = [];
+    // A judge-side failure (executor, checker) fails the whole run: it is not any case's verdict.
     for (let i = 0; i < testCases.length; i++) {
       const { stdin, expected } = testCases[i];
-      try {
-        const runResult = await runCodeOnce({ language, code, stdin, problemSlug, metaData: clientMeta });
-        const actual = (runResult.stdout || "").trim();
-        const stderr = (runResult.stderr || "").trim();
-        const expectedTrimmed = (expected || "").trim();
-        const noExpected = expectedTrimmed === "";
-        let passed = noExpected ? false : outputMatches(actual, expected);
-        if (!passed && (actual || expected)) passed = passesReturnLengthHeuristic(actual, expected, stdin);
-        results.push({
-          index: i + 1,
-          passed: noExpected ? false : passed,
-          noExpected: noExpected || undefined,
-          stdin,
-          expected: expected.trim(),
-          actual: actual || "(no output)",
-          stderr: stderr || null,
-          runTimeMs: runResult.runTimeMs,
-          error: null
-        });
-      } catch (err) {
-        results.push({
-          index: i + 1,
-          passed: false,
-          stdin,
-          expected: expected.trim(),
-          actual: null,
-          stderr: null,
-          runTimeMs: null,
-          error: err.message || String(err)
+      const runResult = await judgePool.run(() => runCodeOnce({ language, code, stdin, problemSlug, metaData: clientMeta, timeLimitMs }));
+      const actual = runResult.output || "";
+      const stderr = (runResult.stderr || "").trim();
+      const userStdout = (runResult.stdout || "").trimEnd();
+      const expectedTrimmed = (expected || "").trim();
+      const noExpected = expectedTrimmed === "";
+      let passed = !noExpected && await checkOutput(checker, { actual, expected, stdin }, budget);
+      const verdict = noExpected ? classifyRun(runResult) : judgeTestCase(runResult, passed);
+      passed = verdict === VERDICTS.ACCEPTED;
+      if (runResult.compileError) {
+        // Every case would fail the same way; report the compiler output once, like LeetCode.
+        return res.json({
+          results: [],
+          verdict,
+          compileOutput: stderr,
+          summary: { total: testCases.length, passed: 0, failed: testCases.length }
         });
       }
+      results.push({
+        index: i + 1,
+        passed,
+        verdict,
+        noExpected: noExpected || undefined,
+        stdin,
+        expected: expected.trim(),
+        actual: actual || "(no output)",
+        stdout: userStdout || null,
+        stderr: stderr || null,
+        runTimeMs: runResult.runTimeMs,
+        error: null
+      });
     }
     const passed = results.filter((r) => r.passed).length;
+    const judged = results.filter((r) => !r.noExpected);
     res.json({
       results,
+      verdict: judged.length ? summarizeVerdicts(judged.map((r) => r.verdict)) : null,
       summary: { total: results.length, passed, failed: results.length - passed }
     });
   } catch (err) {
@@ -786,15 +464,92 @@ app.post("/api/run-tests", authMiddleware, async (req, res) => {
   }
 });
 
-/** Run all test cases for a problem; used for submit validation. Returns { allPassed, failedCount, total, maxRunTimeMs }. */
-async function runAllTestsForSubmit(problemSlug, language, code, metaData) {
+/** Reference languages tried for expected outputs of generated cases, fastest to start first. */
+const REFERENCE_LANGUAGES = ["javascript", "python", "cpp", "c", "java"];
+const GENERATED_CACHE_LIMIT = 32;
+const trustedReferences = new Map();
+const generatedCases = new Map();
+
+/**
+ * First reference solution (REFERENCE_LANGUAGES order) that passes the problem's fixed judge suite, memoized per
+ * problem. Like computeGeneratedCases, it runs code without taking a judge pool slot of its own: its callers already
+ * hold one (a submission being judged, referenceOutput), and waiting for a second could deadlock a full pool.
+ */
+function trustedReference(problemSlug) {
+  if (!trustedReferences.has(problemSlug)) {
+    trustedReferences.set(problemSlug, (async () => {
+      for (const language of REFERENCE_LANGUAGES) {
+        const code = getBuiltinReferenceSolution(problemSlug, language);
+        if (!code) continue;
+        const validation = await runAllTestsForSubmit(problemSlug, language, code, null).catch(() => null);
+        if (validation?.allPassed) return { language, code };
+      }
+      console.warn(`No reference solution for ${problemSlug} passes its tests; generated cases skipped.`);
+      return null;
+    })());
+  }
+  return trustedReferences.get(problemSlug);
+}
+
+async function computeGeneratedCases(problem, generator, seed) {
+  const reference = await trustedReference(problem.titleSlug);
+  if (!reference) return [];
+  const meta = parseMetaData(problem.metaData);
+  const timeLimitMs = getTimeLimitMs(problem);
+  const cases = [];
+  for (const stdin of generateInputs(generator, meta?.signature?.params, seed)) {
+    const r = await runCodeOnce({ ...reference, stdin, problemSlug: problem.titleSlug, metaData: problem.metaData, timeLimitMs });
+    if (classifyRun(r) === null && r.output) cases.push({ stdin, expected: r.output, hidden: true });
+    else console.warn(`Reference solution for ${problem.titleSlug} failed a generated case (seed ${seed}); case skipped.`);
+  }
+  return cases;
+}
+
+/**
+ * Stress cases for a submit (see generators.js): inputs drawn from the problem's generator with `seed`, expected
+ * outputs from its trusted reference solution. Cached per seed, so both players of a match get the same cases
+ * and the reference runs once per match.
+ */
+function generatedTestCases(problem, seed) {
+  const generator = getBuiltinGenerator(problem?.titleSlug) || getGenerator(problem);
+  if (!generator) return Promise.resolve([]);
+  const key = `${problem.titleSlug}\n${seed}`;
+  if (!generatedCases.has(key)) {
+    if (generatedCases.size >= GENERATED_CACHE_LIMIT) generatedCases.delete(generatedCases.keys().next().value);
+    const pending = computeGeneratedCases(problem, generator, seed).catch((err) => {
+      console.error("generated cases error:", err);
+      generatedCases.delete(key);
+      return [];
+    });
+    generatedCases.set(key, pending);
+  }
+  return generatedCases.get(key);
+}
+
+/**
+ * Run all test cases for a problem; used for submit validation. Builtin problems are judged on the public examples
+ * plus their hidden suite, then, given a `seed`, on generated stress cases. Stops at the first non-accepted case,
+ * LeetCode style.
+ * A `candidate` problem (the problem bank's shape, not saved yet) is judged on its own tests instead.
+ * Returns { allPassed, verdict, passedCount, failedCount, total, maxRunTimeMs, compileOutput, tests, failure };
+ * `tests` holds { verdict, runTimeMs, hidden } for each case that ran. `failure` is the first failing case's
+ * { index, hidden, stdin, expected, actual, stderr }, or null: it shows hidden inputs, so only admin reports may
+ * pass it on.
+ * Rejects when the judge itself fails (no executor could run the code, a custom checker crashed or ran out of
+ * time): that says nothing about the code, so it must never become its verdict.
+ */
+async function runAllTestsForSubmit(problemSlug, language, code, metaData, { seed = null, candidate = null } = {}) {
   let testCases = [];
   let meta = parseMetaData(metaData);
   let problem = null;
-  if (problemSlug && String(problemSlug).startsWith(BUILTIN_PREFIX)) {
+  if (candidate) {
+    problem = candidate;
+    meta = parseMetaData(candidate.metaData);
+    testCases = [...candidate.testCases, ...candidate.hiddenTestCases.map((tc) => ({ ...tc, hidden: true }))];
+  } else if (problemSlug && String(problemSlug).startsWith(BUILTIN_PREFIX)) {
     problem = getBuiltinProblem(problemSlug);
     if (problem?.metaData) meta = parseMetaData(problem.metaData);
-    testCases = getBuiltinTestCases(problemSlug);
+    testCases = getBuiltinJudgeTestCases(problemSlug);
   }
   if (testCases.length === 0) {
     problem = problem || (problemSlug && String(problemSlug).startsWith(BUILTIN_PREFIX) ? getBuiltinProblem(problemSlug) : null);
@@ -808,24 +563,123 @@ async function runAllTestsForSubmit(problemSlug, language, code, metaData) {
       }
     }
   }
-  if (testCases.length === 0) return { allPassed: false, failedCount: 1, total: 0, maxRunTimeMs: null };
-  let maxRunTimeMs = 0;
-  let failedCount = 0;
-  for (const { stdin, expected } of testCases) {
-    try {
-      const runResult = await runCodeOnce({ language, code, stdin, problemSlug, metaData: problem?.metaData || metaData });
-      const actual = (runResult.stdout || "").trim();
-      const expectedTrimmed = (expected || "").trim();
-      const noExpected = expectedTrimmed === "";
-      let passed = !noExpected && outputMatches(actual, expected);
-      if (!passed && (actual || expected)) passed = passesReturnLengthHeuristic(actual, expected, stdin);
-      if (!passed) failedCount++;
-      if (runResult.runTimeMs != null) maxRunTimeMs = Math.max(maxRunTimeMs, runResult.runTimeMs);
-    } catch (_) {
-      failedCount++;
+  if (testCases.length === 0) return { allPassed: false, verdict: null, passedCount: 0, failedCount: 1, total: 0, maxRunTimeMs: null };
+  if (seed != null && problem) testCases = [...testCases, ...(await generatedTestCases(problem, seed))];
+  const timeLimitMs = getTimeLimitMs(problem);
+  const checker = getChecker(problem || { metaData });
+  const budget = checkerBudget(testCases.length);
+  let maxRunTimeMs = null;
+  let passedCount = 0;
+  let verdict = VERDICTS.ACCEPTED;
+  let compileOutput = null;
+  let failure = null;
+  const tests = [];
+  for (const { stdin, expected, hidden } of testCases) {
+    const runResult = await runCodeOnce({ language, code, stdin, problemSlug, metaData: problem?.metaData || metaData, timeLimitMs, repeats: RUNTIME_REPEATS });
+    const actual = runResult.output || "";
+    const expectedTrimmed = (expected || "").trim();
+    const noExpected = expectedTrimmed === "";
+    const passed = !noExpected && await checkOutput(checker, { actual, expected, stdin }, budget);
+    const caseVerdict = judgeTestCase(runResult, passed);
+    if (runResult.compileError) compileOutput = (runResult.stderr || "").trim();
+    if (runResult.runTimeMs != null) maxRunTimeMs = Math.max(maxRunTimeMs ?? 0, runResult.runTimeMs);
+    tests.push({ verdict: caseVerdict, runTimeMs: runResult.runTimeMs ?? null, hidden: !!hidden });
+    if (caseVerdict !== VERDICTS.ACCEPTED) {
+      verdict = caseVerdict;
+      failure = {
+        index: tests.length - 1,
+        hidden: !!hidden,
+        stdin: clip(stdin),
+        expected: clip(expected),
+        actual: clip(runResult.output),
+        stderr: clip(runResult.stderr)
+      };
+      break;
     }
+    passedCount++;
   }
-  return { allPassed: failedCount === 0, failedCount, total: testCases.length, maxRunTimeMs: maxRunTimeMs || null };
+  const allPassed = passedCount === testCases.length;
+  return {
+    allPassed,
+    verdict,
+    passedCount,
+    failedCount: testCases.length - passedCount,
+    total: testCases.length,
+    maxRunTimeMs,
+    compileOutput,
+    tests,
+    failure
+  };
+}
+
+const CLIP_CHARS = 2000;
+const clip = (s) => {
+  const text = String(s ?? "").trim();
+  return text.length > CLIP_CHARS ? `${text.slice(0, CLIP_CHARS)}…` : text;
+};
+
+/**
+ * Judge reference solutions (default: all of the problem's) on the problem's fixed suite, as a submission would be
+ * (no generated cases): { language, allPassed, verdict, passedCount, total, compileOutput, failure, judgeError } per
+ * solution. `judgeError` is why the judge could not run it (then it did not pass, with no verdict), else null.
+ * `problem` is in the problem bank's shape and need not be saved yet. For admins only (see `failure`).
+ */
+function judgeReferenceSolutions(problem, solutions = problem.codeSnippets) {
+  return Promise.all(solutions.map(({ langSlug, code }) => judgePool.run(() => runAllTestsForSubmit(
+    problem.titleSlug, langSlug, code, null, { candidate: problem }
+  )).then((r) => ({
+    language: langSlug,
+    allPassed: r.allPassed,
+    verdict: r.verdict,
+    passedCount: r.passedCount,
+    total: r.total,
+    compileOutput: r.compileOutput ?? null,
+    failure: r.failure,
+    judgeError: null
+  }), (err) => ({
+    language: langSlug,
+    allPassed: false,
+    verdict: null,
+    passedCount: 0,
+    total: 0,
+    compileOutput: null,
+    failure: null,
+    judgeError: err.message || String(err)
+  }))));
+}
+
+/**
+ * Self-check of a stored problem: its fields must pass validateProblem (problem-bank.js), then its reference
+ * solution in every judged language must pass its tests. TypeScript without its own reference runs the JavaScript
+ * one, which it must accept too. Languages without a reference are reported as "missing". Languages this server
+ * cannot judge (no executor supports them, e.g. a missing toolchain with EXECUTORS=local, or the judge failed) are
+ * "skipped", with the reason: that is the host's problem, not the problem's. The problem is `ok` when nothing failed.
+ */
+async function validateStoredProblem(db, slug) {
+  const detail = await problemDetail(db, slug);
+  if (!detail) return null;
+  const report = { slug, title: detail.title, active: detail.active, ok: false, error: null, languages: [] };
+  const { problem, error } = validateProblem(detail);
+  if (error) return { ...report, error };
+  const solutions = [];
+  for (const language of LANGUAGES) {
+    const own = problem.codeSnippets.find((s) => s.langSlug === language);
+    const javascript = problem.codeSnippets.find((s) => s.langSlug === "javascript");
+    if (own) solutions.push({ langSlug: language, code: own.code });
+    else if (language === "typescript" && javascript) solutions.push({ langSlug: language, code: javascript.code, from: "javascript" });
+  }
+  const runnable = solutions.filter((s) => canExecute(executors, s.langSlug));
+  const results = await judgeReferenceSolutions(problem, runnable);
+  report.languages = LANGUAGES.map((language) => {
+    const solution = solutions.find((s) => s.langSlug === language);
+    if (!solution) return { language, status: "missing" };
+    const result = results[runnable.indexOf(solution)];
+    if (!result) return { language, status: "skipped", reason: "toolchain unavailable (no executor for this language)" };
+    if (result.judgeError) return { language, status: "skipped", reason: result.judgeError };
+    return { ...result, status: result.allPassed ? "passed" : "failed", from: solution.from ?? null };
+  });
+  report.ok = report.languages.every((l) => l.status !== "failed");
+  return report;
 }
 
 app.get("/api/leaderboard", async (req, res) => {
@@ -851,7 +705,27 @@ app.get("/api/me/stats", authMiddleware, async (req, res) => {
     `,
     req.user.sub
   );
-  res.json({ stats: stats || { total: 0, wins: 0, losses: 0, avg_runtime: null } });
+  // Per topic: a match counts toward every tag its problem carries now.
+  const rows = await db.all(
+    `SELECT m.problem_slug, mp.is_winner
+     FROM match_players mp
+     JOIN matches m ON m.id = mp.match_id
+     WHERE mp.user_id = ? AND m.status = 'complete'`,
+    req.user.sub
+  );
+  const byTag = new Map();
+  for (const row of rows) {
+    for (const tag of getBuiltinProblem(row.problem_slug)?.tags || []) {
+      const entry = byTag.get(tag) || { played: 0, wins: 0 };
+      entry.played += 1;
+      if (row.is_winner === 1) entry.wins += 1;
+      byTag.set(tag, entry);
+    }
+  }
+  const tags = [...byTag.entries()]
+    .map(([tag, { played, wins }]) => ({ tag, name: TOPIC_TAGS[tag] || tag, played, wins, winRate: wins / played }))
+    .sort((x, y) => y.played - x.played || x.name.localeCompare(y.name));
+  res.json({ stats: { ...(stats || { total: 0, wins: 0, losses: 0, avg_runtime: null }), tags } });
 });
 
 app.get("/api/me/active-match", authMiddleware, async (req, res) => {
@@ -884,6 +758,8 @@ app.get("/api/me/matches", authMiddleware, async (req, res) => {
       mp.elo_before,
       mp.elo_after,
       mp.runtime_ms,
+      mp.language,
+      mp.normalized_runtime,
       mp.is_winner
     FROM matches m
     JOIN match_players mp ON mp.match_id = m.id
@@ -916,7 +792,10 @@ app.get("/api/matches/recent", authMiddleware, async (req, res) => {
 });
 
 app.post("/api/queue/join", authMiddleware, async (req, res) => {
-  const { difficulty } = req.body || {};
+  const { difficulty, tag } = req.body || {};
+  if (tag && !Object.hasOwn(TOPIC_TAGS, tag)) {
+    return res.status(400).json({ error: `Unknown tag "${tag}"` });
+  }
   const db = await getDb();
 
   const activeMatch = await findActiveMatchForUser(db, req.user.sub);
@@ -925,70 +804,69 @@ app.post("/api/queue/join", authMiddleware, async (req, res) => {
   }
 
   const existing = await db.get(
-    "SELECT id, desired_difficulty FROM matchmaking_queue WHERE user_id = ?",
+    "SELECT id, desired_difficulty, desired_tag FROM matchmaking_queue WHERE user_id = ?",
     req.user.sub
   );
   if (existing) {
-    return res.json({ status: "queued", queueId: existing.id, difficulty: existing.desired_difficulty });
-  }
-
-  let opponent = null;
-  if (difficulty) {
-    opponent = await db.get(
-      `
-      SELECT id, user_id, desired_difficulty
-      FROM matchmaking_queue
-      WHERE user_id != ? AND (desired_difficulty = ? OR desired_difficulty IS NULL)
-      ORDER BY created_at ASC
-      LIMIT 1
-      `,
-      req.user.sub,
-      difficulty
-    );
-  } else {
-    opponent = await db.get(
-      `
-      SELECT id, user_id, desired_difficulty
-      FROM matchmaking_queue
-      WHERE user_id != ?
-      ORDER BY created_at ASC
-      LIMIT 1
-      `,
-      req.user.sub
-    );
+    return res.json({ status: "queued", queueId: existing.id, difficulty: existing.desired_difficulty, tag: existing.desired_tag });
+  }
+  if (matchingBuiltinProblems(difficulty, tag).length === 0) {
+    return res.status(400).json({ error: "No problems match that difficulty and topic" });
   }
 
-  if (!opponent) {
+  // Oldest compatible opponent: either side may leave difficulty or topic open, and together their filters
+  // must still leave a problem to pick.
+  const candidates = await db.all(
+    `
+    SELECT id, user_id, desired_difficulty, desired_tag
+    FROM matchmaking_queue
+    WHERE user_id != ?
+      AND (? IS NULL OR desired_difficulty IS NULL OR desired_difficulty = ?)
+      AND (? IS NULL OR desired_tag IS NULL OR desired_tag = ?)
+    ORDER BY created_at ASC
+    `,
+    req.user.sub,
+    difficulty || null,
+    difficulty || null,
+    tag || null,
+    tag || null
+  );
+  const filtersFor = (candidate) => ({
+    difficulty: difficulty || candidate.desired_difficulty || null,
+    tag: tag || candidate.desired_tag || null
+  });
+  const opponent = candidates.find((candidate) => {
+    const filters = filtersFor(candidate);
+    return matchingBuiltinProblems(filters.difficulty, filters.tag).length > 0;
+  });
+
+  const enqueue = async () => {
     const queueId = uuid();
     await db.run(
-      "INSERT INTO matchmaking_queue (id, user_id, desired_difficulty, created_at) VALUES (?, ?, ?, ?)",
+      "INSERT INTO matchmaking_queue (id, user_id, desired_difficulty, desired_tag, created_at) VALUES (?, ?, ?, ?, ?)",
       queueId,
       req.user.sub,
       difficulty || null,
+      tag || null,
       new Date().toISOString()
     );
-    return res.json({ status: "queued", queueId, difficulty: difficulty || null });
-  }
+    return res.json({ status: "queued", queueId, difficulty: difficulty || null, tag: tag || null });
+  };
+
+  if (!opponent) return enqueue();
 
   const opponentActive = await findActiveMatchForUser(db, opponent.user_id);
   if (opponentActive) {
     await db.run("DELETE FROM matchmaking_queue WHERE id = ?", opponent.id);
-    const queueId = uuid();
-    await db.run(
-      "INSERT INTO matchmaking_queue (id, user_id, desired_difficulty, created_at) VALUES (?, ?, ?, ?)",
-      queueId,
-      req.user.sub,
-      difficulty || null,
-      new Date().toISOString()
-    );
-    return res.json({ status: "queued", queueId, difficulty: difficulty || null });
+    return enqueue();
   }
 
-  const chosenDifficulty = difficulty || opponent.desired_difficulty || null;
-  const question = await pickQuestion({ difficulty: chosenDifficulty });
-  if (!question) {
-    return res.status(404).json({ error: "Problem not found" });
-  }
+  const [userA, userB] = await Promise.all([
+    db.get("SELECT id, elo FROM users WHERE id = ?", req.user.sub),
+    db.get("SELECT id, elo FROM users WHERE id = ?", opponent.user_id)
+  ]);
+  // A problem that fits both players: rated near the mean of their Elo.
+  const question = pickQuestion({ ...filtersFor(opponent), elo: (userA.elo + userB.elo) / 2, ratings: await problemRatings(db) });
 
   const match = {
     id: uuid(),
@@ -999,20 +877,16 @@ app.post("/api/queue/join", authMiddleware, async (req, res) => {
     created_at: new Date().toISOString()
   };
 
-  const [userA, userB] = await Promise.all([
-    db.get("SELECT id, elo FROM users WHERE id = ?", req.user.sub),
-    db.get("SELECT id, elo FROM users WHERE id = ?", opponent.user_id)
-  ]);
-
   await db.run("BEGIN");
   try {
     await db.run(
-      "INSERT INTO matches (id, problem_slug, problem_title, difficulty, status, created_at, ranked) VALUES (?, ?, ?, ?, ?, ?, 1)",
+      "INSERT INTO matches (id, problem_slug, problem_title, difficulty, status, created_at, started_at, ranked) VALUES (?, ?, ?, ?, ?, ?, ?, 1)",
       match.id,
       match.problem_slug,
       match.problem_title,
       match.difficulty,
       match.status,
+      match.created_at,
       match.created_at
     );
     await db.run(
@@ -1052,26 +926,31 @@ app.post("/api/queue/leave", authMiddleware, async (req, res) => {
 app.get("/api/queue/status", authMiddleware, async (req, res) => {
   const db = await getDb();
   const queue = await db.get(
-    "SELECT id, desired_difficulty, created_at FROM matchmaking_queue WHERE user_id = ?",
+    "SELECT id, desired_difficulty, desired_tag, created_at FROM matchmaking_queue WHERE user_id = ?",
     req.user.sub
   );
   res.json({ queue });
 });
 
 app.post("/api/matches", authMiddleware, async (req, res) => {
-  const { problemSlug, difficulty } = req.body || {};
+  const { problemSlug, difficulty, tag } = req.body || {};
+  if (tag && !Object.hasOwn(TOPIC_TAGS, tag)) {
+    return res.status(400).json({ error: `Unknown tag "${tag}"` });
+  }
   const db = await getDb();
+  const user = await db.get("SELECT id, elo FROM users WHERE id = ?", req.user.sub);
   let question = null;
 
   if (problemSlug) {
     const p = String(problemSlug).startsWith(BUILTIN_PREFIX) ? getBuiltinProblem(problemSlug) : null;
-    question = p ? { titleSlug: p.titleSlug, title: p.title, difficulty: p.difficulty } : null;
+    question = p?.active ? { titleSlug: p.titleSlug, title: p.title, difficulty: p.difficulty } : null;
   } else {
-    question = pickQuestion({ difficulty });
+    // The opponent is not known yet (practice has none): fit the creator.
+    question = pickQuestion({ difficulty, tag, elo: user.elo, ratings: await problemRatings(db) });
   }
 
   if (!question) {
-    return res.status(404).json({ error: "Problem not found" });
+    return res.status(404).json({ error: problemSlug ? "Problem not found" : "No problems match that difficulty and topic" });
   }
 
   const match = {
@@ -1083,7 +962,6 @@ app.post("/api/matches", authMiddleware, async (req, res) => {
     created_at: new Date().toISOString()
   };
 
-  const user = await db.get("SELECT id, elo FROM users WHERE id = ?", req.user.sub);
   await db.run("DELETE FROM matchmaking_queue WHERE user_id = ?", req.user.sub);
   await db.run(
     "INSERT INTO matches (id, problem_slug, problem_title, difficulty, status, created_at, ranked) VALUES (?, ?, ?, ?, ?, ?, 0)",
@@ -1137,8 +1015,9 @@ app.post("/api/matches/:id/join", authMiddleware, async (req, res) => {
     user.id,
     user.elo
   );
-  await db.run("UPDATE matches SET status = ? WHERE id = ?", "active", match.id);
-  res.json({ match: { ...match, status: "active" } });
+  const startedAt = new Date().toISOString();
+  await db.run("UPDATE matches SET status = ?, started_at = ? WHERE id = ?", "active", startedAt, match.id);
+  res.json({ match: { ...match, status: "active", started_at: startedAt } });
 });
 
 app.get("/api/matches/:id", authMiddleware, async (req, res) => {
@@ -1149,98 +1028,158 @@ app.get("/api/matches/:id", authMiddleware, async (req, res) => {
   }
   const players = await db.all(
     `
-    SELECT mp.user_id, u.email, mp.elo_before, mp.elo_after, mp.runtime_ms, mp.submitted_at, mp.is_winner
+    SELECT mp.user_id, u.email, mp.elo_before, mp.elo_after, mp.runtime_ms, mp.language, mp.normalized_runtime, mp.submitted_at, mp.is_winner
     FROM match_players mp
     JOIN users u ON u.id = mp.user_id
     WHERE mp.match_id = ?
     `,
     match.id
   );
+  if (match.status === "complete" && players.some((p) => p.user_id === req.user.sub)) {
+    await addMatchReveal(db, match.id, players);
+  }
   res.json({ match, players });
 });
 
-app.post("/api/matches/:id/submit", authMiddleware, async (req, res) => {
-  const { code, language, runtimeMs: clientRuntimeMs } = req.body || {};
-  const db = await getDb();
-  const match = await db.get("SELECT * FROM matches WHERE id = ?", req.params.id);
-  if (!match) {
-    return res.status(404).json({ error: "Match not found" });
-  }
-  if (match.status === "complete") {
-    return res.status(400).json({ error: "Match already complete" });
-  }
+/**
+ * The accepted submission a player's match result was recorded from, among their submissions `own`. A player may
+ * resubmit while waiting for the opponent; the last accepted one before the end is recorded.
+ */
+function countedSubmission(own, player) {
+  return own.find((s) => s.created_at === player.submitted_at && s.verdict === VERDICTS.ACCEPTED)
+    || own.filter((s) => s.verdict === VERDICTS.ACCEPTED).pop()
+    || null;
+}
 
-  const player = await db.get(
-    "SELECT id FROM match_players WHERE match_id = ? AND user_id = ?",
-    match.id,
-    req.user.sub
-  );
-  if (!player) {
-    return res.status(403).json({ error: "Not part of this match" });
+/**
+ * Post-match reveal, added to each player of a completed match for the match detail page: `accepted`, the
+ * submission that counted (with its code), and `attempts`, every submission in order without code.
+ */
+async function addMatchReveal(db, matchId, players) {
+  const subs = await db.all("SELECT * FROM submissions WHERE match_id = ? ORDER BY created_at", matchId);
+  const summary = (s) => {
+    const { tests, ...view } = submissionView(s);
+    return view;
+  };
+  for (const player of players) {
+    const own = subs.filter((s) => s.user_id === player.user_id);
+    const accepted = countedSubmission(own, player);
+    player.accepted = accepted ? summary(accepted) : null;
+    player.attempts = own.map((s) => {
+      const { code, ...attempt } = summary(s);
+      return attempt;
+    });
   }
+}
 
-  let runtimeMs = clientRuntimeMs;
-  const problemSlug = match.problem_slug;
-  let metaData = null;
-  if (problemSlug && String(problemSlug).startsWith(BUILTIN_PREFIX)) {
-    const builtin = getBuiltinProblem(problemSlug);
-    if (builtin) metaData = builtin.metaData;
-  } else if (problemSlug && String(problemSlug).startsWith(BUILTIN_PREFIX)) {
-    const problem = getBuiltinProblem(problemSlug);
-    if (problem) metaData = problem.metaData;
-  }
+/**
+ * The caller's view of a completed match: { status, ranked, isWinner, eloDelta, runtimes: { you, opponent }, underReview },
+ * underReview while a similarity flag holds the Elo change.
+ */
+async function matchResultForUser(db, match, userId) {
+  const players = await db.all(
+    "SELECT user_id, elo_before, elo_after, is_winner, runtime_ms, language, normalized_runtime FROM match_players WHERE match_id = ? ORDER BY user_id",
+    match.id
+  );
+  const runtimeOf = (p) => (p ? { language: p.language, runtimeMs: p.runtime_ms, normalizedRuntime: p.normalized_runtime } : null);
+  const me = players.find((p) => p.user_id === userId);
+  const hasWinner = players.some((p) => p.is_winner === 1);
+  const isWinner = !hasWinner ? null : !!(me && me.is_winner === 1);
+  const eloDelta = me && me.elo_after != null && me.elo_before != null ? me.elo_after - me.elo_before : 0;
+  const runtimes = { you: runtimeOf(me), opponent: runtimeOf(players.find((p) => p.user_id !== userId)) };
+  return { status: "complete", ranked: match.ranked !== 0 && match.ranked != null, isWinner, eloDelta, runtimes, underReview: match.review_status === "pending" };
+}
 
-  if (code && language && problemSlug) {
-    const validation = await runAllTestsForSubmit(problemSlug, language, code, metaData);
-    if (validation.total > 0) {
-      if (!validation.allPassed) {
-        const msg = `${validation.total - validation.failedCount}/${validation.total} test cases passed. Pass all tests before submitting.`;
-        return res.status(400).json({ error: msg });
-      }
-      if (validation.maxRunTimeMs != null) runtimeMs = validation.maxRunTimeMs;
+/** Score at or above which two submissions count as copies (see similarity.js). */
+const SIMILARITY_THRESHOLD = Number(process.env.SIMILARITY_THRESHOLD) || 0.9;
+/** Recent accepted submissions for the problem each match submission is compared against. */
+const SIMILARITY_HISTORY = 200;
+/** Fingerprints found in more than this share of that history are common idioms, not evidence. */
+const SIMILARITY_COMMON_SHARE = 0.5;
+
+/**
+ * Plagiarism check for a ranked match whose players have both been accepted. Each counted submission is compared
+ * with the opponent's and with the last SIMILARITY_HISTORY accepted submissions by other players for the problem,
+ * in the same language. Code from the starter stub, or from most of that history, is ignored. Returns the pairs
+ * scoring SIMILARITY_THRESHOLD or more as { submissionId, otherSubmissionId, score, source: "opponent" | "history" };
+ * for the history, only the closest match is reported.
+ */
+async function findSimilarSubmissions(db, match, players) {
+  const subs = await db.all("SELECT * FROM submissions WHERE match_id = ? AND verdict = ?", match.id, VERDICTS.ACCEPTED);
+  const counted = players.map((p) => countedSubmission(subs.filter((s) => s.user_id === p.user_id), p)).filter(Boolean);
+  const problem = getBuiltinProblem(match.problem_slug);
+  const flags = [];
+  for (const sub of counted) {
+    const language = executorLanguage(sub.language);
+    const own = fingerprint(sub.code, language);
+    if (own.tokens < MIN_TOKENS) continue;
+    const history = (await db.all(
+      `SELECT id, language, code FROM submissions
+       WHERE problem_slug = ? AND verdict = ? AND user_id != ? AND (match_id IS NULL OR match_id != ?)
+       ORDER BY created_at DESC LIMIT ?`,
+      match.problem_slug, VERDICTS.ACCEPTED, sub.user_id, match.id, SIMILARITY_HISTORY
+    )).filter((h) => executorLanguage(h.language) === language).map((h) => ({ id: h.id, print: fingerprint(h.code, language) }));
+    const stub = problem?.codeSnippets?.find((s) => s.langSlug === language)?.code;
+    const ignore = new Set(stub ? fingerprint(stub, language).hashes : []);
+    const seenIn = new Map();
+    history.forEach((h) => h.print.hashes.forEach((x) => seenIn.set(x, (seenIn.get(x) || 0) + 1)));
+    seenIn.forEach((n, x) => { if (n > history.length * SIMILARITY_COMMON_SHARE && history.length >= 4) ignore.add(x); });
+
+    const other = counted.find((s) => s !== sub);
+    // The pair is compared once, from the first player's side.
+    if (other && sub === counted[0] && executorLanguage(other.language) === language) {
+      const score = similarity(own, fingerprint(other.code, language), ignore);
+      if (score >= SIMILARITY_THRESHOLD) flags.push({ submissionId: sub.id, otherSubmissionId: other.id, score, source: "opponent" });
     }
+    let closest = null;
+    for (const h of history) {
+      const score = similarity(own, h.print, ignore);
+      if (score >= SIMILARITY_THRESHOLD && (!closest || score > closest.score)) closest = { submissionId: sub.id, otherSubmissionId: h.id, score, source: "history" };
+    }
+    if (closest) flags.push(closest);
   }
+  return flags;
+}
 
-  if (!runtimeMs || runtimeMs <= 0) {
-    return res.status(400).json({
-      error: "Run or Test your code first to get a runtime, then Submit.",
-      detail: "Solution must pass all tests. Use Test to verify before submitting."
-    });
-  }
-
-  await db.run(
-    "UPDATE match_players SET runtime_ms = ?, submitted_at = ? WHERE match_id = ? AND user_id = ?",
-    runtimeMs,
-    new Date().toISOString(),
-    match.id,
-    req.user.sub
-  );
+/**
+ * Record a player's attempt at a match's problem for the problem's rating (problem-ratings.js). A solve is timed
+ * from the match's start (its creation for practice, and for matches from before started_at) to the accepted
+ * submission.
+ */
+function recordMatchAttempt(db, match, player, solved) {
+  const start = new Date(match.started_at || match.created_at).getTime();
+  return recordAttempt(db, {
+    matchId: match.id,
+    userId: player.user_id,
+    problem: { titleSlug: match.problem_slug, difficulty: match.difficulty },
+    elo: player.elo_before,
+    solved,
+    solveMs: solved ? new Date(player.submitted_at).getTime() - start : null
+  });
+}
 
+/**
+ * Complete the match once both players have an accepted submission: winner is whoever submitted first,
+ * Elo is updated for ranked matches, unless findSimilarSubmissions flags them: the match then waits for an
+ * admin's review (review_status "pending") with Elo unchanged. Returns "complete" or "waiting".
+ */
+async function finalizeMatchIfReady(db, matchId) {
   await db.run("BEGIN");
-  let resultPayload = null;
   try {
-    const matchNow = await db.get("SELECT * FROM matches WHERE id = ?", match.id);
-    if (matchNow.status === "complete") {
+    const match = await db.get("SELECT * FROM matches WHERE id = ?", matchId);
+    if (!match || match.status === "complete") {
       await db.run("ROLLBACK");
-      const playersAfter = await db.all(
-        "SELECT user_id, elo_before, elo_after, is_winner FROM match_players WHERE match_id = ? ORDER BY user_id",
-        match.id
-      );
-      const meRow = playersAfter.find((p) => p.user_id === req.user.sub);
-      const hasWinner = playersAfter.some((p) => p.is_winner === 1);
-      const isWinner = !hasWinner ? null : (meRow && meRow.is_winner === 1);
-      const eloDelta = meRow && meRow.elo_after != null && meRow.elo_before != null ? meRow.elo_after - meRow.elo_before : 0;
-      return res.json({ status: "complete", ranked: matchNow.ranked !== 0 && matchNow.ranked != null, isWinner, eloDelta });
+      return "complete";
     }
 
     const players = await db.all(
-      "SELECT user_id, elo_before, runtime_ms, submitted_at FROM match_players WHERE match_id = ? ORDER BY user_id",
+      "SELECT user_id, elo_before, runtime_ms, normalized_runtime, submitted_at FROM match_players WHERE match_id = ? ORDER BY user_id",
       match.id
     );
 
-    if (players.length < 2 || players.some((p) => p.runtime_ms == null)) {
+    if (players.length < 2 || players.some((p) => p.submitted_at == null)) {
       await db.run("ROLLBACK");
-      return res.json({ status: "waiting" });
+      return "waiting";
     }
 
     // Winner = whoever submitted a correct answer first (earliest submitted_at)
@@ -1254,29 +1193,315 @@ app.post("/api/matches/:id/submit", authMiddleware, async (req, res) => {
     else if (b.submittedAt < a.submittedAt) { scoreA = 0; scoreB = 1; winnerId = b.user_id; }
 
     const ranked = match.ranked !== 0 && match.ranked != null;
-    const eloUpdate = ranked ? computeEloUpdate({ eloA: a.elo_before, eloB: b.elo_before, scoreA, scoreB, runtimeA: a.runtime_ms, runtimeB: b.runtime_ms }) : null;
-    const finalEloA = ranked ? eloUpdate.newEloA : a.elo_before;
-    const finalEloB = ranked ? eloUpdate.newEloB : b.elo_before;
-    const k = ranked ? eloUpdate.k : 0;
+    // A suspected copy still decides the winner, but the Elo change waits for an admin's review.
+    const flags = ranked ? await findSimilarSubmissions(db, match, players) : [];
+    // Runtimes relative to each player's language baseline, so the language itself never scales K.
+    const eloUpdate = ranked && flags.length === 0
+      ? computeEloUpdate({ eloA: a.elo_before, eloB: b.elo_before, scoreA, scoreB, runtimeA: a.normalized_runtime, runtimeB: b.normalized_runtime })
+      : null;
+    const finalEloA = eloUpdate ? eloUpdate.newEloA : a.elo_before;
+    const finalEloB = eloUpdate ? eloUpdate.newEloB : b.elo_before;
 
     await db.run("UPDATE match_players SET elo_after = ?, is_winner = ? WHERE match_id = ? AND user_id = ?", finalEloA, a.user_id === winnerId ? 1 : 0, match.id, a.user_id);
     await db.run("UPDATE match_players SET elo_after = ?, is_winner = ? WHERE match_id = ? AND user_id = ?", finalEloB, b.user_id === winnerId ? 1 : 0, match.id, b.user_id);
-    if (ranked) {
+    if (eloUpdate) {
       await db.run("UPDATE users SET elo = ? WHERE id = ?", finalEloA, a.user_id);
       await db.run("UPDATE users SET elo = ? WHERE id = ?", finalEloB, b.user_id);
     }
-    await db.run("UPDATE matches SET status = ? WHERE id = ?", "complete", match.id);
+    for (const flag of flags) {
+      await db.run(
+        `INSERT INTO similarity_flags (id, match_id, submission_id, other_submission_id, score, source, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        uuid(), match.id, flag.submissionId, flag.otherSubmissionId, flag.score, flag.source, new Date().toISOString()
+      );
+    }
+    // Suspected copies say nothing about how hard the problem is.
+    if (flags.length === 0) {
+      for (const player of players) await recordMatchAttempt(db, match, player, true);
+    }
+    await db.run("UPDATE matches SET status = ?, review_status = ? WHERE id = ?", "complete", flags.length ? "pending" : null, match.id);
     await db.run("COMMIT");
-
-    const me = playersWithTime.find((p) => p.user_id === req.user.sub);
-    const isWinner = winnerId == null ? null : !!(me && winnerId === me.user_id);
-    const eloDelta = ranked && me ? (me.user_id === a.user_id ? finalEloA - a.elo_before : finalEloB - b.elo_before) : 0;
-    resultPayload = { status: "complete", winnerId, k, ranked, isWinner, eloDelta };
+    return "complete";
   } catch (error) {
     await db.run("ROLLBACK");
     throw error;
   }
-  if (resultPayload) res.json(resultPayload);
+}
+
+/**
+ * Judge one queued submission (runs inside a judge pool worker). An accepted match submission records the
+ * player's runtime with submitted_at = the time they pressed Submit, so time spent queued never costs a win.
+ * The runtime is the slowest test's median harness time, measured here; null when none was reported, which
+ * leaves Elo's runtime multiplier neutral.
+ */
+async function judgeSubmission(submissionId) {
+  const db = await getDb();
+  const sub = await db.get("SELECT * FROM submissions WHERE id = ?", submissionId);
+  if (!sub || sub.status !== "queued") return;
+  await db.run("UPDATE submissions SET status = ?, started_at = ? WHERE id = ?", "running", new Date().toISOString(), sub.id);
+  // Set once the verdict is saved: a later failure (match bookkeeping) must not overwrite it with a judge error.
+  let verdictStored = false;
+  const finish = (fields) => saveSubmissionTests(db, sub.id, fields.tests || []).then(() => db.run(
+    `UPDATE submissions SET status = 'done', verdict = ?, passed_count = ?, total_count = ?, runtime_ms = ?,
+     compile_output = ?, error = ?, finished_at = ? WHERE id = ?`,
+    fields.verdict ?? null,
+    fields.passed ?? null,
+    fields.total ?? null,
+    fields.runtimeMs ?? null,
+    fields.compileOutput ?? null,
+    fields.error ?? null,
+    new Date().toISOString(),
+    sub.id
+  )).then(() => {
+    verdictStored = true;
+  });
+  try {
+    // Match submissions share the match's generated cases, so both players face the same inputs.
+    const seed = sub.match_id ? `match-${sub.match_id}` : `submission-${sub.id}`;
+    const validation = await runAllTestsForSubmit(sub.problem_slug, sub.language, sub.code, null, { seed });
+    if (validation.total === 0) {
+      await finish({ error: "This problem has no test cases to judge against." });
+      return;
+    }
+    if (!validation.allPassed) {
+      await finish({
+        verdict: validation.verdict,
+        passed: validation.passedCount,
+        total: validation.total,
+        compileOutput: validation.compileOutput,
+        tests: validation.tests
+      });
+      return;
+    }
+    const runtimeMs = validation.maxRunTimeMs;
+    // Resolved before the verdict is published: the first use may judge the reference solution.
+    const baselineMs = sub.match_id && runtimeMs != null ? await resolveRuntimeBaseline(db, sub.problem_slug, sub.language) : null;
+    await finish({ verdict: VERDICTS.ACCEPTED, passed: validation.passedCount, total: validation.total, runtimeMs, tests: validation.tests });
+    if (!sub.match_id) return;
+    const match = await db.get("SELECT * FROM matches WHERE id = ?", sub.match_id);
+    if (!match || match.status === "complete") return;
+    await db.run(
+      "UPDATE match_players SET runtime_ms = ?, submitted_at = ?, language = ?, normalized_runtime = ? WHERE match_id = ? AND user_id = ?",
+      runtimeMs,
+      sub.created_at,
+      executorLanguage(sub.language),
+      normalizeRuntime(runtimeMs, baselineMs),
+      sub.match_id,
+      sub.user_id
+    );
+    if (match.status === "waiting") {
+      // Solving alone (practice, or before anyone joined) ends that player's attempt.
+      const player = await db.get("SELECT user_id, elo_before, submitted_at FROM match_players WHERE match_id = ? AND user_id = ?", sub.match_id, sub.user_id);
+      if (player) await recordMatchAttempt(db, match, player, true);
+    }
+    await finalizeMatchIfReady(db, sub.match_id);
+  } catch (err) {
+    // Judge-side failures (executors, checkers) end here without a verdict, so the match does not score them.
+    console.error(`judge error (submission ${sub.id}):`, err);
+    if (!verdictStored) await finish({ error: "Judge error. Please submit again." }).catch(() => {});
+  }
+}
+
+/** Rows per INSERT, well under SQLite's bound-parameter limit. */
+const SUBMISSION_TESTS_BATCH = 100;
+
+/** Store a judged submission's per-case results (see runAllTestsForSubmit), in case order. */
+async function saveSubmissionTests(db, submissionId, tests) {
+  for (let start = 0; start < tests.length; start += SUBMISSION_TESTS_BATCH) {
+    const batch = tests.slice(start, start + SUBMISSION_TESTS_BATCH);
+    await db.run(
+      `INSERT OR REPLACE INTO submission_tests (submission_id, case_index, hidden, verdict, runtime_ms)
+       VALUES ${batch.map(() => "(?, ?, ?, ?, ?)").join(", ")}`,
+      ...batch.flatMap((t, i) => [submissionId, start + i, t.hidden ? 1 : 0, t.verdict, t.runTimeMs ?? null])
+    );
+  }
+}
+
+/** Generated cases the reference baselines are measured on: same sizes as a match's, fixed inputs. */
+const BASELINE_SEED = "runtime-baseline";
+
+/** Reference solutions that failed to produce a baseline (e.g. no toolchain), so they are not re-run per submit. */
+const failedReferenceBaselines = new Set();
+
+/**
+ * Runtime baseline (ms) for a problem and language, see runtime-baselines.js. The reference solution is judged
+ * on first use, like a submission; otherwise the history median is refreshed. Null when neither is available.
+ */
+async function resolveRuntimeBaseline(db, problemSlug, language) {
+  const stored = await getRuntimeBaseline(db, problemSlug, language);
+  if (stored?.source === "reference") return stored.baseline_ms;
+  const key = `${problemSlug}:${executorLanguage(language)}`;
+  const reference = getBuiltinReferenceSolution(problemSlug, executorLanguage(language));
+  if (reference && !failedReferenceBaselines.has(key)) {
+    const validation = await runAllTestsForSubmit(problemSlug, language, reference, null, { seed: BASELINE_SEED }).catch((err) => {
+      console.warn(`Runtime baseline for ${key}: the judge failed on the reference solution:`, err.message);
+      return null;
+    });
+    if (validation?.allPassed && validation.maxRunTimeMs > 0) {
+      await saveRuntimeBaseline(db, problemSlug, language, { baselineMs: validation.maxRunTimeMs, source: "reference", samples: 1 });
+      return validation.maxRunTimeMs;
+    }
+    failedReferenceBaselines.add(key);
+  }
+  const history = await historyBaseline(db, problemSlug, language);
+  if (history) {
+    await saveRuntimeBaseline(db, problemSlug, language, history);
+    return history.baselineMs;
+  }
+  return stored?.baseline_ms ?? null;
+}
+
+/** Drop what was derived from a problem's tests and reference solutions, after an admin changed them. */
+async function forgetProblemCaches(db, problemSlug) {
+  trustedReferences.delete(problemSlug);
+  for (const key of generatedCases.keys()) {
+    if (key.startsWith(`${problemSlug}\n`)) generatedCases.delete(key);
+  }
+  for (const key of failedReferenceBaselines) {
+    if (key.startsWith(`${problemSlug}:`)) failedReferenceBaselines.delete(key);
+  }
+  await db.run("DELETE FROM runtime_baselines WHERE problem_slug = ? AND source = 'reference'", problemSlug);
+}
+
+function enqueueSubmission(submissionId) {
+  judgePool.run(() => judgeSubmission(submissionId)).catch((err) => console.error("judge queue error:", err));
+}
+
+/** Requeue submissions left queued or running by a previous server process. */
+async function resumePendingSubmissions() {
+  const db = await getDb();
+  await db.run("UPDATE submissions SET status = 'queued', started_at = NULL WHERE status = 'running'");
+  const pending = await db.all("SELECT id FROM submissions WHERE status = 'queued' ORDER BY created_at");
+  pending.forEach((s) => enqueueSubmission(s.id));
+}
+
+app.post("/api/matches/:id/submit", authMiddleware, async (req, res) => {
+  const { code, language } = req.body || {};
+  if (!code || !language) {
+    return res.status(400).json({ error: "code and language required" });
+  }
+  const db = await getDb();
+  const match = await db.get("SELECT * FROM matches WHERE id = ?", req.params.id);
+  if (!match) {
+    return res.status(404).json({ error: "Match not found" });
+  }
+  if (match.status === "complete") {
+    return res.status(400).json({ error: "Match already complete" });
+  }
+
+  const player = await db.get(
+    "SELECT id FROM match_players WHERE match_id = ? AND user_id = ?",
+    match.id,
+    req.user.sub
+  );
+  if (!player) {
+    return res.status(403).json({ error: "Not part of this match" });
+  }
+
+  const inFlight = await db.get(
+    "SELECT id FROM submissions WHERE match_id = ? AND user_id = ? AND status IN ('queued', 'running')",
+    match.id,
+    req.user.sub
+  );
+  if (inFlight) {
+    return res.status(409).json({ error: "Your previous submission is still being judged.", submissionId: inFlight.id });
+  }
+
+  const submission = {
+    id: uuid(),
+    created_at: new Date().toISOString()
+  };
+  await db.run(
+    `INSERT INTO submissions (id, match_id, user_id, problem_slug, language, code, status, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, 'queued', ?)`,
+    submission.id,
+    match.id,
+    req.user.sub,
+    match.problem_slug,
+    String(language),
+    String(code),
+    submission.created_at
+  );
+  enqueueSubmission(submission.id);
+  res.status(202).json({ submissionId: submission.id, status: "queued" });
+});
+
+/** API shape of a submission row and its per-case results (submission_tests rows, in case order). */
+function submissionView(sub, tests = []) {
+  return {
+    id: sub.id,
+    matchId: sub.match_id,
+    userId: sub.user_id,
+    problemSlug: sub.problem_slug,
+    language: sub.language,
+    code: sub.code,
+    status: sub.status,
+    verdict: sub.verdict,
+    passed: sub.passed_count,
+    total: sub.total_count,
+    runtimeMs: sub.runtime_ms,
+    compileOutput: sub.compile_output,
+    error: sub.error,
+    tests: tests.map((t) => ({ index: t.case_index, hidden: t.hidden === 1, verdict: t.verdict, runtimeMs: t.runtime_ms })),
+    createdAt: sub.created_at,
+    finishedAt: sub.finished_at
+  };
+}
+
+/** submission_tests rows for these submissions, grouped by submission id. */
+async function testsBySubmission(db, submissionIds) {
+  const grouped = new Map(submissionIds.map((id) => [id, []]));
+  if (submissionIds.length === 0) return grouped;
+  const rows = await db.all(
+    `SELECT * FROM submission_tests WHERE submission_id IN (${submissionIds.map(() => "?").join(", ")}) ORDER BY case_index`,
+    ...submissionIds
+  );
+  rows.forEach((t) => grouped.get(t.submission_id).push(t));
+  return grouped;
+}
+
+/** Own submissions are always visible; an opponent's once the match is complete. */
+async function canViewSubmission(db, sub, userId) {
+  if (sub.user_id === userId) return true;
+  if (!sub.match_id) return false;
+  const row = await db.get(
+    "SELECT m.status FROM matches m JOIN match_players mp ON mp.match_id = m.id WHERE m.id = ? AND mp.user_id = ?",
+    sub.match_id,
+    userId
+  );
+  return row?.status === "complete";
+}
+
+app.get("/api/submissions/:id", authMiddleware, async (req, res) => {
+  const db = await getDb();
+  const sub = await db.get("SELECT * FROM submissions WHERE id = ?", req.params.id);
+  if (!sub || !(await canViewSubmission(db, sub, req.user.sub))) return res.status(404).json({ error: "Submission not found" });
+  let queuePosition = null;
+  if (sub.status === "queued") {
+    const ahead = await db.get("SELECT COUNT(*) as c FROM submissions WHERE status = 'queued' AND created_at < ?", sub.created_at);
+    queuePosition = ahead.c + 1;
+  }
+  let matchResult = null;
+  if (sub.match_id) {
+    const match = await db.get("SELECT * FROM matches WHERE id = ?", sub.match_id);
+    if (match) matchResult = match.status === "complete" ? await matchResultForUser(db, match, req.user.sub) : { status: match.status };
+  }
+  const tests = (await testsBySubmission(db, [sub.id])).get(sub.id);
+  res.json({ submission: { ...submissionView(sub, tests), queuePosition }, match: matchResult });
+});
+
+/** Submission history of a match, oldest first: the caller's attempts, plus the opponent's once the match is complete. */
+app.get("/api/matches/:id/submissions", authMiddleware, async (req, res) => {
+  const db = await getDb();
+  const match = await db.get("SELECT * FROM matches WHERE id = ?", req.params.id);
+  if (!match) return res.status(404).json({ error: "Match not found" });
+  const player = await db.get("SELECT id FROM match_players WHERE match_id = ? AND user_id = ?", match.id, req.user.sub);
+  if (!player) return res.status(403).json({ error: "Not part of this match" });
+  const subs = match.status === "complete"
+    ? await db.all("SELECT * FROM submissions WHERE match_id = ? ORDER BY created_at", match.id)
+    : await db.all("SELECT * FROM submissions WHERE match_id = ? AND user_id = ? ORDER BY created_at", match.id, req.user.sub);
+  const tests = await testsBySubmission(db, subs.map((s) => s.id));
+  res.json({ submissions: subs.map((s) => submissionView(s, tests.get(s.id))) });
 });
 
 app.post("/api/matches/:id/forfeit", authMiddleware, async (req, res) => {
@@ -1287,12 +1512,15 @@ app.post("/api/matches/:id/forfeit", authMiddleware, async (req, res) => {
   const forfeiter = await db.get("SELECT id, user_id, elo_before FROM match_players WHERE match_id = ? AND user_id = ?", match.id, req.user.sub);
   if (!forfeiter) return res.status(403).json({ error: "Not part of this match" });
   if (match.status === "waiting") {
+    // Giving up on practice after submitting counts as failing the problem (a solve is already recorded).
+    const tried = await db.get("SELECT COUNT(*) AS c FROM submissions WHERE match_id = ? AND user_id = ?", match.id, req.user.sub);
+    if (tried.c > 0) await recordMatchAttempt(db, match, forfeiter, false);
     await db.run("DELETE FROM match_players WHERE match_id = ? AND user_id = ?", match.id, req.user.sub);
     const remaining = await db.get("SELECT COUNT(*) as c FROM match_players WHERE match_id = ?", match.id);
     if (remaining.c === 0) await db.run("DELETE FROM matches WHERE id = ?", match.id);
     return res.json({ status: "left", message: "You left the match." });
   }
-  const players = await db.all("SELECT user_id, elo_before FROM match_players WHERE match_id = ?", match.id);
+  const players = await db.all("SELECT user_id, elo_before, submitted_at FROM match_players WHERE match_id = ?", match.id);
   if (players.length < 2) return res.status(400).json({ error: "Cannot forfeit" });
   const opponent = players.find((p) => p.user_id !== req.user.sub);
   if (!opponent) return res.status(400).json({ error: "Cannot forfeit" });
@@ -1304,6 +1532,8 @@ app.post("/api/matches/:id/forfeit", authMiddleware, async (req, res) => {
   try {
     await db.run("UPDATE match_players SET elo_after = ?, is_winner = 0, runtime_ms = NULL, submitted_at = ? WHERE match_id = ? AND user_id = ?", forfeiterNewElo, new Date().toISOString(), match.id, req.user.sub);
     await db.run("UPDATE match_players SET elo_after = ?, is_winner = 1 WHERE match_id = ? AND user_id = ?", opponentNewElo, match.id, opponent.user_id);
+    await recordMatchAttempt(db, match, forfeiter, false);
+    if (opponent.submitted_at) await recordMatchAttempt(db, match, opponent, true);
     if (ranked) {
       await db.run("UPDATE users SET elo = ? WHERE id = ?", forfeiterNewElo, req.user.sub);
       await db.run("UPDATE users SET elo = ? WHERE id = ?", opponentNewElo, opponent.user_id);
@@ -1317,6 +1547,204 @@ app.post("/api/matches/:id/forfeit", authMiddleware, async (req, res) => {
   res.json({ status: "forfeited", winnerId: opponent.user_id, ranked });
 });
 
-app.listen(PORT, () => {
-  console.log(`RankedLeetCode running on http://localhost:${PORT}`);
+/** Matches awaiting review (or with ?status=cleared|voided), each with its flags and both submissions' code. */
+app.get("/api/admin/flags", authMiddleware, adminMiddleware, async (req, res) => {
+  const db = await getDb();
+  const status = ["pending", "cleared", "voided"].includes(req.query.status) ? req.query.status : "pending";
+  const matches = await db.all("SELECT * FROM matches WHERE review_status = ? ORDER BY created_at DESC LIMIT 100", status);
+  const submissionOf = async (id) => {
+    const sub = await db.get("SELECT s.*, u.email FROM submissions s JOIN users u ON u.id = s.user_id WHERE s.id = ?", id);
+    if (!sub) return null;
+    const { tests, ...view } = submissionView(sub);
+    return { ...view, email: sub.email };
+  };
+  const result = [];
+  for (const match of matches) {
+    const flags = await db.all("SELECT * FROM similarity_flags WHERE match_id = ? ORDER BY score DESC", match.id);
+    const detailed = [];
+    for (const f of flags) {
+      detailed.push({
+        id: f.id,
+        score: f.score,
+        source: f.source,
+        createdAt: f.created_at,
+        submission: await submissionOf(f.submission_id),
+        other: await submissionOf(f.other_submission_id)
+      });
+    }
+    result.push({ match, flags: detailed });
+  }
+  res.json({ matches: result });
+});
+
+/**
+ * Decide a flagged match: "clear" applies the Elo change it held (computed from the ratings the players had
+ * when it was played, added to their current ratings), "void" leaves ratings as they are. The winner stands either way.
+ */
+app.post("/api/admin/matches/:id/review", authMiddleware, adminMiddleware, async (req, res) => {
+  const { decision } = req.body || {};
+  if (!["clear", "void"].includes(decision)) return res.status(400).json({ error: "decision must be clear or void" });
+  const db = await getDb();
+  const match = await db.get("SELECT * FROM matches WHERE id = ?", req.params.id);
+  if (!match) return res.status(404).json({ error: "Match not found" });
+  if (match.review_status !== "pending") return res.status(400).json({ error: "Match is not awaiting review" });
+  await db.run("BEGIN");
+  try {
+    if (decision === "clear") {
+      const [a, b] = await db.all(
+        "SELECT user_id, elo_before, is_winner, normalized_runtime FROM match_players WHERE match_id = ? ORDER BY user_id",
+        match.id
+      );
+      const scoreA = a.is_winner === 1 ? 1 : b.is_winner === 1 ? 0 : 0.5;
+      const eloUpdate = computeEloUpdate({
+        eloA: a.elo_before, eloB: b.elo_before, scoreA, scoreB: 1 - scoreA, runtimeA: a.normalized_runtime, runtimeB: b.normalized_runtime
+      });
+      for (const [p, newElo] of [[a, eloUpdate.newEloA], [b, eloUpdate.newEloB]]) {
+        await db.run("UPDATE match_players SET elo_after = ? WHERE match_id = ? AND user_id = ?", newElo, match.id, p.user_id);
+        await db.run("UPDATE users SET elo = elo + ? WHERE id = ?", newElo - p.elo_before, p.user_id);
+      }
+    }
+    await db.run("UPDATE matches SET review_status = ? WHERE id = ?", decision === "clear" ? "cleared" : "voided", match.id);
+    await db.run("COMMIT");
+  } catch (error) {
+    await db.run("ROLLBACK");
+    throw error;
+  }
+  res.json({ status: decision === "clear" ? "cleared" : "voided" });
 });
+
+app.get("/api/admin/problems", authMiddleware, adminMiddleware, async (req, res) => {
+  const db = await getDb();
+  res.json({ problems: await listProblems(db) });
+});
+
+app.get("/api/admin/problems/:slug", authMiddleware, adminMiddleware, async (req, res) => {
+  const db = await getDb();
+  const problem = await problemDetail(db, req.params.slug);
+  if (!problem) return res.status(404).json({ error: "Problem not found" });
+  res.json({ problem });
+});
+
+/** Create a problem (see validateProblem in problem-bank.js for the fields); the slug is derived from the title unless given. */
+app.post("/api/admin/problems", authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { problem, error } = validateProblem(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const db = await getDb();
+    if (await db.get("SELECT slug FROM problems WHERE slug = ?", problem.titleSlug)) {
+      return res.status(409).json({ error: "A problem with this slug already exists" });
+    }
+    await saveProblem(db, problem);
+    res.status(201).json({ problem: await problemDetail(db, problem.titleSlug) });
+  } catch (err) {
+    console.error("create problem error:", err);
+    res.status(500).json({ error: "Saving the problem failed", detail: err.message || String(err) });
+  }
+});
+
+/** Edit a problem: given fields replace the stored ones (test case and solution lists wholesale); the slug is fixed. */
+app.put("/api/admin/problems/:slug", authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const existing = await problemDetail(db, req.params.slug);
+    if (!existing) return res.status(404).json({ error: "Problem not found" });
+    const { problem, error } = validateProblem(req.body || {}, existing);
+    if (error) return res.status(400).json({ error });
+    await saveProblem(db, problem);
+    await forgetProblemCaches(db, problem.titleSlug);
+    res.json({ problem: await problemDetail(db, problem.titleSlug) });
+  } catch (err) {
+    console.error("edit problem error:", err);
+    res.status(500).json({ error: "Saving the problem failed", detail: err.message || String(err) });
+  }
+});
+
+/** Run validateStoredProblem on one problem: { report }. Takes as long as judging every reference solution. */
+app.post("/api/admin/problems/:slug/validate", authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const report = await validateStoredProblem(db, req.params.slug);
+    if (!report) return res.status(404).json({ error: "Problem not found" });
+    res.json({ report });
+  } catch (err) {
+    console.error("validate problem error:", err);
+    res.status(500).json({ error: "Validation failed", detail: err.message || String(err) });
+  }
+});
+
+/** The problem as a package ZIP (problem-package.js). */
+app.get("/api/admin/problems/:slug/export", authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const problem = await problemDetail(db, req.params.slug);
+    if (!problem) return res.status(404).json({ error: "Problem not found" });
+    res.type("application/zip").attachment(`${problem.slug.slice(BUILTIN_PREFIX.length)}.zip`).send(packageZip(problem));
+  } catch (err) {
+    console.error("export problem error:", err);
+    res.status(500).json({ error: "Export failed", detail: err.message || String(err) });
+  }
+});
+
+/**
+ * Import a package ZIP (the request body). It is accepted only if it has reference solutions and every one of them
+ * passes its tests; otherwise 422 with the per-language results. An existing slug is replaced only with ?replace=true.
+ */
+app.post(
+  "/api/admin/problems/import",
+  authMiddleware,
+  adminMiddleware,
+  express.raw({ type: () => true, limit: "20mb" }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) return res.status(400).json({ error: "Send the package ZIP as the request body" });
+      const read = readPackageZip(req.body);
+      if (read.error) return res.status(400).json({ error: read.error });
+      const { problem, error } = validateProblem(read.input);
+      if (error) return res.status(400).json({ error });
+      if (problem.codeSnippets.length === 0) return res.status(400).json({ error: "A package needs at least one reference solution" });
+      const db = await getDb();
+      const exists = await db.get("SELECT slug FROM problems WHERE slug = ?", problem.titleSlug);
+      if (exists && req.query.replace !== "true") {
+        return res.status(409).json({ error: "A problem with this slug already exists (import with ?replace=true to overwrite it)" });
+      }
+      const results = await judgeReferenceSolutions(problem);
+      if (!results.every((r) => r.allPassed)) {
+        return res.status(422).json({ error: "Reference solutions failed their tests", results });
+      }
+      await saveProblem(db, problem);
+      if (exists) await forgetProblemCaches(db, problem.titleSlug);
+      res.status(exists ? 200 : 201).json({ problem: await problemDetail(db, problem.titleSlug), results });
+    } catch (err) {
+      console.error("import problem error:", err);
+      res.status(500).json({ error: "Import failed", detail: err.message || String(err) });
+    }
+  }
+);
+
+/** Archive a problem: no new matches get it; past matches keep showing it. PUT { "active": true } restores it. */
+app.delete("/api/admin/problems/:slug", authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    if (!(await db.get("SELECT slug FROM problems WHERE slug = ?", req.params.slug))) {
+      return res.status(404).json({ error: "Problem not found" });
+    }
+    await setProblemActive(db, req.params.slug, false);
+    res.json({ status: "archived" });
+  } catch (err) {
+    console.error("archive problem error:", err);
+    res.status(500).json({ error: "Archiving the problem failed", detail: err.message || String(err) });
+  }
+});
+
+getDb()
+  .then(loadProblemBank)
+  .then(() => {
+    resumePendingSubmissions().catch((err) => console.error("resume submissions error:", err));
+    app.listen(PORT, () => {
+      console.log(`RankedLeetCode running on http://localhost:${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error("problem bank error:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,44 @@
+/**
+ * Bounded worker pool for judging. Tasks run in FIFO order with at most `concurrency` in flight, so a
+ * burst of submissions queues up instead of forking an unbounded number of compilers. Submissions,
+ * Run and Test all share one pool (see index.js); the pool itself only knows about async functions.
+ */
+import os from "os";
+
+const envWorkers = parseInt(process.env.JUDGE_WORKERS, 10);
+export const JUDGE_WORKERS = Number.isFinite(envWorkers) && envWorkers > 0
+  ? envWorkers
+  : Math.max(1, Math.min(4, os.cpus().length));
+
+export function createWorkerPool(concurrency = JUDGE_WORKERS) {
+  const pending = [];
+  let active = 0;
+
+  function next() {
+    while (active < concurrency && pending.length > 0) {
+      const { task, resolve, reject } = pending.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  }
+
+  return {
+    /** Queue an async task; resolves or rejects with the task's own result once a worker ran it. */
+    run(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+        next();
+      });
+    },
+    /** { active, queued } for status displays. */
+    stats() {
+      return { active, queued: pending.length };
+    }
+  };
+}
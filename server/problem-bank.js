@@ -0,0 +1,306 @@
+/**
+ * The problem bank: problems and their test cases live in the `problems` and `test_cases` tables, and admins edit
+ * them through the /api/admin/problems routes (index.js). builtin-problems.js serves whatever was last loaded
+ * from here, so the judge, matchmaking and the problem routes see an edit without a restart.
+ *
+ * The built-in list is seed data. On startup each seed problem is inserted if missing and refreshed when its seed
+ * changed, unless an admin edited it (its source is "custom" from then on); seed problems removed from the code
+ * are archived. Problems are never deleted, only archived (active = 0), since old matches still show them.
+ */
+import crypto from "crypto";
+import { v4 as uuid } from "uuid";
+import { BUILTIN_PREFIX, builtinSeed, replaceProblems } from "./builtin-problems.js";
+import { TOPIC_TAGS } from "./builtin-tags.js";
+import { checkerSpec, CHECKER_TYPES } from "./checkers.js";
+import { executorLanguage } from "./executors.js";
+import { initialRating } from "./problem-ratings.js";
+import { makeStubSnippets, signatureError } from "./harness.js";
+
+export const DIFFICULTIES = ["Easy", "Medium", "Hard"];
+const SLUG_PATTERN = /^builtin-[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_TEST_CASES = 500;
+
+function seedHash(p) {
+  const fields = [p.questionId, p.questionFrontendId, p.title, p.difficulty, p.content, p.metaData, p.exampleTestcases,
+    p.testCases, p.hiddenTestCases, p.codeSnippets, p.tags];
+  return crypto.createHash("sha256").update(JSON.stringify(fields)).digest("hex");
+}
+
+/** Insert or overwrite one problem with its test cases; callers hold a transaction. */
+async function writeProblem(db, p, { source, active, hash = null }) {
+  const now = new Date().toISOString();
+  await db.run(
+    `INSERT INTO problems (slug, question_id, frontend_id, title, difficulty, content, meta_data, example_testcases,
+       code_snippets, tags, source, active, seed_hash, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(slug) DO UPDATE SET
+       question_id = excluded.question_id, frontend_id = excluded.frontend_id, title = excluded.title,
+       difficulty = excluded.difficulty, content = excluded.content, meta_data = excluded.meta_data,
+       example_testcases = excluded.example_testcases, code_snippets = excluded.code_snippets, tags = excluded.tags,
+       source = excluded.source,
+       active = excluded.active, seed_hash = excluded.seed_hash, updated_at = excluded.updated_at`,
+    p.titleSlug,
+    p.questionId,
+    p.questionFrontendId,
+    p.title,
+    p.difficulty,
+    p.content,
+    p.metaData,
+    p.exampleTestcases,
+    JSON.stringify(p.codeSnippets),
+    JSON.stringify(p.tags || []),
+    source,
+    active ? 1 : 0,
+    hash,
+    now,
+    now
+  );
+  await db.run("DELETE FROM test_cases WHERE problem_slug = ?", p.titleSlug);
+  const cases = [...p.testCases.map((tc) => [tc, 0]), ...p.hiddenTestCases.map((tc) => [tc, 1])];
+  for (const [i, [tc, hidden]] of cases.entries()) {
+    await db.run(
+      "INSERT INTO test_cases (id, problem_slug, position, stdin, expected, hidden) VALUES (?, ?, ?, ?, ?, ?)",
+      uuid(),
+      p.titleSlug,
+      i,
+      tc.stdin,
+      tc.expected,
+      hidden
+    );
+  }
+}
+
+function inTransaction(db, work) {
+  return db.run("BEGIN")
+    .then(work)
+    .then(() => db.run("COMMIT"), (err) => db.run("ROLLBACK").then(() => { throw err; }));
+}
+
+/** Hand every stored problem, archived ones included, to builtin-problems.js. */
+export async function reloadProblemBank(db) {
+  const rows = await db.all("SELECT * FROM problems ORDER BY rowid");
+  const cases = await db.all("SELECT problem_slug, stdin, expected, hidden FROM test_cases ORDER BY problem_slug, position");
+  const casesBySlug = new Map();
+  for (const tc of cases) {
+    if (!casesBySlug.has(tc.problem_slug)) casesBySlug.set(tc.problem_slug, []);
+    casesBySlug.get(tc.problem_slug).push(tc);
+  }
+  replaceProblems(rows.map((row) => {
+    const own = casesBySlug.get(row.slug) || [];
+    const pick = (hidden) => own.filter((tc) => tc.hidden === hidden).map((tc) => ({ stdin: tc.stdin, expected: tc.expected }));
+    return {
+      questionId: row.question_id,
+      questionFrontendId: row.frontend_id,
+      title: row.title,
+      titleSlug: row.slug,
+      difficulty: row.difficulty,
+      content: row.content,
+      metaData: row.meta_data,
+      exampleTestcases: row.example_testcases,
+      testCases: pick(0),
+      hiddenTestCases: pick(1),
+      codeSnippets: JSON.parse(row.code_snippets),
+      tags: JSON.parse(row.tags || "[]"),
+      active: row.active === 1,
+      source: row.source
+    };
+  }));
+}
+
+/**
+ * Sync the seed into the database (see the header), then load the bank. Called once on startup. Problems stored
+ * before topic tags existed (tags still NULL) take their seed tags, or none.
+ */
+export async function loadProblemBank(db) {
+  const rows = await db.all("SELECT slug, source, active, seed_hash, tags FROM problems");
+  const stored = new Map(rows.map((row) => [row.slug, row]));
+  const seed = builtinSeed().map((p) => ({ problem: p, hash: seedHash(p) }));
+  const seedSlugs = new Set(seed.map(({ problem }) => problem.titleSlug));
+  const stale = seed.filter(({ problem, hash }) => {
+    const row = stored.get(problem.titleSlug);
+    return !row || (row.source === "builtin" && row.seed_hash !== hash);
+  });
+  const removed = rows.filter((row) => row.source === "builtin" && row.active === 1 && !seedSlugs.has(row.slug));
+  const untagged = rows.filter((row) => row.tags == null);
+  if (stale.length > 0 || removed.length > 0 || untagged.length > 0) {
+    await inTransaction(db, async () => {
+      for (const row of untagged) {
+        const tags = seed.find(({ problem }) => problem.titleSlug === row.slug)?.problem.tags || [];
+        await db.run("UPDATE problems SET tags = ? WHERE slug = ?", JSON.stringify(tags), row.slug);
+      }
+      for (const { problem, hash } of stale) {
+        const row = stored.get(problem.titleSlug);
+        await writeProblem(db, problem, { source: "builtin", active: row ? row.active === 1 : true, hash });
+      }
+      for (const row of removed) {
+        await db.run("UPDATE problems SET active = 0, updated_at = ? WHERE slug = ?", new Date().toISOString(), row.slug);
+      }
+    });
+  }
+  await reloadProblemBank(db);
+}
+
+/** Summary rows for the admin list, newest edits first, with each problem's rating (problem-ratings.js). */
+export async function listProblems(db) {
+  const rows = await db.all(
+    `SELECT p.slug, p.title, p.difficulty, p.tags, p.source, p.active, p.code_snippets, p.updated_at,
+       r.rating, r.attempts, r.solves,
+       (SELECT COUNT(*) FROM test_cases t WHERE t.problem_slug = p.slug AND t.hidden = 0) AS public_count,
+       (SELECT COUNT(*) FROM test_cases t WHERE t.problem_slug = p.slug AND t.hidden = 1) AS hidden_count
+     FROM problems p LEFT JOIN problem_ratings r ON r.problem_slug = p.slug
+     ORDER BY p.updated_at DESC, p.slug`
+  );
+  return rows.map((row) => ({
+    slug: row.slug,
+    title: row.title,
+    difficulty: row.difficulty,
+    tags: JSON.parse(row.tags || "[]"),
+    rating: row.rating ?? initialRating(row.difficulty),
+    attempts: row.attempts ?? 0,
+    solveRate: row.attempts ? row.solves / row.attempts : null,
+    source: row.source,
+    active: row.active === 1,
+    testCases: row.public_count,
+    hiddenTestCases: row.hidden_count,
+    referenceLanguages: JSON.parse(row.code_snippets).map((s) => s.langSlug),
+    updatedAt: row.updated_at
+  }));
+}
+
+/** Everything an admin can edit about a problem, hidden tests and reference solutions included; null if unknown. */
+export async function problemDetail(db, slug) {
+  const row = await db.get("SELECT * FROM problems WHERE slug = ?", slug);
+  if (!row) return null;
+  const cases = await db.all("SELECT stdin, expected, hidden FROM test_cases WHERE problem_slug = ? ORDER BY position", slug);
+  const pick = (hidden) => cases.filter((tc) => tc.hidden === hidden).map((tc) => ({ stdin: tc.stdin, expected: tc.expected }));
+  return {
+    slug: row.slug,
+    questionId: row.question_id,
+    questionFrontendId: row.frontend_id,
+    title: row.title,
+    difficulty: row.difficulty,
+    content: row.content,
+    metaData: JSON.parse(row.meta_data),
+    exampleTestcases: row.example_testcases,
+    testCases: pick(0),
+    hiddenTestCases: pick(1),
+    referenceSolutions: JSON.parse(row.code_snippets).map((s) => ({ langSlug: s.langSlug, code: s.code })),
+    tags: JSON.parse(row.tags || "[]"),
+    source: row.source,
+    active: row.active === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function slugFor(input) {
+  const base = String(input || "").trim().toLowerCase()
+    .replace(new RegExp(`^${BUILTIN_PREFIX}`), "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${BUILTIN_PREFIX}${base}`;
+}
+
+function validCases(list, field) {
+  if (list == null) return { cases: [] };
+  if (!Array.isArray(list)) return { error: `${field} must be an array` };
+  const cases = [];
+  for (const [i, tc] of list.entries()) {
+    if (typeof tc?.stdin !== "string" || typeof tc?.expected !== "string") {
+      return { error: `${field}[${i}] needs string stdin and expected` };
+    }
+    cases.push({ stdin: tc.stdin, expected: tc.expected });
+  }
+  return { cases };
+}
+
+/**
+ * Check an admin's problem (the problemDetail shape; fields missing from `input` are taken from `existing`, arrays
+ * replace wholesale) and turn it into the bank's shape. Returns { problem } or { error }.
+ */
+export function validateProblem(input, existing = null) {
+  const merged = { ...existing, ...input };
+  const title = typeof merged.title === "string" ? merged.title.trim() : "";
+  if (!title) return { error: "title is required" };
+  const slug = existing ? existing.slug : slugFor(merged.slug || title);
+  if (!SLUG_PATTERN.test(slug)) return { error: "slug must be lowercase letters, digits and dashes" };
+  const difficulty = DIFFICULTIES.find((d) => d.toLowerCase() === String(merged.difficulty || "").toLowerCase());
+  if (!difficulty) return { error: `difficulty must be one of ${DIFFICULTIES.join(", ")}` };
+  if (typeof merged.content !== "string" || !merged.content.trim()) return { error: "content (the statement, as HTML) is required" };
+
+  let meta = merged.metaData;
+  if (typeof meta === "string") {
+    try {
+      meta = JSON.parse(meta);
+    } catch (_) {
+      return { error: "metaData is not valid JSON" };
+    }
+  }
+  if (!meta || typeof meta !== "object" || Array.isArray(meta)) return { error: "metaData must be an object" };
+  const metaError = signatureError(meta);
+  if (metaError) return { error: `metaData: ${metaError}` };
+  const checker = checkerSpec(meta.checker);
+  if (checker != null && !CHECKER_TYPES.includes(checker.type)) {
+    return { error: `metaData.checker.type must be one of ${CHECKER_TYPES.join(", ")}` };
+  }
+
+  const tags = merged.tags ?? [];
+  if (!Array.isArray(tags)) return { error: "tags must be an array" };
+  const unknownTag = tags.find((t) => !Object.hasOwn(TOPIC_TAGS, t));
+  if (unknownTag !== undefined) return { error: `unknown tag "${unknownTag}" (one of ${Object.keys(TOPIC_TAGS).join(", ")})` };
+
+  const publicCases = validCases(merged.testCases, "testCases");
+  if (publicCases.error) return publicCases;
+  if (publicCases.cases.length === 0) return { error: "at least one public test case is required" };
+  const hiddenCases = validCases(merged.hiddenTestCases, "hiddenTestCases");
+  if (hiddenCases.error) return hiddenCases;
+  if (publicCases.cases.length + hiddenCases.cases.length > MAX_TEST_CASES) {
+    return { error: `at most ${MAX_TEST_CASES} test cases per problem` };
+  }
+  if (merged.exampleTestcases != null && typeof merged.exampleTestcases !== "string") {
+    return { error: "exampleTestcases must be a string" };
+  }
+
+  const stubs = makeStubSnippets(meta);
+  const solutions = merged.referenceSolutions ?? [];
+  if (!Array.isArray(solutions)) return { error: "referenceSolutions must be an array" };
+  const codeSnippets = [];
+  for (const [i, s] of solutions.entries()) {
+    const langSlug = executorLanguage(s?.langSlug || s?.language);
+    const stub = stubs.find((st) => st.langSlug === langSlug);
+    if (!stub) return { error: `referenceSolutions[${i}]: unknown language "${s?.langSlug || s?.language || ""}"` };
+    if (typeof s.code !== "string" || !s.code.trim()) return { error: `referenceSolutions[${i}] needs code` };
+    if (codeSnippets.some((c) => c.langSlug === langSlug)) return { error: `referenceSolutions has ${langSlug} twice` };
+    codeSnippets.push({ lang: stub.lang, langSlug, code: s.code });
+  }
+
+  return {
+    problem: {
+      questionId: String(merged.questionId || slug),
+      questionFrontendId: String(merged.questionFrontendId || ""),
+      title,
+      titleSlug: slug,
+      difficulty,
+      content: merged.content,
+      metaData: JSON.stringify(meta),
+      exampleTestcases: merged.exampleTestcases ?? publicCases.cases.map((tc) => tc.stdin).join("\n"),
+      testCases: publicCases.cases,
+      hiddenTestCases: hiddenCases.cases,
+      codeSnippets,
+      tags: [...new Set(tags)],
+      active: merged.active !== false
+    }
+  };
+}
+
+/** Store a validated problem as an admin's (never overwritten by the seed again) and reload the bank. */
+export async function saveProblem(db, problem) {
+  await inTransaction(db, () => writeProblem(db, problem, { source: "custom", active: problem.active }));
+  await reloadProblemBank(db);
+}
+
+/** Archive (false) or restore (true) a problem; archived problems are not picked for new matches. */
+export async function setProblemActive(db, slug, active) {
+  await db.run("UPDATE problems SET active = ?, updated_at = ? WHERE slug = ?", active ? 1 : 0, new Date().toISOString(), slug);
+  await reloadProblemBank(db);
+}
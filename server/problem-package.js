@@ -0,0 +1,135 @@
+/**
+ * Problem packages: one problem as a directory of plain files (or a ZIP of one), so problems can move between
+ * instances and live in git. Layout:
+ *
+ *   problem.json              { format, slug, title, difficulty, tags, questionId, questionFrontendId, metaData, checker, exampleTestcases }
+ *   statement.md | .html      the statement; Markdown is rendered to HTML on import
+ *   examples.json             public test cases, [{ "stdin", "expected" }]
+ *   hidden.json               hidden test cases, same shape (optional)
+ *   solutions/<language>.<ext> reference solutions, e.g. solutions/python.py, solutions/cpp.cpp
+ *
+ * `checker` is the metaData checker (checkers.js), kept apart so it is easy to find. Only the files are read:
+ * validation is validateProblem's (problem-bank.js), and the import route also judges the reference solutions.
+ */
+import { marked } from "marked";
+import { unzipFiles, zipFiles } from "./zip.js";
+
+export const PACKAGE_FORMAT = 1;
+
+const SOLUTION_EXTENSIONS = { javascript: "js", typescript: "ts", python: "py", java: "java", cpp: "cpp", c: "c", rust: "rs", go: "go" };
+const MAX_PACKAGE_BYTES = 20 * 1024 * 1024;
+
+const json = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+/** The package files ({ path: string }) of a problem in problemDetail's shape (problem-bank.js). */
+export function packageFiles(problem) {
+  const { checker, ...metaData } = problem.metaData;
+  const files = {
+    "problem.json": json({
+      format: PACKAGE_FORMAT,
+      slug: problem.slug,
+      title: problem.title,
+      difficulty: problem.difficulty,
+      tags: problem.tags,
+      questionId: problem.questionId,
+      questionFrontendId: problem.questionFrontendId,
+      metaData,
+      ...(checker ? { checker } : {}),
+      exampleTestcases: problem.exampleTestcases
+    }),
+    "statement.html": problem.content.endsWith("\n") ? problem.content : `${problem.content}\n`,
+    "examples.json": json(problem.testCases),
+    "hidden.json": json(problem.hiddenTestCases)
+  };
+  for (const { langSlug, code } of problem.referenceSolutions) {
+    files[`solutions/${langSlug}.${SOLUTION_EXTENSIONS[langSlug] || "txt"}`] = code.endsWith("\n") ? code : `${code}\n`;
+  }
+  return files;
+}
+
+export function packageZip(problem) {
+  return zipFiles(packageFiles(problem));
+}
+
+/** Package files relative to the directory holding problem.json, for archives that wrap the package in a folder. */
+function packageRoot(files) {
+  if ("problem.json" in files) return files;
+  const roots = Object.keys(files).filter((name) => /^[^/]+\/problem\.json$/.test(name));
+  if (roots.length !== 1) return files;
+  const prefix = roots[0].slice(0, -"problem.json".length);
+  return Object.fromEntries(Object.entries(files)
+    .filter(([name]) => name.startsWith(prefix))
+    .map(([name, content]) => [name.slice(prefix.length), content]));
+}
+
+function parseJsonFile(files, name, fallback) {
+  if (!(name in files)) return { value: fallback };
+  try {
+    return { value: JSON.parse(String(files[name])) };
+  } catch (err) {
+    return { error: `${name}: ${err.message}` };
+  }
+}
+
+/**
+ * Turn package files ({ path: string | Buffer }) into validateProblem's input. Returns { input } or { error } for
+ * a package that is not laid out as above; the fields themselves are checked by validateProblem.
+ */
+export function readPackage(rawFiles) {
+  const files = packageRoot(rawFiles);
+  if (!("problem.json" in files)) return { error: "Package has no problem.json" };
+  const manifest = parseJsonFile(files, "problem.json");
+  if (manifest.error) return manifest;
+  const meta = manifest.value;
+  if (!meta || typeof meta !== "object" || Array.isArray(meta)) return { error: "problem.json must be an object" };
+  if (meta.format != null && meta.format !== PACKAGE_FORMAT) return { error: `Unsupported package format ${meta.format}` };
+
+  const hasMarkdown = "statement.md" in files;
+  const hasHtml = "statement.html" in files;
+  if (hasMarkdown === hasHtml) return { error: "Package needs exactly one of statement.md and statement.html" };
+  const content = hasHtml ? String(files["statement.html"]) : marked.parse(String(files["statement.md"]));
+
+  const examples = parseJsonFile(files, "examples.json", null);
+  if (examples.error) return examples;
+  if (examples.value == null) return { error: "Package has no examples.json" };
+  const hidden = parseJsonFile(files, "hidden.json", []);
+  if (hidden.error) return hidden;
+
+  const referenceSolutions = [];
+  for (const [name, code] of Object.entries(files)) {
+    const m = name.match(/^solutions\/([a-z]+)\.[a-z]+$/);
+    if (name.startsWith("solutions/") && !m) return { error: `Unexpected solution file ${name}` };
+    if (m) referenceSolutions.push({ langSlug: m[1], code: String(code) });
+  }
+
+  const metaData = meta.metaData && typeof meta.metaData === "object" && meta.checker
+    ? { ...meta.metaData, checker: meta.checker }
+    : meta.metaData;
+  return {
+    input: {
+      slug: meta.slug,
+      title: meta.title,
+      difficulty: meta.difficulty,
+      tags: meta.tags,
+      questionId: meta.questionId,
+      questionFrontendId: meta.questionFrontendId,
+      content,
+      metaData,
+      exampleTestcases: meta.exampleTestcases,
+      testCases: examples.value,
+      hiddenTestCases: hidden.value,
+      referenceSolutions
+    }
+  };
+}
+
+/** readPackage for a ZIP upload; archives that cannot be read are reported as { error }. */
+export function readPackageZip(buffer) {
+  let files;
+  try {
+    files = unzipFiles(buffer, { maxBytes: MAX_PACKAGE_BYTES });
+  } catch (err) {
+    return { error: `Could not read the archive: ${err.message}` };
+  }
+  return readPackage(files);
+}
@@ -0,0 +1,114 @@
+/**
+ * Problem ratings on the players' Elo scale, learned from attempts rather than the Easy/Medium/Hard label. Every
+ * attempt (one player on one match's problem, practice included) is a game between the player and the problem:
+ * solving it scores the player up to 1, failing it 0, and the problem's rating moves by the Elo update the
+ * problem would get for the opposite result. Solving a problem that was expected to beat you lowers its rating
+ * a lot; failing one you were expected to solve raises it.
+ *
+ * Time-to-solve refines a solve: up to the problem's median solve time it scores 1, and the score falls to 0.5
+ * at SLOW_SOLVE_RATIO times the median, so a problem everyone solves slowly still climbs. Matchmaking picks
+ * problems rated near the players (pickByRating).
+ */
+import { expectedScore } from "./elo.js";
+
+/** Where a problem without attempts starts, by its label. Medium sits at a new player's Elo (1200). */
+export const INITIAL_RATINGS = { Easy: 1000, Medium: 1200, Hard: 1400 };
+
+const K_PROVISIONAL = 48;
+const K_SETTLED = 24;
+const PROVISIONAL_ATTEMPTS = 10;
+const MIN_TIME_SAMPLES = 3;
+const SLOW_SOLVE_RATIO = 4;
+/** Standard deviation (rating points) of pickByRating's preference for problems near the players' Elo. */
+const PICK_SPREAD = 150;
+
+export function initialRating(difficulty) {
+  return INITIAL_RATINGS[difficulty] ?? INITIAL_RATINGS.Medium;
+}
+
+/** slug -> { rating, attempts, solves } for every problem with attempts. */
+export async function problemRatings(db) {
+  const rows = await db.all("SELECT problem_slug, rating, attempts, solves FROM problem_ratings");
+  return new Map(rows.map((row) => [row.problem_slug, { rating: row.rating, attempts: row.attempts, solves: row.solves }]));
+}
+
+/** A problem's rating, from `ratings` (problemRatings) or its label's starting point. */
+export function ratingOf(problem, ratings) {
+  return ratings?.get(problem.titleSlug)?.rating ?? initialRating(problem.difficulty);
+}
+
+async function medianSolveMs(db, problemSlug) {
+  const rows = await db.all(
+    "SELECT solve_ms FROM problem_attempts WHERE problem_slug = ? AND solved = 1 AND solve_ms IS NOT NULL ORDER BY solve_ms",
+    problemSlug
+  );
+  if (rows.length < MIN_TIME_SAMPLES) return null;
+  return (rows[(rows.length - 1) >> 1].solve_ms + rows[rows.length >> 1].solve_ms) / 2;
+}
+
+/** The player's score for an attempt: 0 if failed, 0.5..1 if solved, depending on time against the median. */
+function attemptScore(solveMs, medianMs) {
+  if (solveMs == null) return 0;
+  if (!medianMs || solveMs <= medianMs) return 1;
+  const slowness = Math.min(1, Math.log(solveMs / medianMs) / Math.log(SLOW_SOLVE_RATIO));
+  return 1 - 0.5 * slowness;
+}
+
+/**
+ * Record one attempt and update the problem's rating. `solved` with `solveMs` (time from the match's start to the
+ * accepted submission) or not; `elo` is the player's Elo when the match started. Each player's attempt at a match
+ * counts once: recording it again is a no-op. Returns the problem's new rating, or null if already recorded.
+ */
+export async function recordAttempt(db, { matchId, userId, problem, elo, solved, solveMs = null }) {
+  const medianMs = solved ? await medianSolveMs(db, problem.titleSlug) : null;
+  const inserted = await db.run(
+    `INSERT OR IGNORE INTO problem_attempts (match_id, user_id, problem_slug, elo, solved, solve_ms, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    matchId,
+    userId,
+    problem.titleSlug,
+    elo,
+    solved ? 1 : 0,
+    solved && solveMs != null ? Math.max(0, Math.round(solveMs)) : null,
+    new Date().toISOString()
+  );
+  if (inserted.changes === 0) return null;
+
+  const current = await db.get("SELECT rating, attempts, solves FROM problem_ratings WHERE problem_slug = ?", problem.titleSlug);
+  const rating = current ? current.rating : initialRating(problem.difficulty);
+  const attempts = current ? current.attempts : 0;
+  const k = attempts < PROVISIONAL_ATTEMPTS ? K_PROVISIONAL : K_SETTLED;
+  const score = solved ? attemptScore(solveMs, medianMs) : 0;
+  const newRating = Math.round(rating + k * (expectedScore(elo, rating) - score));
+  await db.run(
+    `INSERT INTO problem_ratings (problem_slug, rating, attempts, solves, updated_at) VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(problem_slug) DO UPDATE SET
+       rating = excluded.rating, attempts = excluded.attempts, solves = excluded.solves, updated_at = excluded.updated_at`,
+    problem.titleSlug,
+    newRating,
+    attempts + 1,
+    (current ? current.solves : 0) + (solved ? 1 : 0),
+    new Date().toISOString()
+  );
+  return newRating;
+}
+
+/**
+ * One of `problems`, at random but weighted towards ratings near `elo` (a normal curve of PICK_SPREAD), so a
+ * match between two 1500 players gets a problem rated about 1500 whatever its label. Without `elo`, uniformly
+ * random. Null if `problems` is empty.
+ */
+export function pickByRating(problems, ratings, elo) {
+  if (problems.length === 0) return null;
+  if (elo == null) return problems[Math.floor(Math.random() * problems.length)];
+  const distances = problems.map((p) => ((ratingOf(p, ratings) - elo) / PICK_SPREAD) ** 2);
+  // Relative to the closest problem, so players far from every rating still get the nearest ones.
+  const closest = Math.min(...distances);
+  const weights = distances.map((d) => Math.exp(-(d - closest) / 2));
+  let r = Math.random() * weights.reduce((sum, w) => sum + w, 0);
+  for (const [i, w] of weights.entries()) {
+    r -= w;
+    if (r < 0) return problems[i];
+  }
+  return problems[problems.length - 1];
+}
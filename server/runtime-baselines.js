@@ -0,0 +1,57 @@
+/**
+ * Per-problem, per-language runtime baselines, so Elo compares how fast a solution is for its language rather
+ * than C++ against Python. A player's normalized runtime is runtime / baseline (1 = as fast as the baseline);
+ * computeEloUpdate's runtime multiplier is fed those ratios.
+ *
+ * A baseline comes from the problem's reference solution in that language, judged once on this server with
+ * the same harness and repeats as a submission ("reference"). Problems without a reference fall back to the
+ * median of accepted submissions once there are MIN_HISTORY_SAMPLES of them ("history"), refreshed as more
+ * arrive.
+ */
+import { executorLanguage } from "./executors.js";
+
+export const MIN_HISTORY_SAMPLES = 5;
+
+export function getRuntimeBaseline(db, problemSlug, language) {
+  return db.get(
+    "SELECT baseline_ms, source, samples FROM runtime_baselines WHERE problem_slug = ? AND language = ?",
+    problemSlug,
+    executorLanguage(language)
+  );
+}
+
+export function saveRuntimeBaseline(db, problemSlug, language, { baselineMs, source, samples }) {
+  return db.run(
+    `INSERT INTO runtime_baselines (problem_slug, language, baseline_ms, source, samples, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(problem_slug, language) DO UPDATE SET
+       baseline_ms = excluded.baseline_ms, source = excluded.source, samples = excluded.samples, updated_at = excluded.updated_at`,
+    problemSlug,
+    executorLanguage(language),
+    baselineMs,
+    source,
+    samples,
+    new Date().toISOString()
+  );
+}
+
+/** Median runtime of accepted submissions for this problem and language, or null below MIN_HISTORY_SAMPLES. */
+export async function historyBaseline(db, problemSlug, language) {
+  const key = executorLanguage(language);
+  const rows = await db.all(
+    `SELECT runtime_ms, language FROM submissions
+     WHERE problem_slug = ? AND verdict = 'Accepted' AND runtime_ms > 0
+     ORDER BY runtime_ms`,
+    problemSlug
+  );
+  const times = rows.filter((r) => executorLanguage(r.language) === key).map((r) => r.runtime_ms);
+  if (times.length < MIN_HISTORY_SAMPLES) return null;
+  const median = (times[(times.length - 1) >> 1] + times[times.length >> 1]) / 2;
+  return { baselineMs: median, source: "history", samples: times.length };
+}
+
+/** runtime / baseline, rounded to 3 decimals; null when either is missing. */
+export function normalizeRuntime(runtimeMs, baselineMs) {
+  if (!(runtimeMs > 0) || !(baselineMs > 0)) return null;
+  return Math.round((runtimeMs / baselineMs) * 1000) / 1000;
+}
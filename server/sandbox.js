@@ -0,0 +1,346 @@
+/**
+ * Sandbox for the local runners. Every compile and run step goes through runSandboxed, which wraps the
+ * command as `prlimit … -- unshare -n -- setpriv --reuid … -- cmd args`:
+ *   - rlimits: address space (memory), process count, file size, open files, CPU seconds, no core dumps
+ *   - a separate unprivileged uid/gid (SANDBOX_UID / SANDBOX_GID, default nobody) when the server runs as root
+ *   - no network (fresh network namespace) when the server runs as root
+ *   - a pid namespace per run when the server runs as root, so every process a run starts dies when it ends
+ *   - a filesystem jail when the server runs as root: a fresh mount namespace whose root is an empty tmpfs with
+ *     read-only binds of the system and toolchain directories (JAIL_MOUNTS), the run directory, a small
+ *     writable /tmp and a /proc that only shows the sandbox uid's own processes. The app directory, the
+ *     database and the rest of the host filesystem do not exist inside it
+ *   - no inherited environment (only a fixed PATH plus what a runner passes, e.g. compiler settings), so server
+ *     secrets never reach user code
+ *   - a cap on combined stdout/stderr bytes
+ *   - optionally, the run's CPU time measured from outside it (CPU_TIMER), for programs whose own clock cannot be
+ *     trusted
+ * Missing tools are skipped with a one-time warning so local development without root still works.
+ * Set SANDBOX=off to disable the wrapper entirely.
+ */
+import { spawn, spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { v4 as uuid } from "uuid";
+
+const envInt = (name, fallback) => {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+export const SANDBOX_LIMITS = {
+  memoryMb: envInt("SANDBOX_MEMORY_MB", 256),
+  compileMemoryMb: envInt("SANDBOX_COMPILE_MEMORY_MB", 1024),
+  maxProcesses: envInt("SANDBOX_MAX_PROCS", 64),
+  outputBytes: envInt("SANDBOX_OUTPUT_BYTES", 1024 * 1024),
+  fileSizeBytes: envInt("SANDBOX_FILE_BYTES", 16 * 1024 * 1024),
+  openFiles: envInt("SANDBOX_OPEN_FILES", 64)
+};
+
+const SANDBOX_PATH = process.env.SANDBOX_PATH || "/usr/local/bin:/usr/bin:/bin:/usr/local/go/bin";
+const enabled = process.env.SANDBOX !== "off";
+const isRoot = typeof process.getuid === "function" && process.getuid() === 0;
+const sandboxUid = envInt("SANDBOX_UID", 65534);
+const sandboxGid = envInt("SANDBOX_GID", sandboxUid);
+const JAIL_ROOT = path.join(os.tmpdir(), "rankedcode-jail");
+const JAIL_TMP_MB = envInt("SANDBOX_TMP_MB", 64);
+
+/**
+ * Whether `name` runs with the sandbox's PATH (plus `env`) and exits cleanly with `args` (default --version).
+ * Synchronous: call it once, at startup.
+ */
+export function hasTool(name, args = ["--version"], env = {}) {
+  const r = spawnSync(name, args, { stdio: "ignore", env: enabled ? { PATH: SANDBOX_PATH, ...env } : { ...process.env, ...env }, timeout: 10000 });
+  return !r.error && r.status === 0;
+}
+
+/** Absolute path of a system tool (sbin included, unlike SANDBOX_PATH), or null. */
+function findTool(name) {
+  for (const dir of [...SANDBOX_PATH.split(":"), "/usr/sbin", "/sbin"]) {
+    const file = path.join(dir, name);
+    try {
+      fs.accessSync(file, fs.constants.X_OK);
+      return file;
+    } catch (_) {
+      /* keep looking */
+    }
+  }
+  return null;
+}
+
+const MOUNT = findTool("mount");
+const CHROOT = findTool("chroot");
+
+/** Directories (or files) every jail sees read-only, before the toolchains; missing ones are skipped. */
+const SYSTEM_MOUNTS = [
+  "/usr", "/bin", "/lib", "/lib32", "/lib64", "/libx32", "/etc/alternatives", "/etc/ld.so.cache", "/etc/ld.so.conf",
+  "/etc/ld.so.conf.d", "/etc/passwd", "/etc/group"
+];
+const TOOLCHAIN_COMMANDS = ["node", "python3", "javac", "java", "gcc", "g++", "rustc", "go"];
+
+/**
+ * What the jail binds read-only: the system directories, each SANDBOX_PATH directory, the install prefix of each
+ * toolchain found on it (/root/.cargo for /root/.cargo/bin/rustc), RUSTUP_HOME and SANDBOX_MOUNTS
+ * (colon-separated). Paths under one already listed are dropped.
+ */
+function jailMounts() {
+  const found = [];
+  for (const dir of SANDBOX_PATH.split(":")) {
+    found.push(dir);
+    for (const cmd of TOOLCHAIN_COMMANDS) {
+      try {
+        found.push(path.dirname(path.dirname(fs.realpathSync(path.join(dir, cmd)))));
+      } catch (_) {
+        /* not installed here */
+      }
+    }
+  }
+  const extra = [process.env.RUSTUP_HOME, ...String(process.env.SANDBOX_MOUNTS || "").split(":")];
+  const all = [...SYSTEM_MOUNTS, ...found, ...extra].filter((p) => p && path.isAbsolute(p) && p !== "/" && fs.existsSync(p));
+  const unique = [...new Set(all.map((p) => path.resolve(p)))];
+  return unique.filter((p) => !unique.some((q) => q !== p && p.startsWith(`${q}/`)));
+}
+
+/**
+ * Runs as root inside the new mount namespace: builds the jail at $1 (binds "ro:path" / "rw:path" up to "--"),
+ * binds the run directory $2 at its own path, then chroots and runs the rest from the run directory. Symlinks
+ * such as /bin -> usr/bin are recreated rather than bound.
+ */
+const JAIL_SCRIPT = `set -e
+root=$1; work=$2; shift 2
+${MOUNT} --make-rprivate /
+${MOUNT} -t tmpfs -o size=1m,mode=755 tmpfs "$root"
+mkdir -p "$root/proc" "$root/dev" "$root/tmp"
+${MOUNT} -t proc -o hidepid=2 proc "$root/proc"
+${MOUNT} -t tmpfs -o size=${JAIL_TMP_MB}m,mode=1777 tmpfs "$root/tmp"
+bind() {
+  mkdir -p "$root$(dirname "$2")"
+  if [ -L "$2" ]; then ln -s "$(readlink "$2")" "$root$2"; return; fi
+  if [ -d "$2" ]; then mkdir -p "$root$2"; else touch "$root$2"; fi
+  ${MOUNT} --bind "$2" "$root$2"
+  if [ "$1" = ro ]; then ${MOUNT} -o remount,bind,ro "$root$2"; fi
+}
+for f in null zero random urandom; do bind rw "/dev/$f"; done
+while [ "$1" != "--" ]; do bind "\${1%%:*}" "\${1#*:}"; shift; done
+shift
+bind rw "$work"
+exec ${CHROOT} "$root" /bin/sh -c 'cd "$0" && exec "$@"' "$work" "$@"
+`;
+
+/**
+ * Forks the command, waits for it and writes its user + system CPU time (ms, its reaped children included) and its
+ * wait status to fd 3, which the command itself never gets, then exits the way the command did. It runs before
+ * setpriv, as the server's uid, so the program it times can neither signal it nor open the fd through /proc; the
+ * program gets a parent-death signal so it dies when a timeout kills the timer. In a run's pid namespace it is the
+ * init: when it exits, the kernel kills whatever the command left running. An init cannot die of the signals it
+ * raises itself, hence the status on fd 3 rather than its own exit.
+ */
+const CPU_TIMER = `import ctypes, os, signal, sys
+parent = os.getpid()
+pid = os.fork()
+if pid == 0:
+    try:
+        os.close(3)
+        for s in (signal.SIGPIPE, signal.SIGXFSZ):
+            signal.signal(s, signal.SIG_DFL)
+        ctypes.CDLL(None).prctl(1, signal.SIGKILL)
+        if os.getppid() == parent:
+            os.execvp(sys.argv[1], sys.argv[1:])
+    finally:
+        os._exit(127)
+_, status, usage = os.wait4(pid, 0)
+os.write(3, b"%.6f %d" % ((usage.ru_utime + usage.ru_stime) * 1000, status))
+if os.WIFSIGNALED(status):
+    sig = os.WTERMSIG(status)
+    if sig != signal.SIGKILL:
+        signal.signal(sig, signal.SIG_DFL)
+    os.kill(parent, sig)
+    os._exit(128 + sig)
+os._exit(os.WEXITSTATUS(status))
+`;
+const CPU_TIMER_ARGV = ["python3", "-I", "-c", CPU_TIMER];
+
+const tools = enabled
+  ? { prlimit: hasTool("prlimit"), unshare: isRoot && hasTool("unshare"), setpriv: isRoot && hasTool("setpriv") }
+  : { prlimit: false, unshare: false, setpriv: false };
+tools.cpuTimer = hasTool("python3", ["-I", "-c", "import ctypes"]);
+// Each run in its own pid namespace (init: CPU_TIMER), so double-forked or setsid children die with the run instead
+// of holding the sandbox uid's process slots; --kill-child takes the namespace down when a timeout kills unshare.
+const PID_NAMESPACE = ["-p", "--fork", "--kill-child"];
+tools.pidNamespace = tools.unshare && tools.cpuTimer && hasTool("unshare", [...PID_NAMESPACE, "true"]);
+
+const JAIL_MOUNTS = tools.unshare ? jailMounts() : [];
+
+/** Jail argv prefix for a run in `cwd`, with `writable` directories bound read-write. */
+function jailArgv(cwd, writable = []) {
+  const binds = [...JAIL_MOUNTS.map((p) => `ro:${p}`), ...writable.map((p) => `rw:${path.resolve(p)}`)];
+  return ["unshare", "-m", "-n", ...(tools.pidNamespace ? PID_NAMESPACE : []), "--", "sh", "-c", JAIL_SCRIPT, "jail", JAIL_ROOT, path.resolve(cwd), ...binds, "--"];
+}
+
+/** Whether jails work here (a container may refuse mounts): build one and run `true` in it, once at startup. */
+function jailWorks() {
+  if (!tools.unshare || !MOUNT || !CHROOT) return false;
+  try {
+    fs.mkdirSync(JAIL_ROOT, { recursive: true, mode: 0o755 });
+    const [bin, ...args] = jailArgv(os.tmpdir()).concat("true");
+    const r = spawnSync(bin, args, { stdio: "ignore", env: { PATH: SANDBOX_PATH }, timeout: 10000 });
+    return !r.error && r.status === 0;
+  } catch (_) {
+    return false;
+  }
+}
+
+tools.jail = jailWorks();
+
+if (enabled) {
+  const missing = [];
+  if (!tools.prlimit) missing.push("rlimits (prlimit not found)");
+  if (!tools.setpriv) missing.push(isRoot ? "uid switch (setpriv not found)" : "uid switch (server is not root)");
+  if (!tools.unshare) missing.push(isRoot ? "network cutoff (unshare not found)" : "network cutoff (server is not root)");
+  if (!tools.jail) missing.push(isRoot ? "filesystem jail (mount namespaces, mount or chroot unavailable)" : "filesystem jail (server is not root)");
+  if (tools.unshare && !tools.pidNamespace) missing.push("pid namespaces (processes a run leaves behind are not killed)");
+  if (missing.length) console.warn(`Sandbox: running without ${missing.join(", ")}.`);
+}
+if (!tools.cpuTimer) console.warn("Sandbox: no CPU timer (python3 not found); runs that need one report no CPU time.");
+
+/**
+ * Build the wrapped argv. limitAddressSpace should be false for JVM/V8 runtimes, which reserve far more
+ * virtual memory than they use; cap those with heap flags instead. switchUser false keeps the server's uid,
+ * for compilers that must reach state solutions may not (Go's build cache); never for running user code.
+ * `writable` directories are bound read-write into the jail next to the run directory (that build cache).
+ * `monitor` puts the CPU timer between the wrappers and the (uid-switched) command; it is the init of the run's pid
+ * namespace, when there is one.
+ */
+function wrapCommand(cmd, args, { cwd, writable, memoryMb, limitAddressSpace, maxProcesses, timeoutMs, switchUser, monitor }) {
+  let argv = [cmd, ...args];
+  const setpriv = tools.setpriv && switchUser;
+  if (setpriv) {
+    // The uid switch clears the parent-death signal the timer set; have setpriv set it again afterwards.
+    const deathSignal = monitor ? ["--pdeathsig=KILL"] : [];
+    argv = ["setpriv", `--reuid=${sandboxUid}`, `--regid=${sandboxGid}`, "--clear-groups", ...deathSignal, "--", ...argv];
+  }
+  if (monitor) argv = [...CPU_TIMER_ARGV, ...argv];
+  if (tools.jail && cwd) argv = [...jailArgv(cwd, writable), ...argv];
+  else if (tools.unshare) argv = ["unshare", "-n", ...(tools.pidNamespace ? PID_NAMESPACE : []), "--", ...argv];
+  if (tools.prlimit) {
+    const limits = [
+      `--fsize=${SANDBOX_LIMITS.fileSizeBytes}`,
+      `--nofile=${SANDBOX_LIMITS.openFiles}`,
+      "--core=0",
+      `--cpu=${Math.ceil(timeoutMs / 1000) + 1}`
+    ];
+    if (limitAddressSpace && memoryMb > 0) limits.push(`--as=${memoryMb * 1024 * 1024}`);
+    // RLIMIT_NPROC counts every process of the uid, so only apply it once user code has its own uid.
+    if (setpriv && maxProcesses > 0) limits.push(`--nproc=${maxProcesses}`);
+    argv = ["prlimit", ...limits, "--", ...argv];
+  }
+  return argv;
+}
+
+/** Signal names by number, as child_process reports them (the first name of a number: SIGABRT, not SIGIOT). */
+const SIGNAL_NAMES = {};
+for (const [name, number] of Object.entries(os.constants.signals)) SIGNAL_NAMES[number] ??= name;
+
+/**
+ * Create a private working directory for one run. It is mode 0700 and owned by the sandbox uid, so user code
+ * can write scratch files there. With the jail, a run only sees its own directory.
+ */
+export async function makeSandboxDir() {
+  const dir = path.join(os.tmpdir(), `run_${uuid().replace(/-/g, "")}`);
+  await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+  if (tools.setpriv) await fs.promises.chown(dir, sandboxUid, sandboxGid);
+  return dir;
+}
+
+export function removeSandboxDir(dir) {
+  return fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+}
+
+/**
+ * Spawn cmd inside the sandbox, feed stdin, SIGKILL it after timeoutMs or once output passes the cap. `env`
+ * adds variables to the fixed PATH (toolchain settings, never secrets). `cwd` is the run directory (makeSandboxDir)
+ * and the only one the jail exposes, besides `writable`. `cpuTime` asks for the run's CPU time, measured outside it.
+ * Resolves { stdout, stderr, code, signal, timedOut, memoryExceeded, outputExceeded, execFailed, cpuTimeMs }.
+ * `cpuTimeMs` is null unless `cpuTime` was asked for, the CPU timer is available and the run was waited for.
+ * `memoryExceeded`: the kernel killed the run (SIGKILL we did not send), or the run ended the way `memoryReport`
+ * ({ stderr, code } or { stderr, signal }) says its runtime ends on a failed allocation: that exit code or signal,
+ * and a stderr matching the pattern. Output alone never decides it, since a program can print anything. `execFailed`:
+ * cmd could not be started (exit 126/127 from the wrappers, a spawn error without them); a program can exit
+ * with those codes too, so only trust it for commands that are not user code.
+ */
+export function runSandboxed(cmd, args, {
+  stdin = "",
+  cwd,
+  writable = [],
+  env = {},
+  timeoutMs = 10000,
+  memoryMb = SANDBOX_LIMITS.memoryMb,
+  limitAddressSpace = true,
+  maxProcesses = SANDBOX_LIMITS.maxProcesses,
+  switchUser = true,
+  cpuTime = false,
+  memoryReport = null
+} = {}) {
+  return new Promise((resolve) => {
+    let stdout = "";
+    let stderr = "";
+    let outputBytes = 0;
+    let timedOut = false;
+    let outputExceeded = false;
+    let spawnFailed = false;
+    let report = "";
+    // A pid namespace needs the timer as its init whether or not the CPU time is wanted.
+    const monitor = tools.cpuTimer && (cpuTime || (enabled && tools.pidNamespace));
+    const [bin, ...argv] = enabled
+      ? wrapCommand(cmd, args, { cwd, writable, memoryMb, limitAddressSpace, maxProcesses, timeoutMs, switchUser, monitor })
+      : [...(monitor ? CPU_TIMER_ARGV : []), cmd, ...args];
+    const proc = spawn(bin, argv, {
+      stdio: monitor ? ["pipe", "pipe", "pipe", "pipe"] : ["pipe", "pipe", "pipe"],
+      cwd: cwd || undefined,
+      env: enabled ? { PATH: SANDBOX_PATH, ...env } : { ...process.env, ...env }
+    });
+    const kill = () => { try { proc.kill("SIGKILL"); } catch (_) {} };
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, timeoutMs);
+    const collect = (d, append) => {
+      if (outputExceeded) return;
+      outputBytes += d.length;
+      if (outputBytes > SANDBOX_LIMITS.outputBytes) {
+        outputExceeded = true;
+        kill();
+        return;
+      }
+      append(d.toString());
+    };
+    proc.stdout.on("data", (d) => collect(d, (s) => { stdout += s; }));
+    proc.stderr.on("data", (d) => collect(d, (s) => { stderr += s; }));
+    if (monitor) proc.stdio[3].on("data", (d) => { report += d.toString(); });
+    proc.on("error", (err) => {
+      spawnFailed = true;
+      stderr += (stderr ? "\n" : "") + String(err.message);
+    });
+    proc.on("close", (exitCode, exitSignal) => {
+      clearTimeout(timer);
+      const [reportedMs, status] = report.trim().split(" ").map(Number);
+      let [code, signal] = [exitCode, exitSignal];
+      if (Number.isInteger(status)) {
+        const termsig = status & 0x7f;
+        [code, signal] = termsig ? [null, SIGNAL_NAMES[termsig] || `SIG${termsig}`] : [(status >> 8) & 0xff, null];
+      }
+      // SIGXCPU is the RLIMIT_CPU backstop; a SIGKILL we did not send comes from the kernel OOM killer.
+      if (signal === "SIGXCPU") timedOut = true;
+      const reported = !!memoryReport && (memoryReport.signal ? signal === memoryReport.signal : code === memoryReport.code)
+        && memoryReport.stderr.test(stderr);
+      const memoryExceeded = !timedOut && !outputExceeded && ((signal === "SIGKILL" && code === null) || reported);
+      const cpuTimeMs = cpuTime && report ? reportedMs : NaN;
+      resolve({
+        stdout, stderr, code, signal, timedOut, memoryExceeded, outputExceeded, execFailed: spawnFailed || code === 126 || code === 127,
+        cpuTimeMs: Number.isFinite(cpuTimeMs) ? cpuTimeMs : null
+      });
+    });
+    proc.stdin.on("error", () => {});
+    proc.stdin.write(String(stdin), () => { proc.stdin.end(); });
+  });
+}
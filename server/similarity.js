@@ -0,0 +1,89 @@
+/**
+ * Code similarity for plagiarism checks. Submissions are tokenized per language with comments and whitespace
+ * dropped, identifiers collapsed to ID and literals to STR / NUM, so renaming variables or reformatting does not
+ * hide a copy; keywords and punctuation keep the structure. Token k-grams are hashed and winnowed (the MOSS
+ * fingerprinting scheme), and two submissions are compared by how much of the smaller fingerprint set the
+ * other contains.
+ *
+ * Short solutions look alike whatever their author, so callers should only compare fingerprints with at
+ * least MIN_TOKENS tokens, and pass the problem's starter code (and anything most solutions share) as `ignore`.
+ */
+
+/** Tokens per k-gram and k-grams per winnowing window: copies of about K + W - 1 tokens are always caught. */
+const K = 6;
+const W = 4;
+export const MIN_TOKENS = 40;
+
+const C_LIKE_COMMENTS = String.raw`\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)`;
+const QUOTED = String.raw`"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?`;
+const BACKTICK = String.raw`\x60(?:\\[\s\S]|[^\x60\\])*\x60?`;
+const WORD = String.raw`[A-Za-z_$][\w$]*`;
+const NUMBER = String.raw`\d[\w.]*`;
+
+/** One regex per language; groups: 1 comment, 2 string, 3 word, 4 number, 5 any other character. */
+const lexer = (comments, strings) => new RegExp(`(${comments})|(${strings})|(${WORD})|(${NUMBER})|(\\S)`, "g");
+
+const LEXERS = {
+  javascript: lexer(C_LIKE_COMMENTS, `${BACKTICK}|${QUOTED}`),
+  python: lexer("#[^\\n]*", `"""[\\s\\S]*?(?:"""|$)|'''[\\s\\S]*?(?:'''|$)|${QUOTED}`),
+  c: lexer(C_LIKE_COMMENTS, QUOTED),
+  // A quote that does not close within one character is a lifetime ('a), not a char literal.
+  rust: lexer(C_LIKE_COMMENTS, String.raw`"(?:\\.|[^"\\])*"?|'(?:\\.|[^'\\\n])'`),
+  go: lexer(C_LIKE_COMMENTS, `${BACKTICK}|${QUOTED}`)
+};
+LEXERS.typescript = LEXERS.javascript;
+LEXERS.java = LEXERS.cpp = LEXERS.c;
+
+const words = (s) => new Set(s.split(" "));
+const KEYWORDS = {
+  javascript: words("break case catch class const continue default delete do else export extends false finally for function if in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield async await"),
+  python: words("and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield self"),
+  java: words("abstract boolean break byte case catch char class continue default do double else extends final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true false try void while var"),
+  c: words("auto break case char const continue default do double else enum extern float for goto if int long register return short signed sizeof static struct switch typedef union unsigned void volatile while bool true false NULL"),
+  cpp: words("auto bool break case catch char class const continue default delete do double else enum false float for if int long namespace new nullptr private public return short signed sizeof static struct switch template this throw true try typedef typename unsigned using virtual void while"),
+  rust: words("as break const continue crate else enum false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while Some None Ok Err"),
+  go: words("break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var nil true false")
+};
+KEYWORDS.typescript = new Set([...KEYWORDS.javascript, ...words("interface type enum implements private public readonly number string boolean any unknown never as")]);
+
+/** Normalized token stream of a solution; unknown languages are lexed like C. */
+export function tokenize(code, language) {
+  const re = new RegExp(LEXERS[language] || LEXERS.c);
+  const keywords = KEYWORDS[language] || KEYWORDS.c;
+  const tokens = [];
+  for (const m of String(code ?? "").matchAll(re)) {
+    if (m[1]) continue;
+    if (m[2]) tokens.push("STR");
+    else if (m[3]) tokens.push(keywords.has(m[3]) ? m[3] : "ID");
+    else if (m[4]) tokens.push("NUM");
+    else tokens.push(m[5]);
+  }
+  return tokens;
+}
+
+/** 32-bit FNV-1a. */
+function hash(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+/** { tokens, hashes }: the token count and the winnowed k-gram hashes of a solution. */
+export function fingerprint(code, language) {
+  const tokens = tokenize(code, language);
+  const grams = [];
+  for (let i = 0; i + K <= tokens.length; i++) grams.push(hash(tokens.slice(i, i + K).join(" ")));
+  const hashes = new Set();
+  if (grams.length > 0 && grams.length < W) hashes.add(Math.min(...grams));
+  for (let i = 0; i + W <= grams.length; i++) hashes.add(Math.min(...grams.slice(i, i + W)));
+  return { tokens: tokens.length, hashes };
+}
+
+/** Share (0..1) of the smaller fingerprint set found in the other, leaving out the `ignore` hashes. */
+export function similarity(a, b, ignore = new Set()) {
+  const ha = [...a.hashes].filter((h) => !ignore.has(h));
+  const hb = new Set([...b.hashes].filter((h) => !ignore.has(h)));
+  const smaller = Math.min(ha.length, hb.size);
+  if (smaller === 0) return 0;
+  return ha.filter((h) => hb.has(h)).length / smaller;
+}
@@ -0,0 +1,54 @@
+/**
+ * Judge verdicts, LeetCode naming. A run result from the executors carries
+ * { stdout, stderr, exitCode, signal, timedOut, memoryExceeded, outputExceeded, compileError }; these helpers turn
+ * that plus the output comparison into one verdict per test case and per submission.
+ */
+
+export const VERDICTS = {
+  ACCEPTED: "Accepted",
+  WRONG_ANSWER: "Wrong Answer",
+  COMPILE_ERROR: "Compile Error",
+  RUNTIME_ERROR: "Runtime Error",
+  TIME_LIMIT_EXCEEDED: "Time Limit Exceeded",
+  MEMORY_LIMIT_EXCEEDED: "Memory Limit Exceeded",
+  OUTPUT_LIMIT_EXCEEDED: "Output Limit Exceeded"
+};
+
+export const DEFAULT_TIME_LIMIT_MS = 3000;
+
+/**
+ * Time limit for one test case run (compile time excluded). Read from the problem's
+ * `timeLimitMs`, or from `timeLimitMs` inside its metaData JSON; falls back to the default.
+ */
+export function getTimeLimitMs(problem) {
+  let ms = Number(problem?.timeLimitMs);
+  if (!(ms > 0) && problem?.metaData) {
+    try {
+      const meta = typeof problem.metaData === "string" ? JSON.parse(problem.metaData) : problem.metaData;
+      ms = Number(meta?.timeLimitMs);
+    } catch (_) {}
+  }
+  return Number.isFinite(ms) && ms > 0 ? ms : DEFAULT_TIME_LIMIT_MS;
+}
+
+/** Verdict from how the process ended, or null if it exited cleanly (output still needs checking). */
+export function classifyRun(result) {
+  if (!result) return VERDICTS.RUNTIME_ERROR;
+  if (result.compileError) return VERDICTS.COMPILE_ERROR;
+  if (result.timedOut) return VERDICTS.TIME_LIMIT_EXCEEDED;
+  if (result.memoryExceeded) return VERDICTS.MEMORY_LIMIT_EXCEEDED;
+  if (result.outputExceeded) return VERDICTS.OUTPUT_LIMIT_EXCEEDED;
+  if (result.signal || (result.exitCode != null && result.exitCode !== 0)) return VERDICTS.RUNTIME_ERROR;
+  return null;
+}
+
+/** Verdict for one test case: process outcome first, then the output comparison. */
+export function judgeTestCase(result, passed) {
+  return classifyRun(result) || (passed ? VERDICTS.ACCEPTED : VERDICTS.WRONG_ANSWER);
+}
+
+/** Submission verdict: the first non-accepted test case verdict, LeetCode style. */
+export function summarizeVerdicts(verdicts) {
+  if (!verdicts.length) return VERDICTS.WRONG_ANSWER;
+  return verdicts.find((v) => v !== VERDICTS.ACCEPTED) || VERDICTS.ACCEPTED;
+}
@@ -0,0 +1,111 @@
+/**
+ * Just enough ZIP for problem packages (problem-package.js): archives are written deflated, and stored or deflated
+ * entries are read back. No ZIP64, encryption or multi-disk archives. Reading is bounded by `maxBytes` of
+ * uncompressed data, so an upload cannot inflate without limit.
+ */
+import zlib from "zlib";
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+const DOS_DATE_1980 = 0x21;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** Archive { path: string | Buffer } into a ZIP buffer. */
+export function zipFiles(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content));
+    const nameBuf = Buffer.from(name);
+    const packed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(DOS_DATE_1980, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(DOS_DATE_1980, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, packed);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + packed.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/** Read a ZIP buffer into { path: Buffer }, directories left out. Throws on archives it cannot read. */
+export function unzipFiles(buffer, { maxBytes = 20 * 1024 * 1024 } = {}) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Not a ZIP archive");
+  const count = buffer.readUInt16LE(end + 10);
+  let pos = buffer.readUInt32LE(end + 16);
+  const files = {};
+  let total = 0;
+  for (let n = 0; n < count; n++) {
+    if (pos + 46 > buffer.length || buffer.readUInt32LE(pos) !== CENTRAL_HEADER) throw new Error("Corrupt ZIP directory");
+    const flags = buffer.readUInt16LE(pos + 8);
+    const method = buffer.readUInt16LE(pos + 10);
+    const crc = buffer.readUInt32LE(pos + 16);
+    const packedSize = buffer.readUInt32LE(pos + 20);
+    const size = buffer.readUInt32LE(pos + 24);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const skip = buffer.readUInt16LE(pos + 30) + buffer.readUInt16LE(pos + 32);
+    const localOffset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString("utf8", pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + skip;
+    if (name.endsWith("/")) continue;
+    if (flags & 1) throw new Error(`${name} is encrypted`);
+    total += size;
+    if (total > maxBytes) throw new Error(`Archive is larger than ${maxBytes} bytes uncompressed`);
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) throw new Error(`Corrupt ZIP entry ${name}`);
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const packed = buffer.subarray(start, start + packedSize);
+    if (method === 0) files[name] = Buffer.from(packed);
+    else if (method === 8) files[name] = zlib.inflateRawSync(packed, { maxOutputLength: Math.max(1, size) });
+    else throw new Error(`${name} uses an unsupported compression method`);
+    if (files[name].length !== size || crc32(files[name]) !== crc) throw new Error(`Corrupt ZIP entry ${name}`);
+  }
+  return files;
+}
@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkerBudget, checkOutput } from "../server/checkers.js";
+
+const custom = (source) => ({ type: "custom", source });
+
+test("a custom checker's verdict is its return value", async () => {
+  const spec = custom("(actual, expected) => actual === expected + 1");
+  assert.equal(await checkOutput(spec, { actual: "3", expected: "2", stdin: "" }), true);
+  assert.equal(await checkOutput(spec, { actual: "2", expected: "2", stdin: "" }), false);
+});
+
+test("a custom checker that throws rejects instead of failing the answer", async () => {
+  const spec = custom("() => { throw new Error('checker bug'); }");
+  await assert.rejects(checkOutput(spec, { actual: "1", expected: "1", stdin: "" }), /checker bug/);
+});
+
+test("a spent checker budget rejects instead of failing the answer", async () => {
+  const budget = checkerBudget();
+  budget.remainingMs = 0;
+  await assert.rejects(checkOutput(custom("() => true"), { actual: "1", expected: "1", stdin: "" }, budget), /budget/);
+});
+
+test("the checker budget grows with the number of cases", () => {
+  assert.equal(checkerBudget(0).remainingMs, checkerBudget(1).remainingMs);
+  assert.ok(checkerBudget(200).remainingMs >= 200 * 500, "a few hundred ms per check, whatever the case count");
+  assert.ok(checkerBudget(200).remainingMs > checkerBudget(10).remainingMs);
+});
@@ -0,0 +1,114 @@
+/**
+ * The compile cache: builds keyed by a sha256 of their inputs, hits copy the cached outputs instead of compiling,
+ * and the least recently used entries go once the cache outgrows COMPILE_CACHE_MB (256 by default).
+ */
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "compile-cache-test-"));
+process.env.COMPILE_CACHE_DIR = path.join(root, "cache");
+process.env.COMPILE_CACHE_MB = "1";
+const cacheModule = fileURLToPath(new URL("../server/compile-cache.js", import.meta.url));
+const { compileCacheKey, compileCached } = await import(cacheModule);
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+let dirs = 0;
+const freshDir = () => fs.mkdtempSync(path.join(root, `run${dirs++}-`));
+
+/** Builds `a.out` of `bytes` bytes filled with `fill` into a fresh directory, counting real compiles in `log`. */
+function build(key, { bytes = 16, fill = "x", log = [], result = { code: 0 } } = {}) {
+  const dir = freshDir();
+  const done = compileCached({
+    key,
+    dir,
+    outputs: (name) => name === "a.out",
+    failed: (r) => r.code !== 0,
+    compile: async () => {
+      log.push(key);
+      if (result.code === 0) {
+        fs.writeFileSync(path.join(dir, "source.c"), "int main() {}");
+        fs.writeFileSync(path.join(dir, "a.out"), fill.repeat(bytes));
+      }
+      return result;
+    }
+  });
+  return done.then((failure) => ({ failure, dir, output: () => fs.readFileSync(path.join(dir, "a.out"), "utf8") }));
+}
+
+test("the key is a sha256 of the parts, which cannot run into each other", () => {
+  const key = compileCacheKey("cpp", "g++ -O2", "int main() {}");
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(key, crypto.createHash("sha256").update("cpp\0g++ -O2\0int main() {}\0").digest("hex"));
+  assert.equal(compileCacheKey("cpp", "g++ -O2", "int main() {}"), key);
+  assert.notEqual(compileCacheKey("ab", "c"), compileCacheKey("a", "bc"));
+});
+
+test("a miss compiles and a hit copies the cached build without compiling", async () => {
+  const log = [];
+  const key = compileCacheKey("hit-miss");
+  const first = await build(key, { fill: "1", log });
+  assert.equal(first.failure, null);
+  const second = await build(key, { fill: "2", log });
+  assert.equal(second.failure, null);
+  assert.deepEqual(log, [key]);
+  assert.equal(second.output(), first.output());
+  assert.deepEqual(fs.readdirSync(second.dir), ["a.out"]);
+});
+
+test("concurrent runs of the same code compile once", async () => {
+  const log = [];
+  const key = compileCacheKey("concurrent");
+  const results = await Promise.all([build(key, { log }), build(key, { log }), build(key, { log })]);
+  assert.deepEqual(log, [key]);
+  for (const r of results) assert.equal(r.output(), "x".repeat(16));
+});
+
+test("a compile error is kept, a compile timeout is not", async () => {
+  const log = [];
+  const broken = compileCacheKey("broken");
+  const error = { code: 1, stderr: "error: expected ';'" };
+  assert.equal((await build(broken, { log, result: error })).failure, error);
+  assert.equal((await build(broken, { log, result: error })).failure, error);
+  assert.deepEqual(log, [broken]);
+
+  const slow = compileCacheKey("slow");
+  const timeout = { code: null, timedOut: true, stderr: "" };
+  await build(slow, { log, result: timeout });
+  await build(slow, { log, result: timeout });
+  assert.deepEqual(log, [broken, slow, slow]);
+});
+
+test("past the cap, the least recently used build is evicted", async () => {
+  const log = [];
+  const bytes = 400 * 1024;
+  const [a, b, c] = ["lru-a", "lru-b", "lru-c"].map((name) => compileCacheKey(name));
+  await build(a, { bytes, log });
+  await build(b, { bytes, log });
+  await build(a, { bytes, log });
+  assert.deepEqual(log, [a, b]);
+
+  // A third 400 KB build passes 1 MB: b, used longest ago, goes; a stays.
+  await build(c, { bytes, log });
+  await build(a, { bytes, log });
+  assert.deepEqual(log, [a, b, c]);
+  await build(b, { bytes, log });
+  assert.deepEqual(log, [a, b, c, b]);
+});
+
+test("the cap is 256 MB unless COMPILE_CACHE_MB says otherwise", () => {
+  const capOf = (mb) => Number(execFileSync(process.execPath, [
+    "--input-type=module",
+    "-e",
+    `const { COMPILE_CACHE_MAX_BYTES } = await import(${JSON.stringify(cacheModule)}); console.log(COMPILE_CACHE_MAX_BYTES);`
+  ], { env: { ...process.env, COMPILE_CACHE_MB: mb }, encoding: "utf8", timeout: 10000 }));
+  assert.equal(capOf(""), 256 * 1024 * 1024);
+  assert.equal(capOf("64"), 64 * 1024 * 1024);
+  assert.equal(capOf("0"), 0);
+});
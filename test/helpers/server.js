@@ -0,0 +1,64 @@
+/**
+ * The server, started for a test file on a scratch database (DB_PATH) and a free port, judging locally. `api`
+ * calls it as the user whose token is given; `register` creates a user and returns their token.
+ */
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const serverEntry = fileURLToPath(new URL("../../server/index.js", import.meta.url));
+const START_TIMEOUT_MS = 30000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on("error", reject);
+  });
+}
+
+export async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-test-"));
+  const port = await freePort();
+  const base = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [serverEntry], {
+    env: { ...process.env, EXECUTORS: "local", ...env, PORT: String(port), DB_PATH: path.join(dir, "test.db") },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  const stop = () => {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  try {
+    await new Promise((resolve, reject) => {
+      child.stdout.on("data", (chunk) => String(chunk).includes("running on") && resolve());
+      child.on("exit", (code) => reject(new Error(`server exited with ${code}`)));
+      setTimeout(() => reject(new Error("server did not start")), START_TIMEOUT_MS).unref();
+    });
+  } catch (err) {
+    stop();
+    throw err;
+  }
+
+  async function api(token, route, body) {
+    const res = await fetch(base + route, {
+      method: body ? "POST" : "GET",
+      headers: { "Content-Type": "application/json", ...(token && { Authorization: `Bearer ${token}` }) },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function register(name) {
+    const { status, body } = await api(null, "/api/auth/register", { email: `${name}@test.local`, password: "secret-password", username: name });
+    if (status !== 200) throw new Error(`registering ${name}: ${status} ${JSON.stringify(body)}`);
+    return body.token;
+  }
+
+  return { api, register, stop };
+}
@@ -0,0 +1,96 @@
+/**
+ * Hidden test cases stay on the server: the problem the client gets, the problem list and a Test run see the public
+ * examples only, while submit judges the hidden cases too.
+ */
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import {
+  builtinSeed,
+  getBuiltinJudgeTestCases,
+  getBuiltinProblem,
+  getBuiltinReferenceSolution,
+  getBuiltinTestCases,
+  listBuiltinProblems
+} from "../server/builtin-problems.js";
+import { startServer } from "./helpers/server.js";
+
+const seed = builtinSeed();
+
+/** Inputs of `p`'s hidden cases that no public case shares (a shared input is no secret). */
+function hiddenInputs(p) {
+  const shown = new Set(p.testCases.map((tc) => tc.stdin));
+  return p.hiddenTestCases.map((tc) => tc.stdin).filter((stdin) => !shown.has(stdin));
+}
+
+/** Every stdin field in `value`, however deep. */
+function inputsIn(value, found = []) {
+  if (Array.isArray(value)) value.forEach((v) => inputsIn(v, found));
+  else if (value && typeof value === "object") {
+    for (const [key, v] of Object.entries(value)) key === "stdin" ? found.push(v) : inputsIn(v, found);
+  }
+  return found;
+}
+
+/** Fails if `value`, as the client would receive it, carries `p`'s hidden cases or any of their inputs. */
+function assertNoHidden(value, p) {
+  assert.ok(!JSON.stringify(value).includes("hiddenTestCases"), `${p.titleSlug}: hiddenTestCases sent`);
+  const inputs = new Set(inputsIn(value));
+  for (const stdin of hiddenInputs(p)) assert.ok(!inputs.has(stdin), `${p.titleSlug}: hidden input ${JSON.stringify(stdin)} sent`);
+}
+
+test("every builtin problem has hidden cases to keep back", () => {
+  for (const p of seed) assert.ok(hiddenInputs(p).length > 0, p.titleSlug);
+});
+
+test("getBuiltinProblem and the problem list leave the hidden cases out", () => {
+  for (const p of seed) {
+    const served = getBuiltinProblem(p.titleSlug);
+    assert.deepEqual(served.testCases, p.testCases);
+    assert.equal(served.exampleTestcases, p.exampleTestcases);
+    assertNoHidden(served, p);
+  }
+  const list = listBuiltinProblems();
+  for (const p of seed) assertNoHidden(list, p);
+});
+
+test("Test runs the public cases and submit judges the hidden ones", () => {
+  for (const p of seed) {
+    assert.deepEqual(getBuiltinTestCases(p.titleSlug), p.testCases);
+    const judged = getBuiltinJudgeTestCases(p.titleSlug);
+    assert.deepEqual(judged.filter((tc) => tc.hidden).map(({ hidden, ...tc }) => tc), p.hiddenTestCases);
+  }
+});
+
+// The same over HTTP, against a server started on a scratch database.
+let server;
+let token;
+const api = (route, body) => server.api(token, route, body);
+
+before(async () => {
+  server = await startServer();
+  token = await server.register("hidden");
+});
+
+after(() => server?.stop());
+
+test("/api/problems serves the public cases only", async () => {
+  for (const p of seed) {
+    const { status, body } = await api(`/api/problems/${p.titleSlug}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.problem.testCases, p.testCases);
+    assert.equal(body.problem.exampleTestcases, p.exampleTestcases);
+    assertNoHidden(body, p);
+  }
+  const { body } = await api("/api/problems/random");
+  for (const p of seed) assertNoHidden(body, p);
+});
+
+test("/api/run-tests runs and reports the public cases only", async () => {
+  const p = seed.find((q) => q.titleSlug === "builtin-two-sum");
+  const code = getBuiltinReferenceSolution(p.titleSlug, "javascript");
+  const { status, body } = await api("/api/run-tests", { language: "javascript", code, problemSlug: p.titleSlug });
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map((r) => r.stdin), p.testCases.map((tc) => tc.stdin));
+  assert.equal(body.summary.passed, p.testCases.length);
+  assertNoHidden(body, p);
+});
@@ -0,0 +1,77 @@
+/**
+ * The judge pool runs at most its concurrency of tasks at once and starts the rest in the order they were queued;
+ * JUDGE_WORKERS sets that concurrency for the server's pool.
+ */
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { createWorkerPool } from "../server/judge-queue.js";
+
+/** A task that records its start and finishes when `finish(i)` is called. */
+function gatedTasks(count) {
+  const started = [];
+  const gates = [];
+  const tasks = Array.from({ length: count }, (_, i) => () => {
+    started.push(i);
+    return new Promise((resolve, reject) => { gates[i] = { resolve, reject }; });
+  });
+  return { tasks, started, finish: (i, value = i) => gates[i].resolve(value), fail: (i, err) => gates[i].reject(err) };
+}
+
+/** Lets the pool's promise chains settle. */
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test("a pool of N runs N tasks at once and starts the rest first in, first out", async () => {
+  const pool = createWorkerPool(2);
+  const { tasks, started, finish } = gatedTasks(5);
+  const results = tasks.map((task) => pool.run(task));
+  await settle();
+  assert.deepEqual(started, [0, 1]);
+  assert.deepEqual(pool.stats(), { active: 2, queued: 3 });
+
+  finish(1);
+  await settle();
+  assert.deepEqual(started, [0, 1, 2]);
+  assert.deepEqual(pool.stats(), { active: 2, queued: 2 });
+
+  finish(0);
+  finish(2);
+  await settle();
+  assert.deepEqual(started, [0, 1, 2, 3, 4]);
+  assert.deepEqual(pool.stats(), { active: 2, queued: 0 });
+
+  finish(3);
+  finish(4);
+  assert.deepEqual(await Promise.all(results), [0, 1, 2, 3, 4]);
+  assert.deepEqual(pool.stats(), { active: 0, queued: 0 });
+});
+
+test("a failing task rejects its own caller and frees its worker", async () => {
+  const pool = createWorkerPool(1);
+  const { tasks, started, finish, fail } = gatedTasks(2);
+  const [first, second] = tasks.map((task) => pool.run(task));
+  await settle();
+  fail(0, new Error("compiler crashed"));
+  await assert.rejects(first, /compiler crashed/);
+  await settle();
+  assert.deepEqual(started, [0, 1]);
+  finish(1);
+  assert.equal(await second, 1);
+});
+
+test("JUDGE_WORKERS caps the default pool", () => {
+  const queue = fileURLToPath(new URL("../server/judge-queue.js", import.meta.url));
+  // Queues ten tasks that never finish on a default pool and reports how many it started.
+  const activeOf = (env) => Number(execFileSync(process.execPath, [
+    "--input-type=module",
+    "-e",
+    `const { createWorkerPool } = await import(${JSON.stringify(queue)});
+     const pool = createWorkerPool();
+     for (let i = 0; i < 10; i++) pool.run(() => new Promise(() => {}));
+     console.log(pool.stats().active);`
+  ], { env: { ...process.env, ...env }, encoding: "utf8", timeout: 10000 }));
+  assert.equal(activeOf({ JUDGE_WORKERS: "3" }), 3);
+  const fallback = activeOf({ JUDGE_WORKERS: "0" });
+  assert.ok(fallback >= 1 && fallback <= 4, `default of ${fallback} workers`);
+});
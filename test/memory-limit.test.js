@@ -0,0 +1,40 @@
+/**
+ * Memory Limit Exceeded comes from how a run ended, not from what it printed: a solution that writes a runtime's
+ * out-of-memory message itself is judged by its exit like any other.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createLocalExecutor, executeWith } from "../server/executors.js";
+import { parseSignature } from "../server/harness.js";
+import { hasTool } from "../server/sandbox.js";
+
+const meta = { signature: parseSignature({ name: "add", params: [{ name: "a", type: "integer" }, { name: "b", type: "integer" }], return: { type: "integer" } }) };
+const executors = [createLocalExecutor()];
+const run = (language, code) => executeWith(executors, { language, code, stdin: "1\n2", meta, timeLimitMs: 5000 });
+
+test("a Python solution that runs out of memory exceeds the limit", { skip: !hasTool("python3") }, async () => {
+  const r = await run("python", "class Solution:\n    def add(self, a, b):\n        return len([0] * (10 ** 10))\n");
+  assert.equal(r.memoryExceeded, true);
+});
+
+test("printing an out-of-memory message does not exceed the limit", { skip: !hasTool("python3") }, async () => {
+  const code = "import sys\n\nclass Solution:\n    def add(self, a, b):\n        print('MemoryError', file=sys.stderr)\n        return a + b\n";
+  const r = await run("python", code);
+  assert.equal(r.memoryExceeded, false);
+  assert.equal(r.exitCode, 0);
+});
+
+test("a C++ solution that prints bad_alloc and exits cleanly does not exceed the limit", { skip: !hasTool("g++") }, async () => {
+  const code = `#include <cstdio>
+class Solution {
+public:
+    int add(int a, int b) {
+        fprintf(stderr, "terminate called after throwing an instance of 'std::bad_alloc'\\n");
+        return a + b;
+    }
+};
+`;
+  const r = await run("cpp", code);
+  assert.equal(r.memoryExceeded, false);
+  assert.equal(r.exitCode, 0);
+});
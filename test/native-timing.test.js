@@ -0,0 +1,67 @@
+/**
+ * Native solutions can run code before the harness's main and print a result line of their own. Their runtime must
+ * come from outside the process (executors.js, PROCESS_TIMED), so a forged near-zero time never counts.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createLocalExecutor, executeWith } from "../server/executors.js";
+import { parseSignature, RESULT_SENTINEL } from "../server/harness.js";
+import { hasTool } from "../server/sandbox.js";
+
+const meta = { signature: parseSignature({ name: "add", params: [{ name: "a", type: "integer" }, { name: "b", type: "integer" }], return: { type: "integer" } }) };
+const sentinel = JSON.stringify(RESULT_SENTINEL).replace(/\\u001e/g, "\\x1e");
+/** CPU the forgers burn before printing their result line, far above the time they claim. */
+const BURN_MS = 300;
+
+const executors = [createLocalExecutor()];
+const run = (language, code) => executeWith(executors, { language, code, stdin: "1\n2", meta, timeLimitMs: 5000 });
+
+test("a C constructor that forges the result line is timed from outside", { skip: !hasTool("gcc") }, async () => {
+  const code = `#include <stdio.h>
+#include <time.h>
+#include <unistd.h>
+__attribute__((constructor)) static void forge(void) {
+  char token[64];
+  int a, b;
+  if (scanf("%63s %d %d", token, &a, &b) != 3) return;
+  while (clock() < CLOCKS_PER_SEC * ${BURN_MS} / 1000) {}
+  printf(${sentinel} "%s 0.000001 %d\\n", token, a + b);
+  fflush(stdout);
+  _exit(0);
+}
+int add(int a, int b) { return a + b; }
+`;
+  const r = await run("c", code);
+  assert.equal(r.exitCode, 0);
+  assert.ok(r.stdout.includes(" 0.000001 3"), "the forged line is the result line");
+  assert.ok(r.runTimeMs >= BURN_MS * 0.8, `runtime ${r.runTimeMs} ms counts the burned CPU`);
+});
+
+test("a Go init that forges the result line is timed from outside", { skip: !hasTool("go", ["version"]) }, async () => {
+  const code = `import (
+\t"fmt"
+\t"os"
+\t"time"
+)
+
+func init() {
+\tvar token string
+\tvar a, b int
+\tif _, err := fmt.Scan(&token, &a, &b); err != nil {
+\t\treturn
+\t}
+\tfor start := time.Now(); time.Since(start) < ${BURN_MS}*time.Millisecond; {
+\t}
+\tfmt.Printf(${sentinel} + "%s 0.000001 %d\\n", token, a+b)
+\tos.Exit(0)
+}
+
+func add(a int, b int) int {
+\treturn a + b
+}
+`;
+  const r = await run("go", code);
+  assert.equal(r.exitCode, 0, r.stderr);
+  assert.ok(r.stdout.includes(" 0.000001 3"), "the forged line is the result line");
+  assert.ok(r.runTimeMs >= BURN_MS * 0.8, `runtime ${r.runTimeMs} ms counts the burned CPU`);
+});
@@ -0,0 +1,56 @@
+/**
+ * Piston gets the same harnessed sources as the local executor. A stand-in Piston API records each request and
+ * answers with the harness's result line.
+ */
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, test } from "node:test";
+import { createPistonExecutor } from "../server/executors.js";
+import { parseSignature, RESULT_SENTINEL } from "../server/harness.js";
+
+const meta = { signature: parseSignature({ name: "add", params: [{ name: "a", type: "integer" }, { name: "b", type: "integer" }], return: { type: "integer" } }) };
+
+let server;
+let piston;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      const request = JSON.parse(body);
+      requests.push(request);
+      const token = request.stdin.split("\n")[0];
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ run: { stdout: `${RESULT_SENTINEL}${token} 1.5 3\n`, stderr: "", code: 0, signal: null, cpu_time: 40 } }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  piston = createPistonExecutor(`http://127.0.0.1:${server.address().port}`);
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test("Java is sent in its harness, entry class first", async () => {
+  const code = "import java.util.HashMap;\n\nclass Solution {\n    public int add(int a, int b) { return a + b; }\n}\n";
+  const r = await piston.execute({ language: "java", code, stdin: "1\n2", meta });
+  const { language, files, stdin } = requests.at(-1);
+  const source = files[0].content;
+  assert.equal(language, "java");
+  assert.ok(source.indexOf("import java.util.HashMap;") < source.indexOf("class RcMain"), "the solution's imports come first");
+  assert.ok(source.indexOf("class RcMain") < source.indexOf("class Solution"), "RcMain is the class Piston starts");
+  assert.doesNotMatch(source.slice(source.indexOf("class RcMain")), /^\s*import\s/m);
+  assert.equal(stdin, `${r.harnessToken}\n1\n2`);
+  assert.ok(r.harnessToken);
+  assert.equal(r.runTimeMs, 1.5);
+});
+
+test("Java with its own main is sent as written", async () => {
+  const code = "class Solution {\n    public static void main(String[] args) { System.out.println(3); }\n}\n";
+  const r = await piston.execute({ language: "java", code, stdin: "1\n2", meta });
+  const { files, stdin } = requests.at(-1);
+  assert.equal(files[0].content, code);
+  assert.equal(stdin, "1\n2");
+  assert.equal(r.harnessToken, null);
+});
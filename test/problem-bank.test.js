@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { getChecker } from "../server/checkers.js";
+import { validateProblem } from "../server/problem-bank.js";
+
+const problem = (checker) => ({
+  title: "Two Sum",
+  difficulty: "Easy",
+  content: "<p>Return the indices of the two numbers that add up to target.</p>",
+  metaData: { name: "twoSum", params: [{ name: "nums", type: "integer[]" }, { name: "target", type: "integer" }], return: { type: "integer[]" }, checker },
+  testCases: [{ stdin: "[2,7,11,15]\n9", expected: "[0,1]" }]
+});
+
+test("a checker given by its type name passes validation, as the judge accepts it", () => {
+  const { problem: saved, error } = validateProblem(problem("unordered"));
+  assert.equal(error, undefined);
+  assert.deepEqual(getChecker(saved), { type: "unordered" });
+  assert.equal(validateProblem(problem({ type: "unordered" })).error, undefined);
+});
+
+test("an unknown checker type is refused in either form", () => {
+  assert.match(validateProblem(problem("sorted")).error, /checker\.type/);
+  assert.match(validateProblem(problem({ type: "sorted" })).error, /checker\.type/);
+});
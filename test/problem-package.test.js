@@ -0,0 +1,115 @@
+/**
+ * Problem packages: a problem exported as a ZIP imports back as the same problem, and archives or packages that
+ * cannot be read are refused with an error rather than imported in part.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { packageFiles, packageZip, readPackage, readPackageZip } from "../server/problem-package.js";
+import { validateProblem } from "../server/problem-bank.js";
+import { unzipFiles, zipFiles } from "../server/zip.js";
+
+/** An admin's problem in problemDetail's shape (problem-bank.js): what the export route packages. */
+const problem = {
+  slug: "builtin-add-two-integers",
+  questionId: "9001",
+  questionFrontendId: "9001",
+  title: "Add Two Integers",
+  difficulty: "Easy",
+  content: "<p>Return the sum of <code>a</code> and <code>b</code>, both between −100 and 100.</p>\n",
+  metaData: {
+    name: "add",
+    params: [{ name: "a", type: "integer" }, { name: "b", type: "integer" }],
+    return: { type: "integer" },
+    checker: { type: "exact" }
+  },
+  exampleTestcases: "1\n2\n-3\n3",
+  testCases: [{ stdin: "1\n2", expected: "3" }, { stdin: "-3\n3", expected: "0" }],
+  hiddenTestCases: [{ stdin: "100\n100", expected: "200" }],
+  referenceSolutions: [
+    { langSlug: "javascript", code: "var add = function(a, b) {\n  return a + b;\n};\n" },
+    { langSlug: "python", code: "class Solution:\n    def add(self, a: int, b: int) -> int:\n        return a + b\n" }
+  ],
+  tags: ["math"]
+};
+
+const { slug, questionId, questionFrontendId, title, difficulty, content, metaData, exampleTestcases, testCases, hiddenTestCases, referenceSolutions, tags } = problem;
+const editable = { slug, questionId, questionFrontendId, title, difficulty, content, metaData, exampleTestcases, testCases, hiddenTestCases, referenceSolutions, tags };
+
+/** The package's files with some replaced or (given undefined) removed. */
+function withFiles(changes) {
+  const files = { ...packageFiles(problem), ...changes };
+  return Object.fromEntries(Object.entries(files).filter(([, v]) => v !== undefined));
+}
+
+test("a problem exported as a ZIP imports back unchanged", () => {
+  const zip = packageZip(problem);
+  assert.deepEqual(Object.keys(unzipFiles(zip)).sort(),
+    ["examples.json", "hidden.json", "problem.json", "solutions/javascript.js", "solutions/python.py", "statement.html"]);
+  const { input, error } = readPackageZip(zip);
+  assert.equal(error, undefined);
+  assert.deepEqual(input, editable);
+  assert.deepEqual(validateProblem(input), validateProblem(editable));
+  assert.equal(validateProblem(input).error, undefined);
+});
+
+test("a package wrapped in a folder, with a Markdown statement, is read too", () => {
+  const files = withFiles({ "statement.html": undefined, "statement.md": "Return the **sum**.\n" });
+  const wrapped = Object.fromEntries(Object.entries(files).map(([name, v]) => [`add-two-integers/${name}`, v]));
+  const { input, error } = readPackageZip(zipFiles(wrapped));
+  assert.equal(error, undefined);
+  assert.equal(input.content, "<p>Return the <strong>sum</strong>.</p>\n");
+  assert.deepEqual(input.hiddenTestCases, hiddenTestCases);
+});
+
+test("ZIP entries survive the round trip byte for byte, empty and binary ones included", () => {
+  const binary = Buffer.from([0, 255, 1, 254, 0x50, 0x4b, 3, 4]);
+  const files = unzipFiles(zipFiles({ "empty.txt": "", "bytes.bin": binary, "ünïcode/名前.md": "é\n" }));
+  assert.deepEqual(files, { "empty.txt": Buffer.alloc(0), "bytes.bin": binary, "ünïcode/名前.md": Buffer.from("é\n") });
+});
+
+test("an archive that is not a readable ZIP is refused", () => {
+  const zip = packageZip(problem);
+  assert.match(readPackageZip(Buffer.from("problem.json")).error, /Could not read the archive: Not a ZIP archive/);
+  assert.match(readPackageZip(zip.subarray(0, zip.length - 30)).error, /Could not read the archive/);
+
+  // A flipped byte in the first entry's compressed data fails its CRC or its inflation.
+  const corrupt = Buffer.from(zip);
+  const nameLength = corrupt.readUInt16LE(26);
+  corrupt[30 + nameLength + 2] ^= 0xff;
+  assert.match(readPackageZip(corrupt).error, /Could not read the archive/);
+
+  const encrypted = Buffer.from(zip);
+  const directory = encrypted.readUInt32LE(encrypted.length - 22 + 16);
+  encrypted.writeUInt16LE(encrypted.readUInt16LE(directory + 8) | 1, directory + 8);
+  assert.match(readPackageZip(encrypted).error, /is encrypted/);
+});
+
+test("an archive that inflates past the limit is refused", () => {
+  const zip = zipFiles({ "big.txt": "0".repeat(1024 * 1024) });
+  assert.ok(zip.length < 10 * 1024);
+  assert.throws(() => unzipFiles(zip, { maxBytes: 1024 * 1024 - 1 }), /larger than/);
+  assert.equal(unzipFiles(zip, { maxBytes: 1024 * 1024 })["big.txt"].length, 1024 * 1024);
+});
+
+test("a package not laid out as one is refused", () => {
+  const refused = (changes) => readPackage(withFiles(changes)).error;
+  assert.match(refused({ "problem.json": undefined }), /no problem\.json/);
+  assert.match(refused({ "problem.json": "{ not json" }), /^problem\.json: /);
+  assert.match(refused({ "problem.json": "[]" }), /must be an object/);
+  assert.match(refused({ "problem.json": JSON.stringify({ ...JSON.parse(packageFiles(problem)["problem.json"]), format: 2 }) }), /Unsupported package format 2/);
+  assert.match(refused({ "statement.md": "Sum.\n" }), /exactly one of statement\.md and statement\.html/);
+  assert.match(refused({ "statement.html": undefined }), /exactly one of statement\.md and statement\.html/);
+  assert.match(refused({ "examples.json": undefined }), /no examples\.json/);
+  assert.match(refused({ "hidden.json": "[{" }), /^hidden\.json: /);
+  assert.match(refused({ "solutions/notes/readme.txt": "x" }), /Unexpected solution file/);
+});
+
+test("a readable package with invalid fields is refused by validation", () => {
+  const invalid = (changes) => validateProblem(readPackage(withFiles(changes)).input).error;
+  const manifest = JSON.parse(packageFiles(problem)["problem.json"]);
+  assert.match(invalid({ "problem.json": JSON.stringify({ ...manifest, difficulty: "Trivial" }) }), /difficulty/);
+  assert.match(invalid({ "problem.json": JSON.stringify({ ...manifest, checker: { type: "sorted" } }) }), /checker\.type/);
+  assert.match(invalid({ "examples.json": "[]" }), /at least one public test case/);
+  assert.match(invalid({ "hidden.json": JSON.stringify([{ stdin: 1, expected: 2 }]) }), /hiddenTestCases\[0\]/);
+  assert.match(invalid({ "solutions/cobol.cob": "DISPLAY 'HI'." }), /unknown language "cobol"/);
+});
@@ -0,0 +1,120 @@
+/**
+ * Problem ratings: each attempt is an Elo game between the player and the problem, a slow solve counts for less
+ * than a quick one, and pickByRating prefers problems rated near the players.
+ */
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, mock, test } from "node:test";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "problem-ratings-test-"));
+process.env.DB_PATH = path.join(dir, "test.db");
+const { getDb } = await import("../server/db.js");
+const { expectedScore } = await import("../server/elo.js");
+const { pickByRating, problemRatings, ratingOf, recordAttempt } = await import("../server/problem-ratings.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const db = await getDb();
+let matches = 0;
+const MINUTE = 60000;
+
+/** Records one attempt at `problem` in a match of its own. */
+const attempt = (problem, { elo = 1200, solved = true, solveMs = solved ? MINUTE : null, matchId = `match-${matches++}`, userId = "player" } = {}) =>
+  recordAttempt(db, { matchId, userId, problem, elo, solved, solveMs });
+
+test("a problem starts from its label and moves by the Elo update of the opposite result", async () => {
+  const solvedOnce = { titleSlug: "builtin-solved-once", difficulty: "Medium" };
+  assert.equal(ratingOf(solvedOnce, await problemRatings(db)), 1200);
+  // An even game, lost by the problem: it drops by half of the provisional K (48).
+  assert.equal(await attempt(solvedOnce), 1176);
+
+  const failedOnce = { titleSlug: "builtin-failed-once", difficulty: "Easy" };
+  assert.equal(await attempt(failedOnce, { elo: 1000, solved: false }), 1024);
+
+  const ratings = await problemRatings(db);
+  assert.deepEqual(ratings.get(solvedOnce.titleSlug), { rating: 1176, attempts: 1, solves: 1 });
+  assert.deepEqual(ratings.get(failedOnce.titleSlug), { rating: 1024, attempts: 1, solves: 0 });
+  assert.equal(ratingOf(failedOnce, ratings), 1024);
+  assert.equal(ratingOf({ titleSlug: "builtin-unplayed", difficulty: "Hard" }, ratings), 1400);
+});
+
+test("surprises move a rating more than expected results", async () => {
+  const upset = { titleSlug: "builtin-upset", difficulty: "Hard" };
+  const expected = { titleSlug: "builtin-expected", difficulty: "Hard" };
+  const upsetDrop = 1400 - await attempt(upset, { elo: 1000 });
+  const expectedDrop = 1400 - await attempt(expected, { elo: 1800 });
+  assert.equal(upsetDrop, Math.round(48 * expectedScore(1400, 1000)));
+  assert.ok(upsetDrop > 40 && expectedDrop < 5, `${upsetDrop} vs ${expectedDrop}`);
+});
+
+test("each player's attempt at a match counts once", async () => {
+  const problem = { titleSlug: "builtin-counted-once", difficulty: "Medium" };
+  assert.equal(await attempt(problem, { matchId: "match-twice" }), 1176);
+  assert.equal(await attempt(problem, { matchId: "match-twice", solved: false }), null);
+  assert.deepEqual((await problemRatings(db)).get(problem.titleSlug), { rating: 1176, attempts: 1, solves: 1 });
+  // The other player of the same match still counts.
+  assert.equal(await attempt(problem, { matchId: "match-twice", userId: "opponent" }), 1176 + Math.round(48 * (expectedScore(1200, 1176) - 1)));
+});
+
+test("after the provisional attempts, ratings move at half the speed", async () => {
+  const problem = { titleSlug: "builtin-settling", difficulty: "Medium" };
+  let rating = 1200;
+  for (let i = 0; i < 10; i++) rating = await attempt(problem, { solved: false });
+  const next = await attempt(problem, { solved: false });
+  assert.equal(next, Math.round(rating + 24 * expectedScore(1200, rating)));
+});
+
+test("a solve at four times the median solve time scores half", async () => {
+  const problem = { titleSlug: "builtin-slow", difficulty: "Medium" };
+  let rating = 1200;
+  // Three solves by a far stronger player set the median (one minute) and barely move the rating.
+  for (let i = 0; i < 3; i++) rating = await attempt(problem, { elo: 3000 });
+  assert.equal(await attempt(problem, { elo: rating, solveMs: 4 * MINUTE }), rating);
+
+  const quick = { titleSlug: "builtin-quick", difficulty: "Medium" };
+  let quickRating = 1200;
+  for (let i = 0; i < 3; i++) quickRating = await attempt(quick, { elo: 3000 });
+  assert.equal(await attempt(quick, { elo: quickRating, solveMs: MINUTE / 2 }), quickRating - 24);
+});
+
+const problem = (titleSlug, difficulty) => ({ titleSlug, difficulty });
+const pool = [problem("easy", "Easy"), problem("medium", "Medium"), problem("hard", "Hard")];
+
+/** pickByRating with Math.random returning `r`. */
+function pickAt(r, ...args) {
+  mock.method(Math, "random", () => r);
+  try {
+    return pickByRating(...args)?.titleSlug;
+  } finally {
+    mock.restoreAll();
+  }
+}
+
+test("picks are weighted by a normal curve around the players' Elo", () => {
+  const ratings = new Map([["hard", { rating: 1350 }], ["easy", { rating: 1800 }]]);
+  // Weights: medium (1200) 1, hard (1350, one spread away) e^-1/2, easy (1800, four spreads away) e^-8.
+  const weights = [Math.exp(-8), 1, Math.exp(-0.5)];
+  const total = weights.reduce((a, b) => a + b);
+  const bounds = weights.map((_, i) => weights.slice(0, i + 1).reduce((a, b) => a + b) / total);
+  assert.equal(pickAt(0, pool, ratings, 1200), "easy");
+  assert.equal(pickAt(bounds[0] * 0.999, pool, ratings, 1200), "easy");
+  assert.equal(pickAt(bounds[0] * 1.001, pool, ratings, 1200), "medium");
+  assert.equal(pickAt(bounds[1] * 0.999, pool, ratings, 1200), "medium");
+  assert.equal(pickAt(bounds[1] * 1.001, pool, ratings, 1200), "hard");
+  assert.ok(bounds[0] < 0.001 && bounds[1] > 0.6 && bounds[1] < 0.63, `${bounds}`);
+});
+
+test("players far from every problem still get the nearest one", () => {
+  assert.equal(pickAt(0.5, pool, null, 3000), "hard");
+  assert.equal(pickAt(0.999, pool, null, 3000), "hard");
+  assert.equal(pickAt(0.001, pool, null, 0), "easy");
+});
+
+test("without an Elo the pick is uniform, and an empty list picks nothing", () => {
+  assert.equal(pickAt(0, pool, null, null), "easy");
+  assert.equal(pickAt(0.4, pool, null, null), "medium");
+  assert.equal(pickAt(0.99, pool, null, null), "hard");
+  assert.equal(pickAt(0.5, [], null, 1200), undefined);
+});
@@ -0,0 +1,58 @@
+/**
+ * The JavaScript and Python harnesses time the call up to the serialized result, so work deferred into the result
+ * (a toJSON method, a lazy node property) still counts as the solution's runtime.
+ */
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createLocalExecutor, executeWith } from "../server/executors.js";
+import { parseSignature } from "../server/harness.js";
+import { hasTool } from "../server/sandbox.js";
+
+/** CPU the solutions defer into their results, far above the time the call itself takes. */
+const BURN_MS = 300;
+
+const executors = [createLocalExecutor()];
+const run = (language, code, signature, stdin) => executeWith(executors, {
+  language, code, stdin, meta: { signature: parseSignature(signature) }, timeLimitMs: 5000
+});
+
+test("a JavaScript result whose toJSON does the work is timed through serialization", async () => {
+  const code = `function add(a, b) {
+  return {
+    toJSON() {
+      const end = Date.now() + ${BURN_MS};
+      while (Date.now() < end) {}
+      return a + b;
+    }
+  };
+}
+`;
+  const signature = { name: "add", params: [{ name: "a", type: "integer" }, { name: "b", type: "integer" }], return: { type: "integer" } };
+  const r = await run("javascript", code, signature, "1\n2");
+  assert.equal(r.exitCode, 0, r.stderr);
+  assert.ok(r.runTimeMs >= BURN_MS * 0.8, `runtime ${r.runTimeMs} ms counts the deferred work`);
+});
+
+test("a Python linked list whose next property does the work is timed through conversion", { skip: !hasTool("python3") }, async () => {
+  const code = `import time
+
+class Lazy:
+    def __init__(self, val):
+        self.val = val
+
+    @property
+    def next(self):
+        end = time.perf_counter() + ${BURN_MS} / 1000
+        while time.perf_counter() < end:
+            pass
+        return None
+
+class Solution:
+    def reverseList(self, head):
+        return Lazy(head.val)
+`;
+  const signature = { name: "reverseList", params: [{ name: "head", type: "ListNode" }], return: { type: "ListNode" } };
+  const r = await run("python", code, signature, "[1]");
+  assert.equal(r.exitCode, 0, r.stderr);
+  assert.ok(r.runTimeMs >= BURN_MS * 0.8, `runtime ${r.runTimeMs} ms counts the deferred work`);
+});
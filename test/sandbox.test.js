@@ -0,0 +1,43 @@
+/**
+ * A run's processes end with it: a child that leaves the run's session (setsid) must not keep running, and hold
+ * the sandbox uid's process slots, once the run has exited or timed out.
+ */
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import { test } from "node:test";
+import { hasTool, makeSandboxDir, removeSandboxDir, runSandboxed } from "../server/sandbox.js";
+
+/** Pid namespaces need root (as the sandbox's namespaces do) and the CPU timer as their init. */
+const skip = !(process.getuid() === 0 && hasTool("python3") && hasTool("unshare", ["-p", "--fork", "--kill-child", "true"])) && "no pid namespaces here";
+
+/** Runs `script` with a detached child that writes `late` after a second, then checks the file never appears. */
+async function detachedChildOutlives(script, options) {
+  const dir = await makeSandboxDir();
+  try {
+    const r = await runSandboxed("sh", ["-c", `setsid sh -c 'sleep 1; touch late' & ${script}`], { cwd: dir, ...options });
+    await sleep(1500);
+    return { r, outlived: fs.existsSync(path.join(dir, "late")) };
+  } finally {
+    await removeSandboxDir(dir);
+  }
+}
+
+test("a detached child dies when the run exits", { skip }, async () => {
+  const { r, outlived } = await detachedChildOutlives("exit 0");
+  assert.equal(r.code, 0);
+  assert.equal(outlived, false);
+});
+
+test("a detached child dies when the run times out", { skip }, async () => {
+  const { r, outlived } = await detachedChildOutlives("sleep 5", { timeoutMs: 300 });
+  assert.equal(r.timedOut, true);
+  assert.equal(outlived, false);
+});
+
+test("a run's own signal is reported, though its init cannot die of it", { skip }, async () => {
+  const r = await runSandboxed("sh", ["-c", "kill -ABRT $$"]);
+  assert.equal(r.signal, "SIGABRT");
+  assert.equal(r.code, null);
+});
@@ -0,0 +1,123 @@
+/**
+ * Plagiarism scoring (similarity.js) sees through renaming, reformatting and comments but not through a different
+ * solution; a ranked match whose players submit the same code completes with its Elo change held for review.
+ */
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { after, before, test } from "node:test";
+import { getBuiltinReferenceSolution } from "../server/builtin-problems.js";
+import { fingerprint, MIN_TOKENS, similarity, tokenize } from "../server/similarity.js";
+import { startServer } from "./helpers/server.js";
+
+const original = `var twoSum = function(nums, target) {
+  const seen = new Map();
+  for (let i = 0; i < nums.length; i++) {
+    const need = target - nums[i];
+    if (seen.has(need)) return [seen.get(need), i];
+    seen.set(nums[i], i);
+  }
+  return [];
+};`;
+
+const disguised = `// my own solution
+var twoSum = function (numbers, goal) {
+    const index = new Map(); /* value -> position */
+    for (let k = 0; k < numbers.length; k++) {
+        const other = goal - numbers[k];
+        if (index.has(other))
+            return [index.get(other), k];
+        index.set(numbers[k], k);
+    }
+    return [];
+};`;
+
+const bruteForce = `var twoSum = function(nums, target) {
+  for (let i = 0; i < nums.length; i++) {
+    for (let j = i + 1; j < nums.length; j++) {
+      if (nums[i] + nums[j] === target) {
+        return [i, j];
+      }
+    }
+  }
+  return [];
+};`;
+
+const print = (code) => fingerprint(code, "javascript");
+
+test("tokens keep keywords and punctuation, and collapse names and literals", () => {
+  assert.deepEqual(tokenize(`let total = 10; // running sum\nreturn "done";`, "javascript"),
+    ["let", "ID", "=", "NUM", ";", "return", "STR", ";"]);
+  assert.deepEqual(tokenize("def f(x):  # doubles\n    return x * 2", "python"),
+    ["def", "ID", "(", "ID", ")", ":", "return", "ID", "*", "NUM"]);
+});
+
+test("a renamed, reformatted and commented copy scores as the same code", () => {
+  assert.ok(print(original).tokens >= MIN_TOKENS);
+  assert.equal(similarity(print(original), print(original)), 1);
+  assert.equal(similarity(print(original), print(disguised)), 1);
+});
+
+test("a different solution to the same problem scores low", () => {
+  const score = similarity(print(original), print(bruteForce));
+  assert.ok(score < 0.5, `score ${score}`);
+});
+
+test("ignored fingerprints do not count towards the score", () => {
+  const a = print(original);
+  assert.equal(similarity(a, print(disguised), a.hashes), 0);
+  const shared = new Set([...a.hashes].slice(0, Math.ceil(a.hashes.size / 2)));
+  assert.equal(similarity(a, print(disguised), shared), 1);
+  assert.ok(similarity(a, print(bruteForce), shared) <= similarity(a, print(bruteForce)));
+});
+
+// A ranked match over HTTP, against a server started on a scratch database.
+let server;
+
+before(async () => {
+  server = await startServer({ ADMIN_EMAILS: "admin@test.local" });
+});
+
+after(() => server?.stop());
+
+/** Polls a submission until it has been judged. */
+async function judged(token, submissionId) {
+  const deadline = Date.now() + 120000;
+  for (;;) {
+    const { body } = await server.api(token, `/api/submissions/${submissionId}`);
+    if (body.submission.status === "done") return body;
+    if (Date.now() > deadline) throw new Error(`submission ${submissionId} still ${body.submission.status}`);
+    await sleep(200);
+  }
+}
+
+test("a ranked match with copied code completes with its Elo change held for review", async () => {
+  const [first, second, admin] = await Promise.all(["first", "second", "admin"].map((name) => server.register(name)));
+  // One problem has the tag, and its reference is long enough to be fingerprinted (MIN_TOKENS).
+  const filters = { tag: "sliding-window" };
+  assert.equal((await server.api(first, "/api/queue/join", filters)).body.status, "queued");
+  const { body: matched } = await server.api(second, "/api/queue/join", filters);
+  assert.equal(matched.status, "matched");
+  const { id, problem_slug: slug } = matched.match;
+  assert.equal(slug, "builtin-longest-substring-without-repeating-characters");
+  const code = getBuiltinReferenceSolution(slug, "javascript");
+
+  const submit = async (token) => (await server.api(token, `/api/matches/${id}/submit`, { language: "javascript", code })).body.submissionId;
+  const firstResult = await judged(first, await submit(first));
+  assert.equal(firstResult.submission.verdict, "Accepted");
+  const secondResult = await judged(second, await submit(second));
+  assert.equal(secondResult.submission.verdict, "Accepted");
+  assert.equal(secondResult.match.underReview, true);
+  assert.equal(secondResult.match.eloDelta, 0);
+
+  const { body } = await server.api(first, `/api/matches/${id}`);
+  assert.equal(body.match.status, "complete");
+  assert.equal(body.match.review_status, "pending");
+  assert.ok(body.players.some((p) => p.is_winner === 1), "the winner stands");
+  for (const p of body.players) assert.equal(p.elo_after, p.elo_before);
+  for (const token of [first, second]) assert.equal((await server.api(token, "/api/me")).body.user.elo, 1200);
+
+  const { body: review } = await server.api(admin, "/api/admin/flags");
+  const held = review.matches.find((m) => m.match.id === id);
+  assert.equal(held.flags[0].source, "opponent");
+  assert.equal(held.flags[0].score, 1);
+});
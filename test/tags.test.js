@@ -0,0 +1,83 @@
+/**
+ * Topic tag filters: matchmaking, practice and random picks only offer problems carrying the chosen tag (and
+ * difficulty), and two queued players are paired only when their filters leave a problem to play.
+ */
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { builtinSeed, matchingBuiltinProblems } from "../server/builtin-problems.js";
+import { TOPIC_TAGS } from "../server/builtin-tags.js";
+import { startServer } from "./helpers/server.js";
+
+const seed = builtinSeed();
+const slugs = (problems) => problems.map((p) => p.titleSlug).sort();
+const tagged = (tag, difficulty) => slugs(seed.filter((p) => p.tags.includes(tag) && (!difficulty || p.difficulty === difficulty)));
+
+test("every builtin problem is tagged from the topic vocabulary", () => {
+  for (const p of seed) {
+    assert.ok(p.tags.length > 0, `${p.titleSlug} has no tags`);
+    for (const tag of p.tags) assert.ok(Object.hasOwn(TOPIC_TAGS, tag), `${p.titleSlug}: unknown tag ${tag}`);
+  }
+});
+
+test("a tag filter matches exactly the problems carrying the tag", () => {
+  for (const tag of Object.keys(TOPIC_TAGS)) {
+    assert.deepEqual(slugs(matchingBuiltinProblems(null, tag)), tagged(tag), tag);
+  }
+  assert.deepEqual(matchingBuiltinProblems(null, "no-such-tag"), []);
+  assert.equal(matchingBuiltinProblems(null, null).length, seed.length);
+});
+
+test("a tag and a difficulty filter together", () => {
+  assert.deepEqual(slugs(matchingBuiltinProblems("medium", "binary-search")), tagged("binary-search", "Medium"));
+  assert.deepEqual(slugs(matchingBuiltinProblems("Easy", "binary-search")), tagged("binary-search", "Easy"));
+  assert.deepEqual(matchingBuiltinProblems("Medium", "linked-list"), []);
+});
+
+// The filters over HTTP, against a server started on a scratch database.
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  token = await server.register("tags");
+});
+
+after(() => server?.stop());
+
+test("/api/tags counts the problems carrying each tag", async () => {
+  const { body } = await server.api(token, "/api/tags");
+  assert.deepEqual(body.tags.map((t) => t.tag), Object.keys(TOPIC_TAGS));
+  for (const { tag, name, problems } of body.tags) {
+    assert.equal(name, TOPIC_TAGS[tag]);
+    assert.equal(problems, tagged(tag).length, tag);
+  }
+});
+
+test("random picks and practice matches keep to the tag", async () => {
+  for (let i = 0; i < 10; i++) {
+    const { body } = await server.api(token, "/api/problems/random?tag=stack&difficulty=Easy");
+    assert.ok(tagged("stack", "Easy").includes(body.question.titleSlug), body.question.titleSlug);
+  }
+  const { body } = await server.api(token, "/api/matches", { tag: "recursion", difficulty: "Medium" });
+  assert.ok(tagged("recursion", "Medium").includes(body.match.problem_slug), body.match.problem_slug);
+});
+
+test("an unknown tag, or filters no problem meets, is refused", async () => {
+  const refused = await server.register("refused");
+  assert.equal((await server.api(refused, "/api/matches", { tag: "no-such-tag" })).status, 400);
+  assert.equal((await server.api(refused, "/api/queue/join", { tag: "no-such-tag" })).status, 400);
+  assert.equal((await server.api(refused, "/api/matches", { tag: "linked-list", difficulty: "Medium" })).status, 404);
+  assert.equal((await server.api(refused, "/api/queue/join", { tag: "linked-list", difficulty: "Medium" })).status, 400);
+  assert.equal((await server.api(refused, "/api/problems/random?tag=linked-list&difficulty=Medium")).status, 404);
+});
+
+test("the queue pairs players only when their tags leave a problem to play", async () => {
+  const [lists, stacks, open] = await Promise.all(["lists", "stacks", "open"].map((name) => server.register(name)));
+  assert.equal((await server.api(lists, "/api/queue/join", { tag: "linked-list" })).body.status, "queued");
+  assert.equal((await server.api(stacks, "/api/queue/join", { tag: "stack" })).body.status, "queued");
+  // No filters of its own: paired with the oldest waiting player, on a problem fitting that player's tag.
+  const { body } = await server.api(open, "/api/queue/join", {});
+  assert.equal(body.status, "matched");
+  assert.ok(tagged("linked-list").includes(body.match.problem_slug), body.match.problem_slug);
+  assert.equal((await server.api(stacks, "/api/queue/status")).body.queue.desired_tag, "stack");
+});